@@ -60,9 +60,8 @@ const options = {
   'global-index-format': 'none' // none, grouped, table, dl.
 }
 
-jsdoc2md.clear().then(() => {
-  const readmeContents = jsdoc2md.renderSync(options)
-
+// render() instead of renderSync(), whose output buffer is too small for the jsdoc data of the whole API
+jsdoc2md.clear().then(() => jsdoc2md.render(options)).then(readmeContents => {
   const readmeFile = path.join(rootDir, 'README.md')
   fs.writeFileSync(readmeFile, readmeContents)
 })
@@ -1 +1 @@
-var paillierBigint=function(n){"use strict";function t(n){return(n=BigInt(n))>=0n?n:-n}function e(n){if(1n===(n=BigInt(n)))return 1;let t=1;do{t++}while((n>>=1n)>1n);return t}function r(n,t){if((n=BigInt(n))<=0n|(t=BigInt(t))<=0n)throw new RangeError("a and b MUST be > 0");let e=0n,r=1n,i=1n,o=0n;for(;0n!==n;){const s=t/n,u=t%n,c=e-i*s,a=r-o*s;t=n,n=u,e=i,r=o,i=c,o=a}return{g:t,x:e,y:r}}function i(n,e){if(n=t(n),e=t(e),0n===n)return e;if(0n===e)return n;let r=0n;for(;!(1n&(n|e));)n>>=1n,e>>=1n,r++;for(;!(1n&n);)n>>=1n;do{for(;!(1n&e);)e>>=1n;if(n>e){const t=n;n=e,e=t}e-=n}while(e);return n<<r}function o(n,e){return n=BigInt(n),e=BigInt(e),0n===n&&0n===e?BigInt(0):t(n*e)/i(n,e)}function s(n,t){const e=r(c(n,t),t);if(1n!==e.g)throw new RangeError(`${n.toString()} does not have inverse modulo ${t.toString()}`);return c(e.x,t)}function u(n,e,r){if(0n===(r=BigInt(r)))throw new RangeError("n must be > 0");if(1n===r)return BigInt(0);if(n=c(n,r),(e=BigInt(e))<0n)return s(u(n,t(e),r),r);let i=1n;for(;e>0;)e%2n===1n&&(i=i*n%r),e/=2n,n=n**2n%r;return i}function c(n,t){return(t=BigInt(t))<=0?NaN:(n=BigInt(n)%t)<0?n+t:n}function a(n,t=16,e=!1){if("number"==typeof n&&(n=BigInt(n)),n<0)throw RangeError("w MUST be >= 0");return new Promise(((e,r)=>{const i=new Worker(d());i.onmessage=n=>{i.terminate(),e(n.data.isPrime)},i.onmessageerror=n=>{r(n)},i.postMessage({rnd:n,iterations:t,id:0})}))}function h(n,t=16){if(n<1)throw new RangeError("bitLength MUST be > 0");if(!b){let e=0n;do{e=m(w(n,!0))}while(!p(e,t));return new Promise((n=>{n(e)}))}return new Promise((e=>{const r=[],i=(i,o)=>{if(i.isPrime){for(let n=0;n<r.length;n++)r[n].terminate();for(;r.length;)r.pop();e(i.value)}else{const e=m(w(n,!0));try{o.postMessage({rnd:e,iterations:t,id:i.id})}catch(n){}}};{const n=d();for(let t=0;t<self.navigator.hardwareConcurrency-1;t++){const t=new Worker(n);t.onmessage=n=>i(n.data,t),r.push(t)}}for(let e=0;e<r.length;e++)f(n,!0).then((function(n){const i=m(n);r[e].postMessage({rnd:i,iterations:t,id:e})}))}))}function l(n,t=16){if(n<1)throw new RangeError("bitLength MUST be > 0");let e=0n;do{e=m(w(n,!0))}while(!p(e,t));return e}function g(n,t=1n){if(n<=0n||t<0n||n<=t)throw new RangeError("Arguments MUST be: max > 0 && min >=0 && max > min");const r=n-t,i=e(r);let o;do{o=m(w(i))}while(o>r);return o+t}function f(n,t=!1){if(n<1)throw new RangeError("bitLength MUST be > 0");const e=Math.ceil(n/8),r=n%8;return new Promise((n=>{(function(n,t=!1){if(n<1)throw new RangeError("byteLength MUST be > 0");return new Promise((function(e,r){{const r=new Uint8Array(n);self.crypto.getRandomValues(r),t&&(r[0]=128|r[0]),e(r)}}))})(e,!1).then((function(e){if(r&&(e[0]=e[0]&2**r-1),t){const n=r?2**(r-1):128;e[0]=e[0]|n}n(e)}))}))}function w(n,t=!1){if(n<1)throw new RangeError("bitLength MUST be > 0");const e=y(Math.ceil(n/8),!1),r=n%8;if(r&&(e[0]=e[0]&2**r-1),t){const n=r?2**(r-1):128;e[0]=e[0]|n}return e}function y(n,t=!1){if(n<1)throw new RangeError("byteLength MUST be > 0");{const e=new Uint8Array(n);return self.crypto.getRandomValues(e),t&&(e[0]=128|e[0]),e}}function m(n){let t=0n;for(const e of n.values()){const n=BigInt(e);t=(t<<BigInt(8))+n}return t}function d(){let n=`'use strict';const ${r.name}=${r.toString()};const ${s.name}=${s.toString()};const ${u.name}=${u.toString()};const ${c.name}=${c.toString()};const ${w.name}=${w.toString()};const ${y.name}=${y.toString()};const ${g.name}=${g.toString()};const ${a.name}=${p.toString()};${e.toString()}${m.toString()}`;return n+=`onmessage = ${async function(n){const t=await a(n.data.rnd,n.data.iterations);postMessage({isPrime:t,value:n.data.rnd,id:n.data.id})}.toString()};`,function(n){n=`(() => {${n}})()`;const t=new Blob([n],{type:"text/javascript"});return window.URL.createObjectURL(t)}(n)}function p(n,t=16){if(2n===n)return!0;if(0n===(1n&n)||1n===n)return!1;const e=[3n,5n,7n,11n,13n,17n,19n,23n,29n,31n,37n,41n,43n,47n,53n,59n,61n,67n,71n,73n,79n,83n,89n,97n,101n,103n,107n,109n,113n,127n,131n,137n,139n,149n,151n,157n,163n,167n,173n,179n,181n,191n,193n,197n,199n,211n,223n,227n,229n,233n,239n,241n,251n,257n,263n,269n,271n,277n,281n,283n,293n,307n,311n,313n,317n,331n,337n,347n,349n,353n,359n,367n,373n,379n,383n,389n,397n,401n,409n,419n,421n,431n,433n,439n,443n,449n,457n,461n,463n,467n,479n,487n,491n,499n,503n,509n,521n,523n,541n,547n,557n,563n,569n,571n,577n,587n,593n,599n,601n,607n,613n,617n,619n,631n,641n,643n,647n,653n,659n,661n,673n,677n,683n,691n,701n,709n,719n,727n,733n,739n,743n,751n,757n,761n,769n,773n,787n,797n,809n,811n,821n,823n,827n,829n,839n,853n,857n,859n,863n,877n,881n,883n,887n,907n,911n,919n,929n,937n,941n,947n,953n,967n,971n,977n,983n,991n,997n,1009n,1013n,1019n,1021n,1031n,1033n,1039n,1049n,1051n,1061n,1063n,1069n,1087n,1091n,1093n,1097n,1103n,1109n,1117n,1123n,1129n,1151n,1153n,1163n,1171n,1181n,1187n,1193n,1201n,1213n,1217n,1223n,1229n,1231n,1237n,1249n,1259n,1277n,1279n,1283n,1289n,1291n,1297n,1301n,1303n,1307n,1319n,1321n,1327n,1361n,1367n,1373n,1381n,1399n,1409n,1423n,1427n,1429n,1433n,1439n,1447n,1451n,1453n,1459n,1471n,1481n,1483n,1487n,1489n,1493n,1499n,1511n,1523n,1531n,1543n,1549n,1553n,1559n,1567n,1571n,1579n,1583n,1597n];for(let t=0;t<e.length&&e[t]<=n;t++){const r=e[t];if(n===r)return!0;if(n%r===0n)return!1}let r=0n;const i=n-1n;let o=i;for(;o%2n===0n;)o/=2n,++r;const s=i/2n**r;do{let t=u(g(i,2n),s,n);if(1n===t||t===i)continue;let e=1;for(;e<r&&(t=u(t,2n,n),t!==i);){if(1n===t)return!1;e++}if(t!==i)return!1}while(--t);return!0}let b=!1;self.Worker&&(b=!0);class S{constructor(n,t){this.n=n,this._n2=this.n**2n,this.g=t}get bitLength(){return e(this.n)}encrypt(n,t=null){if(null===t)do{t=g(this.n)}while(1n!==i(t,this.n));return u(this.g,n,this._n2)*u(t,this.n,this._n2)%this._n2}encryptOtherNA(n,t,e){return u(this.g,n,this._n2)*u(t,this.n,this._n2)%e}encryptOtherNB(n,t,e){return u(this.g,n,e)*u(t,this.n,this._n2)%this._n2}encryptOtherNC(n,t,e){return u(this.g,n,this._n2)*u(t,this.n,e)%this._n2}encryptOtherNF(n,t,e){return u(this.g,n,this._n2)*u(t,this.n,e)%e}encryptOtherND(n,t,e){return u(this.g,n,e)*u(t,this.n,e)%this._n2}encryptOtherNE(n,t,e){return u(this.g,n,e)*u(t,this.n,e)%this._n2}addition(...n){return n.reduce(((n,t)=>n*t%this._n2),1n)}multiply(n,t){return u(BigInt(n),BigInt(t),this._n2)}}class K{constructor(n,t,e,r=null,i=null){this.lambda=n,this.mu=t,this._p=r||null,this._q=i||null,this.publicKey=e}get bitLength(){return e(this.publicKey.n)}get n(){return this.publicKey.n}decrypt(n){return B(u(n,this.lambda,this.publicKey._n2),this.publicKey.n)*this.mu%this.publicKey.n}getRandomFactor(n){if(this.publicKey.g!==this.n+1n)throw RangeError("Cannot recover the random factor if publicKey.g != publicKey.n + 1. You should generate yout keys using the simple variant, e.g. generateRandomKeys(3072, true) )");const t=this.decrypt(n),e=(this._p-1n)*(this._q-1n),r=s(this.n,e);return u(n*(1n-t*this.n)%this.publicKey._n2,r,this.n)}}function B(n,t){return(n-1n)/t}function $(n,t){return(g(n)*n+1n)*u(g(n),n,t)%t}return n.PrivateKey=K,n.PublicKey=S,n.generateDualG=function(n,t){var e=0;do{e=g(n)}while(1n!==i(e,n)&&1n!==i(e,t));return e},n.generateRandomKeys=async function(n=3072,t=!1){let r,i,c,a,l,g;do{r=await h(Math.floor(n/2)+1),i=await h(Math.floor(n/2)),c=r*i}while(i===r||e(c)!==n);if(!0===t)a=c+1n,l=(r-1n)*(i-1n),g=s(l,c);else{const n=c**2n;a=$(c,n),l=o(r-1n,i-1n),g=s(B(u(a,l,n),c),c)}const f=new S(c,a);return{publicKey:f,privateKey:new K(l,g,f,r,i)}},n.generateRandomKeysSync=function(n=3072,t=!1){let r,i,c,a,h,g;do{r=l(Math.floor(n/2)+1),i=l(Math.floor(n/2)),c=r*i}while(i===r||e(c)!==n);if(!0===t)a=c+1n,h=(r-1n)*(i-1n),g=s(h,c);else{const n=c**2n;a=$(c,n),h=o(r-1n,i-1n),g=s(B(u(a,h,n),c),c)}const f=new S(c,a);return{publicKey:f,privateKey:new K(h,g,f,r,i)}},n.keysFromPrimes=function(n,t,e){const r=n*t,i=r**2n;e=e||$(r,i);const c=o(n-1n,t-1n),a=s(B(u(e,c,i),r),r),h=new S(r,e);return{publicKey:h,privateKey:new K(c,a,h,n,t)}},n.keysFromPrimesSimple=function(n,t){const e=n*t,r=e+1n,i=(n-1n)*(t-1n),o=s(i,e),u=new S(e,r);return{publicKey:u,privateKey:new K(i,o,u,n,t)}},n.multiplyOtherN2=function(n,t,e){return u(BigInt(n),BigInt(t),e)},n}({});
+var paillierBigint=function(n){"use strict";function t(n){return(n=BigInt(n))>=0n?n:-n}function e(n){if(1n===(n=BigInt(n)))return 1;let t=1;do{t++}while((n>>=1n)>1n);return t}function r(n,t){if((n=BigInt(n))<=0n|(t=BigInt(t))<=0n)throw new RangeError("a and b MUST be > 0");let e=0n,r=1n,i=1n,o=0n;for(;0n!==n;){const s=t/n,a=t%n,c=e-i*s,u=r-o*s;t=n,n=a,e=i,r=o,i=c,o=u}return{g:t,x:e,y:r}}function i(n,e){if(n=t(n),e=t(e),0n===n)return e;if(0n===e)return n;let r=0n;for(;!(1n&(n|e));)n>>=1n,e>>=1n,r++;for(;!(1n&n);)n>>=1n;do{for(;!(1n&e);)e>>=1n;if(n>e){const t=n;n=e,e=t}e-=n}while(e);return n<<r}function o(n,e){return n=BigInt(n),e=BigInt(e),0n===n&&0n===e?BigInt(0):t(n*e)/i(n,e)}function s(n,t){const e=r(c(n,t),t);if(1n!==e.g)throw new RangeError(`${n.toString()} does not have inverse modulo ${t.toString()}`);return c(e.x,t)}function a(n,e,r){if(0n===(r=BigInt(r)))throw new RangeError("n must be > 0");if(1n===r)return BigInt(0);if(n=c(n,r),(e=BigInt(e))<0n)return s(a(n,t(e),r),r);let i=1n;for(;e>0;)e%2n===1n&&(i=i*n%r),e/=2n,n=n**2n%r;return i}function c(n,t){return(t=BigInt(t))<=0?NaN:(n=BigInt(n)%t)<0?n+t:n}function u(n,t=16,e=!1){if("number"==typeof n&&(n=BigInt(n)),n<0)throw RangeError("w MUST be >= 0");return new Promise(((e,r)=>{const i=new Worker(y());i.onmessage=n=>{i.terminate(),e(n.data.isPrime)},i.onmessageerror=n=>{r(n)},i.postMessage({rnd:n,iterations:t,id:0})}))}function l(n,t=16){if(n<1)throw new RangeError("bitLength MUST be > 0");if(!w){let e=0n;do{e=g(p(n,!0))}while(!b(e,t));return new Promise((n=>{n(e)}))}return new Promise((e=>{const r=[],i=(i,o)=>{if(i.isPrime){for(let n=0;n<r.length;n++)r[n].terminate();for(;r.length;)r.pop();e(i.value)}else{const e=g(p(n,!0));try{o.postMessage({rnd:e,iterations:t,id:i.id})}catch(n){}}};{const n=y();for(let t=0;t<self.navigator.hardwareConcurrency-1;t++){const t=new Worker(n);t.onmessage=n=>i(n.data,t),r.push(t)}}for(let e=0;e<r.length;e++)f(n,!0).then((function(n){const i=g(n);r[e].postMessage({rnd:i,iterations:t,id:e})}))}))}function h(n,t=1n){if(n<=0n||t<0n||n<=t)throw new RangeError("Arguments MUST be: max > 0 && min >=0 && max > min");const r=n-t,i=e(r);let o;do{o=g(p(i))}while(o>r);return o+t}function f(n,t=!1){if(n<1)throw new RangeError("bitLength MUST be > 0");const e=Math.ceil(n/8),r=n%8;return new Promise((n=>{(function(n,t=!1){if(n<1)throw new RangeError("byteLength MUST be > 0");return new Promise((function(e,r){{const r=new Uint8Array(n);self.crypto.getRandomValues(r),t&&(r[0]=128|r[0]),e(r)}}))})(e,!1).then((function(e){if(r&&(e[0]=e[0]&2**r-1),t){const n=r?2**(r-1):128;e[0]=e[0]|n}n(e)}))}))}function p(n,t=!1){if(n<1)throw new RangeError("bitLength MUST be > 0");const e=d(Math.ceil(n/8),!1),r=n%8;if(r&&(e[0]=e[0]&2**r-1),t){const n=r?2**(r-1):128;e[0]=e[0]|n}return e}function d(n,t=!1){if(n<1)throw new RangeError("byteLength MUST be > 0");{const e=new Uint8Array(n);return self.crypto.getRandomValues(e),t&&(e[0]=128|e[0]),e}}function g(n){let t=0n;for(const e of n.values()){const n=BigInt(e);t=(t<<BigInt(8))+n}return t}function y(){let n=`'use strict';const ${r.name}=${r.toString()};const ${s.name}=${s.toString()};const ${a.name}=${a.toString()};const ${c.name}=${c.toString()};const ${p.name}=${p.toString()};const ${d.name}=${d.toString()};const ${h.name}=${h.toString()};const ${u.name}=${b.toString()};${e.toString()}${g.toString()}`;return n+=`onmessage = ${async function(n){const t=await u(n.data.rnd,n.data.iterations);postMessage({isPrime:t,value:n.data.rnd,id:n.data.id})}.toString()};`,function(n){n=`(() => {${n}})()`;const t=new Blob([n],{type:"text/javascript"});return window.URL.createObjectURL(t)}(n)}function b(n,t=16){if(2n===n)return!0;if(0n===(1n&n)||1n===n)return!1;const e=[3n,5n,7n,11n,13n,17n,19n,23n,29n,31n,37n,41n,43n,47n,53n,59n,61n,67n,71n,73n,79n,83n,89n,97n,101n,103n,107n,109n,113n,127n,131n,137n,139n,149n,151n,157n,163n,167n,173n,179n,181n,191n,193n,197n,199n,211n,223n,227n,229n,233n,239n,241n,251n,257n,263n,269n,271n,277n,281n,283n,293n,307n,311n,313n,317n,331n,337n,347n,349n,353n,359n,367n,373n,379n,383n,389n,397n,401n,409n,419n,421n,431n,433n,439n,443n,449n,457n,461n,463n,467n,479n,487n,491n,499n,503n,509n,521n,523n,541n,547n,557n,563n,569n,571n,577n,587n,593n,599n,601n,607n,613n,617n,619n,631n,641n,643n,647n,653n,659n,661n,673n,677n,683n,691n,701n,709n,719n,727n,733n,739n,743n,751n,757n,761n,769n,773n,787n,797n,809n,811n,821n,823n,827n,829n,839n,853n,857n,859n,863n,877n,881n,883n,887n,907n,911n,919n,929n,937n,941n,947n,953n,967n,971n,977n,983n,991n,997n,1009n,1013n,1019n,1021n,1031n,1033n,1039n,1049n,1051n,1061n,1063n,1069n,1087n,1091n,1093n,1097n,1103n,1109n,1117n,1123n,1129n,1151n,1153n,1163n,1171n,1181n,1187n,1193n,1201n,1213n,1217n,1223n,1229n,1231n,1237n,1249n,1259n,1277n,1279n,1283n,1289n,1291n,1297n,1301n,1303n,1307n,1319n,1321n,1327n,1361n,1367n,1373n,1381n,1399n,1409n,1423n,1427n,1429n,1433n,1439n,1447n,1451n,1453n,1459n,1471n,1481n,1483n,1487n,1489n,1493n,1499n,1511n,1523n,1531n,1543n,1549n,1553n,1559n,1567n,1571n,1579n,1583n,1597n];for(let t=0;t<e.length&&e[t]<=n;t++){const r=e[t];if(n===r)return!0;if(n%r===0n)return!1}let r=0n;const i=n-1n;let o=i;for(;o%2n===0n;)o/=2n,++r;const s=i/2n**r;do{let t=a(h(i,2n),s,n);if(1n===t||t===i)continue;let e=1;for(;e<r&&(t=a(t,2n,n),t!==i);){if(1n===t)return!1;e++}if(t!==i)return!1}while(--t);return!0}let w=!1;self.Worker&&(w=!0);const m="ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/",E="ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";function x(n,t=0){if(n<0n)throw new RangeError("Cannot convert a negative bigint to bytes");let e=n.toString(16);e.length%2==1&&(e="0"+e);const r=Math.max(e.length/2,t);if(t>0&&e.length/2>t)throw new RangeError(`Value does not fit in ${t} bytes`);const i=new Uint8Array(r),o=r-e.length/2;for(let n=0;n<e.length/2;n++)i[o+n]=parseInt(e.substr(2*n,2),16);return i}function _(n){let t=0n;for(const e of n)t=(t<<8n)+BigInt(e);return t}function v(n,t,e){let r="";for(let i=0;i<n.length;i+=3){const o=n[i]<<16|(n[i+1]||0)<<8|(n[i+2]||0),s=Math.min(n.length-i,3)+1;for(let n=0;n<4;n++)n<s?r+=t[o>>18-6*n&63]:e&&(r+="=")}return r}function I(n,t){if(n.length%4==1)throw new RangeError("Invalid base64 string length");const e=new Uint8Array(Math.floor(3*n.length/4));let r=0,i=0,o=0;for(const s of n){const n=t.indexOf(s);if(-1===n)throw new RangeError(`Invalid base64 character '${s}'`);i=i<<6|n,r+=6,r>=8&&(r-=8,e[o++]=i>>r&255)}return e}function S(n){return v(x(n),E,!1)}function T(n){return _(function(n){return I(n,E)}(n))}function k(n){const t=[];for(const e of n){const n=e.codePointAt(0);n<128?t.push(n):n<2048?t.push(192|n>>6,128|63&n):n<65536?t.push(224|n>>12,128|n>>6&63,128|63&n):t.push(240|n>>18,128|n>>12&63,128|n>>6&63,128|63&n)}return new Uint8Array(t)}const K="Paillier";function M(n){let t=n;if("string"==typeof n)try{t=JSON.parse(n)}catch(n){throw new TypeError("Invalid key: not a valid JSON string")}if(null===t||"object"!=typeof t)throw new TypeError("Invalid key: expected a JSON object");if(t.kty!==K)throw new TypeError(`Invalid key: kty MUST be '${K}'`);if(1!==t.version)throw new RangeError(`Unsupported key version ${t.version}. Supported version is 1`);return t}function R(n,t,e=!1){const r=n[t];if(null==r){if(e)return null;throw new TypeError(`Invalid key: missing '${t}'`)}if("string"!=typeof r||""===r)throw new TypeError(`Invalid key: '${t}' MUST be a base64url string`);try{return T(r)}catch(n){throw new TypeError(`Invalid key: '${t}' is not a valid base64url string`)}}function P(n){return S(n)}function U(n,t){const e=function(n){if(n<128)return[n];const t=[];for(;n>0;)t.unshift(255&n),n=Math.floor(n/256);return[128|t.length,...t]}(t.length),r=new Uint8Array(1+e.length+t.length);return r[0]=n,r.set(e,1),r.set(t,1+e.length),r}function B(n,t=2){let e=x(n);if(128&e[0]){const n=new Uint8Array(e.length+1);n.set(e,1),e=n}return U(t,e)}function A(...n){const t=new Uint8Array(n.reduce(((n,t)=>n+t.length),0));let e=0;for(const r of n)t.set(r,e),e+=r.length;return U(48,t)}function q(n,t,e){if(e>=2)throw new TypeError("Invalid DER: nesting too deep");if(t+2>n.length)throw new TypeError("Invalid DER: unexpected end of data");const r=n[t];if(31==(31&r))throw new TypeError("Invalid DER: high tag numbers are not supported");let i=n[t+1],o=t+2;if(128&i){const t=127&i;if(0===t)throw new TypeError("Invalid DER: indefinite lengths are not allowed");if(t>4||o+t>n.length)throw new TypeError("Invalid DER: unsupported length");if(0===n[o])throw new TypeError("Invalid DER: non-minimal length encoding");i=0;for(let e=0;e<t;e++)i=256*i+n[o+e];if(i<128)throw new TypeError("Invalid DER: non-minimal length encoding");o+=t}const s=o+i;if(s>n.length)throw new TypeError("Invalid DER: unexpected end of data");const a={tag:r,value:n.subarray(o,s)};if(48===r){a.children=[];let t=o;for(;t<s;){const{node:r,end:i}=q(n.subarray(0,s),t,e+1);a.children.push(r),t=i}}return{node:a,end:s}}function O(n){if(!(n instanceof Uint8Array))throw new TypeError("DER input MUST be a Uint8Array");const{node:t,end:e}=q(n,0,0);if(e!==n.length)throw new TypeError("Invalid DER: trailing data");return t}function N(n,t=2){if(void 0===n||n.tag!==t)throw new TypeError("Invalid DER: INTEGER expected");const e=n.value;if(0===e.length)throw new TypeError("Invalid DER: empty INTEGER");if(e.length>1&&0===e[0]&&!(128&e[1]))throw new TypeError("Invalid DER: non-minimal INTEGER encoding");if(128&e[0])throw new TypeError("Invalid DER: negative INTEGER");return _(e)}function $(n){if(48!==n.tag)throw new TypeError("Invalid DER: SEQUENCE expected");return n.children}function D(n,t){return`-----BEGIN ${t}-----\n${(v(n,m,!0).match(/.{1,64}/g)||[]).join("\n")}\n-----END ${t}-----\n`}function L(n,t){if("string"!=typeof n)throw new TypeError("PEM input MUST be a string");const e=n.match(new RegExp(`-----BEGIN ${t}-----([A-Za-z0-9+/=\\s]*)-----END ${t}-----`));if(null===e)throw new TypeError(`Invalid PEM: expected a '${t}' block`);try{return I(e[1].replace(/\s+/g,"").replace(/={1,2}$/,""),m)}catch(n){throw new TypeError("Invalid PEM: invalid base64 data")}}function z(n){if(!Number.isSafeInteger(n)||n<1||n>16)throw new RangeError("window MUST be an integer in [1, 16]")}class V{constructor(n,t,e,r=4){z(r),this.modulus=t,this.maxBits=e,this.window=r;const i=1<<r;this.table=[];let o=n%t;for(let n=0;n*r<e;n++){const n=[1n,o];for(let e=2;e<i;e++)n.push(n[e-1]*o%t);this.table.push(n),o=n[i-1]*o%t}}pow(n){if(n<0n||n>>BigInt(this.maxBits)!==0n)throw new RangeError(`Exponent MUST be in [0, 2^${this.maxBits})`);const t=BigInt((1<<this.window)-1),e=BigInt(this.window);let r=1n;for(let i=0;n>0n;i++){const o=Number(n&t);0!==o&&(r=r*this.table[i][o]%this.modulus),n>>=e}return r}}function C(){return void 0!==self.Worker&&void 0!==self.Blob&&void 0!==self.URL}function j(n){return function(n){const t=self.URL.createObjectURL(new self.Blob([n],{type:"text/javascript"})),e=new self.Worker(t);return{postMessage:n=>e.postMessage(n),onMessage:n=>{e.onmessage=t=>n(t.data)},onError:n=>{e.onerror=t=>n(new Error(t.message)),e.onmessageerror=()=>n(new Error("A message from the worker could not be deserialized"))},onExit:n=>{},terminate:()=>{e.terminate(),self.URL.revokeObjectURL(t)}}}("'use strict'\nconst _isNode = typeof self === 'undefined'\nconst port = _isNode\n  ? { onMessage: cb => require('worker_threads').parentPort.on('message', cb), postMessage: msg => require('worker_threads').parentPort.postMessage(msg) }\n  : { onMessage: cb => { self.onmessage = e => cb(e.data) }, postMessage: msg => self.postMessage(msg) }\nconst randomBytes = _isNode\n  ? n => new Uint8Array(require('crypto').randomBytes(n))\n  : n => self.crypto.getRandomValues(new Uint8Array(n))\nfunction bitLength (a) { return a.toString(2).length }\nfunction randBetween (max) {\n  const bits = bitLength(max)\n  const bytes = Math.ceil(bits / 8)\n  let r\n  do {\n    const buf = randomBytes(bytes)\n    if (bits % 8) buf[0] &= (1 << (bits % 8)) - 1\n    r = 0n\n    for (const b of buf) r = (r << 8n) + BigInt(b)\n  } while (r === 0n || r >= max)\n  return r\n}\nfunction gcd (a, b) {\n  while (b !== 0n) [a, b] = [b, a % b]\n  return a\n}\nfunction toZn (a, n) { a = a % n; return a < 0n ? a + n : a }\nfunction modPow (b, e, n) {\n  let r = 1n\n  b = toZn(b, n)\n  while (e > 0n) {\n    if (e & 1n) r = r * b % n\n    b = b * b % n\n    e >>= 1n\n  }\n  return r\n}\nfunction modInv (a, n) {\n  let [r0, r1, s0, s1] = [toZn(a, n), n, 1n, 0n]\n  while (r1 !== 0n) {\n    const q = r0 / r1;\n    [r0, r1] = [r1, r0 - q * r1];\n    [s0, s1] = [s1, s0 - q * s1]\n  }\n  return toZn(s0, n)\n}\n"+n)}function J(n){if(void 0!==n.reason)return n.reason;const t=new Error("The operation was aborted");return t.name="AbortError",t}class W extends RangeError{constructor(n){super(n),this.name="PaillierError"}}class Z extends W{constructor(n="The plaintext MUST be an integer in [0, n)"){super(n),this.name="InvalidPlaintextError"}}class F extends W{constructor(n="The ciphertext MUST be in Z* of n^2"){super(n),this.name="InvalidCiphertextError"}}class G extends W{constructor(n="The random factor MUST be in Z* of n"){super(n),this.name="InvalidRandomnessError"}}class H extends W{constructor(n="Invalid key"){super(n),this.name="InvalidKeyError"}}class Y extends W{constructor(n="The operands were encrypted or encoded under different public keys"){super(n),this.name="KeyMismatchError"}}class Q extends W{constructor(n,t="Invalid decryption share from party "+n){super(t),this.name="InvalidDecryptionShareError",this.index=n}}class X extends W{constructor(n="Obfuscator pool exhausted"){super(n),this.name="ObfuscatorPoolExhaustedError"}}class nn extends X{constructor(n,t=`No obfuscator available after ${n} ms`){super(t),this.name="ObfuscatorPoolTimeoutError",this.timeout=n}}const tn=["inline","throw","block"];class en{constructor(n,{onExhausted:t="inline"}={}){if(!tn.includes(t))throw new RangeError("onExhausted MUST be one of "+tn.join(", "));this.publicKey=n,this.onExhausted=t,this._obfuscators=[],this._waiting=[]}get available(){return this._obfuscators.length}fillSync(n){for(let t=0;t<n;t++)this._add(this.publicKey._randomObfuscator());return this.available}async fill(n){for(let t=0;t<n;t++)await new Promise((n=>setTimeout(n,0))),this._add(this.publicKey._randomObfuscator());return this.available}async fillInWorker(n){if(!C())return this.fill(n);const t=await new Promise(((t,e)=>{const r=j("\nport.onMessage(({ n, count }) => {\n  n = BigInt('0x' + n)\n  const n2 = n * n\n  const obfuscators = []\n  for (let i = 0; i < count; i++) {\n    let r\n    do {\n      r = randBetween(n)\n    } while (gcd(r, n) !== 1n)\n    obfuscators.push(modPow(r, n, n2).toString(16))\n  }\n  port.postMessage(obfuscators)\n})\n");r.onMessage((n=>{r.terminate(),t(n)})),r.onError((n=>{r.terminate(),e(n)})),r.onExit((n=>e(new Error(`A worker exited with code ${n} before finishing its work`)))),r.postMessage({n:this.publicKey.n.toString(16),count:n})}));for(const n of t)this._add(BigInt("0x"+n));return this.available}take(){if(this._obfuscators.length>0)return this._obfuscators.pop();if("inline"===this.onExhausted)return this.publicKey._randomObfuscator();if("block"===this.onExhausted)throw new X("Obfuscator pool exhausted. Use acquire() to wait for new obfuscators");throw new X}async acquire({timeout:n=null,signal:t=null}={}){if(null!==t&&t.aborted)throw J(t);return this._obfuscators.length>0||"block"!==this.onExhausted?this.take():new Promise(((e,r)=>{let i=null;const o=()=>c(J(t)),s=n=>{a(),e(n)},a=()=>{null!==i&&clearTimeout(i),null!==t&&t.removeEventListener("abort",o)},c=n=>{const t=this._waiting.indexOf(s);-1!==t&&this._waiting.splice(t,1),a(),r(n)};null!==n&&(i=setTimeout((()=>c(new nn(n))),n)),null!==t&&t.addEventListener("abort",o),this._waiting.push(s)}))}_add(n){this._waiting.length>0?this._waiting.shift()(n):this._obfuscators.push(n)}}class rn{constructor(n,{maxAbs:t=n.maxInt}={}){if((t=BigInt(t))<0n||2n*t>=n.n-1n)throw new RangeError("maxAbs MUST be in [0, (n-1)/2)");this.n=n.n,this.maxAbs=t}encode(n){if(t(n=BigInt(n))>this.maxAbs)throw new RangeError(`Cannot encode ${n}: its absolute value exceeds ${this.maxAbs}`);return c(n,this.n)}decode(n){if(n<0n||n>=this.n)throw new RangeError("The encoding MUST be in [0, n)");if(n<=this.maxAbs)return n;if(n>=this.n-this.maxAbs)return n-this.n;throw new RangeError("Overflow detected: the decoded value exceeds the maximum absolute value")}}function on(n){return{valid:n.every((n=>n.passed)),checks:n}}async function sn(n,{minBitLength:t=2048}={}){const{n:r,g:o}=n;return[await cn("modulus","n is an odd integer > 1",(()=>{if("bigint"!=typeof r||r<3n||r%2n===0n)return"n MUST be an odd integer > 1"})),await cn("modulusSize",`n is at least ${t} bits long`,(()=>{if(e(r)<t)return`n is ${e(r)} bits long, but at least ${t} bits are required`})),await cn("modulusComposite","n is neither a prime nor a perfect square",(async()=>await u(r,16,!0)?"n is a prime":function(n){if(n<2n)return!0;let t=1n<<BigInt(Math.ceil(e(n)/2)),r=t+n/t>>1n;for(;r<t;)t=r,r=t+n/t>>1n;return t*t===n}(r)?"n is a perfect square":void 0)),await cn("generator","g is in Z* of n^2",(()=>{if("bigint"!=typeof o||o<=0n||o>=r**2n||1n!==i(o,r))return"g MUST be in Z* of n^2"}))]}async function an(n,t=n.publicKey){const{lambda:e,mu:r,_p:s,_q:c}=n,{n:l,g:f,_n2:p}=n.publicKey,d=()=>(a(f,e,p)-1n)/l;return[await cn("primes",null===s?"skipped: p and q are not known":"p and q are distinct primes and n = p·q",(async()=>{if(null!==s)return s*c!==l?"p·q != n":s===c?"p = q":await u(s,16,!0)&&await u(c,16,!0)?void 0:"p and q MUST be primes"})),await cn("lambda","lambda is a multiple of the Carmichael function of n coprime with n",(()=>{if("bigint"!=typeof e||e<=0n)return"lambda MUST be a positive integer";if(1n!==i(e,l))return"lambda is not coprime with n";if(null!==s){if(e%o(s-1n,c-1n)!==0n)return"lambda is not a multiple of lcm(p-1, q-1)"}else{let n;do{n=h(p)}while(1n!==i(n,l));if(1n!==a(n,e*l,p))return"lambda is not a multiple of the Carmichael function of n"}})),await cn("generatorOrder","the order of g in Z* of n^2 is a multiple of n",(()=>{if(1n!==i(d(),l))return"the order of g in Z* of n^2 is not a multiple of n"})),await cn("mu","mu is the inverse of L(g^lambda mod n^2) modulo n",(()=>"bigint"!=typeof r||r<=0n||r>=l?"mu MUST be in (0, n)":d()*r%l!==1n?"mu does not match lambda and g":void 0)),await cn("roundtrip","a test encryption decrypts to the encrypted plaintext",(()=>{const e=h(t.n-1n,0n);if(n.decrypt(t.encrypt(e))!==e)return"decryption of a test encryption failed"}))]}async function cn(n,t,e){let r;try{r=await e()}catch(n){r=n.message}return void 0===r?{name:n,passed:!0,message:t}:{name:n,passed:!1,message:r}}const un={randomBytes:n=>d(n)};function ln(n,t=null){return _((t||un).randomBytes(Math.ceil(n/8)))&(1n<<BigInt(n))-1n}function hn(n,t=1n,r=null){if(null===r)return h(n,t);const i=n-t;if(i<0n)throw new RangeError("max MUST be greater than or equal to min");const o=e(i);let s;do{s=ln(o,r)}while(s>i);return s+t}let fn=!1;function pn(n=null){return null!=n&&"boolean"==typeof n.strictValidation?n.strictValidation:fn}function dn(n,t){if(!mn(n)||BigInt(n)<0n||BigInt(n)>=t.n)throw new Z}function gn(n,t){if("bigint"!=typeof n||n<=0n||n>=t._n2||1n!==i(n,t.n))throw new F}function yn(n,t){if("bigint"!=typeof n||n<=0n||n>=t.n||1n!==i(n,t.n))throw new G}function bn(n,t){if("bigint"!=typeof n||n<=0n||n>=t._n2||1n!==i(n,t.n))throw new G("The obfuscator MUST be in Z* of n^2")}function wn(n,t){if("bigint"!=typeof n||n<3n||n%2n===0n)throw new H("Invalid public key: n MUST be an odd integer > 1");if("bigint"!=typeof t||t<=0n||t>=n**2n||1n!==i(t,n))throw new H("Invalid public key: g MUST be in Z* of n^2")}function mn(n){return"bigint"==typeof n||Number.isSafeInteger(n)}const En="PAILLIER PUBLIC KEY";class xn{constructor(n,t){pn()&&wn(n,t),this.n=n,this._n2=this.n**2n,this.g=t,this._gTable=null,this.obfuscatorPool=null,this.strictValidation=null}get bitLength(){return e(this.n)}get maxInt(){return this.n/3n-1n}equals(n){return n instanceof xn&&n.n===this.n&&n.g===this.g}async validate(n={}){return on(await sn(this,n))}encrypt(n,t=null,e=null){let r;return pn(this)&&(dn(n,this),null!==t&&yn(t,this)),r=null!==t?a(t,this.n,this._n2):null!==e?this._randomObfuscator(e):this._nextObfuscator(),this._gPow(n)*r%this._n2}encryptSigned(n,t=null){if((t=t||new rn(this)).n!==this.n)throw new Y("The encoder was created for a different public key");return this.encrypt(t.encode(n))}encryptWithObfuscator(n,t){return pn(this)&&(dn(n,this),bn(t,this)),this._gPow(n)*t%this._n2}rerandomize(n,t=null){pn(this)&&(gn(n,this),null!==t&&yn(t,this));return n*(null===t?this._nextObfuscator():a(t,this.n,this._n2))%this._n2}rerandomizeWithObfuscator(n,t){return pn(this)&&(gn(n,this),bn(t,this)),n*t%this._n2}precompute({window:n=4,obfuscators:t=0}={}){return z(n),this.g===this.n+1n||null!==this._gTable&&this._gTable.window===n||(this._gTable=new V(this.g,this._n2,this.bitLength,n)),t>0&&this._pool().fillSync(t),this}async precomputeObfuscators(n){return this._pool().fill(n)}get precomputedObfuscators(){return null!==this.obfuscatorPool?this.obfuscatorPool.available:0}useObfuscatorPool(n){if(null!==n&&n.publicKey.n!==this.n)throw new Y("The obfuscator pool was created for a public key with a different modulo");if(null!==n&&"block"===n.onExhausted)throw new RangeError("A pool with onExhausted = 'block' cannot be used by encrypt(). Use acquire() and encryptWithObfuscator() instead");return this.obfuscatorPool=n,this}_gPow(n){return n=c(n,this.n),this.g===this.n+1n?(1n+n*this.n)%this._n2:null!==this._gTable?this._gTable.pow(n):a(this.g,n,this._n2)}_checkCiphertexts(...n){pn(this)&&n.forEach((n=>gn(n,this)))}_randomObfuscator(n=null){let t;do{t=hn(this.n,1n,n)}while(1n!==i(t,this.n));return a(t,this.n,this._n2)}_nextObfuscator(){return null!==this.obfuscatorPool?this.obfuscatorPool.take():this._randomObfuscator()}_pool(){return null===this.obfuscatorPool&&(this.obfuscatorPool=new en(this)),this.obfuscatorPool}encryptOtherNA(n,t,e){return a(this.g,n,this._n2)*a(t,this.n,this._n2)%e}encryptOtherNB(n,t,e){return a(this.g,n,e)*a(t,this.n,this._n2)%this._n2}encryptOtherNC(n,t,e){return a(this.g,n,this._n2)*a(t,this.n,e)%this._n2}encryptOtherNF(n,t,e){return a(this.g,n,this._n2)*a(t,this.n,e)%e}encryptOtherND(n,t,e){return a(this.g,n,e)*a(t,this.n,e)%this._n2}encryptOtherNE(n,t,e){return a(this.g,n,e)*a(t,this.n,e)%this._n2}toJSON(){return{kty:K,version:1,n:P(this.n),g:P(this.g)}}static fromJSON(n){const t=M(n);return _n(R(t,"n"),R(t,"g"))}toDER(){return A(B(this.n),B(this.g))}toPEM(){return D(this.toDER(),En)}static fromDER(n){const t=$(O(n));if(2!==t.length)throw new TypeError("Invalid DER: PaillierPublicKey MUST have 2 elements");return _n(N(t[0]),N(t[1]))}static fromPEM(n){return xn.fromDER(L(n,En))}addition(...n){return this._checkCiphertexts(...n),n.reduce(((n,t)=>n*t%this._n2),1n)}subtract(n,t){return this._checkCiphertexts(n,t),n*s(t,this._n2)%this._n2}negate(n){return this._checkCiphertexts(n),s(n,this._n2)}addPlaintext(n,t){return this._checkCiphertexts(n),n*this._gPow(BigInt(t))%this._n2}subtractPlaintext(n,t){return this._checkCiphertexts(n),n*this._gPow(-BigInt(t))%this._n2}multiply(n,t){return n=BigInt(n),t=BigInt(t),this._checkCiphertexts(n),t<0n?a(this.negate(n),-t,this._n2):a(n,t,this._n2)}}function _n(n,t){return wn(n,t),new xn(n,t)}const vn=new Uint32Array([1116352408,1899447441,3049323471,3921009573,961987163,1508970993,2453635748,2870763221,3624381080,310598401,607225278,1426881987,1925078388,2162078206,2614888103,3248222580,3835390401,4022224774,264347078,604807628,770255983,1249150122,1555081692,1996064986,2554220882,2821834349,2952996808,3210313671,3336571891,3584528711,113926993,338241895,666307205,773529912,1294757372,1396182291,1695183700,1986661051,2177026350,2456956037,2730485921,2820302411,3259730800,3345764771,3516065817,3600352804,4094571909,275423344,430227734,506948616,659060556,883997877,958139571,1322822218,1537002063,1747873779,1955562222,2024104815,2227730452,2361852424,2428436474,2756734187,3204031479,3329325298]),In=64;function Sn(n){const t=8*n.length,e=Math.ceil((n.length+9)/In)*In,r=new Uint8Array(e);r.set(n),r[n.length]=128;const i=new DataView(r.buffer);i.setUint32(e-8,Math.floor(t/4294967296)),i.setUint32(e-4,t>>>0);const o=new Uint32Array([1779033703,3144134277,1013904242,2773480762,1359893119,2600822924,528734635,1541459225]),s=new Uint32Array(64);for(let n=0;n<e;n+=In){for(let t=0;t<16;t++)s[t]=i.getUint32(n+4*t);for(let n=16;n<64;n++){const t=kn(s[n-15],7)^kn(s[n-15],18)^s[n-15]>>>3,e=kn(s[n-2],17)^kn(s[n-2],19)^s[n-2]>>>10;s[n]=s[n-16]+t+s[n-7]+e}let[t,e,r,a,c,u,l,h]=o;for(let n=0;n<64;n++){const i=h+(kn(c,6)^kn(c,11)^kn(c,25))+(c&u^~c&l)+vn[n]+s[n],o=(kn(t,2)^kn(t,13)^kn(t,22))+(t&e^t&r^e&r);h=l,l=u,u=c,c=a+i>>>0,a=r,r=e,e=t,t=i+o>>>0}o[0]+=t,o[1]+=e,o[2]+=r,o[3]+=a,o[4]+=c,o[5]+=u,o[6]+=l,o[7]+=h}const a=new Uint8Array(32),c=new DataView(a.buffer);return o.forEach(((n,t)=>c.setUint32(4*t,n))),a}function Tn(n,t){n.length>In&&(n=Sn(n));const e=new Uint8Array(In+t.length),r=new Uint8Array(96);for(let t=0;t<In;t++)e[t]=54^(n[t]||0),r[t]=92^(n[t]||0);return e.set(t,In),r.set(Sn(e),In),Sn(r)}function kn(n,t){return n>>>t|n<<32-t}function Kn(n,...t){const e=[k(n),...t.map((n=>x(n)))],r=new Uint8Array(e.reduce(((n,t)=>n+4+t.length),0)),i=new DataView(r.buffer);let o=0;for(const n of e)i.setUint32(o,n.length),r.set(n,o+4),o+=4+n.length;return _(Sn(r))}function Mn(n,t){const e={type:n};for(const[n,r]of Object.entries(t))e[n]=Array.isArray(r)?r.map(S):S(r);return e}function Rn(n,t,e,r=[]){let i=t;if("string"==typeof t)try{i=JSON.parse(t)}catch(n){throw new TypeError("Invalid proof: not a valid JSON string")}if(null===i||"object"!=typeof i)throw new TypeError("Invalid proof: expected a JSON object");if(i.type!==n)throw new TypeError(`Invalid proof: type MUST be '${n}'`);const o={};for(const n of e)o[n]=Pn(i[n],n);for(const n of r){if(!Array.isArray(i[n]))throw new TypeError(`Invalid proof: '${n}' MUST be an array`);o[n]=i[n].map((t=>Pn(t,n)))}return o}function Pn(n,t){if("string"!=typeof n||""===n)throw new TypeError(`Invalid proof: '${t}' MUST be a base64url string`);try{return T(n)}catch(n){throw new TypeError(`Invalid proof: '${t}' is not a valid base64url string`)}}const Un="paillier-bigint/encryption-proof",Bn="EncryptionProof";function An(n,t,e,r,o=null){const{n:s,_n2:u}=n;let l;do{l=hn(s-1n,1n,o)}while(1n!==i(l,s));const h=a(l,s,u),f=Kn(Un,s,n.g,t,c(e,s),h);return{e:f,z:l*a(r,f,s)%s}}function qn(n,t,e,r){const{n:o,_n2:u}=n;if(!mn(e)||"object"!=typeof r||null===r)return!1;const{e:l,z:h}=r;if("bigint"!=typeof t||t<=0n||t>=u||1n!==i(t,o))return!1;if("bigint"!=typeof l||"bigint"!=typeof h||l<0n||h<=0n||h>=o||1n!==i(h,o))return!1;const f=c(BigInt(e),o),p=t*s(n._gPow(f),u)%u,d=a(h,o,u)*a(p,-l,u)%u;return l===Kn(Un,o,n.g,t,f,d)}var On=Object.freeze({__proto__:null,prove:An,verify:qn,toJSON:function(n){return Mn(Bn,{e:n.e,z:n.z})},fromJSON:function(n){return Rn(Bn,n,["e","z"])}});const Nn="PAILLIER PRIVATE KEY",$n=0n;class Dn{constructor(n,t,e,r=null,i=null){pn(e)&&zn(n,t,e,r||null,i||null),this.lambda=n,this.mu=t,this._p=r||null,this._q=i||null,this.publicKey=e,this._crt=null!==this._p&&null!==this._q&&this._p*this._q===e.n?function(n,t,e){const r=n**2n,i=t**2n;return{p:n,q:t,p2:r,q2:i,hp:s(Vn(a(e,n-1n,r),n),n),hq:s(Vn(a(e,t-1n,i),t),t),qInvP:s(t,n)}}(this._p,this._q,e.g):null}get bitLength(){return e(this.publicKey.n)}get n(){return this.publicKey.n}decrypt(n){if(pn(this.publicKey)&&gn(n,this.publicKey),null!==this._crt){const{p:t,q:e,p2:r,q2:i,hp:o,hq:s,qInvP:u}=this._crt,l=Vn(a(n,t-1n,r),t)*o%t,h=Vn(a(n,e-1n,i),e)*s%e;return h+c((l-h)*u,t)*e}return Vn(a(n,this.lambda,this.publicKey._n2),this.publicKey.n)*this.mu%this.publicKey.n}decryptWithProof(n,t=null){return function(n,t,e=null){const{publicKey:r,lambda:i}=n,{n:o,g:c,_n2:u}=r;gn(t,r);const l=n.decrypt(t);let h;return h=c===o+1n&&null!==n._p?n.getRandomFactor(t):a(t*s(r._gPow(l),u)%u,s(o,i),o),{plaintext:l,proof:An(r,t,l,h,e)}}(this,n,t)}decryptSigned(n,t=null){if((t=t||new rn(this.publicKey)).n!==this.publicKey.n)throw new Y("The encoder was created for a different public key");return t.decode(this.decrypt(n))}async validate(n={}){return on([...await sn(this.publicKey,n),...await an(this)])}getRandomFactor(n){if(this.publicKey.g!==this.n+1n)throw RangeError("Cannot recover the random factor if publicKey.g != publicKey.n + 1. You should generate yout keys using the simple variant, e.g. generateRandomKeys(3072, true) )");const t=this.decrypt(n),e=(this._p-1n)*(this._q-1n),r=s(this.n,e);return a(n*(1n-t*this.n)%this.publicKey._n2,r,this.n)}toJSON(){const n={kty:K,version:1,n:P(this.publicKey.n),g:P(this.publicKey.g),lambda:P(this.lambda),mu:P(this.mu)};return null!==this._p&&null!==this._q&&(n.p=P(this._p),n.q=P(this._q)),n}static fromJSON(n,t=null){const e=M(n),r=_n(R(e,"n"),R(e,"g")),i=R(e,"p",!0),o=R(e,"q",!0);if(null===i!=(null===o))throw new TypeError("Invalid private key: p and q MUST be both provided or both omitted");return Ln(R(e,"lambda"),R(e,"mu"),r,t,i,o)}toDER(){const n=[B($n),B(this.publicKey.n),B(this.publicKey.g),B(this.lambda),B(this.mu)];return null!==this._p&&null!==this._q&&(n.push(B(this._p,128)),n.push(B(this._q,129))),A(...n)}toPEM(){return D(this.toDER(),Nn)}static fromDER(n,t=null){const e=$(O(n));if(5!==e.length&&7!==e.length)throw new TypeError("Invalid DER: PaillierPrivateKey MUST have 5 or 7 elements");const r=N(e[0]);if(r!==$n)throw new RangeError("Unsupported PaillierPrivateKey version "+r);const[i,o,s,a]=e.slice(1,5).map((n=>N(n)));let c=null,u=null;return 7===e.length&&(c=N(e[5],128),u=N(e[6],129)),Ln(s,a,_n(i,o),t,c,u)}static fromPEM(n,t=null){return Dn.fromDER(L(n,Nn),t)}}function Ln(n,t,e,r,i,o){if(null!==r){if(!r.equals(e))throw new Y("Invalid private key: it does not match the provided public key")}else r=e;return zn(n,t,r,i,o),new Dn(n,t,r,i,o)}function zn(n,t,e,r,i){if(!(e instanceof xn))throw new H("Invalid private key: publicKey MUST be a PublicKey");const o=e.n;if("bigint"!=typeof n||"bigint"!=typeof t)throw new H("Invalid private key: lambda and mu MUST be bigints");if(null===r!=(null===i)||null!==r&&r*i!==o)throw new H("Invalid private key: p·q != n");if(n<=0n||t<=0n||t>=o)throw new H("Invalid private key: lambda and mu MUST be in (0, n)");if(Vn(a(e.g,n,e._n2),o)*t%o!==1n)throw new H("Invalid private key: mu does not match lambda and g")}function Vn(n,t){return(n-1n)/t}const Cn=Yn(100),jn=Yn(2048);function Jn(n=3072,t=!1){if("object"!=typeof n||null===n)return{bitLength:n,simpleVariant:t,safePrimes:!1,blumPrimes:!1,minPrimeDistance:0n,millerRabinRounds:16,randomSource:null};const{bitLength:e=3072,safePrimes:r=!1,blumPrimes:i=!1,minPrimeDistance:o=null,millerRabinRounds:s=16,allowWeakKeys:a=!1,randomSource:c=null}=n;if(t=!0===n.simpleVariant,!Number.isSafeInteger(e))throw new TypeError("bitLength MUST be an integer");if(e<64)throw new RangeError("bitLength MUST be at least 64");if(e<2048&&!0!==a)throw new RangeError("Keys shorter than 2048 bits are not secure. Set allowWeakKeys to generate them anyway");if(!Number.isSafeInteger(s)||s<1)throw new RangeError("millerRabinRounds MUST be a positive integer");null!==c&&function(n){if(null===n||"object"!=typeof n||"function"!=typeof n.randomBytes)throw new TypeError("randomSource MUST be an object with a randomBytes(byteLength) method")}(c);const u=Math.floor(e/2),l=null===o?2n**BigInt(Math.max(u-100,0)):BigInt(o);if(l<0n||l>=2n**BigInt(u-1))throw new RangeError(`minPrimeDistance MUST be in [0, 2^${u-1})`);return{bitLength:e,simpleVariant:t,safePrimes:!0===r,blumPrimes:!0===i,minPrimeDistance:l,millerRabinRounds:s,randomSource:c}}async function Wn(n){const t=!n.safePrimes&&null===n.randomSource,e=Fn(n);let r=e.next(),i=Date.now();for(;!r.done;)t?r=e.next(await l(r.value.prime,n.millerRabinRounds)):(Date.now()-i>=10&&(await new Promise((n=>setTimeout(n,0))),i=Date.now()),r=e.next(Gn(r.value,n)));return r.value}function Zn(n,t,e=null){return(hn(n,1n,e)*n+1n)*a(hn(n,1n,e),n,t)%t}function*Fn({bitLength:n,simpleVariant:r,safePrimes:c,blumPrimes:u,minPrimeDistance:l,randomSource:h}){let f,p,d;do{f=yield*Hn(Math.floor(n/2)+1,c,u),p=yield*Hn(Math.floor(n/2),c,u),d=f*p}while(t(f-p)<=l||e(d)!==n||1n!==i(d,(f-1n)*(p-1n)));return function(n,t,e,r=null){const i=n*t;let c,u,l;if(!0===e)c=i+1n,u=(n-1n)*(t-1n),l=s(u,i);else{const e=i**2n;c=Zn(i,e,r),u=o(n-1n,t-1n),l=s(Vn(a(c,u,e),i),i)}const h=new xn(i,c);return{publicKey:h,privateKey:new Dn(u,l,h,n,t)}}(f,p,r,h)}function Gn({prime:n,safePrime:t},{millerRabinRounds:e,randomSource:r}){return void 0===n?function(n,t,e){const r=ln(n-1,e)|1n<<BigInt(n-2)|1n,i=2n*r+1n;for(const n of jn)if(r%n===0n||i%n===0n)return null;return Qn(r,t,e)&&Qn(i,t,e)?i:null}(t,e,r):null===r?function(n,t=16){if(n<1)throw new RangeError("bitLength MUST be > 0");let e=0n;do{e=g(p(n,!0))}while(!b(e,t));return e}(n,e):function(n,t,e){const r=1n<<BigInt(n-1)|1n;let i;do{i=ln(n,e)|r}while(!Qn(i,t,e));return i}(n,e,r)}function*Hn(n,t,e){if(!t)for(;;){const t=yield{prime:n};if(!e||t%4n===3n)return t}for(;;){const t=yield{safePrime:n};if(null!==t)return t}}function Yn(n){const t=new Uint8Array(n),e=[];for(let r=3;r<n;r+=2)if(1!==t[r]){e.push(BigInt(r));for(let e=r*r;e<n;e+=2*r)t[e]=1}return e}function Qn(n,t=16,e=null){if(2n===n)return!0;if(n<2n||n%2n===0n)return!1;for(const t of Cn){if(n===t)return!0;if(n%t===0n)return!1}let r=n-1n,i=0;for(;r%2n===0n;)r/=2n,i++;for(let o=0;o<t;o++){let t=a(hn(n-2n,2n,e),r,n);if(1n===t||t===n-1n)continue;let o=1;for(;o<i&&(t=t*t%n,t!==n-1n);o++);if(o===i)return!1}return!0}const Xn="paillier-bigint/membership-proof",nt="MembershipProof",tt=1n<<BigInt(256);function et(n,t,e,r,i,o,s=null){const{n:u,_n2:l}=t,h=o.map((n=>c(n,u))),f=h.indexOf(c(r,u));if(-1===f)throw new RangeError("The plaintext is not in the set");const p=new Array(h.length),d=new Array(h.length),g=new Array(h.length);h.forEach(((n,r)=>{r!==f&&(p[r]=ln(256,s),d[r]=ot(u,s),g[r]=a(d[r],u,l)*a(it(t,e,n),-p[r],l)%l)}));const y=ot(u,s);g[f]=a(y,u,l);const b=p.reduce(((n,t)=>n+t),0n);return p[f]=c(Kn(n,u,t.g,e,...h,...g)-b,tt),d[f]=y*a(i,p[f],u)%u,{e:p,z:d}}function rt(n,t,e,r,o){const{n:s,_n2:u}=t;if(!Array.isArray(r)||0===r.length||!r.every(mn))return!1;if("object"!=typeof o||null===o)return!1;const{e:l,z:h}=o;if(!Array.isArray(l)||!Array.isArray(h)||l.length!==r.length||h.length!==r.length)return!1;if("bigint"!=typeof e||e<=0n||e>=u||1n!==i(e,s))return!1;for(let n=0;n<r.length;n++){if("bigint"!=typeof l[n]||l[n]<0n||l[n]>=tt)return!1;if("bigint"!=typeof h[n]||h[n]<=0n||h[n]>=s||1n!==i(h[n],s))return!1}const f=r.map((n=>c(BigInt(n),s))),p=f.map(((n,r)=>a(h[r],s,u)*a(it(t,e,n),-l[r],u)%u));return l.reduce(((n,t)=>n+t),0n)%tt===Kn(n,s,t.g,e,...f,...p)}function it(n,t,e){return t*s(n._gPow(e),n._n2)%n._n2}function ot(n,t){let e;do{e=hn(n-1n,1n,t)}while(1n!==i(e,n));return e}var st=Object.freeze({__proto__:null,prove:function(n,t,e,r,i,o=null){return et(Xn,n,t,e,r,i,o)},verify:function(n,t,e,r){return rt(Xn,n,t,e,r)},toJSON:function(n){return Mn(nt,{e:n.e,z:n.z})},fromJSON:function(n){return Rn(nt,n,[],["e","z"])},proveMembership:et,verifyMembership:rt});const at="paillier-bigint/range-proof/bit",ct="RangeProof",ut=[BigInt(0),BigInt(1)];function lt(n,t,e){if("bigint"!=typeof t||"bigint"!=typeof e||t>e)throw new RangeError("min and max MUST be bigints with min <= max");const r=(e-t).toString(2).length;if(1n<<BigInt(r+1)>=n.n)throw new RangeError("The range is too large for the public key");return r}function ht(n,t,e,r){const i=n._n2;return[t*s(n._gPow(e),i)%i,n._gPow(r)*s(t,i)%i]}function ft(n,t,e){return t.reduce(((n,t,r)=>n*a(t,-(1n<<BigInt(r)),e)%e),n)}function pt(n,t,e,r,o,s){const{n:c,_n2:u}=n,l=[],h=[],f=[];let p=r;for(let t=0;t<o;t++){const r=e>>BigInt(t)&1n;let o;do{o=hn(c-1n,1n,s)}while(1n!==i(o,c));const u=n.encrypt(r,o),d=et(at,n,u,r,o,ut,s);l.push(u),h.push(...d.e),f.push(...d.z),p=p*a(o,-(1n<<BigInt(t)),c)%c}return{commitments:l,e:h,z:f,link:An(n,ft(t,l,u),0n,p,s)}}var dt=Object.freeze({__proto__:null,prove:function(n,t,e,r,i,o,a=null){const c=lt(n,i,o);if(e<i||e>o)throw new RangeError("The plaintext is not in the range");const[u,l]=ht(n,t,i,o),h=pt(n,u,e-i,r,c,a),f=pt(n,l,o-e,s(r,n.n),c,a);return{commitments:[...h.commitments,...f.commitments],e:[...h.e,...f.e],z:[...h.z,...f.z],linkE:[h.link.e,f.link.e],linkZ:[h.link.z,f.link.z]}},verify:function(n,t,e,r,o){let s;try{s=lt(n,e,r)}catch(n){return!1}const{n:a,_n2:c}=n,{commitments:u,e:l,z:h,linkE:f,linkZ:p}=o;if(!Array.isArray(u)||u.length!==2*s)return!1;if(!Array.isArray(l)||!Array.isArray(h)||l.length!==4*s||h.length!==4*s)return!1;if(!Array.isArray(f)||!Array.isArray(p)||2!==f.length||2!==p.length)return!1;if("bigint"!=typeof t||t<=0n||t>=c||1n!==i(t,a))return!1;for(let t=0;t<2*s;t++){const e={e:l.slice(2*t,2*t+2),z:h.slice(2*t,2*t+2)};if(!rt(at,n,u[t],ut,e))return!1}return ht(n,t,e,r).every(((t,e)=>{const r=ft(t,u.slice(e*s,(e+1)*s),c);return qn(n,r,0n,{e:f[e],z:p[e]})}))},toJSON:function(n){const{commitments:t,e:e,z:r,linkE:i,linkZ:o}=n;return Mn(ct,{commitments:t,e:e,z:r,linkE:i,linkZ:o})},fromJSON:function(n){return Rn(ct,n,[],["commitments","e","z","linkE","linkZ"])}});const gt="ModulusProof";function yt(n,t){const r=Math.ceil((e(n)+128)/256),i=[];for(let e=0;e<80;e++){let o=0n;for(let i=0;i<r;i++)o=o<<256n|Kn("paillier-bigint/modulus-proof",n,t,BigInt(e),BigInt(i));i.push(o%n)}return i}function bt(n,t){return 1n===a(n,(t-1n)/2n,t)}function wt(n,t,e){const r=a(n,((t+1n)/4n)**2n%(t-1n),t),i=a(n,((e+1n)/4n)**2n%(e-1n),e);return c(i+e*((r-i)*s(e,t)),t*e)}var mt=Object.freeze({__proto__:null,prove:function(n,t=null){const{_p:e,_q:r}=n,o=n.publicKey.n;if(null===e||e*r!==o)throw new H("The primes p and q of the private key are required");if(e%4n!==3n||r%4n!==3n)throw new H("p and q MUST be 3 mod 4 (Blum primes)");const u=(e-1n)*(r-1n);if(1n!==i(o,u))throw new H("gcd(n, φ(n)) MUST be 1");const l=s(o,u);let h;do{h=hn(o-1n,1n,t)}while(bt(h,e)===bt(h,r)||1n!==i(h,o));const f={w:h,x:[],a:[],b:[],z:[]};for(const n of yt(o,h)){let t,i,s;for(const[a,u]of[[0,0],[0,1],[1,0],[1,1]]){const l=c((1===a?-1n:1n)*(1===u?h:1n)*n,o);if(bt(l,e)&&bt(l,r)){[t,i,s]=[BigInt(a),BigInt(u),l];break}}f.x.push(wt(s,e,r)),f.a.push(t),f.b.push(i),f.z.push(a(n,l,o))}return f},verify:function(n,t){const e=n.n;if("object"!=typeof t||null===t)return!1;const{w:r,x:i,a:o,b:s,z:u}=t;if("bigint"!=typeof e||e<3n||e%2n===0n||Qn(e))return!1;if("bigint"!=typeof r||r<=0n||r>=e)return!1;for(const n of[i,o,s,u])if(!Array.isArray(n)||80!==n.length||n.some((n=>"bigint"!=typeof n)))return!1;return yt(e,r).every(((n,t)=>{if(o[t]>1n||o[t]<0n||s[t]>1n||s[t]<0n)return!1;if(a(u[t],e,e)!==n)return!1;const l=c((1n===o[t]?-1n:1n)*(1n===s[t]?r:1n)*n,e);return a(i[t],4n,e)===l}))},toJSON:function(n){const{w:t,x:e,a:r,b:i,z:o}=n;return Mn(gt,{w:t,x:e,a:r,b:i,z:o})},fromJSON:function(n){return Rn(gt,n,["w"],["x","a","b","z"])}});class Et{constructor(n,t,e){if(!Number.isSafeInteger(e)||e<1)throw new RangeError("s MUST be a positive integer");this.n=n,this.g=t,this.s=e,this.ns=n**BigInt(e),this._ns1=this.ns*n,this.strictValidation=null}static fromPublicKey(n,t){const e=new Et(n.n,n.g,t);return"boolean"==typeof n.strictValidation&&(e.strictValidation=n.strictValidation),e}get bitLength(){return e(this.n)}encrypt(n,t=null){if(pn(this)&&("bigint"!=typeof n||n<0n||n>=this.ns))throw new Z("The plaintext MUST be in [0, n^s)");if(null===t)do{t=h(this.n)}while(1n!==i(t,this.n));return a(this.g,n,this._ns1)*a(t,this.ns,this._ns1)%this._ns1}addition(...n){return n.forEach((n=>this._checkCiphertext(n))),n.reduce(((n,t)=>n*t%this._ns1),1n)}multiply(n,t){return this._checkCiphertext(n),a(n,BigInt(t),this._ns1)}_checkCiphertext(n){if(pn(this)&&("bigint"!=typeof n||n<=0n||n>=this._ns1||1n!==i(n,this.n)))throw new F("The ciphertext MUST be in Z* of n^(s+1)")}}class xt{constructor(n,t){this.lambda=n,this.publicKey=t,this._muS=s(_t(a(t.g,n,t._ns1),t.n,t.s),t.ns)}static fromPrivateKey(n,t){return new xt(n.lambda,Et.fromPublicKey(n.publicKey,t))}decrypt(n){const{n:t,s:e,ns:r,_ns1:i}=this.publicKey;return this.publicKey._checkCiphertext(n),_t(a(n,this.lambda,i),t,e)*this._muS%r}}function _t(n,t,e){let r=0n,i=1n;for(let o=1;o<=e;o++){const e=i*t;let a=(n%(e*t)-1n)/t,u=r,l=1n,h=1n;for(let n=2;n<=o;n++)r--,l*=t,h*=BigInt(n),u=u*r%e,a=c(a-u*l%e*s(h,e),e);r=a%e,i=e}return r}class vt{constructor(n,t,e){this.publicKey=n,this.encoding=t,this.exponent=e}static get BASE(){return 16}static encode(n,r,i=null,o=null){let s;if(null!==i)s=Math.floor(Math.log(i)/Math.log(16));else if("bigint"==typeof r)s=0;else{if(!Number.isFinite(r))throw new RangeError("Cannot encode "+r);s=Math.floor((function(n){if(0===n)return 0;const{biasedExponent:t,mantissa:r}=It(n);return 0===t?e(r)-1074:t-1022}(r)-53)/4)}null!==o&&(s=Math.min(s,o));const a=function(n,e){let r,i,o;if("bigint"==typeof n)r=n<0n,i=t(n),o=0;else{const t=It(n);r=t.negative,i=0===t.biasedExponent?t.mantissa:t.mantissa|1n<<52n,o=0===t.biasedExponent?-1074:t.biasedExponent-1075}const s=o+e;let a;if(s>=0)a=i<<BigInt(s);else{const n=1n<<BigInt(-s);a=i/n;const t=i%n;(2n*t>n||2n*t===n&&a%2n===1n)&&a++}return r?-a:a}(r,-4*s);if(t(a)>n.maxInt)throw new RangeError("Integer needs to be within +/- "+n.maxInt);return new vt(n,c(a,n.n),s)}decode(){const{n:n,maxInt:r}=this.publicKey;let i;if(this.encoding<0n||this.encoding>=n)throw new RangeError("Attempted to decode corrupted number");if(this.encoding<=r)i=this.encoding;else{if(!(this.encoding>=n-r))throw new RangeError("Overflow detected in decrypted number");i=this.encoding-n}if(this.exponent>=0)return i*BigInt(16)**BigInt(this.exponent);const o=Math.max(e(t(i))-64,0),s=function(n,t){for(;t>1e3;)n*=2**1e3,t-=1e3;for(;t<-1e3;)n*=2**-1e3,t+=1e3;return n*2**t}(Number(i>>BigInt(o)),4*this.exponent+o);if(!Number.isFinite(s))throw new RangeError("Decoded number is too large to be represented as a number");return s}decreaseExponentTo(n){if(n>this.exponent)throw new RangeError(`New exponent ${n} should be more negative than the old exponent ${this.exponent}`);const t=BigInt(16)**BigInt(this.exponent-n);return new vt(this.publicKey,this.encoding*t%this.publicKey.n,n)}}function It(n){const t=new DataView(new ArrayBuffer(8));t.setFloat64(0,n);const e=t.getUint32(0),r=t.getUint32(4);return{negative:e>>>31==1,biasedExponent:e>>>20&2047,mantissa:BigInt(1048575&e)<<32n|BigInt(r)}}class St{constructor(n,t,e=0){this.publicKey=n,this.ciphertext=t,this.exponent=e}static encrypt(n,t,e=null,r=null){const i=t instanceof vt?t:vt.encode(n,t,e);if(!n.equals(i.publicKey))throw new Y("The number was encoded with a different public key");return new St(n,n.encrypt(i.encoding,r),i.exponent)}decryptEncoded(n){return new vt(this.publicKey,n.decrypt(this.ciphertext),this.exponent)}decrypt(n){return this.decryptEncoded(n).decode()}decreaseExponentTo(n){if(n>this.exponent)throw new RangeError(`New exponent ${n} should be more negative than the old exponent ${this.exponent}`);const t=BigInt(vt.BASE)**BigInt(this.exponent-n);return new St(this.publicKey,this.publicKey.multiply(this.ciphertext,t),n)}add(n){return n instanceof St?this._addEncrypted(n):n instanceof vt?this._addEncoded(n):this._addEncoded(vt.encode(this.publicKey,n,null,this.exponent))}mul(n){if(n instanceof St)throw new TypeError("Multiplying two encrypted numbers is not supported");const t=n instanceof vt?n:vt.encode(this.publicKey,n);this._checkSameKey(t.publicKey);const{n:e,maxInt:r}=this.publicKey,i=t.encoding>=e-r?t.encoding-e:t.encoding;return new St(this.publicKey,this.publicKey.multiply(this.ciphertext,i),this.exponent+t.exponent)}sub(n){return n instanceof St?this.add(n.neg()):n instanceof vt?(this._checkSameKey(n.publicKey),this.add(new vt(this.publicKey,c(-n.encoding,this.publicKey.n),n.exponent))):this.add(-n)}neg(){return new St(this.publicKey,this.publicKey.negate(this.ciphertext),this.exponent)}rerandomize(n=null){return new St(this.publicKey,this.publicKey.rerandomize(this.ciphertext,n),this.exponent)}equals(n){return n instanceof St&&this.publicKey.equals(n.publicKey)&&n.ciphertext===this.ciphertext&&n.exponent===this.exponent}toJSON(){return{publicKey:this.publicKey.toJSON(),ciphertext:S(this.ciphertext),exponent:this.exponent}}static fromJSON(n,t=null){let e,r=n;if("string"==typeof n)try{r=JSON.parse(n)}catch(n){throw new TypeError("Invalid encrypted number: not a valid JSON string")}if(null===r||"object"!=typeof r)throw new TypeError("Invalid encrypted number: expected a JSON object");if(!Number.isSafeInteger(r.exponent))throw new TypeError("Invalid encrypted number: exponent MUST be an integer");if("string"!=typeof r.ciphertext||""===r.ciphertext)throw new TypeError("Invalid encrypted number: ciphertext MUST be a base64url string");try{e=T(r.ciphertext)}catch(n){throw new TypeError("Invalid encrypted number: ciphertext is not a valid base64url string")}const i=xn.fromJSON(r.publicKey);if(null===t)t=i;else if(!t.equals(i))throw new Y("The encrypted number was exported with a different public key");return gn(e,t),new St(t,e,r.exponent)}_addEncrypted(n){this._checkSameKey(n.publicKey);let t=this,e=n;return t.exponent>e.exponent?t=t.decreaseExponentTo(e.exponent):t.exponent<e.exponent&&(e=e.decreaseExponentTo(t.exponent)),new St(this.publicKey,this.publicKey.addition(t.ciphertext,e.ciphertext),t.exponent)}_addEncoded(n){this._checkSameKey(n.publicKey);let t=this,e=n;return t.exponent>e.exponent?t=t.decreaseExponentTo(e.exponent):t.exponent<e.exponent&&(e=e.decreaseExponentTo(t.exponent)),new St(this.publicKey,this.publicKey.addPlaintext(t.ciphertext,e.encoding),t.exponent)}_checkSameKey(n){if(!this.publicKey.equals(n))throw new Y}}class Tt{constructor(n,t){this.publicKey=n,this.ciphertexts=t}static encrypt(n,t){return new Tt(n,t.map((t=>n.encrypt(BigInt(t)))))}get length(){return this.ciphertexts.length}decrypt(n){return this.ciphertexts.map((t=>n.decrypt(t)))}add(n){return n instanceof Tt?(this._checkSameKey(n.publicKey),this._checkLength(n.length),this._map(((t,e)=>this.publicKey.addition(t,n.ciphertexts[e])))):(this._checkLength(n.length),this._map(((t,e)=>this.publicKey.addPlaintext(t,n[e]))))}multiply(n){return Array.isArray(n)?(this._checkLength(n.length),this._map(((t,e)=>this.publicKey.multiply(t,n[e])))):this._map((t=>this.publicKey.multiply(t,n)))}sum(){return this.publicKey.addition(...this.ciphertexts)}dot(n){return this._checkLength(n.length),this.publicKey._checkCiphertexts(...this.ciphertexts),this._dot(n.map(BigInt),[])}matrixMultiply(n){n.forEach((n=>this._checkLength(n.length))),this.publicKey._checkCiphertexts(...this.ciphertexts);const t=[];return new Tt(this.publicKey,n.map((n=>this._dot(n.map(BigInt),t))))}_dot(n,t){return function(n,t,e,r=4){if(n.length!==t.length)throw new RangeError("There MUST be as many exponents as bases");if(t.some((n=>n<0n)))throw new RangeError("Exponents MUST be non-negative");const i=BigInt(r),o=(1n<<i)-1n,s=1<<r,a=n.map((n=>{const t=[1n,n%e];for(let n=2;n<s;n++)t.push(t[n-1]*t[1]%e);return t})),c=t.reduce(((n,t)=>Math.max(n,t.toString(2).length)),0);let u=1n;for(let n=BigInt(Math.ceil(c/r)-1)*i;n>=0n;n-=i){for(let n=0;n<r;n++)u=u*u%e;t.forEach(((t,r)=>{const i=Number(t>>n&o);0!==i&&(u=u*a[r][i]%e)}))}return u}(this.ciphertexts.map(((e,r)=>n[r]>=0n?e:(void 0===t[r]&&(t[r]=this.publicKey.negate(e)),t[r]))),n.map((n=>n<0n?-n:n)),this.publicKey._n2)}_map(n){return new Tt(this.publicKey,this.ciphertexts.map(n))}_checkLength(n){if(n!==this.length)throw new RangeError(`Expected a vector of length ${this.length} but got ${n}`)}_checkSameKey(n){if(!this.publicKey.equals(n))throw new Y}}function kt(n){if("string"==typeof n)return k(n);if(n instanceof Uint8Array)return n;throw new TypeError("Expected a Uint8Array or a string")}function Kt(...n){const t=new Uint8Array(n.reduce(((n,t)=>n+t.length),0));let e=0;for(const r of n)t.set(r,e),e+=r.length;return t}const Mt="paillier-bigint/threshold-decryption-share";function Rt(n,t,e){const{publicKey:r,parties:o,v:s,verificationKeys:c}=n,u=r._n2;if("bigint"!=typeof t||t<=0n||t>=u||1n!==i(t,r.n))return!1;if("object"!=typeof e||null===e)return!1;const{index:l,value:h,proof:f}=e;if(!Number.isSafeInteger(l)||l<1||l>o)return!1;if("bigint"!=typeof h||h<=0n||h>=u||1n!==i(h,r.n))return!1;if("object"!=typeof f||null===f)return!1;const{e:p,z:d}=f;if("bigint"!=typeof p||"bigint"!=typeof d||p<0n||d<0n)return!1;const g=a(t,4n,u),y=h**2n%u,b=c[l-1],w=a(g,d,u)*a(y,-p,u)%u,m=a(s,d,u)*a(b,-p,u)%u;return p===Kn(Mt,r.n,g,s,b,y,w,m)}async function Pt(n,t,{workers:e=Ut(),chunkSize:r=null,signal:i=null}={},o){if(!Number.isSafeInteger(e)||e<1)throw new RangeError("workers MUST be a positive integer");if(null===r&&(r=Math.max(Math.ceil(t.length/(4*e)),1)),!Number.isSafeInteger(r)||r<1)throw new RangeError("chunkSize MUST be a positive integer");if(null!==i&&i.aborted)throw J(i);const s=[];for(let n=0;n<t.length;n+=r)s.push(t.slice(n,n+r));if(0===s.length)return[];if(!C())return async function(n,t,e){const r=[];for(const i of n){if(await new Promise((n=>setTimeout(n,0))),null!==e&&e.aborted)throw J(e);r.push(...i.map(t))}return r}(s,o,i);const a={};for(const t of Object.keys(n))a[t]=n[t].toString(16);const c=new Array(s.length);return new Promise(((n,t)=>{const r=[];let o=!1,u=0,l=0;const h=()=>f(J(i));function f(e){o||(o=!0,r.forEach((n=>n.terminate())),null!==i&&i.removeEventListener("abort",h),null!==e?t(e):n([].concat(...c)))}function p(n){if(u===s.length)return;const t=u++;n.postMessage({id:t,items:s[t].map((n=>n.toString(16)))})}null!==i&&i.addEventListener("abort",h);for(let n=0;n<Math.min(e,s.length);n++){const n=j("\nlet key = null\nport.onMessage(msg => {\n  if (msg.key !== undefined) {\n    key = parseKey(msg.key)\n    return\n  }\n  const fn = (key.lambda === undefined) ? encrypt : decrypt\n  port.postMessage({ id: msg.id, results: msg.items.map(item => fn(BigInt('0x' + item)).toString(16)) })\n})\nfunction parseKey (hexKey) {\n  const k = {}\n  for (const name of Object.keys(hexKey)) k[name] = BigInt('0x' + hexKey[name])\n  k.n2 = k.n * k.n\n  if (k.p !== undefined) {\n    k.p2 = k.p * k.p\n    k.q2 = k.q * k.q\n    k.hp = modInv(L(modPow(k.g, k.p - 1n, k.p2), k.p), k.p)\n    k.hq = modInv(L(modPow(k.g, k.q - 1n, k.q2), k.q), k.q)\n    k.qInvP = modInv(k.q, k.p)\n  }\n  return k\n}\nfunction L (a, n) { return (a - 1n) / n }\nfunction encrypt (m) {\n  const { n, g, n2 } = key\n  let r\n  do {\n    r = randBetween(n)\n  } while (gcd(r, n) !== 1n)\n  const gm = (g === n + 1n) ? (1n + m * n) % n2 : modPow(g, m, n2)\n  return gm * modPow(r, n, n2) % n2\n}\nfunction decrypt (c) {\n  const { n, n2, lambda, mu, p, q, p2, q2, hp, hq, qInvP } = key\n  if (p === undefined) return L(modPow(c, lambda, n2), n) * mu % n\n  const mp = L(modPow(c, p - 1n, p2), p) * hp % p\n  const mq = L(modPow(c, q - 1n, q2), q) * hq % q\n  return mq + toZn((mp - mq) * qInvP, p) * q\n}\n");r.push(n),n.onError(f),n.onExit((n=>f(new Error(`A worker exited with code ${n} before finishing its work`)))),n.onMessage((({id:t,results:e})=>{o||(c[t]=e.map((n=>BigInt("0x"+n))),++l===s.length?f(null):p(n))})),n.postMessage({key:a}),p(n)}}))}function Ut(){return self.navigator.hardwareConcurrency||1}function Bt(n){if("bigint"==typeof n)return n;if("string"!=typeof n||""===n)throw new TypeError("Ciphertexts MUST be base64url strings or bigints");try{return T(n.trim())}catch(n){throw new TypeError("Invalid ciphertext: not a valid base64url string")}}function At(n){return function(){throw new Error("Node.js streams are not available in browsers. Use the TransformStream versions")}()}function qt({transform:n,flush:t=(()=>{})}){return new("undefined"!=typeof globalThis&&"function"==typeof globalThis.TransformStream?globalThis.TransformStream:function(){throw new Error("WHATWG streams are not available. They need a browser or Node.js >= 16.5")}())({transform(t,e){const r=n(t);void 0!==r&&e.enqueue(r)},flush(n){const e=t();void 0!==e&&n.enqueue(e)}})}const Ot="PAILLIER CIPHERTEXT",Nt=[80,67,84,88],$t=Nt.length+1+32+4+4;function Dt(n){return B(n)}function Lt(n){return N(O(n))}function zt(n){return Sn(n.toDER())}function Vt(n){return Math.ceil(n.toString(2).length/8)}return n.DamgardJurikPrivateKey=xt,n.DamgardJurikPublicKey=Et,n.EncodedNumber=vt,n.EncryptedNumber=St,n.EncryptedVector=Tt,n.HmacDrbg=class{constructor(n,t=new Uint8Array(0)){this._K=new Uint8Array(32),this._V=new Uint8Array(32).fill(1),this._update(Kt(kt(n),kt(t)))}randomBytes(n){const t=new Uint8Array(n);for(let e=0;e<n;e+=32)this._V=Tn(this._K,this._V),t.set(this._V.subarray(0,Math.min(32,n-e)),e);return this._update(new Uint8Array(0)),t}reseed(n){this._update(kt(n))}_update(n){this._K=Tn(this._K,Kt(this._V,[0],n)),this._V=Tn(this._K,this._V),0!==n.length&&(this._K=Tn(this._K,Kt(this._V,[1],n)),this._V=Tn(this._K,this._V))}},n.InvalidCiphertextError=F,n.InvalidDecryptionShareError=Q,n.InvalidKeyError=H,n.InvalidPlaintextError=Z,n.InvalidRandomnessError=G,n.KeyMismatchError=Y,n.ObfuscatorPool=en,n.ObfuscatorPoolExhaustedError=X,n.ObfuscatorPoolTimeoutError=nn,n.PackingEncoder=class{constructor(n,{slotBits:t=32,paddingBits:r=16,slots:i=null}={}){if(!Number.isSafeInteger(t)||t<1)throw new RangeError("slotBits MUST be a positive integer");if(!Number.isSafeInteger(r)||r<0)throw new RangeError("paddingBits MUST be a non-negative integer");const o=t+r,s=Math.floor((e(n.n)-1)/o);if(null===i&&(i=s),!Number.isSafeInteger(i)||i<1||i>s)throw new RangeError(`slots MUST be an integer in [1, ${s}]`);this.n=n.n,this.slotBits=t,this.paddingBits=r,this.slots=i,this._slotWidth=BigInt(o),this._slotMask=(1n<<this._slotWidth)-1n,this._maxValue=(1n<<BigInt(t))-1n}get maxValue(){return this._maxValue}encode(n){if(n.length>this.slots)throw new RangeError(`Cannot encode ${n.length} values in ${this.slots} slots`);let t=0n;for(let e=n.length-1;e>=0;e--){const r=BigInt(n[e]);if(r<0n||r>this._maxValue)throw new RangeError(`Cannot encode ${r} in slot ${e}: it MUST be in [0, 2^${this.slotBits})`);t=t<<this._slotWidth|r}return t}decode(n){if(n<0n||n>=this.n)throw new RangeError("The encoding MUST be in [0, n)");if(n>>this._slotWidth*BigInt(this.slots)!==0n)throw new RangeError("Overflow detected in slot "+(this.slots-1));const t=[];for(let e=0;e<this.slots;e++){const r=n&this._slotMask;if(r>this._maxValue)throw new RangeError(`Overflow detected in slot ${e}: the value exceeds 2^${this.slotBits} - 1`);t.push(r),n>>=this._slotWidth}return t}},n.PaillierError=W,n.PrivateKey=Dn,n.PublicKey=xn,n.SignedIntegerEncoder=rn,n.ciphertextFromDER=Lt,n.ciphertextFromPEM=function(n){return Lt(L(n,Ot))},n.ciphertextToDER=Dt,n.ciphertextToPEM=function(n){return D(Dt(n),Ot)},n.combineShares=function(n,t,e){const{publicKey:r,threshold:i,delta:o}=n,{n:c,_n2:u}=r;gn(t,r);const l=e.map((n=>n.index));if(new Set(l).size!==l.length)throw new RangeError("Every decryption share MUST come from a different party");if(e.length<i)throw new RangeError(`At least ${i} decryption shares are required`);for(const r of e)if(!Rt(n,t,r))throw new Q(r.index);const h=e.slice(0,i),f=h.map((n=>BigInt(n.index)));let p=1n;return h.forEach(((n,t)=>{p=p*a(n.value,2n*function(n,t,e){const r=n[t];let i=e,o=1n;return n.forEach(((n,e)=>{e!==t&&(i*=n,o*=n-r)})),i/o}(f,t,o),u)%u})),Vn(p,c)*s(4n*o**2n,c)%c},n.createDecryptStream=function(n,t={}){return At()},n.createDecryptTransformStream=function(n,t={}){return qt(function(n,{encoder:t=null}={}){return{transform:e=>{if(function(n){return"string"==typeof n?n.trim().startsWith("{"):"object"==typeof n&&null!==n}(e))return St.fromJSON(e,n.publicKey).decrypt(n);const r=n.decrypt(Bt(e));return null!==t?t.decode(r):r}}}(n,t))},n.createEncryptStream=function(n,t={}){return At()},n.createEncryptTransformStream=function(n,t={}){return qt(function(n,{encoder:t=null}={}){return{transform:e=>e instanceof vt?St.encrypt(n,e).toJSON():S(n.encrypt(null!==t?t.encode(e):BigInt(e)))}}(n,t))},n.createSumStream=function(n){return At()},n.createSumTransformStream=function(n){return qt(function(n){let t=1n;return{transform:e=>{t=n.addition(t,Bt(e))},flush:()=>S(t)}}(n))},n.decodeCiphertexts=function(n,t){if(!(t instanceof Uint8Array))throw new TypeError("The encoded ciphertexts MUST be a Uint8Array");if(t.length<$t||Nt.some(((n,e)=>t[e]!==n)))throw new TypeError("Invalid encoded ciphertexts: bad header");const e=t[Nt.length];if(1!==e)throw new RangeError("Unsupported encoded ciphertexts version "+e);const r=zt(n),i=t.subarray(Nt.length+1,Nt.length+1+32);if(r.some(((n,t)=>i[t]!==n)))throw new Y("The ciphertexts were encoded for a different public key");const o=new DataView(t.buffer,t.byteOffset,t.byteLength),s=o.getUint32($t-8),a=o.getUint32($t-4);if(a!==Vt(n._n2))throw new TypeError("Invalid encoded ciphertexts: the width does not match the public key");if(t.length!==$t+s*a)throw new TypeError(`Invalid encoded ciphertexts: expected ${s} ciphertexts of ${a} bytes`);const c=[];for(let e=0;e<s;e++){const r=_(t.subarray($t+e*a,$t+(e+1)*a));gn(r,n),c.push(r)}return c},n.decryptBatch=async function(n,t,e={}){const{publicKey:r,lambda:i,mu:o}=n;pn(r)&&t.forEach((n=>gn(n,r)));const s={n:r.n,g:r.g,lambda:i,mu:o};return null!==n._crt&&(s.p=n._p,s.q=n._q),Pt(s,t.map(BigInt),e,(t=>n.decrypt(t)))},n.encodeCiphertexts=function(n,t){const e=Vt(n._n2),r=new Uint8Array($t+t.length*e),i=new DataView(r.buffer);return r.set(Nt,0),r[Nt.length]=1,r.set(zt(n),Nt.length+1),i.setUint32($t-8,t.length),i.setUint32($t-4,e),t.forEach(((t,i)=>{gn(t,n),r.set(x(t,e),$t+i*e)})),r},n.encryptBatch=async function(n,t,e={}){pn(n)&&t.forEach((t=>dn(t,n)));const r=t.map((t=>c(BigInt(t),n.n)));return Pt({n:n.n,g:n.g},r,e,(t=>n.encrypt(t)))},n.encryptionProof=On,n.generateDualG=function(n,t){var e=0;do{e=h(n)}while(1n!==i(e,n)&&1n!==i(e,t));return e},n.generateRandomKeys=async function(n=3072,t=!1){return Wn(Jn(n,t))},n.generateRandomKeysSync=function(n=3072,t=!1){return function(n){const t=Fn(n);let e=t.next();for(;!e.done;)e=t.next(Gn(e.value,n));return e.value}(Jn(n,t))},n.generateThresholdKeys=async function(n){const{threshold:t,parties:e}=n;if(!Number.isSafeInteger(e)||e<1)throw new RangeError("parties MUST be a positive integer");if(!Number.isSafeInteger(t)||t<1||t>e)throw new RangeError("threshold MUST be an integer in [1, parties]");const r={...Jn(n),safePrimes:!0,simpleVariant:!0},{privateKey:o}=await Wn(r);return function(n,t,e,r,o){const c=n*t,u=c**2n,l=(n-1n)/2n*((t-1n)/2n),h=c*l,f=[l*s(l,c)];for(let n=1;n<e;n++)f.push(hn(h-1n,0n,o));const p=[];for(let n=1;n<=r;n++)p.push(f.reduceRight(((t,e)=>(t*BigInt(n)+e)%h),0n));let d,g=1n;for(let n=2;n<=r;n++)g*=BigInt(n);do{d=hn(u-1n,1n,o)}while(1n!==i(d,c));const y=d**2n%u,b=new xn(c,c+1n),w={publicKey:b,threshold:e,parties:r,delta:g,v:y,verificationKeys:p.map((n=>a(y,g*n,u)))},m=p.map(((n,t)=>({index:t+1,secret:n,parameters:w})));return{publicKey:b,parameters:w,keyShares:m}}(o._p,o._q,t,e,r.randomSource)},n.isStrictValidation=pn,n.keysFromPrimes=function(n,t,e){const r=n*t,i=r**2n;e=e||Zn(r,i);const c=o(n-1n,t-1n),u=s(Vn(a(e,c,i),r),r),l=new xn(r,e);return{publicKey:l,privateKey:new Dn(c,u,l,n,t)}},n.keysFromPrimesSimple=function(n,t){const e=n*t,r=e+1n,i=(n-1n)*(t-1n),o=s(i,e),a=new xn(e,r);return{publicKey:a,privateKey:new Dn(i,o,a,n,t)}},n.membershipProof=st,n.modulusProof=mt,n.multiplyOtherN2=function(n,t,e){return a(BigInt(n),BigInt(t),e)},n.partialDecrypt=function(n,t,r=null){const{index:i,secret:o,parameters:s}=n,{publicKey:c,delta:u,v:l,verificationKeys:h}=s,f=c._n2;pn(c)&&gn(t,c);const p=u*o,d=a(t,2n*p,f),g=a(t,4n,f),y=ln(e(f)+e(u)+256+256,r),b=a(g,y,f),w=a(l,y,f),m=Kn(Mt,c.n,g,l,h[i-1],d**2n%f,b,w);return{index:i,value:d,proof:{e:m,z:y+m*p}}},n.rangeProof=dt,n.setStrictValidation=function(n=!0){fn=Boolean(n)},n.validateKeyPair=async function(n,t,e={}){const r=await sn(n,e);return r.push(await cn("keyPair","the private key belongs to the public key",(()=>{if(!n.equals(t.publicKey))return"the private key belongs to a different public key"}))),r.push(...await an(t,n)),on(r)},n.verifyDecryption=function(n,t,e,r){return qn(n,t,e,r)},n.verifyDecryptionShare=Rt,n}({});
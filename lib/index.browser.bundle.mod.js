@@ -1 +1 @@
-function n(n){return(n=BigInt(n))>=0n?n:-n}function t(n){if(1n===(n=BigInt(n)))return 1;let t=1;do{t++}while((n>>=1n)>1n);return t}function e(n,t){if((n=BigInt(n))<=0n|(t=BigInt(t))<=0n)throw new RangeError("a and b MUST be > 0");let e=0n,r=1n,i=1n,o=0n;for(;0n!==n;){const s=t/n,u=t%n,c=e-i*s,h=r-o*s;t=n,n=u,e=i,r=o,i=c,o=h}return{g:t,x:e,y:r}}function r(t,e){if(t=n(t),e=n(e),0n===t)return e;if(0n===e)return t;let r=0n;for(;!(1n&(t|e));)t>>=1n,e>>=1n,r++;for(;!(1n&t);)t>>=1n;do{for(;!(1n&e);)e>>=1n;if(t>e){const n=t;t=e,e=n}e-=t}while(e);return t<<r}function i(t,e){return t=BigInt(t),e=BigInt(e),0n===t&&0n===e?BigInt(0):n(t*e)/r(t,e)}function o(n,t){const r=e(u(n,t),t);if(1n!==r.g)throw new RangeError(`${n.toString()} does not have inverse modulo ${t.toString()}`);return u(r.x,t)}function s(t,e,r){if(0n===(r=BigInt(r)))throw new RangeError("n must be > 0");if(1n===r)return BigInt(0);if(t=u(t,r),(e=BigInt(e))<0n)return o(s(t,n(e),r),r);let i=1n;for(;e>0;)e%2n===1n&&(i=i*t%r),e/=2n,t=t**2n%r;return i}function u(n,t){return(t=BigInt(t))<=0?NaN:(n=BigInt(n)%t)<0?n+t:n}function c(n,t=16,e=!1){if("number"==typeof n&&(n=BigInt(n)),n<0)throw RangeError("w MUST be >= 0");return new Promise(((e,r)=>{const i=new Worker(p());i.onmessage=n=>{i.terminate(),e(n.data.isPrime)},i.onmessageerror=n=>{r(n)},i.postMessage({rnd:n,iterations:t,id:0})}))}function h(n,t=16){if(n<1)throw new RangeError("bitLength MUST be > 0");if(!m){let e=0n;do{e=d(l(n,!0))}while(!y(e,t));return new Promise((n=>{n(e)}))}return new Promise((e=>{const r=[],i=(i,o)=>{if(i.isPrime){for(let n=0;n<r.length;n++)r[n].terminate();for(;r.length;)r.pop();e(i.value)}else{const e=d(l(n,!0));try{o.postMessage({rnd:e,iterations:t,id:i.id})}catch(n){}}};{const n=p();for(let t=0;t<self.navigator.hardwareConcurrency-1;t++){const t=new Worker(n);t.onmessage=n=>i(n.data,t),r.push(t)}}for(let e=0;e<r.length;e++)g(n,!0).then((function(n){const i=d(n);r[e].postMessage({rnd:i,iterations:t,id:e})}))}))}function a(n,t=16){if(n<1)throw new RangeError("bitLength MUST be > 0");let e=0n;do{e=d(l(n,!0))}while(!y(e,t));return e}function f(n,e=1n){if(n<=0n||e<0n||n<=e)throw new RangeError("Arguments MUST be: max > 0 && min >=0 && max > min");const r=n-e,i=t(r);let o;do{o=d(l(i))}while(o>r);return o+e}function g(n,t=!1){if(n<1)throw new RangeError("bitLength MUST be > 0");const e=Math.ceil(n/8),r=n%8;return new Promise((n=>{(function(n,t=!1){if(n<1)throw new RangeError("byteLength MUST be > 0");return new Promise((function(e,r){{const r=new Uint8Array(n);self.crypto.getRandomValues(r),t&&(r[0]=128|r[0]),e(r)}}))})(e,!1).then((function(e){if(r&&(e[0]=e[0]&2**r-1),t){const n=r?2**(r-1):128;e[0]=e[0]|n}n(e)}))}))}function l(n,t=!1){if(n<1)throw new RangeError("bitLength MUST be > 0");const e=w(Math.ceil(n/8),!1),r=n%8;if(r&&(e[0]=e[0]&2**r-1),t){const n=r?2**(r-1):128;e[0]=e[0]|n}return e}function w(n,t=!1){if(n<1)throw new RangeError("byteLength MUST be > 0");{const e=new Uint8Array(n);return self.crypto.getRandomValues(e),t&&(e[0]=128|e[0]),e}}function d(n){let t=0n;for(const e of n.values()){const n=BigInt(e);t=(t<<BigInt(8))+n}return t}function p(){let n=`'use strict';const ${e.name}=${e.toString()};const ${o.name}=${o.toString()};const ${s.name}=${s.toString()};const ${u.name}=${u.toString()};const ${l.name}=${l.toString()};const ${w.name}=${w.toString()};const ${f.name}=${f.toString()};const ${c.name}=${y.toString()};${t.toString()}${d.toString()}`;return n+=`onmessage = ${async function(n){const t=await c(n.data.rnd,n.data.iterations);postMessage({isPrime:t,value:n.data.rnd,id:n.data.id})}.toString()};`,function(n){n=`(() => {${n}})()`;const t=new Blob([n],{type:"text/javascript"});return window.URL.createObjectURL(t)}(n)}function y(n,t=16){if(2n===n)return!0;if(0n===(1n&n)||1n===n)return!1;const e=[3n,5n,7n,11n,13n,17n,19n,23n,29n,31n,37n,41n,43n,47n,53n,59n,61n,67n,71n,73n,79n,83n,89n,97n,101n,103n,107n,109n,113n,127n,131n,137n,139n,149n,151n,157n,163n,167n,173n,179n,181n,191n,193n,197n,199n,211n,223n,227n,229n,233n,239n,241n,251n,257n,263n,269n,271n,277n,281n,283n,293n,307n,311n,313n,317n,331n,337n,347n,349n,353n,359n,367n,373n,379n,383n,389n,397n,401n,409n,419n,421n,431n,433n,439n,443n,449n,457n,461n,463n,467n,479n,487n,491n,499n,503n,509n,521n,523n,541n,547n,557n,563n,569n,571n,577n,587n,593n,599n,601n,607n,613n,617n,619n,631n,641n,643n,647n,653n,659n,661n,673n,677n,683n,691n,701n,709n,719n,727n,733n,739n,743n,751n,757n,761n,769n,773n,787n,797n,809n,811n,821n,823n,827n,829n,839n,853n,857n,859n,863n,877n,881n,883n,887n,907n,911n,919n,929n,937n,941n,947n,953n,967n,971n,977n,983n,991n,997n,1009n,1013n,1019n,1021n,1031n,1033n,1039n,1049n,1051n,1061n,1063n,1069n,1087n,1091n,1093n,1097n,1103n,1109n,1117n,1123n,1129n,1151n,1153n,1163n,1171n,1181n,1187n,1193n,1201n,1213n,1217n,1223n,1229n,1231n,1237n,1249n,1259n,1277n,1279n,1283n,1289n,1291n,1297n,1301n,1303n,1307n,1319n,1321n,1327n,1361n,1367n,1373n,1381n,1399n,1409n,1423n,1427n,1429n,1433n,1439n,1447n,1451n,1453n,1459n,1471n,1481n,1483n,1487n,1489n,1493n,1499n,1511n,1523n,1531n,1543n,1549n,1553n,1559n,1567n,1571n,1579n,1583n,1597n];for(let t=0;t<e.length&&e[t]<=n;t++){const r=e[t];if(n===r)return!0;if(n%r===0n)return!1}let r=0n;const i=n-1n;let o=i;for(;o%2n===0n;)o/=2n,++r;const u=i/2n**r;do{let t=s(f(i,2n),u,n);if(1n===t||t===i)continue;let e=1;for(;e<r&&(t=s(t,2n,n),t!==i);){if(1n===t)return!1;e++}if(t!==i)return!1}while(--t);return!0}let m=!1;self.Worker&&(m=!0);class b{constructor(n,t){this.n=n,this._n2=this.n**2n,this.g=t}get bitLength(){return t(this.n)}encrypt(n,t=null){if(null===t)do{t=f(this.n)}while(1n!==r(t,this.n));return s(this.g,n,this._n2)*s(t,this.n,this._n2)%this._n2}encryptOtherNA(n,t,e){return s(this.g,n,this._n2)*s(t,this.n,this._n2)%e}encryptOtherNB(n,t,e){return s(this.g,n,e)*s(t,this.n,this._n2)%this._n2}encryptOtherNC(n,t,e){return s(this.g,n,this._n2)*s(t,this.n,e)%this._n2}encryptOtherNF(n,t,e){return s(this.g,n,this._n2)*s(t,this.n,e)%e}encryptOtherND(n,t,e){return s(this.g,n,e)*s(t,this.n,e)%this._n2}encryptOtherNE(n,t,e){return s(this.g,n,e)*s(t,this.n,e)%this._n2}addition(...n){return n.reduce(((n,t)=>n*t%this._n2),1n)}multiply(n,t){return s(BigInt(n),BigInt(t),this._n2)}}class S{constructor(n,t,e,r=null,i=null){this.lambda=n,this.mu=t,this._p=r||null,this._q=i||null,this.publicKey=e}get bitLength(){return t(this.publicKey.n)}get n(){return this.publicKey.n}decrypt(n){return $(s(n,this.lambda,this.publicKey._n2),this.publicKey.n)*this.mu%this.publicKey.n}getRandomFactor(n){if(this.publicKey.g!==this.n+1n)throw RangeError("Cannot recover the random factor if publicKey.g != publicKey.n + 1. You should generate yout keys using the simple variant, e.g. generateRandomKeys(3072, true) )");const t=this.decrypt(n),e=(this._p-1n)*(this._q-1n),r=o(this.n,e);return s(n*(1n-t*this.n)%this.publicKey._n2,r,this.n)}}function $(n,t){return(n-1n)/t}function B(n,t,e){return s(BigInt(n),BigInt(t),e)}function _(n,t){var e=0;do{e=f(n)}while(1n!==r(e,n)&&1n!==r(e,t));return e}async function I(n=3072,e=!1){let r,u,c,a,f,g;do{r=await h(Math.floor(n/2)+1),u=await h(Math.floor(n/2)),c=r*u}while(u===r||t(c)!==n);if(!0===e)a=c+1n,f=(r-1n)*(u-1n),g=o(f,c);else{const n=c**2n;a=v(c,n),f=i(r-1n,u-1n),g=o($(s(a,f,n),c),c)}const l=new b(c,a);return{publicKey:l,privateKey:new S(f,g,l,r,u)}}function K(n=3072,e=!1){let r,u,c,h,f,g;do{r=a(Math.floor(n/2)+1),u=a(Math.floor(n/2)),c=r*u}while(u===r||t(c)!==n);if(!0===e)h=c+1n,f=(r-1n)*(u-1n),g=o(f,c);else{const n=c**2n;h=v(c,n),f=i(r-1n,u-1n),g=o($(s(h,f,n),c),c)}const l=new b(c,h);return{publicKey:l,privateKey:new S(f,g,l,r,u)}}function M(n,t){const e=n*t,r=e+1n,i=(n-1n)*(t-1n),s=o(i,e),u=new b(e,r);return{publicKey:u,privateKey:new S(i,s,u,n,t)}}function R(n,t,e){const r=n*t,u=r**2n;e=e||v(r,u);const c=i(n-1n,t-1n),h=o($(s(e,c,u),r),r),a=new b(r,e);return{publicKey:a,privateKey:new S(c,h,a,n,t)}}function v(n,t){return(f(n)*n+1n)*s(f(n),n,t)%t}export{S as PrivateKey,b as PublicKey,_ as generateDualG,I as generateRandomKeys,K as generateRandomKeysSync,R as keysFromPrimes,M as keysFromPrimesSimple,B as multiplyOtherN2};
+function n(n){return(n=BigInt(n))>=0n?n:-n}function t(n){if(1n===(n=BigInt(n)))return 1;let t=1;do{t++}while((n>>=1n)>1n);return t}function e(n,t){if((n=BigInt(n))<=0n|(t=BigInt(t))<=0n)throw new RangeError("a and b MUST be > 0");let e=0n,r=1n,i=1n,o=0n;for(;0n!==n;){const s=t/n,a=t%n,c=e-i*s,u=r-o*s;t=n,n=a,e=i,r=o,i=c,o=u}return{g:t,x:e,y:r}}function r(t,e){if(t=n(t),e=n(e),0n===t)return e;if(0n===e)return t;let r=0n;for(;!(1n&(t|e));)t>>=1n,e>>=1n,r++;for(;!(1n&t);)t>>=1n;do{for(;!(1n&e);)e>>=1n;if(t>e){const n=t;t=e,e=n}e-=t}while(e);return t<<r}function i(t,e){return t=BigInt(t),e=BigInt(e),0n===t&&0n===e?BigInt(0):n(t*e)/r(t,e)}function o(n,t){const r=e(a(n,t),t);if(1n!==r.g)throw new RangeError(`${n.toString()} does not have inverse modulo ${t.toString()}`);return a(r.x,t)}function s(t,e,r){if(0n===(r=BigInt(r)))throw new RangeError("n must be > 0");if(1n===r)return BigInt(0);if(t=a(t,r),(e=BigInt(e))<0n)return o(s(t,n(e),r),r);let i=1n;for(;e>0;)e%2n===1n&&(i=i*t%r),e/=2n,t=t**2n%r;return i}function a(n,t){return(t=BigInt(t))<=0?NaN:(n=BigInt(n)%t)<0?n+t:n}function c(n,t=16,e=!1){if("number"==typeof n&&(n=BigInt(n)),n<0)throw RangeError("w MUST be >= 0");return new Promise(((e,r)=>{const i=new Worker(g());i.onmessage=n=>{i.terminate(),e(n.data.isPrime)},i.onmessageerror=n=>{r(n)},i.postMessage({rnd:n,iterations:t,id:0})}))}function u(n,t=16){if(n<1)throw new RangeError("bitLength MUST be > 0");if(!b){let e=0n;do{e=d(f(n,!0))}while(!w(e,t));return new Promise((n=>{n(e)}))}return new Promise((e=>{const r=[],i=(i,o)=>{if(i.isPrime){for(let n=0;n<r.length;n++)r[n].terminate();for(;r.length;)r.pop();e(i.value)}else{const e=d(f(n,!0));try{o.postMessage({rnd:e,iterations:t,id:i.id})}catch(n){}}};{const n=g();for(let t=0;t<self.navigator.hardwareConcurrency-1;t++){const t=new Worker(n);t.onmessage=n=>i(n.data,t),r.push(t)}}for(let e=0;e<r.length;e++)h(n,!0).then((function(n){const i=d(n);r[e].postMessage({rnd:i,iterations:t,id:e})}))}))}function l(n,e=1n){if(n<=0n||e<0n||n<=e)throw new RangeError("Arguments MUST be: max > 0 && min >=0 && max > min");const r=n-e,i=t(r);let o;do{o=d(f(i))}while(o>r);return o+e}function h(n,t=!1){if(n<1)throw new RangeError("bitLength MUST be > 0");const e=Math.ceil(n/8),r=n%8;return new Promise((n=>{(function(n,t=!1){if(n<1)throw new RangeError("byteLength MUST be > 0");return new Promise((function(e,r){{const r=new Uint8Array(n);self.crypto.getRandomValues(r),t&&(r[0]=128|r[0]),e(r)}}))})(e,!1).then((function(e){if(r&&(e[0]=e[0]&2**r-1),t){const n=r?2**(r-1):128;e[0]=e[0]|n}n(e)}))}))}function f(n,t=!1){if(n<1)throw new RangeError("bitLength MUST be > 0");const e=p(Math.ceil(n/8),!1),r=n%8;if(r&&(e[0]=e[0]&2**r-1),t){const n=r?2**(r-1):128;e[0]=e[0]|n}return e}function p(n,t=!1){if(n<1)throw new RangeError("byteLength MUST be > 0");{const e=new Uint8Array(n);return self.crypto.getRandomValues(e),t&&(e[0]=128|e[0]),e}}function d(n){let t=0n;for(const e of n.values()){const n=BigInt(e);t=(t<<BigInt(8))+n}return t}function g(){let n=`'use strict';const ${e.name}=${e.toString()};const ${o.name}=${o.toString()};const ${s.name}=${s.toString()};const ${a.name}=${a.toString()};const ${f.name}=${f.toString()};const ${p.name}=${p.toString()};const ${l.name}=${l.toString()};const ${c.name}=${w.toString()};${t.toString()}${d.toString()}`;return n+=`onmessage = ${async function(n){const t=await c(n.data.rnd,n.data.iterations);postMessage({isPrime:t,value:n.data.rnd,id:n.data.id})}.toString()};`,function(n){n=`(() => {${n}})()`;const t=new Blob([n],{type:"text/javascript"});return window.URL.createObjectURL(t)}(n)}function w(n,t=16){if(2n===n)return!0;if(0n===(1n&n)||1n===n)return!1;const e=[3n,5n,7n,11n,13n,17n,19n,23n,29n,31n,37n,41n,43n,47n,53n,59n,61n,67n,71n,73n,79n,83n,89n,97n,101n,103n,107n,109n,113n,127n,131n,137n,139n,149n,151n,157n,163n,167n,173n,179n,181n,191n,193n,197n,199n,211n,223n,227n,229n,233n,239n,241n,251n,257n,263n,269n,271n,277n,281n,283n,293n,307n,311n,313n,317n,331n,337n,347n,349n,353n,359n,367n,373n,379n,383n,389n,397n,401n,409n,419n,421n,431n,433n,439n,443n,449n,457n,461n,463n,467n,479n,487n,491n,499n,503n,509n,521n,523n,541n,547n,557n,563n,569n,571n,577n,587n,593n,599n,601n,607n,613n,617n,619n,631n,641n,643n,647n,653n,659n,661n,673n,677n,683n,691n,701n,709n,719n,727n,733n,739n,743n,751n,757n,761n,769n,773n,787n,797n,809n,811n,821n,823n,827n,829n,839n,853n,857n,859n,863n,877n,881n,883n,887n,907n,911n,919n,929n,937n,941n,947n,953n,967n,971n,977n,983n,991n,997n,1009n,1013n,1019n,1021n,1031n,1033n,1039n,1049n,1051n,1061n,1063n,1069n,1087n,1091n,1093n,1097n,1103n,1109n,1117n,1123n,1129n,1151n,1153n,1163n,1171n,1181n,1187n,1193n,1201n,1213n,1217n,1223n,1229n,1231n,1237n,1249n,1259n,1277n,1279n,1283n,1289n,1291n,1297n,1301n,1303n,1307n,1319n,1321n,1327n,1361n,1367n,1373n,1381n,1399n,1409n,1423n,1427n,1429n,1433n,1439n,1447n,1451n,1453n,1459n,1471n,1481n,1483n,1487n,1489n,1493n,1499n,1511n,1523n,1531n,1543n,1549n,1553n,1559n,1567n,1571n,1579n,1583n,1597n];for(let t=0;t<e.length&&e[t]<=n;t++){const r=e[t];if(n===r)return!0;if(n%r===0n)return!1}let r=0n;const i=n-1n;let o=i;for(;o%2n===0n;)o/=2n,++r;const a=i/2n**r;do{let t=s(l(i,2n),a,n);if(1n===t||t===i)continue;let e=1;for(;e<r&&(t=s(t,2n,n),t!==i);){if(1n===t)return!1;e++}if(t!==i)return!1}while(--t);return!0}let b=!1;self.Worker&&(b=!0);const y="ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/",m="ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";function E(n,t=0){if(n<0n)throw new RangeError("Cannot convert a negative bigint to bytes");let e=n.toString(16);e.length%2==1&&(e="0"+e);const r=Math.max(e.length/2,t);if(t>0&&e.length/2>t)throw new RangeError(`Value does not fit in ${t} bytes`);const i=new Uint8Array(r),o=r-e.length/2;for(let n=0;n<e.length/2;n++)i[o+n]=parseInt(e.substr(2*n,2),16);return i}function x(n){let t=0n;for(const e of n)t=(t<<8n)+BigInt(e);return t}function _(n,t,e){let r="";for(let i=0;i<n.length;i+=3){const o=n[i]<<16|(n[i+1]||0)<<8|(n[i+2]||0),s=Math.min(n.length-i,3)+1;for(let n=0;n<4;n++)n<s?r+=t[o>>18-6*n&63]:e&&(r+="=")}return r}function v(n,t){if(n.length%4==1)throw new RangeError("Invalid base64 string length");const e=new Uint8Array(Math.floor(3*n.length/4));let r=0,i=0,o=0;for(const s of n){const n=t.indexOf(s);if(-1===n)throw new RangeError(`Invalid base64 character '${s}'`);i=i<<6|n,r+=6,r>=8&&(r-=8,e[o++]=i>>r&255)}return e}function I(n){return _(E(n),m,!1)}function T(n){return x(function(n){return v(n,m)}(n))}function S(n){const t=[];for(const e of n){const n=e.codePointAt(0);n<128?t.push(n):n<2048?t.push(192|n>>6,128|63&n):n<65536?t.push(224|n>>12,128|n>>6&63,128|63&n):t.push(240|n>>18,128|n>>12&63,128|n>>6&63,128|63&n)}return new Uint8Array(t)}const k="Paillier";function K(n){let t=n;if("string"==typeof n)try{t=JSON.parse(n)}catch(n){throw new TypeError("Invalid key: not a valid JSON string")}if(null===t||"object"!=typeof t)throw new TypeError("Invalid key: expected a JSON object");if(t.kty!==k)throw new TypeError(`Invalid key: kty MUST be '${k}'`);if(1!==t.version)throw new RangeError(`Unsupported key version ${t.version}. Supported version is 1`);return t}function M(n,t,e=!1){const r=n[t];if(null==r){if(e)return null;throw new TypeError(`Invalid key: missing '${t}'`)}if("string"!=typeof r||""===r)throw new TypeError(`Invalid key: '${t}' MUST be a base64url string`);try{return T(r)}catch(n){throw new TypeError(`Invalid key: '${t}' is not a valid base64url string`)}}function R(n){return I(n)}function U(n,t){const e=function(n){if(n<128)return[n];const t=[];for(;n>0;)t.unshift(255&n),n=Math.floor(n/256);return[128|t.length,...t]}(t.length),r=new Uint8Array(1+e.length+t.length);return r[0]=n,r.set(e,1),r.set(t,1+e.length),r}function B(n,t=2){let e=E(n);if(128&e[0]){const n=new Uint8Array(e.length+1);n.set(e,1),e=n}return U(t,e)}function P(...n){const t=new Uint8Array(n.reduce(((n,t)=>n+t.length),0));let e=0;for(const r of n)t.set(r,e),e+=r.length;return U(48,t)}function A(n,t,e){if(e>=2)throw new TypeError("Invalid DER: nesting too deep");if(t+2>n.length)throw new TypeError("Invalid DER: unexpected end of data");const r=n[t];if(31==(31&r))throw new TypeError("Invalid DER: high tag numbers are not supported");let i=n[t+1],o=t+2;if(128&i){const t=127&i;if(0===t)throw new TypeError("Invalid DER: indefinite lengths are not allowed");if(t>4||o+t>n.length)throw new TypeError("Invalid DER: unsupported length");if(0===n[o])throw new TypeError("Invalid DER: non-minimal length encoding");i=0;for(let e=0;e<t;e++)i=256*i+n[o+e];if(i<128)throw new TypeError("Invalid DER: non-minimal length encoding");o+=t}const s=o+i;if(s>n.length)throw new TypeError("Invalid DER: unexpected end of data");const a={tag:r,value:n.subarray(o,s)};if(48===r){a.children=[];let t=o;for(;t<s;){const{node:r,end:i}=A(n.subarray(0,s),t,e+1);a.children.push(r),t=i}}return{node:a,end:s}}function q(n){if(!(n instanceof Uint8Array))throw new TypeError("DER input MUST be a Uint8Array");const{node:t,end:e}=A(n,0,0);if(e!==n.length)throw new TypeError("Invalid DER: trailing data");return t}function N(n,t=2){if(void 0===n||n.tag!==t)throw new TypeError("Invalid DER: INTEGER expected");const e=n.value;if(0===e.length)throw new TypeError("Invalid DER: empty INTEGER");if(e.length>1&&0===e[0]&&!(128&e[1]))throw new TypeError("Invalid DER: non-minimal INTEGER encoding");if(128&e[0])throw new TypeError("Invalid DER: negative INTEGER");return x(e)}function O(n){if(48!==n.tag)throw new TypeError("Invalid DER: SEQUENCE expected");return n.children}function $(n,t){return`-----BEGIN ${t}-----\n${(_(n,y,!0).match(/.{1,64}/g)||[]).join("\n")}\n-----END ${t}-----\n`}function L(n,t){if("string"!=typeof n)throw new TypeError("PEM input MUST be a string");const e=n.match(new RegExp(`-----BEGIN ${t}-----([A-Za-z0-9+/=\\s]*)-----END ${t}-----`));if(null===e)throw new TypeError(`Invalid PEM: expected a '${t}' block`);try{return v(e[1].replace(/\s+/g,"").replace(/={1,2}$/,""),y)}catch(n){throw new TypeError("Invalid PEM: invalid base64 data")}}function z(n){if(!Number.isSafeInteger(n)||n<1||n>16)throw new RangeError("window MUST be an integer in [1, 16]")}class D{constructor(n,t,e,r=4){z(r),this.modulus=t,this.maxBits=e,this.window=r;const i=1<<r;this.table=[];let o=n%t;for(let n=0;n*r<e;n++){const n=[1n,o];for(let e=2;e<i;e++)n.push(n[e-1]*o%t);this.table.push(n),o=n[i-1]*o%t}}pow(n){if(n<0n||n>>BigInt(this.maxBits)!==0n)throw new RangeError(`Exponent MUST be in [0, 2^${this.maxBits})`);const t=BigInt((1<<this.window)-1),e=BigInt(this.window);let r=1n;for(let i=0;n>0n;i++){const o=Number(n&t);0!==o&&(r=r*this.table[i][o]%this.modulus),n>>=e}return r}}function V(){return void 0!==self.Worker&&void 0!==self.Blob&&void 0!==self.URL}function C(n){return function(n){const t=self.URL.createObjectURL(new self.Blob([n],{type:"text/javascript"})),e=new self.Worker(t);return{postMessage:n=>e.postMessage(n),onMessage:n=>{e.onmessage=t=>n(t.data)},onError:n=>{e.onerror=t=>n(new Error(t.message)),e.onmessageerror=()=>n(new Error("A message from the worker could not be deserialized"))},onExit:n=>{},terminate:()=>{e.terminate(),self.URL.revokeObjectURL(t)}}}("'use strict'\nconst _isNode = typeof self === 'undefined'\nconst port = _isNode\n  ? { onMessage: cb => require('worker_threads').parentPort.on('message', cb), postMessage: msg => require('worker_threads').parentPort.postMessage(msg) }\n  : { onMessage: cb => { self.onmessage = e => cb(e.data) }, postMessage: msg => self.postMessage(msg) }\nconst randomBytes = _isNode\n  ? n => new Uint8Array(require('crypto').randomBytes(n))\n  : n => self.crypto.getRandomValues(new Uint8Array(n))\nfunction bitLength (a) { return a.toString(2).length }\nfunction randBetween (max) {\n  const bits = bitLength(max)\n  const bytes = Math.ceil(bits / 8)\n  let r\n  do {\n    const buf = randomBytes(bytes)\n    if (bits % 8) buf[0] &= (1 << (bits % 8)) - 1\n    r = 0n\n    for (const b of buf) r = (r << 8n) + BigInt(b)\n  } while (r === 0n || r >= max)\n  return r\n}\nfunction gcd (a, b) {\n  while (b !== 0n) [a, b] = [b, a % b]\n  return a\n}\nfunction toZn (a, n) { a = a % n; return a < 0n ? a + n : a }\nfunction modPow (b, e, n) {\n  let r = 1n\n  b = toZn(b, n)\n  while (e > 0n) {\n    if (e & 1n) r = r * b % n\n    b = b * b % n\n    e >>= 1n\n  }\n  return r\n}\nfunction modInv (a, n) {\n  let [r0, r1, s0, s1] = [toZn(a, n), n, 1n, 0n]\n  while (r1 !== 0n) {\n    const q = r0 / r1;\n    [r0, r1] = [r1, r0 - q * r1];\n    [s0, s1] = [s1, s0 - q * s1]\n  }\n  return toZn(s0, n)\n}\n"+n)}function j(n){if(void 0!==n.reason)return n.reason;const t=new Error("The operation was aborted");return t.name="AbortError",t}class J extends RangeError{constructor(n){super(n),this.name="PaillierError"}}class W extends J{constructor(n="The plaintext MUST be an integer in [0, n)"){super(n),this.name="InvalidPlaintextError"}}class Z extends J{constructor(n="The ciphertext MUST be in Z* of n^2"){super(n),this.name="InvalidCiphertextError"}}class G extends J{constructor(n="The random factor MUST be in Z* of n"){super(n),this.name="InvalidRandomnessError"}}class F extends J{constructor(n="Invalid key"){super(n),this.name="InvalidKeyError"}}class Y extends J{constructor(n="The operands were encrypted or encoded under different public keys"){super(n),this.name="KeyMismatchError"}}class H extends J{constructor(n,t="Invalid decryption share from party "+n){super(t),this.name="InvalidDecryptionShareError",this.index=n}}class X extends J{constructor(n="Obfuscator pool exhausted"){super(n),this.name="ObfuscatorPoolExhaustedError"}}class Q extends X{constructor(n,t=`No obfuscator available after ${n} ms`){super(t),this.name="ObfuscatorPoolTimeoutError",this.timeout=n}}const nn=["inline","throw","block"];class tn{constructor(n,{onExhausted:t="inline"}={}){if(!nn.includes(t))throw new RangeError("onExhausted MUST be one of "+nn.join(", "));this.publicKey=n,this.onExhausted=t,this._obfuscators=[],this._waiting=[]}get available(){return this._obfuscators.length}fillSync(n){for(let t=0;t<n;t++)this._add(this.publicKey._randomObfuscator());return this.available}async fill(n){for(let t=0;t<n;t++)await new Promise((n=>setTimeout(n,0))),this._add(this.publicKey._randomObfuscator());return this.available}async fillInWorker(n){if(!V())return this.fill(n);const t=await new Promise(((t,e)=>{const r=C("\nport.onMessage(({ n, count }) => {\n  n = BigInt('0x' + n)\n  const n2 = n * n\n  const obfuscators = []\n  for (let i = 0; i < count; i++) {\n    let r\n    do {\n      r = randBetween(n)\n    } while (gcd(r, n) !== 1n)\n    obfuscators.push(modPow(r, n, n2).toString(16))\n  }\n  port.postMessage(obfuscators)\n})\n");r.onMessage((n=>{r.terminate(),t(n)})),r.onError((n=>{r.terminate(),e(n)})),r.onExit((n=>e(new Error(`A worker exited with code ${n} before finishing its work`)))),r.postMessage({n:this.publicKey.n.toString(16),count:n})}));for(const n of t)this._add(BigInt("0x"+n));return this.available}take(){if(this._obfuscators.length>0)return this._obfuscators.pop();if("inline"===this.onExhausted)return this.publicKey._randomObfuscator();if("block"===this.onExhausted)throw new X("Obfuscator pool exhausted. Use acquire() to wait for new obfuscators");throw new X}async acquire({timeout:n=null,signal:t=null}={}){if(null!==t&&t.aborted)throw j(t);return this._obfuscators.length>0||"block"!==this.onExhausted?this.take():new Promise(((e,r)=>{let i=null;const o=()=>c(j(t)),s=n=>{a(),e(n)},a=()=>{null!==i&&clearTimeout(i),null!==t&&t.removeEventListener("abort",o)},c=n=>{const t=this._waiting.indexOf(s);-1!==t&&this._waiting.splice(t,1),a(),r(n)};null!==n&&(i=setTimeout((()=>c(new Q(n))),n)),null!==t&&t.addEventListener("abort",o),this._waiting.push(s)}))}_add(n){this._waiting.length>0?this._waiting.shift()(n):this._obfuscators.push(n)}}class en{constructor(n,{maxAbs:t=n.maxInt}={}){if((t=BigInt(t))<0n||2n*t>=n.n-1n)throw new RangeError("maxAbs MUST be in [0, (n-1)/2)");this.n=n.n,this.maxAbs=t}encode(t){if(n(t=BigInt(t))>this.maxAbs)throw new RangeError(`Cannot encode ${t}: its absolute value exceeds ${this.maxAbs}`);return a(t,this.n)}decode(n){if(n<0n||n>=this.n)throw new RangeError("The encoding MUST be in [0, n)");if(n<=this.maxAbs)return n;if(n>=this.n-this.maxAbs)return n-this.n;throw new RangeError("Overflow detected: the decoded value exceeds the maximum absolute value")}}async function rn(n,t,e={}){const r=await sn(n,e);return r.push(await cn("keyPair","the private key belongs to the public key",(()=>{if(!n.equals(t.publicKey))return"the private key belongs to a different public key"}))),r.push(...await an(t,n)),on(r)}function on(n){return{valid:n.every((n=>n.passed)),checks:n}}async function sn(n,{minBitLength:e=2048}={}){const{n:i,g:o}=n;return[await cn("modulus","n is an odd integer > 1",(()=>{if("bigint"!=typeof i||i<3n||i%2n===0n)return"n MUST be an odd integer > 1"})),await cn("modulusSize",`n is at least ${e} bits long`,(()=>{if(t(i)<e)return`n is ${t(i)} bits long, but at least ${e} bits are required`})),await cn("modulusComposite","n is neither a prime nor a perfect square",(async()=>await c(i,16,!0)?"n is a prime":function(n){if(n<2n)return!0;let e=1n<<BigInt(Math.ceil(t(n)/2)),r=e+n/e>>1n;for(;r<e;)e=r,r=e+n/e>>1n;return e*e===n}(i)?"n is a perfect square":void 0)),await cn("generator","g is in Z* of n^2",(()=>{if("bigint"!=typeof o||o<=0n||o>=i**2n||1n!==r(o,i))return"g MUST be in Z* of n^2"}))]}async function an(n,t=n.publicKey){const{lambda:e,mu:o,_p:a,_q:u}=n,{n:h,g:f,_n2:p}=n.publicKey,d=()=>(s(f,e,p)-1n)/h;return[await cn("primes",null===a?"skipped: p and q are not known":"p and q are distinct primes and n = p·q",(async()=>{if(null!==a)return a*u!==h?"p·q != n":a===u?"p = q":await c(a,16,!0)&&await c(u,16,!0)?void 0:"p and q MUST be primes"})),await cn("lambda","lambda is a multiple of the Carmichael function of n coprime with n",(()=>{if("bigint"!=typeof e||e<=0n)return"lambda MUST be a positive integer";if(1n!==r(e,h))return"lambda is not coprime with n";if(null!==a){if(e%i(a-1n,u-1n)!==0n)return"lambda is not a multiple of lcm(p-1, q-1)"}else{let n;do{n=l(p)}while(1n!==r(n,h));if(1n!==s(n,e*h,p))return"lambda is not a multiple of the Carmichael function of n"}})),await cn("generatorOrder","the order of g in Z* of n^2 is a multiple of n",(()=>{if(1n!==r(d(),h))return"the order of g in Z* of n^2 is not a multiple of n"})),await cn("mu","mu is the inverse of L(g^lambda mod n^2) modulo n",(()=>"bigint"!=typeof o||o<=0n||o>=h?"mu MUST be in (0, n)":d()*o%h!==1n?"mu does not match lambda and g":void 0)),await cn("roundtrip","a test encryption decrypts to the encrypted plaintext",(()=>{const e=l(t.n-1n,0n);if(n.decrypt(t.encrypt(e))!==e)return"decryption of a test encryption failed"}))]}async function cn(n,t,e){let r;try{r=await e()}catch(n){r=n.message}return void 0===r?{name:n,passed:!0,message:t}:{name:n,passed:!1,message:r}}const un={randomBytes:n=>p(n)};function ln(n,t=null){return x((t||un).randomBytes(Math.ceil(n/8)))&(1n<<BigInt(n))-1n}function hn(n,e=1n,r=null){if(null===r)return l(n,e);const i=n-e;if(i<0n)throw new RangeError("max MUST be greater than or equal to min");const o=t(i);let s;do{s=ln(o,r)}while(s>i);return s+e}let fn=!1;function pn(n=!0){fn=Boolean(n)}function dn(n=null){return null!=n&&"boolean"==typeof n.strictValidation?n.strictValidation:fn}function gn(n,t){if(!En(n)||BigInt(n)<0n||BigInt(n)>=t.n)throw new W}function wn(n,t){if("bigint"!=typeof n||n<=0n||n>=t._n2||1n!==r(n,t.n))throw new Z}function bn(n,t){if("bigint"!=typeof n||n<=0n||n>=t.n||1n!==r(n,t.n))throw new G}function yn(n,t){if("bigint"!=typeof n||n<=0n||n>=t._n2||1n!==r(n,t.n))throw new G("The obfuscator MUST be in Z* of n^2")}function mn(n,t){if("bigint"!=typeof n||n<3n||n%2n===0n)throw new F("Invalid public key: n MUST be an odd integer > 1");if("bigint"!=typeof t||t<=0n||t>=n**2n||1n!==r(t,n))throw new F("Invalid public key: g MUST be in Z* of n^2")}function En(n){return"bigint"==typeof n||Number.isSafeInteger(n)}class xn{constructor(n,t){dn()&&mn(n,t),this.n=n,this._n2=this.n**2n,this.g=t,this._gTable=null,this.obfuscatorPool=null,this.strictValidation=null}get bitLength(){return t(this.n)}get maxInt(){return this.n/3n-1n}equals(n){return n instanceof xn&&n.n===this.n&&n.g===this.g}async validate(n={}){return on(await sn(this,n))}encrypt(n,t=null,e=null){let r;return dn(this)&&(gn(n,this),null!==t&&bn(t,this)),r=null!==t?s(t,this.n,this._n2):null!==e?this._randomObfuscator(e):this._nextObfuscator(),this._gPow(n)*r%this._n2}encryptSigned(n,t=null){if((t=t||new en(this)).n!==this.n)throw new Y("The encoder was created for a different public key");return this.encrypt(t.encode(n))}encryptWithObfuscator(n,t){return dn(this)&&(gn(n,this),yn(t,this)),this._gPow(n)*t%this._n2}rerandomize(n,t=null){dn(this)&&(wn(n,this),null!==t&&bn(t,this));return n*(null===t?this._nextObfuscator():s(t,this.n,this._n2))%this._n2}rerandomizeWithObfuscator(n,t){return dn(this)&&(wn(n,this),yn(t,this)),n*t%this._n2}precompute({window:n=4,obfuscators:t=0}={}){return z(n),this.g===this.n+1n||null!==this._gTable&&this._gTable.window===n||(this._gTable=new D(this.g,this._n2,this.bitLength,n)),t>0&&this._pool().fillSync(t),this}async precomputeObfuscators(n){return this._pool().fill(n)}get precomputedObfuscators(){return null!==this.obfuscatorPool?this.obfuscatorPool.available:0}useObfuscatorPool(n){if(null!==n&&n.publicKey.n!==this.n)throw new Y("The obfuscator pool was created for a public key with a different modulo");if(null!==n&&"block"===n.onExhausted)throw new RangeError("A pool with onExhausted = 'block' cannot be used by encrypt(). Use acquire() and encryptWithObfuscator() instead");return this.obfuscatorPool=n,this}_gPow(n){return n=a(n,this.n),this.g===this.n+1n?(1n+n*this.n)%this._n2:null!==this._gTable?this._gTable.pow(n):s(this.g,n,this._n2)}_checkCiphertexts(...n){dn(this)&&n.forEach((n=>wn(n,this)))}_randomObfuscator(n=null){let t;do{t=hn(this.n,1n,n)}while(1n!==r(t,this.n));return s(t,this.n,this._n2)}_nextObfuscator(){return null!==this.obfuscatorPool?this.obfuscatorPool.take():this._randomObfuscator()}_pool(){return null===this.obfuscatorPool&&(this.obfuscatorPool=new tn(this)),this.obfuscatorPool}encryptOtherNA(n,t,e){return s(this.g,n,this._n2)*s(t,this.n,this._n2)%e}encryptOtherNB(n,t,e){return s(this.g,n,e)*s(t,this.n,this._n2)%this._n2}encryptOtherNC(n,t,e){return s(this.g,n,this._n2)*s(t,this.n,e)%this._n2}encryptOtherNF(n,t,e){return s(this.g,n,this._n2)*s(t,this.n,e)%e}encryptOtherND(n,t,e){return s(this.g,n,e)*s(t,this.n,e)%this._n2}encryptOtherNE(n,t,e){return s(this.g,n,e)*s(t,this.n,e)%this._n2}toJSON(){return{kty:k,version:1,n:R(this.n),g:R(this.g)}}static fromJSON(n){const t=K(n);return _n(M(t,"n"),M(t,"g"))}toDER(){return P(B(this.n),B(this.g))}toPEM(){return $(this.toDER(),"PAILLIER PUBLIC KEY")}static fromDER(n){const t=O(q(n));if(2!==t.length)throw new TypeError("Invalid DER: PaillierPublicKey MUST have 2 elements");return _n(N(t[0]),N(t[1]))}static fromPEM(n){return xn.fromDER(L(n,"PAILLIER PUBLIC KEY"))}addition(...n){return this._checkCiphertexts(...n),n.reduce(((n,t)=>n*t%this._n2),1n)}subtract(n,t){return this._checkCiphertexts(n,t),n*o(t,this._n2)%this._n2}negate(n){return this._checkCiphertexts(n),o(n,this._n2)}addPlaintext(n,t){return this._checkCiphertexts(n),n*this._gPow(BigInt(t))%this._n2}subtractPlaintext(n,t){return this._checkCiphertexts(n),n*this._gPow(-BigInt(t))%this._n2}multiply(n,t){return n=BigInt(n),t=BigInt(t),this._checkCiphertexts(n),t<0n?s(this.negate(n),-t,this._n2):s(n,t,this._n2)}}function _n(n,t){return mn(n,t),new xn(n,t)}const vn=new Uint32Array([1116352408,1899447441,3049323471,3921009573,961987163,1508970993,2453635748,2870763221,3624381080,310598401,607225278,1426881987,1925078388,2162078206,2614888103,3248222580,3835390401,4022224774,264347078,604807628,770255983,1249150122,1555081692,1996064986,2554220882,2821834349,2952996808,3210313671,3336571891,3584528711,113926993,338241895,666307205,773529912,1294757372,1396182291,1695183700,1986661051,2177026350,2456956037,2730485921,2820302411,3259730800,3345764771,3516065817,3600352804,4094571909,275423344,430227734,506948616,659060556,883997877,958139571,1322822218,1537002063,1747873779,1955562222,2024104815,2227730452,2361852424,2428436474,2756734187,3204031479,3329325298]);function In(n){const t=8*n.length,e=64*Math.ceil((n.length+9)/64),r=new Uint8Array(e);r.set(n),r[n.length]=128;const i=new DataView(r.buffer);i.setUint32(e-8,Math.floor(t/4294967296)),i.setUint32(e-4,t>>>0);const o=new Uint32Array([1779033703,3144134277,1013904242,2773480762,1359893119,2600822924,528734635,1541459225]),s=new Uint32Array(64);for(let n=0;n<e;n+=64){for(let t=0;t<16;t++)s[t]=i.getUint32(n+4*t);for(let n=16;n<64;n++){const t=Sn(s[n-15],7)^Sn(s[n-15],18)^s[n-15]>>>3,e=Sn(s[n-2],17)^Sn(s[n-2],19)^s[n-2]>>>10;s[n]=s[n-16]+t+s[n-7]+e}let[t,e,r,a,c,u,l,h]=o;for(let n=0;n<64;n++){const i=h+(Sn(c,6)^Sn(c,11)^Sn(c,25))+(c&u^~c&l)+vn[n]+s[n],o=(Sn(t,2)^Sn(t,13)^Sn(t,22))+(t&e^t&r^e&r);h=l,l=u,u=c,c=a+i>>>0,a=r,r=e,e=t,t=i+o>>>0}o[0]+=t,o[1]+=e,o[2]+=r,o[3]+=a,o[4]+=c,o[5]+=u,o[6]+=l,o[7]+=h}const a=new Uint8Array(32),c=new DataView(a.buffer);return o.forEach(((n,t)=>c.setUint32(4*t,n))),a}function Tn(n,t){n.length>64&&(n=In(n));const e=new Uint8Array(64+t.length),r=new Uint8Array(96);for(let t=0;t<64;t++)e[t]=54^(n[t]||0),r[t]=92^(n[t]||0);return e.set(t,64),r.set(In(e),64),In(r)}function Sn(n,t){return n>>>t|n<<32-t}function kn(n,...t){const e=[S(n),...t.map((n=>E(n)))],r=new Uint8Array(e.reduce(((n,t)=>n+4+t.length),0)),i=new DataView(r.buffer);let o=0;for(const n of e)i.setUint32(o,n.length),r.set(n,o+4),o+=4+n.length;return x(In(r))}function Kn(n,t){const e={type:n};for(const[n,r]of Object.entries(t))e[n]=Array.isArray(r)?r.map(I):I(r);return e}function Mn(n,t,e,r=[]){let i=t;if("string"==typeof t)try{i=JSON.parse(t)}catch(n){throw new TypeError("Invalid proof: not a valid JSON string")}if(null===i||"object"!=typeof i)throw new TypeError("Invalid proof: expected a JSON object");if(i.type!==n)throw new TypeError(`Invalid proof: type MUST be '${n}'`);const o={};for(const n of e)o[n]=Rn(i[n],n);for(const n of r){if(!Array.isArray(i[n]))throw new TypeError(`Invalid proof: '${n}' MUST be an array`);o[n]=i[n].map((t=>Rn(t,n)))}return o}function Rn(n,t){if("string"!=typeof n||""===n)throw new TypeError(`Invalid proof: '${t}' MUST be a base64url string`);try{return T(n)}catch(n){throw new TypeError(`Invalid proof: '${t}' is not a valid base64url string`)}}const Un="paillier-bigint/encryption-proof",Bn="EncryptionProof";function Pn(n,t,e,i,o=null){const{n:c,_n2:u}=n;let l;do{l=hn(c-1n,1n,o)}while(1n!==r(l,c));const h=s(l,c,u),f=kn(Un,c,n.g,t,a(e,c),h);return{e:f,z:l*s(i,f,c)%c}}function An(n,t,e,i){const{n:c,_n2:u}=n;if(!En(e)||"object"!=typeof i||null===i)return!1;const{e:l,z:h}=i;if("bigint"!=typeof t||t<=0n||t>=u||1n!==r(t,c))return!1;if("bigint"!=typeof l||"bigint"!=typeof h||l<0n||h<=0n||h>=c||1n!==r(h,c))return!1;const f=a(BigInt(e),c),p=t*o(n._gPow(f),u)%u,d=s(h,c,u)*s(p,-l,u)%u;return l===kn(Un,c,n.g,t,f,d)}var qn=Object.freeze({__proto__:null,prove:Pn,verify:An,toJSON:function(n){return Kn(Bn,{e:n.e,z:n.z})},fromJSON:function(n){return Mn(Bn,n,["e","z"])}});function Nn(n,t,e,r){return An(n,t,e,r)}const On=0n;class $n{constructor(n,t,e,r=null,i=null){dn(e)&&zn(n,t,e,r||null,i||null),this.lambda=n,this.mu=t,this._p=r||null,this._q=i||null,this.publicKey=e,this._crt=null!==this._p&&null!==this._q&&this._p*this._q===e.n?function(n,t,e){const r=n**2n,i=t**2n;return{p:n,q:t,p2:r,q2:i,hp:o(Dn(s(e,n-1n,r),n),n),hq:o(Dn(s(e,t-1n,i),t),t),qInvP:o(t,n)}}(this._p,this._q,e.g):null}get bitLength(){return t(this.publicKey.n)}get n(){return this.publicKey.n}decrypt(n){if(dn(this.publicKey)&&wn(n,this.publicKey),null!==this._crt){const{p:t,q:e,p2:r,q2:i,hp:o,hq:c,qInvP:u}=this._crt,l=Dn(s(n,t-1n,r),t)*o%t,h=Dn(s(n,e-1n,i),e)*c%e;return h+a((l-h)*u,t)*e}return Dn(s(n,this.lambda,this.publicKey._n2),this.publicKey.n)*this.mu%this.publicKey.n}decryptWithProof(n,t=null){return function(n,t,e=null){const{publicKey:r,lambda:i}=n,{n:a,g:c,_n2:u}=r;wn(t,r);const l=n.decrypt(t);let h;return h=c===a+1n&&null!==n._p?n.getRandomFactor(t):s(t*o(r._gPow(l),u)%u,o(a,i),a),{plaintext:l,proof:Pn(r,t,l,h,e)}}(this,n,t)}decryptSigned(n,t=null){if((t=t||new en(this.publicKey)).n!==this.publicKey.n)throw new Y("The encoder was created for a different public key");return t.decode(this.decrypt(n))}async validate(n={}){return on([...await sn(this.publicKey,n),...await an(this)])}getRandomFactor(n){if(this.publicKey.g!==this.n+1n)throw RangeError("Cannot recover the random factor if publicKey.g != publicKey.n + 1. You should generate yout keys using the simple variant, e.g. generateRandomKeys(3072, true) )");const t=this.decrypt(n),e=(this._p-1n)*(this._q-1n),r=o(this.n,e);return s(n*(1n-t*this.n)%this.publicKey._n2,r,this.n)}toJSON(){const n={kty:k,version:1,n:R(this.publicKey.n),g:R(this.publicKey.g),lambda:R(this.lambda),mu:R(this.mu)};return null!==this._p&&null!==this._q&&(n.p=R(this._p),n.q=R(this._q)),n}static fromJSON(n,t=null){const e=K(n),r=_n(M(e,"n"),M(e,"g")),i=M(e,"p",!0),o=M(e,"q",!0);if(null===i!=(null===o))throw new TypeError("Invalid private key: p and q MUST be both provided or both omitted");return Ln(M(e,"lambda"),M(e,"mu"),r,t,i,o)}toDER(){const n=[B(On),B(this.publicKey.n),B(this.publicKey.g),B(this.lambda),B(this.mu)];return null!==this._p&&null!==this._q&&(n.push(B(this._p,128)),n.push(B(this._q,129))),P(...n)}toPEM(){return $(this.toDER(),"PAILLIER PRIVATE KEY")}static fromDER(n,t=null){const e=O(q(n));if(5!==e.length&&7!==e.length)throw new TypeError("Invalid DER: PaillierPrivateKey MUST have 5 or 7 elements");const r=N(e[0]);if(r!==On)throw new RangeError("Unsupported PaillierPrivateKey version "+r);const[i,o,s,a]=e.slice(1,5).map((n=>N(n)));let c=null,u=null;return 7===e.length&&(c=N(e[5],128),u=N(e[6],129)),Ln(s,a,_n(i,o),t,c,u)}static fromPEM(n,t=null){return $n.fromDER(L(n,"PAILLIER PRIVATE KEY"),t)}}function Ln(n,t,e,r,i,o){if(null!==r){if(!r.equals(e))throw new Y("Invalid private key: it does not match the provided public key")}else r=e;return zn(n,t,r,i,o),new $n(n,t,r,i,o)}function zn(n,t,e,r,i){if(!(e instanceof xn))throw new F("Invalid private key: publicKey MUST be a PublicKey");const o=e.n;if("bigint"!=typeof n||"bigint"!=typeof t)throw new F("Invalid private key: lambda and mu MUST be bigints");if(null===r!=(null===i)||null!==r&&r*i!==o)throw new F("Invalid private key: p·q != n");if(n<=0n||t<=0n||t>=o)throw new F("Invalid private key: lambda and mu MUST be in (0, n)");if(Dn(s(e.g,n,e._n2),o)*t%o!==1n)throw new F("Invalid private key: mu does not match lambda and g")}function Dn(n,t){return(n-1n)/t}const Vn=Yn(100),Cn=Yn(2048);function jn(n=3072,t=!1){if("object"!=typeof n||null===n)return{bitLength:n,simpleVariant:t,safePrimes:!1,blumPrimes:!1,minPrimeDistance:0n,millerRabinRounds:16,randomSource:null};const{bitLength:e=3072,safePrimes:r=!1,blumPrimes:i=!1,minPrimeDistance:o=null,millerRabinRounds:s=16,allowWeakKeys:a=!1,randomSource:c=null}=n;if(t=!0===n.simpleVariant,!Number.isSafeInteger(e))throw new TypeError("bitLength MUST be an integer");if(e<64)throw new RangeError("bitLength MUST be at least 64");if(e<2048&&!0!==a)throw new RangeError("Keys shorter than 2048 bits are not secure. Set allowWeakKeys to generate them anyway");if(!Number.isSafeInteger(s)||s<1)throw new RangeError("millerRabinRounds MUST be a positive integer");null!==c&&function(n){if(null===n||"object"!=typeof n||"function"!=typeof n.randomBytes)throw new TypeError("randomSource MUST be an object with a randomBytes(byteLength) method")}(c);const u=Math.floor(e/2),l=null===o?2n**BigInt(Math.max(u-100,0)):BigInt(o);if(l<0n||l>=2n**BigInt(u-1))throw new RangeError(`minPrimeDistance MUST be in [0, 2^${u-1})`);return{bitLength:e,simpleVariant:t,safePrimes:!0===r,blumPrimes:!0===i,minPrimeDistance:l,millerRabinRounds:s,randomSource:c}}async function Jn(n){const t=!n.safePrimes&&null===n.randomSource,e=Zn(n);let r=e.next(),i=Date.now();for(;!r.done;)t?r=e.next(await u(r.value.prime,n.millerRabinRounds)):(Date.now()-i>=10&&(await new Promise((n=>setTimeout(n,0))),i=Date.now()),r=e.next(Gn(r.value,n)));return r.value}function Wn(n,t,e=null){return(hn(n,1n,e)*n+1n)*s(hn(n,1n,e),n,t)%t}function*Zn({bitLength:e,simpleVariant:a,safePrimes:c,blumPrimes:u,minPrimeDistance:l,randomSource:h}){let f,p,d;do{f=yield*Fn(Math.floor(e/2)+1,c,u),p=yield*Fn(Math.floor(e/2),c,u),d=f*p}while(n(f-p)<=l||t(d)!==e||1n!==r(d,(f-1n)*(p-1n)));return function(n,t,e,r=null){const a=n*t;let c,u,l;if(!0===e)c=a+1n,u=(n-1n)*(t-1n),l=o(u,a);else{const e=a**2n;c=Wn(a,e,r),u=i(n-1n,t-1n),l=o(Dn(s(c,u,e),a),a)}const h=new xn(a,c);return{publicKey:h,privateKey:new $n(u,l,h,n,t)}}(f,p,a,h)}function Gn({prime:n,safePrime:t},{millerRabinRounds:e,randomSource:r}){return void 0===n?function(n,t,e){const r=ln(n-1,e)|1n<<BigInt(n-2)|1n,i=2n*r+1n;for(const n of Cn)if(r%n===0n||i%n===0n)return null;return Hn(r,t,e)&&Hn(i,t,e)?i:null}(t,e,r):null===r?function(n,t=16){if(n<1)throw new RangeError("bitLength MUST be > 0");let e=0n;do{e=d(f(n,!0))}while(!w(e,t));return e}(n,e):function(n,t,e){const r=1n<<BigInt(n-1)|1n;let i;do{i=ln(n,e)|r}while(!Hn(i,t,e));return i}(n,e,r)}function*Fn(n,t,e){if(!t)for(;;){const t=yield{prime:n};if(!e||t%4n===3n)return t}for(;;){const t=yield{safePrime:n};if(null!==t)return t}}function Yn(n){const t=new Uint8Array(n),e=[];for(let r=3;r<n;r+=2)if(1!==t[r]){e.push(BigInt(r));for(let e=r*r;e<n;e+=2*r)t[e]=1}return e}function Hn(n,t=16,e=null){if(2n===n)return!0;if(n<2n||n%2n===0n)return!1;for(const t of Vn){if(n===t)return!0;if(n%t===0n)return!1}let r=n-1n,i=0;for(;r%2n===0n;)r/=2n,i++;for(let o=0;o<t;o++){let t=s(hn(n-2n,2n,e),r,n);if(1n===t||t===n-1n)continue;let o=1;for(;o<i&&(t=t*t%n,t!==n-1n);o++);if(o===i)return!1}return!0}const Xn="paillier-bigint/membership-proof",Qn=1n<<BigInt(256);function nt(n,t,e,r,i,o,c=null){const{n:u,_n2:l}=t,h=o.map((n=>a(n,u))),f=h.indexOf(a(r,u));if(-1===f)throw new RangeError("The plaintext is not in the set");const p=new Array(h.length),d=new Array(h.length),g=new Array(h.length);h.forEach(((n,r)=>{r!==f&&(p[r]=ln(256,c),d[r]=rt(u,c),g[r]=s(d[r],u,l)*s(et(t,e,n),-p[r],l)%l)}));const w=rt(u,c);g[f]=s(w,u,l);const b=p.reduce(((n,t)=>n+t),0n);return p[f]=a(kn(n,u,t.g,e,...h,...g)-b,Qn),d[f]=w*s(i,p[f],u)%u,{e:p,z:d}}function tt(n,t,e,i,o){const{n:c,_n2:u}=t;if(!Array.isArray(i)||0===i.length||!i.every(En))return!1;if("object"!=typeof o||null===o)return!1;const{e:l,z:h}=o;if(!Array.isArray(l)||!Array.isArray(h)||l.length!==i.length||h.length!==i.length)return!1;if("bigint"!=typeof e||e<=0n||e>=u||1n!==r(e,c))return!1;for(let n=0;n<i.length;n++){if("bigint"!=typeof l[n]||l[n]<0n||l[n]>=Qn)return!1;if("bigint"!=typeof h[n]||h[n]<=0n||h[n]>=c||1n!==r(h[n],c))return!1}const f=i.map((n=>a(BigInt(n),c))),p=f.map(((n,r)=>s(h[r],c,u)*s(et(t,e,n),-l[r],u)%u));return l.reduce(((n,t)=>n+t),0n)%Qn===kn(n,c,t.g,e,...f,...p)}function et(n,t,e){return t*o(n._gPow(e),n._n2)%n._n2}function rt(n,t){let e;do{e=hn(n-1n,1n,t)}while(1n!==r(e,n));return e}var it=Object.freeze({__proto__:null,prove:function(n,t,e,r,i,o=null){return nt(Xn,n,t,e,r,i,o)},verify:function(n,t,e,r){return tt(Xn,n,t,e,r)},toJSON:function(n){return Kn("MembershipProof",{e:n.e,z:n.z})},fromJSON:function(n){return Mn("MembershipProof",n,[],["e","z"])},proveMembership:nt,verifyMembership:tt});const ot="paillier-bigint/range-proof/bit",st=[BigInt(0),BigInt(1)];function at(n,t,e){if("bigint"!=typeof t||"bigint"!=typeof e||t>e)throw new RangeError("min and max MUST be bigints with min <= max");const r=(e-t).toString(2).length;if(1n<<BigInt(r+1)>=n.n)throw new RangeError("The range is too large for the public key");return r}function ct(n,t,e,r){const i=n._n2;return[t*o(n._gPow(e),i)%i,n._gPow(r)*o(t,i)%i]}function ut(n,t,e){return t.reduce(((n,t,r)=>n*s(t,-(1n<<BigInt(r)),e)%e),n)}function lt(n,t,e,i,o,a){const{n:c,_n2:u}=n,l=[],h=[],f=[];let p=i;for(let t=0;t<o;t++){const i=e>>BigInt(t)&1n;let o;do{o=hn(c-1n,1n,a)}while(1n!==r(o,c));const u=n.encrypt(i,o),d=nt(ot,n,u,i,o,st,a);l.push(u),h.push(...d.e),f.push(...d.z),p=p*s(o,-(1n<<BigInt(t)),c)%c}return{commitments:l,e:h,z:f,link:Pn(n,ut(t,l,u),0n,p,a)}}var ht=Object.freeze({__proto__:null,prove:function(n,t,e,r,i,s,a=null){const c=at(n,i,s);if(e<i||e>s)throw new RangeError("The plaintext is not in the range");const[u,l]=ct(n,t,i,s),h=lt(n,u,e-i,r,c,a),f=lt(n,l,s-e,o(r,n.n),c,a);return{commitments:[...h.commitments,...f.commitments],e:[...h.e,...f.e],z:[...h.z,...f.z],linkE:[h.link.e,f.link.e],linkZ:[h.link.z,f.link.z]}},verify:function(n,t,e,i,o){let s;try{s=at(n,e,i)}catch(n){return!1}const{n:a,_n2:c}=n,{commitments:u,e:l,z:h,linkE:f,linkZ:p}=o;if(!Array.isArray(u)||u.length!==2*s)return!1;if(!Array.isArray(l)||!Array.isArray(h)||l.length!==4*s||h.length!==4*s)return!1;if(!Array.isArray(f)||!Array.isArray(p)||2!==f.length||2!==p.length)return!1;if("bigint"!=typeof t||t<=0n||t>=c||1n!==r(t,a))return!1;for(let t=0;t<2*s;t++){const e={e:l.slice(2*t,2*t+2),z:h.slice(2*t,2*t+2)};if(!tt(ot,n,u[t],st,e))return!1}return ct(n,t,e,i).every(((t,e)=>{const r=ut(t,u.slice(e*s,(e+1)*s),c);return An(n,r,0n,{e:f[e],z:p[e]})}))},toJSON:function(n){const{commitments:t,e:e,z:r,linkE:i,linkZ:o}=n;return Kn("RangeProof",{commitments:t,e:e,z:r,linkE:i,linkZ:o})},fromJSON:function(n){return Mn("RangeProof",n,[],["commitments","e","z","linkE","linkZ"])}});function ft(n,e){const r=Math.ceil((t(n)+128)/256),i=[];for(let t=0;t<80;t++){let o=0n;for(let i=0;i<r;i++)o=o<<256n|kn("paillier-bigint/modulus-proof",n,e,BigInt(t),BigInt(i));i.push(o%n)}return i}function pt(n,t){return 1n===s(n,(t-1n)/2n,t)}function dt(n,t,e){const r=s(n,((t+1n)/4n)**2n%(t-1n),t),i=s(n,((e+1n)/4n)**2n%(e-1n),e);return a(i+e*((r-i)*o(e,t)),t*e)}var gt=Object.freeze({__proto__:null,prove:function(n,t=null){const{_p:e,_q:i}=n,c=n.publicKey.n;if(null===e||e*i!==c)throw new F("The primes p and q of the private key are required");if(e%4n!==3n||i%4n!==3n)throw new F("p and q MUST be 3 mod 4 (Blum primes)");const u=(e-1n)*(i-1n);if(1n!==r(c,u))throw new F("gcd(n, φ(n)) MUST be 1");const l=o(c,u);let h;do{h=hn(c-1n,1n,t)}while(pt(h,e)===pt(h,i)||1n!==r(h,c));const f={w:h,x:[],a:[],b:[],z:[]};for(const n of ft(c,h)){let t,r,o;for(const[s,u]of[[0,0],[0,1],[1,0],[1,1]]){const l=a((1===s?-1n:1n)*(1===u?h:1n)*n,c);if(pt(l,e)&&pt(l,i)){[t,r,o]=[BigInt(s),BigInt(u),l];break}}f.x.push(dt(o,e,i)),f.a.push(t),f.b.push(r),f.z.push(s(n,l,c))}return f},verify:function(n,t){const e=n.n;if("object"!=typeof t||null===t)return!1;const{w:r,x:i,a:o,b:c,z:u}=t;if("bigint"!=typeof e||e<3n||e%2n===0n||Hn(e))return!1;if("bigint"!=typeof r||r<=0n||r>=e)return!1;for(const n of[i,o,c,u])if(!Array.isArray(n)||80!==n.length||n.some((n=>"bigint"!=typeof n)))return!1;return ft(e,r).every(((n,t)=>{if(o[t]>1n||o[t]<0n||c[t]>1n||c[t]<0n)return!1;if(s(u[t],e,e)!==n)return!1;const l=a((1n===o[t]?-1n:1n)*(1n===c[t]?r:1n)*n,e);return s(i[t],4n,e)===l}))},toJSON:function(n){const{w:t,x:e,a:r,b:i,z:o}=n;return Kn("ModulusProof",{w:t,x:e,a:r,b:i,z:o})},fromJSON:function(n){return Mn("ModulusProof",n,["w"],["x","a","b","z"])}});class wt{constructor(n,t,e){if(!Number.isSafeInteger(e)||e<1)throw new RangeError("s MUST be a positive integer");this.n=n,this.g=t,this.s=e,this.ns=n**BigInt(e),this._ns1=this.ns*n,this.strictValidation=null}static fromPublicKey(n,t){const e=new wt(n.n,n.g,t);return"boolean"==typeof n.strictValidation&&(e.strictValidation=n.strictValidation),e}get bitLength(){return t(this.n)}encrypt(n,t=null){if(dn(this)&&("bigint"!=typeof n||n<0n||n>=this.ns))throw new W("The plaintext MUST be in [0, n^s)");if(null===t)do{t=l(this.n)}while(1n!==r(t,this.n));return s(this.g,n,this._ns1)*s(t,this.ns,this._ns1)%this._ns1}addition(...n){return n.forEach((n=>this._checkCiphertext(n))),n.reduce(((n,t)=>n*t%this._ns1),1n)}multiply(n,t){return this._checkCiphertext(n),s(n,BigInt(t),this._ns1)}_checkCiphertext(n){if(dn(this)&&("bigint"!=typeof n||n<=0n||n>=this._ns1||1n!==r(n,this.n)))throw new Z("The ciphertext MUST be in Z* of n^(s+1)")}}class bt{constructor(n,t){this.lambda=n,this.publicKey=t,this._muS=o(yt(s(t.g,n,t._ns1),t.n,t.s),t.ns)}static fromPrivateKey(n,t){return new bt(n.lambda,wt.fromPublicKey(n.publicKey,t))}decrypt(n){const{n:t,s:e,ns:r,_ns1:i}=this.publicKey;return this.publicKey._checkCiphertext(n),yt(s(n,this.lambda,i),t,e)*this._muS%r}}function yt(n,t,e){let r=0n,i=1n;for(let s=1;s<=e;s++){const e=i*t;let c=(n%(e*t)-1n)/t,u=r,l=1n,h=1n;for(let n=2;n<=s;n++)r--,l*=t,h*=BigInt(n),u=u*r%e,c=a(c-u*l%e*o(h,e),e);r=c%e,i=e}return r}class mt{constructor(n,{slotBits:e=32,paddingBits:r=16,slots:i=null}={}){if(!Number.isSafeInteger(e)||e<1)throw new RangeError("slotBits MUST be a positive integer");if(!Number.isSafeInteger(r)||r<0)throw new RangeError("paddingBits MUST be a non-negative integer");const o=e+r,s=Math.floor((t(n.n)-1)/o);if(null===i&&(i=s),!Number.isSafeInteger(i)||i<1||i>s)throw new RangeError(`slots MUST be an integer in [1, ${s}]`);this.n=n.n,this.slotBits=e,this.paddingBits=r,this.slots=i,this._slotWidth=BigInt(o),this._slotMask=(1n<<this._slotWidth)-1n,this._maxValue=(1n<<BigInt(e))-1n}get maxValue(){return this._maxValue}encode(n){if(n.length>this.slots)throw new RangeError(`Cannot encode ${n.length} values in ${this.slots} slots`);let t=0n;for(let e=n.length-1;e>=0;e--){const r=BigInt(n[e]);if(r<0n||r>this._maxValue)throw new RangeError(`Cannot encode ${r} in slot ${e}: it MUST be in [0, 2^${this.slotBits})`);t=t<<this._slotWidth|r}return t}decode(n){if(n<0n||n>=this.n)throw new RangeError("The encoding MUST be in [0, n)");if(n>>this._slotWidth*BigInt(this.slots)!==0n)throw new RangeError("Overflow detected in slot "+(this.slots-1));const t=[];for(let e=0;e<this.slots;e++){const r=n&this._slotMask;if(r>this._maxValue)throw new RangeError(`Overflow detected in slot ${e}: the value exceeds 2^${this.slotBits} - 1`);t.push(r),n>>=this._slotWidth}return t}}class Et{constructor(n,t,e){this.publicKey=n,this.encoding=t,this.exponent=e}static get BASE(){return 16}static encode(e,r,i=null,o=null){let s;if(null!==i)s=Math.floor(Math.log(i)/Math.log(16));else if("bigint"==typeof r)s=0;else{if(!Number.isFinite(r))throw new RangeError("Cannot encode "+r);s=Math.floor((function(n){if(0===n)return 0;const{biasedExponent:e,mantissa:r}=xt(n);return 0===e?t(r)-1074:e-1022}(r)-53)/4)}null!==o&&(s=Math.min(s,o));const c=function(t,e){let r,i,o;if("bigint"==typeof t)r=t<0n,i=n(t),o=0;else{const n=xt(t);r=n.negative,i=0===n.biasedExponent?n.mantissa:n.mantissa|1n<<52n,o=0===n.biasedExponent?-1074:n.biasedExponent-1075}const s=o+e;let a;if(s>=0)a=i<<BigInt(s);else{const n=1n<<BigInt(-s);a=i/n;const t=i%n;(2n*t>n||2n*t===n&&a%2n===1n)&&a++}return r?-a:a}(r,-4*s);if(n(c)>e.maxInt)throw new RangeError("Integer needs to be within +/- "+e.maxInt);return new Et(e,a(c,e.n),s)}decode(){const{n:e,maxInt:r}=this.publicKey;let i;if(this.encoding<0n||this.encoding>=e)throw new RangeError("Attempted to decode corrupted number");if(this.encoding<=r)i=this.encoding;else{if(!(this.encoding>=e-r))throw new RangeError("Overflow detected in decrypted number");i=this.encoding-e}if(this.exponent>=0)return i*BigInt(16)**BigInt(this.exponent);const o=Math.max(t(n(i))-64,0),s=function(n,t){for(;t>1e3;)n*=2**1e3,t-=1e3;for(;t<-1e3;)n*=2**-1e3,t+=1e3;return n*2**t}(Number(i>>BigInt(o)),4*this.exponent+o);if(!Number.isFinite(s))throw new RangeError("Decoded number is too large to be represented as a number");return s}decreaseExponentTo(n){if(n>this.exponent)throw new RangeError(`New exponent ${n} should be more negative than the old exponent ${this.exponent}`);const t=BigInt(16)**BigInt(this.exponent-n);return new Et(this.publicKey,this.encoding*t%this.publicKey.n,n)}}function xt(n){const t=new DataView(new ArrayBuffer(8));t.setFloat64(0,n);const e=t.getUint32(0),r=t.getUint32(4);return{negative:e>>>31==1,biasedExponent:e>>>20&2047,mantissa:BigInt(1048575&e)<<32n|BigInt(r)}}class _t{constructor(n,t,e=0){this.publicKey=n,this.ciphertext=t,this.exponent=e}static encrypt(n,t,e=null,r=null){const i=t instanceof Et?t:Et.encode(n,t,e);if(!n.equals(i.publicKey))throw new Y("The number was encoded with a different public key");return new _t(n,n.encrypt(i.encoding,r),i.exponent)}decryptEncoded(n){return new Et(this.publicKey,n.decrypt(this.ciphertext),this.exponent)}decrypt(n){return this.decryptEncoded(n).decode()}decreaseExponentTo(n){if(n>this.exponent)throw new RangeError(`New exponent ${n} should be more negative than the old exponent ${this.exponent}`);const t=BigInt(Et.BASE)**BigInt(this.exponent-n);return new _t(this.publicKey,this.publicKey.multiply(this.ciphertext,t),n)}add(n){return n instanceof _t?this._addEncrypted(n):n instanceof Et?this._addEncoded(n):this._addEncoded(Et.encode(this.publicKey,n,null,this.exponent))}mul(n){if(n instanceof _t)throw new TypeError("Multiplying two encrypted numbers is not supported");const t=n instanceof Et?n:Et.encode(this.publicKey,n);this._checkSameKey(t.publicKey);const{n:e,maxInt:r}=this.publicKey,i=t.encoding>=e-r?t.encoding-e:t.encoding;return new _t(this.publicKey,this.publicKey.multiply(this.ciphertext,i),this.exponent+t.exponent)}sub(n){return n instanceof _t?this.add(n.neg()):n instanceof Et?(this._checkSameKey(n.publicKey),this.add(new Et(this.publicKey,a(-n.encoding,this.publicKey.n),n.exponent))):this.add(-n)}neg(){return new _t(this.publicKey,this.publicKey.negate(this.ciphertext),this.exponent)}rerandomize(n=null){return new _t(this.publicKey,this.publicKey.rerandomize(this.ciphertext,n),this.exponent)}equals(n){return n instanceof _t&&this.publicKey.equals(n.publicKey)&&n.ciphertext===this.ciphertext&&n.exponent===this.exponent}toJSON(){return{publicKey:this.publicKey.toJSON(),ciphertext:I(this.ciphertext),exponent:this.exponent}}static fromJSON(n,t=null){let e,r=n;if("string"==typeof n)try{r=JSON.parse(n)}catch(n){throw new TypeError("Invalid encrypted number: not a valid JSON string")}if(null===r||"object"!=typeof r)throw new TypeError("Invalid encrypted number: expected a JSON object");if(!Number.isSafeInteger(r.exponent))throw new TypeError("Invalid encrypted number: exponent MUST be an integer");if("string"!=typeof r.ciphertext||""===r.ciphertext)throw new TypeError("Invalid encrypted number: ciphertext MUST be a base64url string");try{e=T(r.ciphertext)}catch(n){throw new TypeError("Invalid encrypted number: ciphertext is not a valid base64url string")}const i=xn.fromJSON(r.publicKey);if(null===t)t=i;else if(!t.equals(i))throw new Y("The encrypted number was exported with a different public key");return wn(e,t),new _t(t,e,r.exponent)}_addEncrypted(n){this._checkSameKey(n.publicKey);let t=this,e=n;return t.exponent>e.exponent?t=t.decreaseExponentTo(e.exponent):t.exponent<e.exponent&&(e=e.decreaseExponentTo(t.exponent)),new _t(this.publicKey,this.publicKey.addition(t.ciphertext,e.ciphertext),t.exponent)}_addEncoded(n){this._checkSameKey(n.publicKey);let t=this,e=n;return t.exponent>e.exponent?t=t.decreaseExponentTo(e.exponent):t.exponent<e.exponent&&(e=e.decreaseExponentTo(t.exponent)),new _t(this.publicKey,this.publicKey.addPlaintext(t.ciphertext,e.encoding),t.exponent)}_checkSameKey(n){if(!this.publicKey.equals(n))throw new Y}}class vt{constructor(n,t){this.publicKey=n,this.ciphertexts=t}static encrypt(n,t){return new vt(n,t.map((t=>n.encrypt(BigInt(t)))))}get length(){return this.ciphertexts.length}decrypt(n){return this.ciphertexts.map((t=>n.decrypt(t)))}add(n){return n instanceof vt?(this._checkSameKey(n.publicKey),this._checkLength(n.length),this._map(((t,e)=>this.publicKey.addition(t,n.ciphertexts[e])))):(this._checkLength(n.length),this._map(((t,e)=>this.publicKey.addPlaintext(t,n[e]))))}multiply(n){return Array.isArray(n)?(this._checkLength(n.length),this._map(((t,e)=>this.publicKey.multiply(t,n[e])))):this._map((t=>this.publicKey.multiply(t,n)))}sum(){return this.publicKey.addition(...this.ciphertexts)}dot(n){return this._checkLength(n.length),this.publicKey._checkCiphertexts(...this.ciphertexts),this._dot(n.map(BigInt),[])}matrixMultiply(n){n.forEach((n=>this._checkLength(n.length))),this.publicKey._checkCiphertexts(...this.ciphertexts);const t=[];return new vt(this.publicKey,n.map((n=>this._dot(n.map(BigInt),t))))}_dot(n,t){return function(n,t,e,r=4){if(n.length!==t.length)throw new RangeError("There MUST be as many exponents as bases");if(t.some((n=>n<0n)))throw new RangeError("Exponents MUST be non-negative");const i=BigInt(r),o=(1n<<i)-1n,s=1<<r,a=n.map((n=>{const t=[1n,n%e];for(let n=2;n<s;n++)t.push(t[n-1]*t[1]%e);return t})),c=t.reduce(((n,t)=>Math.max(n,t.toString(2).length)),0);let u=1n;for(let n=BigInt(Math.ceil(c/r)-1)*i;n>=0n;n-=i){for(let n=0;n<r;n++)u=u*u%e;t.forEach(((t,r)=>{const i=Number(t>>n&o);0!==i&&(u=u*a[r][i]%e)}))}return u}(this.ciphertexts.map(((e,r)=>n[r]>=0n?e:(void 0===t[r]&&(t[r]=this.publicKey.negate(e)),t[r]))),n.map((n=>n<0n?-n:n)),this.publicKey._n2)}_map(n){return new vt(this.publicKey,this.ciphertexts.map(n))}_checkLength(n){if(n!==this.length)throw new RangeError(`Expected a vector of length ${this.length} but got ${n}`)}_checkSameKey(n){if(!this.publicKey.equals(n))throw new Y}}class It{constructor(n,t=new Uint8Array(0)){this._K=new Uint8Array(32),this._V=new Uint8Array(32).fill(1),this._update(St(Tt(n),Tt(t)))}randomBytes(n){const t=new Uint8Array(n);for(let e=0;e<n;e+=32)this._V=Tn(this._K,this._V),t.set(this._V.subarray(0,Math.min(32,n-e)),e);return this._update(new Uint8Array(0)),t}reseed(n){this._update(Tt(n))}_update(n){this._K=Tn(this._K,St(this._V,[0],n)),this._V=Tn(this._K,this._V),0!==n.length&&(this._K=Tn(this._K,St(this._V,[1],n)),this._V=Tn(this._K,this._V))}}function Tt(n){if("string"==typeof n)return S(n);if(n instanceof Uint8Array)return n;throw new TypeError("Expected a Uint8Array or a string")}function St(...n){const t=new Uint8Array(n.reduce(((n,t)=>n+t.length),0));let e=0;for(const r of n)t.set(r,e),e+=r.length;return t}const kt="paillier-bigint/threshold-decryption-share";async function Kt(n){const{threshold:t,parties:e}=n;if(!Number.isSafeInteger(e)||e<1)throw new RangeError("parties MUST be a positive integer");if(!Number.isSafeInteger(t)||t<1||t>e)throw new RangeError("threshold MUST be an integer in [1, parties]");const i={...jn(n),safePrimes:!0,simpleVariant:!0},{privateKey:a}=await Jn(i);return function(n,t,e,i,a){const c=n*t,u=c**2n,l=(n-1n)/2n*((t-1n)/2n),h=c*l,f=[l*o(l,c)];for(let n=1;n<e;n++)f.push(hn(h-1n,0n,a));const p=[];for(let n=1;n<=i;n++)p.push(f.reduceRight(((t,e)=>(t*BigInt(n)+e)%h),0n));let d,g=1n;for(let n=2;n<=i;n++)g*=BigInt(n);do{d=hn(u-1n,1n,a)}while(1n!==r(d,c));const w=d**2n%u,b=new xn(c,c+1n),y={publicKey:b,threshold:e,parties:i,delta:g,v:w,verificationKeys:p.map((n=>s(w,g*n,u)))},m=p.map(((n,t)=>({index:t+1,secret:n,parameters:y})));return{publicKey:b,parameters:y,keyShares:m}}(a._p,a._q,t,e,i.randomSource)}function Mt(n,e,r=null){const{index:i,secret:o,parameters:a}=n,{publicKey:c,delta:u,v:l,verificationKeys:h}=a,f=c._n2;dn(c)&&wn(e,c);const p=u*o,d=s(e,2n*p,f),g=s(e,4n,f),w=ln(t(f)+t(u)+256+256,r),b=s(g,w,f),y=s(l,w,f),m=kn(kt,c.n,g,l,h[i-1],d**2n%f,b,y);return{index:i,value:d,proof:{e:m,z:w+m*p}}}function Rt(n,t,e){const{publicKey:i,parties:o,v:a,verificationKeys:c}=n,u=i._n2;if("bigint"!=typeof t||t<=0n||t>=u||1n!==r(t,i.n))return!1;if("object"!=typeof e||null===e)return!1;const{index:l,value:h,proof:f}=e;if(!Number.isSafeInteger(l)||l<1||l>o)return!1;if("bigint"!=typeof h||h<=0n||h>=u||1n!==r(h,i.n))return!1;if("object"!=typeof f||null===f)return!1;const{e:p,z:d}=f;if("bigint"!=typeof p||"bigint"!=typeof d||p<0n||d<0n)return!1;const g=s(t,4n,u),w=h**2n%u,b=c[l-1],y=s(g,d,u)*s(w,-p,u)%u,m=s(a,d,u)*s(b,-p,u)%u;return p===kn(kt,i.n,g,a,b,w,y,m)}function Ut(n,t,e){const{publicKey:r,threshold:i,delta:a}=n,{n:c,_n2:u}=r;wn(t,r);const l=e.map((n=>n.index));if(new Set(l).size!==l.length)throw new RangeError("Every decryption share MUST come from a different party");if(e.length<i)throw new RangeError(`At least ${i} decryption shares are required`);for(const r of e)if(!Rt(n,t,r))throw new H(r.index);const h=e.slice(0,i),f=h.map((n=>BigInt(n.index)));let p=1n;return h.forEach(((n,t)=>{p=p*s(n.value,2n*function(n,t,e){const r=n[t];let i=e,o=1n;return n.forEach(((n,e)=>{e!==t&&(i*=n,o*=n-r)})),i/o}(f,t,a),u)%u})),Dn(p,c)*o(4n*a**2n,c)%c}async function Bt(n,t,e={}){dn(n)&&t.forEach((t=>gn(t,n)));const r=t.map((t=>a(BigInt(t),n.n)));return At({n:n.n,g:n.g},r,e,(t=>n.encrypt(t)))}async function Pt(n,t,e={}){const{publicKey:r,lambda:i,mu:o}=n;dn(r)&&t.forEach((n=>wn(n,r)));const s={n:r.n,g:r.g,lambda:i,mu:o};return null!==n._crt&&(s.p=n._p,s.q=n._q),At(s,t.map(BigInt),e,(t=>n.decrypt(t)))}async function At(n,t,{workers:e=qt(),chunkSize:r=null,signal:i=null}={},o){if(!Number.isSafeInteger(e)||e<1)throw new RangeError("workers MUST be a positive integer");if(null===r&&(r=Math.max(Math.ceil(t.length/(4*e)),1)),!Number.isSafeInteger(r)||r<1)throw new RangeError("chunkSize MUST be a positive integer");if(null!==i&&i.aborted)throw j(i);const s=[];for(let n=0;n<t.length;n+=r)s.push(t.slice(n,n+r));if(0===s.length)return[];if(!V())return async function(n,t,e){const r=[];for(const i of n){if(await new Promise((n=>setTimeout(n,0))),null!==e&&e.aborted)throw j(e);r.push(...i.map(t))}return r}(s,o,i);const a={};for(const t of Object.keys(n))a[t]=n[t].toString(16);const c=new Array(s.length);return new Promise(((n,t)=>{const r=[];let o=!1,u=0,l=0;const h=()=>f(j(i));function f(e){o||(o=!0,r.forEach((n=>n.terminate())),null!==i&&i.removeEventListener("abort",h),null!==e?t(e):n([].concat(...c)))}function p(n){if(u===s.length)return;const t=u++;n.postMessage({id:t,items:s[t].map((n=>n.toString(16)))})}null!==i&&i.addEventListener("abort",h);for(let n=0;n<Math.min(e,s.length);n++){const n=C("\nlet key = null\nport.onMessage(msg => {\n  if (msg.key !== undefined) {\n    key = parseKey(msg.key)\n    return\n  }\n  const fn = (key.lambda === undefined) ? encrypt : decrypt\n  port.postMessage({ id: msg.id, results: msg.items.map(item => fn(BigInt('0x' + item)).toString(16)) })\n})\nfunction parseKey (hexKey) {\n  const k = {}\n  for (const name of Object.keys(hexKey)) k[name] = BigInt('0x' + hexKey[name])\n  k.n2 = k.n * k.n\n  if (k.p !== undefined) {\n    k.p2 = k.p * k.p\n    k.q2 = k.q * k.q\n    k.hp = modInv(L(modPow(k.g, k.p - 1n, k.p2), k.p), k.p)\n    k.hq = modInv(L(modPow(k.g, k.q - 1n, k.q2), k.q), k.q)\n    k.qInvP = modInv(k.q, k.p)\n  }\n  return k\n}\nfunction L (a, n) { return (a - 1n) / n }\nfunction encrypt (m) {\n  const { n, g, n2 } = key\n  let r\n  do {\n    r = randBetween(n)\n  } while (gcd(r, n) !== 1n)\n  const gm = (g === n + 1n) ? (1n + m * n) % n2 : modPow(g, m, n2)\n  return gm * modPow(r, n, n2) % n2\n}\nfunction decrypt (c) {\n  const { n, n2, lambda, mu, p, q, p2, q2, hp, hq, qInvP } = key\n  if (p === undefined) return L(modPow(c, lambda, n2), n) * mu % n\n  const mp = L(modPow(c, p - 1n, p2), p) * hp % p\n  const mq = L(modPow(c, q - 1n, q2), q) * hq % q\n  return mq + toZn((mp - mq) * qInvP, p) * q\n}\n");r.push(n),n.onError(f),n.onExit((n=>f(new Error(`A worker exited with code ${n} before finishing its work`)))),n.onMessage((({id:t,results:e})=>{o||(c[t]=e.map((n=>BigInt("0x"+n))),++l===s.length?f(null):p(n))})),n.postMessage({key:a}),p(n)}}))}function qt(){return self.navigator.hardwareConcurrency||1}function Nt(n,t={}){return Ct()}function Ot(n,t={}){return Ct()}function $t(n){return Ct()}function Lt(n,t={}){return jt(function(n,{encoder:t=null}={}){return{transform:e=>e instanceof Et?_t.encrypt(n,e).toJSON():I(n.encrypt(null!==t?t.encode(e):BigInt(e)))}}(n,t))}function zt(n,t={}){return jt(function(n,{encoder:t=null}={}){return{transform:e=>{if(function(n){return"string"==typeof n?n.trim().startsWith("{"):"object"==typeof n&&null!==n}(e))return _t.fromJSON(e,n.publicKey).decrypt(n);const r=n.decrypt(Vt(e));return null!==t?t.decode(r):r}}}(n,t))}function Dt(n){return jt(function(n){let t=1n;return{transform:e=>{t=n.addition(t,Vt(e))},flush:()=>I(t)}}(n))}function Vt(n){if("bigint"==typeof n)return n;if("string"!=typeof n||""===n)throw new TypeError("Ciphertexts MUST be base64url strings or bigints");try{return T(n.trim())}catch(n){throw new TypeError("Invalid ciphertext: not a valid base64url string")}}function Ct(n){return function(){throw new Error("Node.js streams are not available in browsers. Use the TransformStream versions")}()}function jt({transform:n,flush:t=(()=>{})}){return new("undefined"!=typeof globalThis&&"function"==typeof globalThis.TransformStream?globalThis.TransformStream:function(){throw new Error("WHATWG streams are not available. They need a browser or Node.js >= 16.5")}())({transform(t,e){const r=n(t);void 0!==r&&e.enqueue(r)},flush(n){const e=t();void 0!==e&&n.enqueue(e)}})}const Jt=[80,67,84,88],Wt=Jt.length+1+32+4+4;function Zt(n){return B(n)}function Gt(n){return N(q(n))}function Ft(n){return $(Zt(n),"PAILLIER CIPHERTEXT")}function Yt(n){return Gt(L(n,"PAILLIER CIPHERTEXT"))}function Ht(n,t){const e=ne(n._n2),r=new Uint8Array(Wt+t.length*e),i=new DataView(r.buffer);return r.set(Jt,0),r[Jt.length]=1,r.set(Qt(n),Jt.length+1),i.setUint32(Wt-8,t.length),i.setUint32(Wt-4,e),t.forEach(((t,i)=>{wn(t,n),r.set(E(t,e),Wt+i*e)})),r}function Xt(n,t){if(!(t instanceof Uint8Array))throw new TypeError("The encoded ciphertexts MUST be a Uint8Array");if(t.length<Wt||Jt.some(((n,e)=>t[e]!==n)))throw new TypeError("Invalid encoded ciphertexts: bad header");const e=t[Jt.length];if(1!==e)throw new RangeError("Unsupported encoded ciphertexts version "+e);const r=Qt(n),i=t.subarray(Jt.length+1,Jt.length+1+32);if(r.some(((n,t)=>i[t]!==n)))throw new Y("The ciphertexts were encoded for a different public key");const o=new DataView(t.buffer,t.byteOffset,t.byteLength),s=o.getUint32(Wt-8),a=o.getUint32(Wt-4);if(a!==ne(n._n2))throw new TypeError("Invalid encoded ciphertexts: the width does not match the public key");if(t.length!==Wt+s*a)throw new TypeError(`Invalid encoded ciphertexts: expected ${s} ciphertexts of ${a} bytes`);const c=[];for(let e=0;e<s;e++){const r=x(t.subarray(Wt+e*a,Wt+(e+1)*a));wn(r,n),c.push(r)}return c}function Qt(n){return In(n.toDER())}function ne(n){return Math.ceil(n.toString(2).length/8)}function te(n,t,e){return s(BigInt(n),BigInt(t),e)}function ee(n,t){var e=0;do{e=l(n)}while(1n!==r(e,n)&&1n!==r(e,t));return e}async function re(n=3072,t=!1){return Jn(jn(n,t))}function ie(n=3072,t=!1){return function(n){const t=Zn(n);let e=t.next();for(;!e.done;)e=t.next(Gn(e.value,n));return e.value}(jn(n,t))}function oe(n,t){const e=n*t,r=e+1n,i=(n-1n)*(t-1n),s=o(i,e),a=new xn(e,r);return{publicKey:a,privateKey:new $n(i,s,a,n,t)}}function se(n,t,e){const r=n*t,a=r**2n;e=e||Wn(r,a);const c=i(n-1n,t-1n),u=o(Dn(s(e,c,a),r),r),l=new xn(r,e);return{publicKey:l,privateKey:new $n(c,u,l,n,t)}}export{bt as DamgardJurikPrivateKey,wt as DamgardJurikPublicKey,Et as EncodedNumber,_t as EncryptedNumber,vt as EncryptedVector,It as HmacDrbg,Z as InvalidCiphertextError,H as InvalidDecryptionShareError,F as InvalidKeyError,W as InvalidPlaintextError,G as InvalidRandomnessError,Y as KeyMismatchError,tn as ObfuscatorPool,X as ObfuscatorPoolExhaustedError,Q as ObfuscatorPoolTimeoutError,mt as PackingEncoder,J as PaillierError,$n as PrivateKey,xn as PublicKey,en as SignedIntegerEncoder,Gt as ciphertextFromDER,Yt as ciphertextFromPEM,Zt as ciphertextToDER,Ft as ciphertextToPEM,Ut as combineShares,Ot as createDecryptStream,zt as createDecryptTransformStream,Nt as createEncryptStream,Lt as createEncryptTransformStream,$t as createSumStream,Dt as createSumTransformStream,Xt as decodeCiphertexts,Pt as decryptBatch,Ht as encodeCiphertexts,Bt as encryptBatch,qn as encryptionProof,ee as generateDualG,re as generateRandomKeys,ie as generateRandomKeysSync,Kt as generateThresholdKeys,dn as isStrictValidation,se as keysFromPrimes,oe as keysFromPrimesSimple,it as membershipProof,gt as modulusProof,te as multiplyOtherN2,Mt as partialDecrypt,ht as rangeProof,pn as setStrictValidation,rn as validateKeyPair,Nn as verifyDecryption,Rt as verifyDecryptionShare};
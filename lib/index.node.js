@@ -4,165 +4,4707 @@ Object.defineProperty(exports, '__esModule', { value: true })
 
 var bcu = require('bigint-crypto-utils')
 
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_'
+
+/**
+ * Converts a non-negative bigint to a big-endian byte array
+ *
+ * @param {bigint} a - a non-negative integer
+ * @param {number} [byteLength] - if provided, the output is left-padded with zeros to this length
+ *
+ * @returns {Uint8Array} - the big-endian representation of a
+ *
+ * @throws {RangeError} - if a is negative or does not fit in byteLength bytes
+ */
+function bigintToBuf (a, byteLength = 0) {
+  if (a < 0n) throw new RangeError('Cannot convert a negative bigint to bytes')
+  let hex = a.toString(16)
+  if (hex.length % 2 === 1) hex = '0' + hex
+  const len = Math.max(hex.length / 2, byteLength)
+  if (byteLength > 0 && hex.length / 2 > byteLength) throw new RangeError(`Value does not fit in ${byteLength} bytes`)
+  const buf = new Uint8Array(len)
+  const offset = len - hex.length / 2
+  for (let i = 0; i < hex.length / 2; i++) {
+    buf[offset + i] = parseInt(hex.substr(2 * i, 2), 16)
+  }
+  return buf
+}
+
+/**
+ * Converts a big-endian byte array to a non-negative bigint
+ *
+ * @param {Uint8Array} buf
+ *
+ * @returns {bigint}
+ */
+function bufToBigint (buf) {
+  let ret = 0n
+  for (const byte of buf) {
+    ret = (ret << 8n) + BigInt(byte)
+  }
+  return ret
+}
+
+function encode (buf, alphabet, pad) {
+  let str = ''
+  for (let i = 0; i < buf.length; i += 3) {
+    const chunk = (buf[i] << 16) | ((buf[i + 1] || 0) << 8) | (buf[i + 2] || 0)
+    const chars = Math.min(buf.length - i, 3) + 1
+    for (let j = 0; j < 4; j++) {
+      if (j < chars) str += alphabet[(chunk >> (18 - 6 * j)) & 0x3f]
+      else if (pad) str += '='
+    }
+  }
+  return str
+}
+
+function decode (str, alphabet) {
+  if (str.length % 4 === 1) throw new RangeError('Invalid base64 string length')
+  const buf = new Uint8Array(Math.floor(str.length * 3 / 4))
+  let bits = 0
+  let value = 0
+  let j = 0
+  for (const char of str) {
+    const index = alphabet.indexOf(char)
+    if (index === -1) throw new RangeError(`Invalid base64 character '${char}'`)
+    value = (value << 6) | index
+    bits += 6
+    if (bits >= 8) {
+      bits -= 8
+      buf[j++] = (value >> bits) & 0xff
+    }
+  }
+  return buf
+}
+
+/**
+ * Base64 encoding (RFC 4648 §4) with padding
+ *
+ * @param {Uint8Array} buf
+ *
+ * @returns {string}
+ */
+function bufToBase64 (buf) {
+  return encode(buf, BASE64_ALPHABET, true)
+}
+
+/**
+ * Decodes a (padded or unpadded) base64 string
+ *
+ * @param {string} str
+ *
+ * @returns {Uint8Array}
+ *
+ * @throws {RangeError} - if str is not a valid base64 string
+ */
+function base64ToBuf (str) {
+  return decode(str.replace(/={1,2}$/, ''), BASE64_ALPHABET)
+}
+
+/**
+ * Base64url encoding (RFC 4648 §5) without padding
+ *
+ * @param {Uint8Array} buf
+ *
+ * @returns {string}
+ */
+function bufToBase64url (buf) {
+  return encode(buf, BASE64URL_ALPHABET, false)
+}
+
+/**
+ * Decodes an unpadded base64url string
+ *
+ * @param {string} str
+ *
+ * @returns {Uint8Array}
+ *
+ * @throws {RangeError} - if str is not a valid base64url string
+ */
+function base64urlToBuf (str) {
+  return decode(str, BASE64URL_ALPHABET)
+}
+
+/**
+ * Encodes a non-negative bigint as an unpadded base64url string of its big-endian bytes
+ *
+ * @param {bigint} a
+ *
+ * @returns {string}
+ */
+function bigintToBase64url (a) {
+  return bufToBase64url(bigintToBuf(a))
+}
+
+/**
+ * Decodes an unpadded base64url string to a non-negative bigint
+ *
+ * @param {string} str
+ *
+ * @returns {bigint}
+ *
+ * @throws {RangeError} - if str is not a valid base64url string
+ */
+function base64urlToBigint (str) {
+  return bufToBigint(base64urlToBuf(str))
+}
+
+/**
+ * Encodes a string as UTF-8
+ *
+ * @param {string} str
+ *
+ * @returns {Uint8Array} - the UTF-8 encoding of str
+ */
+function utf8ToBuf (str) {
+  const bytes = []
+  for (const char of str) {
+    const code = char.codePointAt(0)
+    if (code < 0x80) bytes.push(code)
+    else if (code < 0x800) bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f))
+    else if (code < 0x10000) bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f))
+    else bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f))
+  }
+  return new Uint8Array(bytes)
+}
+
+const KTY = 'Paillier'
+const JWK_VERSION = 1
+
+/**
+ * Parses a JSON string (or an already parsed object) and checks that it is a Paillier JWK-like object of a supported version
+ *
+ * @param {string | Object} json
+ *
+ * @returns {Object} - the parsed object
+ *
+ * @throws {TypeError} - if json is not a valid Paillier key object
+ * @throws {RangeError} - if the version is not supported
+ */
+function parseJwk (json) {
+  let jwk = json
+  if (typeof json === 'string') {
+    try {
+      jwk = JSON.parse(json)
+    } catch (error) {
+      throw new TypeError('Invalid key: not a valid JSON string')
+    }
+  }
+  if (jwk === null || typeof jwk !== 'object') throw new TypeError('Invalid key: expected a JSON object')
+  if (jwk.kty !== KTY) throw new TypeError(`Invalid key: kty MUST be '${KTY}'`)
+  if (jwk.version !== JWK_VERSION) throw new RangeError(`Unsupported key version ${jwk.version}. Supported version is ${JWK_VERSION}`)
+  return jwk
+}
+
+/**
+ * Reads a base64url-encoded bigint member of a JWK-like object
+ *
+ * @param {Object} jwk
+ * @param {string} name - the name of the member
+ * @param {boolean} [optional = false] - if true, return null when the member is missing
+ *
+ * @returns {bigint | null}
+ *
+ * @throws {TypeError} - if the member is missing or is not a valid base64url string
+ */
+function readBigint (jwk, name, optional = false) {
+  const value = jwk[name]
+  if (value === undefined || value === null) {
+    if (optional) return null
+    throw new TypeError(`Invalid key: missing '${name}'`)
+  }
+  if (typeof value !== 'string' || value === '') throw new TypeError(`Invalid key: '${name}' MUST be a base64url string`)
+  try {
+    return base64urlToBigint(value)
+  } catch (error) {
+    throw new TypeError(`Invalid key: '${name}' is not a valid base64url string`)
+  }
+}
+
+/**
+ * Encodes a bigint as a JWK member
+ *
+ * @param {bigint} a
+ *
+ * @returns {string}
+ */
+function writeBigint (a) {
+  return bigintToBase64url(a)
+}
+
+/*
+ * A minimal ASN.1 DER encoder/decoder supporting just what is needed to encode Paillier keys and ciphertexts:
+ * INTEGER, SEQUENCE and context-specific implicitly-tagged INTEGERs. The encoded structures are exactly those of the
+ * following ASN.1 module:
+ *
+ *   PaillierBigint DEFINITIONS IMPLICIT TAGS ::= BEGIN
+ *     PaillierPublicKey ::= SEQUENCE {
+ *       n       INTEGER,
+ *       g       INTEGER
+ *     }
+ *     PaillierPrivateKey ::= SEQUENCE {
+ *       version INTEGER (0),
+ *       n       INTEGER,
+ *       g       INTEGER,
+ *       lambda  INTEGER,
+ *       mu      INTEGER,
+ *       p       [0] INTEGER OPTIONAL,
+ *       q       [1] INTEGER OPTIONAL
+ *     }
+ *     PaillierCiphertext ::= INTEGER
+ *   END
+ *
+ * They are bare structures, not wrapped in a SubjectPublicKeyInfo or PKCS#8 PrivateKeyInfo with an algorithm
+ * identifier, since there is no registered OID for Paillier. Other implementations can only read them if they
+ * implement this same module.
+ */
+
+const TAG_INTEGER = 0x02
+const TAG_SEQUENCE = 0x30
+const TAG_CONTEXT = 0x80
+
+// no schema nests more than a SEQUENCE of INTEGERs, so deeper inputs are rejected before they exhaust the stack
+const MAX_DEPTH = 2
+
+function encodeLength (length) {
+  if (length < 0x80) return [length]
+  const bytes = []
+  while (length > 0) {
+    bytes.unshift(length & 0xff)
+    length = Math.floor(length / 256)
+  }
+  return [0x80 | bytes.length, ...bytes]
+}
+
+function tlv (tag, value) {
+  const length = encodeLength(value.length)
+  const buf = new Uint8Array(1 + length.length + value.length)
+  buf[0] = tag
+  buf.set(length, 1)
+  buf.set(value, 1 + length.length)
+  return buf
+}
+
+/**
+ * DER-encodes a non-negative INTEGER
+ *
+ * @param {bigint} a - a non-negative integer
+ * @param {number} [tag = TAG_INTEGER] - use TAG_CONTEXT | n for a [n] IMPLICIT INTEGER
+ *
+ * @returns {Uint8Array}
+ */
+function encodeInteger (a, tag = TAG_INTEGER) {
+  let value = bigintToBuf(a)
+  if (value[0] & 0x80) { // prepend a zero byte so that it is not interpreted as negative
+    const padded = new Uint8Array(value.length + 1)
+    padded.set(value, 1)
+    value = padded
+  }
+  return tlv(tag, value)
+}
+
+/**
+ * DER-encodes a SEQUENCE of already DER-encoded elements
+ *
+ * @param {...Uint8Array} elements
+ *
+ * @returns {Uint8Array}
+ */
+function encodeSequence (...elements) {
+  const value = new Uint8Array(elements.reduce((len, el) => len + el.length, 0))
+  let offset = 0
+  for (const el of elements) {
+    value.set(el, offset)
+    offset += el.length
+  }
+  return tlv(TAG_SEQUENCE, value)
+}
+
+/**
+ * @typedef {Object} Asn1Node
+ * @property {number} tag - the identifier octet
+ * @property {Uint8Array} value - the content octets
+ * @property {Asn1Node[]} [children] - the decoded elements if it is a SEQUENCE
+ */
+
+function decodeNode (buf, offset, depth) {
+  if (depth >= MAX_DEPTH) throw new TypeError('Invalid DER: nesting too deep')
+  if (offset + 2 > buf.length) throw new TypeError('Invalid DER: unexpected end of data')
+  const tag = buf[offset]
+  if ((tag & 0x1f) === 0x1f) throw new TypeError('Invalid DER: high tag numbers are not supported')
+  let length = buf[offset + 1]
+  let start = offset + 2
+  if (length & 0x80) {
+    const lengthBytes = length & 0x7f
+    if (lengthBytes === 0) throw new TypeError('Invalid DER: indefinite lengths are not allowed')
+    if (lengthBytes > 4 || start + lengthBytes > buf.length) throw new TypeError('Invalid DER: unsupported length')
+    if (buf[start] === 0) throw new TypeError('Invalid DER: non-minimal length encoding')
+    length = 0
+    for (let i = 0; i < lengthBytes; i++) length = length * 256 + buf[start + i]
+    if (length < 0x80) throw new TypeError('Invalid DER: non-minimal length encoding')
+    start += lengthBytes
+  }
+  const end = start + length
+  if (end > buf.length) throw new TypeError('Invalid DER: unexpected end of data')
+  const node = { tag, value: buf.subarray(start, end) }
+  if (tag === TAG_SEQUENCE) {
+    node.children = []
+    let childOffset = start
+    while (childOffset < end) {
+      const { node: child, end: childEnd } = decodeNode(buf.subarray(0, end), childOffset, depth + 1)
+      node.children.push(child)
+      childOffset = childEnd
+    }
+  }
+  return { node, end }
+}
+
+/**
+ * Decodes a DER-encoded element. The whole input MUST be consumed.
+ *
+ * @param {Uint8Array} der
+ *
+ * @returns {Asn1Node}
+ *
+ * @throws {TypeError} - if der is not valid DER
+ */
+function decode$1 (der) {
+  if (!(der instanceof Uint8Array)) throw new TypeError('DER input MUST be a Uint8Array')
+  const { node, end } = decodeNode(der, 0, 0)
+  if (end !== der.length) throw new TypeError('Invalid DER: trailing data')
+  return node
+}
+
+/**
+ * Reads a non-negative INTEGER from a decoded node
+ *
+ * @param {Asn1Node} node
+ * @param {number} [tag = TAG_INTEGER] - the expected tag
+ *
+ * @returns {bigint}
+ *
+ * @throws {TypeError} - if node is not a valid non-negative INTEGER with the expected tag
+ */
+function decodeInteger (node, tag = TAG_INTEGER) {
+  if (node === undefined || node.tag !== tag) throw new TypeError('Invalid DER: INTEGER expected')
+  const value = node.value
+  if (value.length === 0) throw new TypeError('Invalid DER: empty INTEGER')
+  if (value.length > 1 && value[0] === 0 && !(value[1] & 0x80)) throw new TypeError('Invalid DER: non-minimal INTEGER encoding')
+  if (value[0] & 0x80) throw new TypeError('Invalid DER: negative INTEGER')
+  return bufToBigint(value)
+}
+
+/**
+ * Reads a SEQUENCE from a decoded node
+ *
+ * @param {Asn1Node} node
+ *
+ * @returns {Asn1Node[]} - the elements of the sequence
+ *
+ * @throws {TypeError} - if node is not a SEQUENCE
+ */
+function decodeSequence (node) {
+  if (node.tag !== TAG_SEQUENCE) throw new TypeError('Invalid DER: SEQUENCE expected')
+  return node.children
+}
+
+/**
+ * PEM-armors DER data (RFC 7468)
+ *
+ * @param {Uint8Array} der
+ * @param {string} label - e.g. 'PAILLIER PUBLIC KEY'
+ *
+ * @returns {string}
+ */
+function toPem (der, label) {
+  const b64 = bufToBase64(der)
+  const lines = b64.match(/.{1,64}/g) || []
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`
+}
+
+/**
+ * Removes the PEM armor and returns the DER data
+ *
+ * @param {string} pem
+ * @param {string} label - the expected label
+ *
+ * @returns {Uint8Array}
+ *
+ * @throws {TypeError} - if pem is not a PEM document with the expected label
+ */
+function fromPem (pem, label) {
+  if (typeof pem !== 'string') throw new TypeError('PEM input MUST be a string')
+  const match = pem.match(new RegExp(`-----BEGIN ${label}-----([A-Za-z0-9+/=\\s]*)-----END ${label}-----`))
+  if (match === null) throw new TypeError(`Invalid PEM: expected a '${label}' block`)
+  try {
+    return base64ToBuf(match[1].replace(/\s+/g, ''))
+  } catch (error) {
+    throw new TypeError('Invalid PEM: invalid base64 data')
+  }
+}
+
+/**
+ * Fixed-base windowed exponentiation. It precomputes base^(j·2^(w·i)) mod modulus for every window i and digit j,
+ * so that any base^e with e < 2^maxBits is computed with at most ceil(maxBits/w) modular multiplications and no
+ * squarings at all.
+ *
+ * The table holds ceil(maxBits/w)·2^w values of the size of the modulus. For a 3072-bit public key (6144-bit n^2)
+ * and w = 4, that is about 9 MB.
+ */
+const MAX_WINDOW = 16
+
+/**
+ * Checks that a window size is valid
+ *
+ * @param {number} window
+ *
+ * @throws {RangeError} - if window is not an integer in [1, 16]
+ */
+function checkWindow (window) {
+  if (!Number.isSafeInteger(window) || window < 1 || window > MAX_WINDOW) throw new RangeError(`window MUST be an integer in [1, ${MAX_WINDOW}]`)
+}
+
+class FixedBaseTable {
+  /**
+   * Creates the precomputed table
+   *
+   * @param {bigint} base
+   * @param {bigint} modulus
+   * @param {number} maxBits - the maximum bit length of the exponents
+   * @param {number} [window = 4] - the window size w in bits, in [1, 16]
+   *
+   * @throws {RangeError} - if window is not an integer in [1, 16]
+   */
+  constructor (base, modulus, maxBits, window = 4) {
+    checkWindow(window)
+    this.modulus = modulus
+    this.maxBits = maxBits
+    this.window = window
+    const size = 1 << window
+    this.table = []
+    let b = base % modulus
+    for (let i = 0; i * window < maxBits; i++) {
+      const row = [1n, b]
+      for (let j = 2; j < size; j++) row.push(row[j - 1] * b % modulus)
+      this.table.push(row)
+      b = row[size - 1] * b % modulus // b^(2^w)
+    }
+  }
+
+  /**
+   * Fixed-base exponentiation
+   *
+   * @param {bigint} e - a non-negative exponent of at most maxBits bits
+   *
+   * @returns {bigint} - base^e mod modulus
+   *
+   * @throws {RangeError} - if e is negative or larger than 2^maxBits - 1
+   */
+  pow (e) {
+    if (e < 0n || e >> BigInt(this.maxBits) !== 0n) throw new RangeError(`Exponent MUST be in [0, 2^${this.maxBits})`)
+    const mask = BigInt((1 << this.window) - 1)
+    const w = BigInt(this.window)
+    let result = 1n
+    for (let i = 0; e > 0n; i++) {
+      const digit = Number(e & mask)
+      if (digit !== 0) result = result * this.table[i][digit] % this.modulus
+      e >>= w
+    }
+    return result
+  }
+}
+
+/*
+ * Minimal cross-platform worker helper: Node.js worker_threads or Web Workers in browsers. Worker scripts are plain
+ * source strings (not stringified functions) so that they are not altered by minifiers or coverage tools.
+ * BigInts are exchanged as hex strings.
+ */
+
+/**
+ * Source code of helpers available to every worker script: a message port abstraction (`port.onMessage(cb)`,
+ * `port.postMessage(msg)`), `randomBytes(n)`, `randBetween(max)` (uniform in [1, max)), `gcd(a, b)`,
+ * `modPow(b, e, n)` and `modInv(a, n)`.
+ */
+const WORKER_HELPERS = `'use strict'
+const _isNode = typeof self === 'undefined'
+const port = _isNode
+  ? { onMessage: cb => require('worker_threads').parentPort.on('message', cb), postMessage: msg => require('worker_threads').parentPort.postMessage(msg) }
+  : { onMessage: cb => { self.onmessage = e => cb(e.data) }, postMessage: msg => self.postMessage(msg) }
+const randomBytes = _isNode
+  ? n => new Uint8Array(require('crypto').randomBytes(n))
+  : n => self.crypto.getRandomValues(new Uint8Array(n))
+function bitLength (a) { return a.toString(2).length }
+function randBetween (max) {
+  const bits = bitLength(max)
+  const bytes = Math.ceil(bits / 8)
+  let r
+  do {
+    const buf = randomBytes(bytes)
+    if (bits % 8) buf[0] &= (1 << (bits % 8)) - 1
+    r = 0n
+    for (const b of buf) r = (r << 8n) + BigInt(b)
+  } while (r === 0n || r >= max)
+  return r
+}
+function gcd (a, b) {
+  while (b !== 0n) [a, b] = [b, a % b]
+  return a
+}
+function toZn (a, n) { a = a % n; return a < 0n ? a + n : a }
+function modPow (b, e, n) {
+  let r = 1n
+  b = toZn(b, n)
+  while (e > 0n) {
+    if (e & 1n) r = r * b % n
+    b = b * b % n
+    e >>= 1n
+  }
+  return r
+}
+function modInv (a, n) {
+  let [r0, r1, s0, s1] = [toZn(a, n), n, 1n, 0n]
+  while (r1 !== 0n) {
+    const q = r0 / r1;
+    [r0, r1] = [r1, r0 - q * r1];
+    [s0, s1] = [s1, s0 - q * s1]
+  }
+  return toZn(s0, n)
+}
+`
+
+/**
+ * Whether workers can be spawned in this environment
+ *
+ * @returns {boolean}
+ */
+function workersAvailable () {
+  try {
+    require.resolve('worker_threads')
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Spawns a worker running the given source code
+ *
+ * @param {string} source - the worker script. It is appended to {@link WORKER_HELPERS}
+ *
+ * @returns {{postMessage: function(any): void, onMessage: function(function(any): void): void, onError: function(function(Error): void): void, onExit: function(function(number): void): void, terminate: function(): void}} - a minimal handler of the worker. onError also receives the messages that cannot be deserialized. onExit is only called in Node.js, since Web Workers have no exit event
+ */
+function createWorker (source) {
+  const code = WORKER_HELPERS + source
+  return nodeWorker(code)
+}
+
+function nodeWorker (code) {
+  const { Worker } = require('worker_threads')
+  const worker = new Worker(code, { eval: true })
+  return {
+    postMessage: msg => worker.postMessage(msg),
+    onMessage: cb => worker.on('message', cb),
+    onError: cb => {
+      worker.on('error', cb)
+      worker.on('messageerror', cb)
+    },
+    onExit: cb => worker.on('exit', cb),
+    terminate: () => { worker.terminate() }
+  }
+}
+
+/**
+ * Returns the error to reject with when an AbortSignal-like object is aborted: its reason if it has one (as
+ * AbortSignal does since Node.js 17.2) or else an Error named 'AbortError'
+ *
+ * @param {AbortSignal} signal - a signal or any object with aborted and reason properties
+ *
+ * @returns {any}
+ */
+function abortReason (signal) {
+  if (signal.reason !== undefined) return signal.reason
+  const error = new Error('The operation was aborted')
+  error.name = 'AbortError'
+  return error
+}
+
+/**
+ * Base class of the errors thrown by this library when validating keys, plaintexts and ciphertexts, and when an
+ * {@link ObfuscatorPool} runs out of obfuscators. It extends RangeError so that code catching the RangeErrors thrown by previous versions keeps working.
+ */
+class PaillierError extends RangeError {
+  constructor (message) {
+    super(message)
+    this.name = 'PaillierError'
+  }
+}
+
+/**
+ * Thrown when a plaintext is not in the plaintext space [0, n) of the public key
+ */
+class InvalidPlaintextError extends PaillierError {
+  constructor (message = 'The plaintext MUST be an integer in [0, n)') {
+    super(message)
+    this.name = 'InvalidPlaintextError'
+  }
+}
+
+/**
+ * Thrown when a ciphertext is not in the ciphertext space Z*_{n^2} of the public key
+ */
+class InvalidCiphertextError extends PaillierError {
+  constructor (message = 'The ciphertext MUST be in Z* of n^2') {
+    super(message)
+    this.name = 'InvalidCiphertextError'
+  }
+}
+
+/**
+ * Thrown when a random factor r is not in Z*_n or an obfuscator r^n is not in Z*_{n^2}
+ */
+class InvalidRandomnessError extends PaillierError {
+  constructor (message = 'The random factor MUST be in Z* of n') {
+    super(message)
+    this.name = 'InvalidRandomnessError'
+  }
+}
+
+/**
+ * Thrown when the parameters of a public or private key are not valid or not consistent
+ */
+class InvalidKeyError extends PaillierError {
+  constructor (message = 'Invalid key') {
+    super(message)
+    this.name = 'InvalidKeyError'
+  }
+}
+
+/**
+ * Thrown when operating on ciphertexts, encoded numbers or keys bound to different public keys
+ */
+class KeyMismatchError extends PaillierError {
+  constructor (message = 'The operands were encrypted or encoded under different public keys') {
+    super(message)
+    this.name = 'KeyMismatchError'
+  }
+}
+
+/**
+ * Thrown when a decryption share of threshold Paillier does not pass verification, i.e. its holder misbehaved
+ */
+class InvalidDecryptionShareError extends PaillierError {
+  /**
+     * @param {number} index - the index of the share holder
+     * @param {string} [message]
+     */
+  constructor (index, message = `Invalid decryption share from party ${index}`) {
+    super(message)
+    this.name = 'InvalidDecryptionShareError'
+    this.index = index
+  }
+}
+
+/**
+ * Thrown when an {@link ObfuscatorPool} is empty and its onExhausted policy does not allow computing an obfuscator
+ * on the fly
+ */
+class ObfuscatorPoolExhaustedError extends PaillierError {
+  constructor (message = 'Obfuscator pool exhausted') {
+    super(message)
+    this.name = 'ObfuscatorPoolExhaustedError'
+  }
+}
+
+/**
+ * Thrown when {@link ObfuscatorPool#acquire} times out waiting for a new obfuscator
+ */
+class ObfuscatorPoolTimeoutError extends ObfuscatorPoolExhaustedError {
+  /**
+     * @param {number} timeout - the time waited in milliseconds
+     * @param {string} [message]
+     */
+  constructor (timeout, message = `No obfuscator available after ${timeout} ms`) {
+    super(message)
+    this.name = 'ObfuscatorPoolTimeoutError'
+    this.timeout = timeout
+  }
+}
+
+const WORKER_SOURCE = `
+port.onMessage(({ n, count }) => {
+  n = BigInt('0x' + n)
+  const n2 = n * n
+  const obfuscators = []
+  for (let i = 0; i < count; i++) {
+    let r
+    do {
+      r = randBetween(n)
+    } while (gcd(r, n) !== 1n)
+    obfuscators.push(modPow(r, n, n2).toString(16))
+  }
+  port.postMessage(obfuscators)
+})
+`
+
+const EXHAUSTION_POLICIES = ['inline', 'throw', 'block']
+
+/**
+ * A pool of precomputed encryption obfuscators r^n mod n^2 for a given public key. Since the obfuscator does not
+ * depend on the message, it can be computed ahead of time (offline), and encryption or re-randomization becomes just
+ * one modular multiplication.
+ *
+ * Every obfuscator is removed from the pool when it is taken, so it is never used twice.
+ */
+class ObfuscatorPool {
+  /**
+     * Creates an empty pool of obfuscators for publicKey
+     *
+     * @param {PublicKey} publicKey - the public key the obfuscators are computed for
+     * @param {Object} [options]
+     * @param {string} [options.onExhausted = 'inline'] - what to do when an obfuscator is requested and the pool is empty:
+     *   'inline' computes it on the fly, 'throw' throws an Error, and 'block' waits (only with {@link ObfuscatorPool#acquire}) until a fill operation adds one
+     *
+     * @throws {RangeError} - if onExhausted is not one of 'inline', 'throw' or 'block'
+     */
+  constructor (publicKey, { onExhausted = 'inline' } = {}) {
+    if (!EXHAUSTION_POLICIES.includes(onExhausted)) throw new RangeError(`onExhausted MUST be one of ${EXHAUSTION_POLICIES.join(', ')}`)
+    this.publicKey = publicKey
+    this.onExhausted = onExhausted
+    this._obfuscators = []
+    this._waiting = []
+  }
+
+  /**
+     * Get the number of obfuscators available in the pool
+     * @returns {number} - the number of obfuscators available
+     */
+  get available () {
+    return this._obfuscators.length
+  }
+
+  /**
+     * Synchronously computes count obfuscators and adds them to the pool
+     *
+     * @param {number} count - the number of obfuscators to compute
+     *
+     * @returns {number} - the number of obfuscators available in the pool
+     */
+  fillSync (count) {
+    for (let i = 0; i < count; i++) this._add(this.publicKey._randomObfuscator())
+    return this.available
+  }
+
+  /**
+     * Computes count obfuscators in the background, yielding to the event loop after every one of them, and adds them
+     * to the pool as soon as they are computed
+     *
+     * @param {number} count - the number of obfuscators to compute
+     *
+     * @returns {Promise<number>} - a promise that resolves to the number of obfuscators available in the pool
+     */
+  async fill (count) {
+    for (let i = 0; i < count; i++) {
+      await new Promise(resolve => setTimeout(resolve, 0))
+      this._add(this.publicKey._randomObfuscator())
+    }
+    return this.available
+  }
+
+  /**
+     * Computes count obfuscators in a worker (worker_threads in Node.js, a Web Worker in browsers) and adds them to the
+     * pool. If workers are not available, it falls back to {@link ObfuscatorPool#fill}
+     *
+     * @param {number} count - the number of obfuscators to compute
+     *
+     * @returns {Promise<number>} - a promise that resolves to the number of obfuscators available in the pool
+     */
+  async fillInWorker (count) {
+    if (!workersAvailable()) return this.fill(count)
+    const obfuscators = await new Promise((resolve, reject) => {
+      const worker = createWorker(WORKER_SOURCE)
+      worker.onMessage(msg => {
+        worker.terminate()
+        resolve(msg)
+      })
+      worker.onError(err => {
+        worker.terminate()
+        reject(err)
+      })
+      worker.onExit(code => reject(new Error(`A worker exited with code ${code} before finishing its work`)))
+      worker.postMessage({ n: this.publicKey.n.toString(16), count })
+    })
+    for (const obfuscator of obfuscators) this._add(BigInt('0x' + obfuscator))
+    return this.available
+  }
+
+  /**
+     * Takes (and removes) an obfuscator from the pool
+     *
+     * @returns {bigint} - an obfuscator r^n mod n^2
+     *
+     * @throws {ObfuscatorPoolExhaustedError} - if the pool is empty and onExhausted is 'throw' or 'block' (use {@link ObfuscatorPool#acquire} to wait)
+     */
+  take () {
+    if (this._obfuscators.length > 0) return this._obfuscators.pop()
+    if (this.onExhausted === 'inline') return this.publicKey._randomObfuscator()
+    if (this.onExhausted === 'block') throw new ObfuscatorPoolExhaustedError('Obfuscator pool exhausted. Use acquire() to wait for new obfuscators')
+    throw new ObfuscatorPoolExhaustedError()
+  }
+
+  /**
+     * Takes (and removes) an obfuscator from the pool. If the pool is empty and onExhausted is 'block', it waits until
+     * a fill operation adds a new one
+     *
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - the maximum time to wait in milliseconds. By default, it waits forever
+     * @param {AbortSignal} [options.signal] - a signal (or any object with aborted, reason, addEventListener and removeEventListener) to stop waiting
+     *
+     * @returns {Promise<bigint>} - a promise that resolves to an obfuscator r^n mod n^2. It rejects with the abort reason if the signal is aborted
+     *
+     * @throws {ObfuscatorPoolTimeoutError} - if the timeout expires before an obfuscator is available
+     * @throws {ObfuscatorPoolExhaustedError} - if the pool is empty and onExhausted is 'throw'
+     */
+  async acquire ({ timeout = null, signal = null } = {}) {
+    if (signal !== null && signal.aborted) throw abortReason(signal)
+    if (this._obfuscators.length > 0 || this.onExhausted !== 'block') return this.take()
+    return new Promise((resolve, reject) => {
+      let timer = null
+      const onAbort = () => cancel(abortReason(signal))
+      const waiter = obfuscator => {
+        cleanup()
+        resolve(obfuscator)
+      }
+      const cleanup = () => {
+        if (timer !== null) clearTimeout(timer)
+        if (signal !== null) signal.removeEventListener('abort', onAbort)
+      }
+      const cancel = error => {
+        const index = this._waiting.indexOf(waiter)
+        if (index !== -1) this._waiting.splice(index, 1)
+        cleanup()
+        reject(error)
+      }
+      if (timeout !== null) timer = setTimeout(() => cancel(new ObfuscatorPoolTimeoutError(timeout)), timeout)
+      if (signal !== null) signal.addEventListener('abort', onAbort)
+      this._waiting.push(waiter)
+    })
+  }
+
+  _add (obfuscator) {
+    if (this._waiting.length > 0) this._waiting.shift()(obfuscator)
+    else this._obfuscators.push(obfuscator)
+  }
+}
+
+/**
+ * Encoder of signed integers into Z_n. Values in [-maxAbs, maxAbs] are mapped to [0, maxAbs] ∪ [n - maxAbs, n), and
+ * any decrypted value falling in the gap (maxAbs, n - maxAbs) is detected as an overflow (or underflow) of a
+ * homomorphic computation instead of being silently returned as a wrapped number.
+ */
+class SignedIntegerEncoder {
+  /**
+     * Creates an encoder of signed integers for the plaintext space of publicKey
+     *
+     * @param {PublicKey} publicKey
+     * @param {Object} [options]
+     * @param {bigint} [options.maxAbs = publicKey.maxInt] - the maximum absolute value that can be encoded. It defaults to floor(n/3) - 1
+     *
+     * @throws {RangeError} - if maxAbs is not in [0, (n-1)/2)
+     */
+  constructor (publicKey, { maxAbs = publicKey.maxInt } = {}) {
+    maxAbs = BigInt(maxAbs)
+    if (maxAbs < 0n || 2n * maxAbs >= publicKey.n - 1n) throw new RangeError('maxAbs MUST be in [0, (n-1)/2)')
+    this.n = publicKey.n
+    this.maxAbs = maxAbs
+  }
+
+  /**
+     * Encodes a signed integer into Z_n
+     *
+     * @param {bigint | number} value - an integer in [-maxAbs, maxAbs]
+     *
+     * @returns {bigint} - the encoding of value in [0, n)
+     *
+     * @throws {RangeError} - if |value| > maxAbs
+     */
+  encode (value) {
+    value = BigInt(value)
+    if (bcu.abs(value) > this.maxAbs) throw new RangeError(`Cannot encode ${value}: its absolute value exceeds ${this.maxAbs}`)
+    return bcu.toZn(value, this.n)
+  }
+
+  /**
+     * Decodes an element of Z_n into a signed integer
+     *
+     * @param {bigint} encoding - an element of [0, n)
+     *
+     * @returns {bigint} - the decoded integer in [-maxAbs, maxAbs]
+     *
+     * @throws {RangeError} - if encoding is in the overflow gap (maxAbs, n - maxAbs) or outside [0, n)
+     */
+  decode (encoding) {
+    if (encoding < 0n || encoding >= this.n) throw new RangeError('The encoding MUST be in [0, n)')
+    if (encoding <= this.maxAbs) return encoding
+    if (encoding >= this.n - this.maxAbs) return encoding - this.n
+    throw new RangeError('Overflow detected: the decoded value exceeds the maximum absolute value')
+  }
+}
+
+/**
+ * @typedef {Object} ValidationCheck
+ * @property {string} name - the name of the check, e.g. 'modulusSize'
+ * @property {boolean} passed - whether the check passed
+ * @property {string} message - what was checked if passed, or why it failed otherwise
+ */
+
+/**
+ * @typedef {Object} ValidationReport
+ * @property {boolean} valid - true if every check passed
+ * @property {ValidationCheck[]} checks - the list of performed checks
+ */
+
+/**
+ * Validates a pair of public and private keys. On top of the checks of {@link PublicKey#validate} and
+ * {@link PrivateKey#validate}, it checks that the private key belongs to the public key and that a test
+ * encryption with the public key decrypts correctly with the private key.
+ *
+ * @param {PublicKey} publicKey
+ * @param {PrivateKey} privateKey
+ * @param {Object} [options]
+ * @param {number} [options.minBitLength = 2048] - the minimum bit length of the modulus n
+ *
+ * @returns {Promise<ValidationReport>} - a report of every performed check
+ */
+async function validateKeyPair (publicKey, privateKey, options = {}) {
+  const checks = await publicKeyChecks(publicKey, options)
+  checks.push(await runCheck('keyPair', 'the private key belongs to the public key', () => {
+    if (!publicKey.equals(privateKey.publicKey)) return 'the private key belongs to a different public key'
+  }))
+  checks.push(...await privateKeyChecks(privateKey, publicKey))
+  return report(checks)
+}
+
+/**
+ * @param {ValidationCheck[]} checks
+ *
+ * @returns {ValidationReport}
+ */
+function report (checks) {
+  return { valid: checks.every(check => check.passed), checks }
+}
+
+/**
+ * The checks of {@link PublicKey#validate}
+ *
+ * @param {PublicKey} publicKey
+ * @param {Object} [options]
+ * @param {number} [options.minBitLength = 2048] - the minimum bit length of the modulus n
+ *
+ * @returns {Promise<ValidationCheck[]>}
+ */
+async function publicKeyChecks (publicKey, { minBitLength = 2048 } = {}) {
+  const { n, g } = publicKey
+  return [
+    await runCheck('modulus', 'n is an odd integer > 1', () => {
+      if (typeof n !== 'bigint' || n < 3n || n % 2n === 0n) return 'n MUST be an odd integer > 1'
+    }),
+    await runCheck('modulusSize', `n is at least ${minBitLength} bits long`, () => {
+      if (bcu.bitLength(n) < minBitLength) return `n is ${bcu.bitLength(n)} bits long, but at least ${minBitLength} bits are required`
+    }),
+    await runCheck('modulusComposite', 'n is neither a prime nor a perfect square', async () => {
+      if (await bcu.isProbablyPrime(n, 16, true)) return 'n is a prime'
+      if (isSquare(n)) return 'n is a perfect square'
+    }),
+    await runCheck('generator', 'g is in Z* of n^2', () => {
+      if (typeof g !== 'bigint' || g <= 0n || g >= n ** 2n || bcu.gcd(g, n) !== 1n) return 'g MUST be in Z* of n^2'
+    })
+  ]
+}
+
+/**
+ * The checks of {@link PrivateKey#validate}, excluding those of its public key
+ *
+ * @param {PrivateKey} privateKey
+ * @param {PublicKey} [publicKey = privateKey.publicKey] - the public key used for the test encryption
+ *
+ * @returns {Promise<ValidationCheck[]>}
+ */
+async function privateKeyChecks (privateKey, publicKey = privateKey.publicKey) {
+  const { lambda, mu, _p: p, _q: q } = privateKey
+  const { n, g, _n2: n2 } = privateKey.publicKey
+  const Lg = () => (bcu.modPow(g, lambda, n2) - 1n) / n
+  return [
+    await runCheck('primes', (p === null) ? 'skipped: p and q are not known' : 'p and q are distinct primes and n = p·q', async () => {
+      if (p === null) return
+      if (p * q !== n) return 'p·q != n'
+      if (p === q) return 'p = q'
+      if (!await bcu.isProbablyPrime(p, 16, true) || !await bcu.isProbablyPrime(q, 16, true)) return 'p and q MUST be primes'
+    }),
+    await runCheck('lambda', 'lambda is a multiple of the Carmichael function of n coprime with n', () => {
+      if (typeof lambda !== 'bigint' || lambda <= 0n) return 'lambda MUST be a positive integer'
+      if (bcu.gcd(lambda, n) !== 1n) return 'lambda is not coprime with n'
+      if (p !== null) {
+        if (lambda % bcu.lcm(p - 1n, q - 1n) !== 0n) return 'lambda is not a multiple of lcm(p-1, q-1)'
+      } else {
+        // every w in Z* of n^2 satisfies w^(lambda·n) = 1 mod n^2
+        let w
+        do {
+          w = bcu.randBetween(n2)
+        } while (bcu.gcd(w, n) !== 1n)
+        if (bcu.modPow(w, lambda * n, n2) !== 1n) return 'lambda is not a multiple of the Carmichael function of n'
+      }
+    }),
+    await runCheck('generatorOrder', 'the order of g in Z* of n^2 is a multiple of n', () => {
+      if (bcu.gcd(Lg(), n) !== 1n) return 'the order of g in Z* of n^2 is not a multiple of n'
+    }),
+    await runCheck('mu', 'mu is the inverse of L(g^lambda mod n^2) modulo n', () => {
+      if (typeof mu !== 'bigint' || mu <= 0n || mu >= n) return 'mu MUST be in (0, n)'
+      if (Lg() * mu % n !== 1n) return 'mu does not match lambda and g'
+    }),
+    await runCheck('roundtrip', 'a test encryption decrypts to the encrypted plaintext', () => {
+      const m = bcu.randBetween(publicKey.n - 1n, 0n)
+      if (privateKey.decrypt(publicKey.encrypt(m)) !== m) return 'decryption of a test encryption failed'
+    })
+  ]
+}
+
+// fn returns (or resolves to) a failure message or undefined if the check passed
+async function runCheck (name, description, fn) {
+  let failure
+  try {
+    failure = await fn()
+  } catch (error) {
+    failure = error.message
+  }
+  return (failure === undefined)
+    ? { name, passed: true, message: description }
+    : { name, passed: false, message: failure }
+}
+
+function isSquare (a) {
+  if (a < 2n) return true
+  let x = 1n << BigInt(Math.ceil(bcu.bitLength(a) / 2))
+  let y = (x + a / x) >> 1n
+  while (y < x) {
+    x = y
+    y = (x + a / x) >> 1n
+  }
+  return x * x === a
+}
+
+/**
+ * A source of random bytes. The default one is the cryptographically secure generator of the platform. An
+ * {@link HmacDrbg} can be used instead to get reproducible results in tests.
+ *
+ * @typedef {Object} RandomSource
+ * @property {function(number): Uint8Array} randomBytes - returns the requested number of random bytes
+ */
+
+/**
+ * The cryptographically secure random source of the platform
+ *
+ * @type {RandomSource}
+ */
+const defaultRandomSource = { randomBytes: byteLength => bcu.randBytesSync(byteLength) }
+
+/**
+ * Checks that source implements the {@link RandomSource} interface
+ *
+ * @param {RandomSource} source
+ *
+ * @throws {TypeError} - if source has no randomBytes() method
+ */
+function checkRandomSource (source) {
+  if (source === null || typeof source !== 'object' || typeof source.randomBytes !== 'function') {
+    throw new TypeError('randomSource MUST be an object with a randomBytes(byteLength) method')
+  }
+}
+
+/**
+ * Returns a random integer of at most bitLength bits
+ *
+ * @param {number} bitLength
+ * @param {RandomSource} [source = defaultRandomSource]
+ *
+ * @returns {bigint} - a random integer in [0, 2^bitLength)
+ */
+function randBits (bitLength, source = null) {
+  const buf = (source || defaultRandomSource).randomBytes(Math.ceil(bitLength / 8))
+  const r = bufToBigint(buf)
+  return r & ((1n << BigInt(bitLength)) - 1n)
+}
+
+/**
+ * Returns a random integer in [min, max]. If no source is provided, bigint-crypto-utils' randBetween() is used.
+ *
+ * @param {bigint} max
+ * @param {bigint} [min = 1n]
+ * @param {RandomSource} [source]
+ *
+ * @returns {bigint} - a random integer in [min, max]
+ *
+ * @throws {RangeError} - if max < min
+ */
+function randBetween (max, min = 1n, source = null) {
+  if (source === null) return bcu.randBetween(max, min)
+  const interval = max - min
+  if (interval < 0n) throw new RangeError('max MUST be greater than or equal to min')
+  const bitLength = bcu.bitLength(interval)
+  let r
+  do {
+    r = randBits(bitLength, source)
+  } while (r > interval)
+  return r + min
+}
+
+let strict = false
+
+/**
+ * Enables or disables strict validation. In strict mode, key constructors check the sanity of the key parameters,
+ * encryption checks that plaintexts are in [0, n) and random factors in Z*_n, and decryption and homomorphic
+ * operations check that ciphertexts are in Z*_{n^2}. Validation is lenient by default, which is the behaviour of
+ * previous versions: inputs are not checked and plaintexts are silently reduced modulo n.
+ *
+ * Deserialization (fromJSON, fromDER, fromPEM) is always strict.
+ *
+ * The setting is process-wide: it changes validation for every user of this module in the same process (including
+ * other libraries sharing it). To enable or disable strict validation only for your own keys, set the
+ * `strictValidation` property of a {@link PublicKey} (or {@link DamgardJurikPublicKey}) instead, which takes
+ * precedence over this setting. Key constructors can only follow the process-wide setting, since the key does not
+ * exist yet when its parameters are checked; a private key follows the setting of its public key.
+ *
+ * @param {boolean} [enabled = true]
+ */
+function setStrictValidation (enabled = true) {
+  strict = Boolean(enabled)
+}
+
+/**
+ * Whether strict validation is enabled (see {@link setStrictValidation})
+ *
+ * @param {PublicKey | DamgardJurikPublicKey} [publicKey] - if its `strictValidation` property is a boolean, it is
+ * returned instead of the process-wide setting
+ *
+ * @returns {boolean}
+ */
+function isStrictValidation (publicKey = null) {
+  if (publicKey !== null && publicKey !== undefined && typeof publicKey.strictValidation === 'boolean') return publicKey.strictValidation
+  return strict
+}
+
+/**
+ * @param {bigint | number} m
+ * @param {PublicKey} publicKey
+ *
+ * @throws {InvalidPlaintextError} - if m is not an integer in [0, n)
+ */
+function checkPlaintext (m, publicKey) {
+  if (!isInteger(m) || BigInt(m) < 0n || BigInt(m) >= publicKey.n) throw new InvalidPlaintextError()
+}
+
+/**
+ * @param {bigint} c
+ * @param {PublicKey} publicKey
+ *
+ * @throws {InvalidCiphertextError} - if c is not in Z*_{n^2}
+ */
+function checkCiphertext (c, publicKey) {
+  if (typeof c !== 'bigint' || c <= 0n || c >= publicKey._n2 || bcu.gcd(c, publicKey.n) !== 1n) throw new InvalidCiphertextError()
+}
+
+/**
+ * @param {bigint} r
+ * @param {PublicKey} publicKey
+ *
+ * @throws {InvalidRandomnessError} - if r is not in Z*_n
+ */
+function checkRandomFactor (r, publicKey) {
+  if (typeof r !== 'bigint' || r <= 0n || r >= publicKey.n || bcu.gcd(r, publicKey.n) !== 1n) throw new InvalidRandomnessError()
+}
+
+/**
+ * @param {bigint} obfuscator
+ * @param {PublicKey} publicKey
+ *
+ * @throws {InvalidRandomnessError} - if obfuscator is not in Z*_{n^2}
+ */
+function checkObfuscator (obfuscator, publicKey) {
+  if (typeof obfuscator !== 'bigint' || obfuscator <= 0n || obfuscator >= publicKey._n2 || bcu.gcd(obfuscator, publicKey.n) !== 1n) {
+    throw new InvalidRandomnessError('The obfuscator MUST be in Z* of n^2')
+  }
+}
+
+/**
+ * @param {bigint} n
+ * @param {bigint} g
+ *
+ * @throws {InvalidKeyError} - if n is not an odd integer > 1 or g is not in Z*_{n^2}
+ */
+function checkPublicKeyParams (n, g) {
+  if (typeof n !== 'bigint' || n < 3n || n % 2n === 0n) throw new InvalidKeyError('Invalid public key: n MUST be an odd integer > 1')
+  if (typeof g !== 'bigint' || g <= 0n || g >= n ** 2n || bcu.gcd(g, n) !== 1n) throw new InvalidKeyError('Invalid public key: g MUST be in Z* of n^2')
+}
+
+function isInteger (a) {
+  return typeof a === 'bigint' || Number.isSafeInteger(a)
+}
+
+const PEM_LABEL = 'PAILLIER PUBLIC KEY'
+
+/**
+ * Class for a Paillier public key
+ */
+class PublicKey {
+  /**
+     * Creates an instance of class PublicKey
+     * @param {bigint} n - the public modulo
+     * @param {bigint} g - the public generator
+     *
+     * @throws {InvalidKeyError} - in strict mode (see {@link setStrictValidation}), if n is not an odd integer > 1 or g is not in Z* of n^2
+     */
+  constructor (n, g) {
+    if (isStrictValidation()) checkPublicKeyParams(n, g)
+    this.n = n
+    this._n2 = this.n ** 2n // cache n^2
+    this.g = g
+    this._gTable = null
+    this.obfuscatorPool = null
+    /**
+     * Strict validation for this key and its private key: true or false overrides the process-wide
+     * {@link setStrictValidation}, null (default) follows it
+     * @type {boolean | null}
+     */
+    this.strictValidation = null
+  }
+
+  /**
+     * Get the bit length of the public modulo
+     * @returns {number} - bit length of the public modulo
+     */
+  get bitLength () {
+    return bcu.bitLength(this.n)
+  }
+
+  /**
+     * Get the maximum absolute value of the signed integers that are encoded by default, floor(n/3) - 1. Encodings in
+     * the gap between maxInt and n - maxInt are used to detect overflows.
+     * @returns {bigint} - the default maximum absolute value of encoded signed integers
+     */
+  get maxInt () {
+    return this.n / 3n - 1n
+  }
+
+  /**
+     * Checks whether other is the same public key, i.e. it has the same n and g
+     *
+     * @param {PublicKey} other
+     *
+     * @returns {boolean}
+     */
+  equals (other) {
+    return other instanceof PublicKey && other.n === this.n && other.g === this.g
+  }
+
+  /**
+     * Validates this public key: n MUST be an odd composite integer that is not a perfect square and at least
+     * minBitLength bits long, and g MUST be in Z* of n^2. Checking that the order of g is a multiple of n requires
+     * the private key (see {@link PrivateKey#validate}).
+     *
+     * @param {Object} [options]
+     * @param {number} [options.minBitLength = 2048] - the minimum bit length of n
+     *
+     * @returns {Promise<ValidationReport>} - a report of every performed check
+     */
+  async validate (options = {}) {
+    return report(await publicKeyChecks(this, options))
+  }
+
+  /**
+     * Paillier public-key encryption
+     *
+     * @param {bigint} m - a bigint representation of a cleartext message
+     * @param {bigint} [r] - the random integer factor for encryption. By default is a random in (1,n)
+     * @param {RandomSource} [randomSource] - FOR TESTING ONLY. If provided and r is not, r is chosen with randomness from this source (e.g. a seeded {@link HmacDrbg}) instead of taking an obfuscator from the pool, so that ciphertexts are reproducible
+     *
+     * @returns {bigint} - the encryption of m with this public key
+     *
+     * @throws {InvalidPlaintextError} - in strict mode (see {@link setStrictValidation}), if m is not in [0, n)
+     * @throws {InvalidRandomnessError} - in strict mode, if r is not in Z* of n
+     * @throws {ObfuscatorPoolExhaustedError} - if r is not provided and the {@link ObfuscatorPool} in use is empty and its onExhausted policy is 'throw'
+     */
+  encrypt (m, r = null, randomSource = null) {
+    if (isStrictValidation(this)) {
+      checkPlaintext(m, this)
+      if (r !== null) checkRandomFactor(r, this)
+    }
+    let obfuscator
+    if (r !== null) obfuscator = bcu.modPow(r, this.n, this._n2)
+    else if (randomSource !== null) obfuscator = this._randomObfuscator(randomSource)
+    else obfuscator = this._nextObfuscator()
+    return (this._gPow(m) * obfuscator) % this._n2
+  }
+
+  /**
+     * Encrypts a signed integer encoded with a {@link SignedIntegerEncoder}
+     *
+     * @param {bigint | number} value - a signed integer
+     * @param {SignedIntegerEncoder} [encoder] - the encoder to use. By default, one with maxAbs = {@link PublicKey#maxInt}
+     *
+     * @returns {bigint} - the encryption of the encoding of value with this public key
+     *
+     * @throws {RangeError} - if value cannot be encoded, i.e. |value| > maxAbs
+     * @throws {KeyMismatchError} - if the encoder was created for a different public key
+     */
+  encryptSigned (value, encoder = null) {
+    encoder = encoder || new SignedIntegerEncoder(this)
+    if (encoder.n !== this.n) throw new KeyMismatchError('The encoder was created for a different public key')
+    return this.encrypt(encoder.encode(value))
+  }
+
+  /**
+     * Paillier public-key encryption with a precomputed obfuscator, e.g. one acquired from an {@link ObfuscatorPool}.
+     * It requires just one modular multiplication (plus g^m, which is cheap if g = n+1 or if g has been precomputed).
+     * Never use the same obfuscator twice.
+     *
+     * @param {bigint} m - a bigint representation of a cleartext message
+     * @param {bigint} obfuscator - r^n mod n^2 for a random r in Z* of n
+     *
+     * @returns {bigint} - the encryption of m with this public key
+     *
+     * @throws {InvalidPlaintextError} - in strict mode (see {@link setStrictValidation}), if m is not in [0, n)
+     * @throws {InvalidRandomnessError} - in strict mode, if the obfuscator is not in Z* of n^2
+     */
+  encryptWithObfuscator (m, obfuscator) {
+    if (isStrictValidation(this)) {
+      checkPlaintext(m, this)
+      checkObfuscator(obfuscator, this)
+    }
+    return (this._gPow(m) * obfuscator) % this._n2
+  }
+
+  /**
+     * Re-randomizes a ciphertext by multiplying it by a fresh obfuscator r^n mod n^2. The result decrypts to the same
+     * plaintext but it is unlinkable to the input ciphertext, e.g. the output of {@link PublicKey#addition} or
+     * {@link PublicKey#multiply} can no longer be linked to its operands.
+     *
+     * @param {bigint} c - a ciphertext encrypted with this public key
+     * @param {bigint} [r] - the random integer factor in Z* of n. By default the obfuscator is taken from this key's {@link ObfuscatorPool} if in use, or a random r is chosen
+     *
+     * @returns {bigint} - a new encryption of the same plaintext
+     *
+     * @throws {InvalidCiphertextError} - in strict mode (see {@link setStrictValidation}), if c is not in Z* of n^2
+     * @throws {InvalidRandomnessError} - in strict mode, if r is not in Z* of n
+     */
+  rerandomize (c, r = null) {
+    if (isStrictValidation(this)) {
+      checkCiphertext(c, this)
+      if (r !== null) checkRandomFactor(r, this)
+    }
+    const obfuscator = (r === null) ? this._nextObfuscator() : bcu.modPow(r, this.n, this._n2)
+    return (c * obfuscator) % this._n2
+  }
+
+  /**
+     * Re-randomizes a ciphertext with a precomputed obfuscator, e.g. one acquired from an {@link ObfuscatorPool}.
+     * Never use the same obfuscator twice.
+     *
+     * @param {bigint} c - a ciphertext encrypted with this public key
+     * @param {bigint} obfuscator - r^n mod n^2 for a random r in Z* of n
+     *
+     * @returns {bigint} - a new encryption of the same plaintext
+     *
+     * @throws {InvalidCiphertextError} - in strict mode (see {@link setStrictValidation}), if c is not in Z* of n^2
+     * @throws {InvalidRandomnessError} - in strict mode, if the obfuscator is not in Z* of n^2
+     */
+  rerandomizeWithObfuscator (c, obfuscator) {
+    if (isStrictValidation(this)) {
+      checkCiphertext(c, this)
+      checkObfuscator(obfuscator, this)
+    }
+    return (c * obfuscator) % this._n2
+  }
+
+  /**
+     * Enables precomputation to speed up bulk encryption:
+     *  - if g != n+1, a fixed-base window table for g is built, so that g^m mod n^2 requires only multiplications
+     *    (if g = n+1, g^m = 1 + m·n mod n^2 is always used instead);
+     *  - obfuscators r^n mod n^2 are added to this key's {@link ObfuscatorPool} (a pool that computes obfuscators on the
+     *    fly when exhausted is created if none is in use). Every call to encrypt() without an explicit r consumes (and
+     *    removes) one of them.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.window = 4] - the window size in bits of the fixed-base table for g, in [1, 16]. The table grows as 2^window
+     * @param {number} [options.obfuscators = 0] - the number of obfuscators to add to the pool
+     *
+     * @returns {PublicKey} - this public key
+     *
+     * @throws {RangeError} - if window is not an integer in [1, 16]
+     */
+  precompute ({ window = 4, obfuscators = 0 } = {}) {
+    checkWindow(window)
+    if (this.g !== this.n + 1n && (this._gTable === null || this._gTable.window !== window)) {
+      this._gTable = new FixedBaseTable(this.g, this._n2, this.bitLength, window)
+    }
+    if (obfuscators > 0) this._pool().fillSync(obfuscators)
+    return this
+  }
+
+  /**
+     * Fills this key's {@link ObfuscatorPool} in the background (see {@link ObfuscatorPool#fill}). A pool that computes
+     * obfuscators on the fly when exhausted is created if none is in use.
+     *
+     * @param {number} count - the number of obfuscators to add to the pool
+     *
+     * @returns {Promise<number>} - a promise that resolves to the number of obfuscators in the pool once all of them have been computed
+     */
+  async precomputeObfuscators (count) {
+    return this._pool().fill(count)
+  }
+
+  /**
+     * Get the number of precomputed obfuscators still available in the pool
+     * @returns {number} - the number of precomputed obfuscators
+     */
+  get precomputedObfuscators () {
+    return (this.obfuscatorPool !== null) ? this.obfuscatorPool.available : 0
+  }
+
+  /**
+     * Sets the {@link ObfuscatorPool} that encrypt() consumes when no random factor is provided. Since encrypt() is
+     * synchronous, it cannot wait for new obfuscators, so pools with onExhausted = 'block' cannot be used. Use
+     * {@link ObfuscatorPool#acquire} with {@link PublicKey#encryptWithObfuscator} instead.
+     *
+     * @param {ObfuscatorPool | null} pool - a pool created for a public key with the same modulo n (obfuscators r^n mod n^2 do not depend on g), or null to stop using a pool
+     *
+     * @returns {PublicKey} - this public key
+     *
+     * @throws {KeyMismatchError} - if the pool was created for a public key with a different modulo
+     * @throws {RangeError} - if the onExhausted policy of the pool is 'block'
+     */
+  useObfuscatorPool (pool) {
+    if (pool !== null && pool.publicKey.n !== this.n) throw new KeyMismatchError('The obfuscator pool was created for a public key with a different modulo')
+    if (pool !== null && pool.onExhausted === 'block') throw new RangeError("A pool with onExhausted = 'block' cannot be used by encrypt(). Use acquire() and encryptWithObfuscator() instead")
+    this.obfuscatorPool = pool
+    return this
+  }
+
+  _gPow (m) {
+    m = bcu.toZn(m, this.n)
+    if (this.g === this.n + 1n) return (1n + m * this.n) % this._n2
+    if (this._gTable !== null) return this._gTable.pow(m)
+    return bcu.modPow(this.g, m, this._n2)
+  }
+
+  _checkCiphertexts (...ciphertexts) {
+    if (isStrictValidation(this)) ciphertexts.forEach(c => checkCiphertext(c, this))
+  }
+
+  _randomObfuscator (randomSource = null) {
+    let r
+    do {
+      r = randBetween(this.n, 1n, randomSource)
+    } while (bcu.gcd(r, this.n) !== 1n)
+    return bcu.modPow(r, this.n, this._n2)
+  }
+
+  _nextObfuscator () {
+    return (this.obfuscatorPool !== null) ? this.obfuscatorPool.take() : this._randomObfuscator()
+  }
+
+  _pool () {
+    if (this.obfuscatorPool === null) this.obfuscatorPool = new ObfuscatorPool(this)
+    return this.obfuscatorPool
+  }
+
+  encryptOtherNA (m, r, n2) {
+    return (bcu.modPow(this.g, m, this._n2) * bcu.modPow(r, this.n, this._n2)) % n2
+  }
+
+  encryptOtherNB (m, r, n2) {
+    return (bcu.modPow(this.g, m, n2) * bcu.modPow(r, this.n, this._n2)) % this._n2
+  }
+
+  encryptOtherNC (m, r, n2) {
+    return (bcu.modPow(this.g, m, this._n2) * bcu.modPow(r, this.n, n2)) % this._n2
+  }
+
+  encryptOtherNF (m, r, n2) {
+    return (bcu.modPow(this.g, m, this._n2) * bcu.modPow(r, this.n, n2)) % n2
+  }
+
+  encryptOtherND (m, r, n2) {
+    return (bcu.modPow(this.g, m, n2) * bcu.modPow(r, this.n, n2)) % this._n2
+  }
+
+  encryptOtherNE (m, r, n2) {
+    return (bcu.modPow(this.g, m, n2) * bcu.modPow(r, this.n, n2)) % this._n2
+  }
+
+  /**
+     * Exports this public key as a JWK-like object with base64url-encoded bigints.
+     * It is automatically used by JSON.stringify()
+     *
+     * @returns {{kty: string, version: number, n: string, g: string}} - the JSON representation of this public key
+     */
+  toJSON () {
+    return {
+      kty: KTY,
+      version: JWK_VERSION,
+      n: writeBigint(this.n),
+      g: writeBigint(this.g)
+    }
+  }
+
+  /**
+     * Imports a public key from its JSON representation
+     *
+     * @param {string | Object} json - a JSON string or an object as returned by {@link PublicKey#toJSON}
+     *
+     * @returns {PublicKey} - the imported public key
+     *
+     * @throws {TypeError} - if json is malformed
+     * @throws {RangeError} - if the version is not supported
+     * @throws {InvalidKeyError} - if the key parameters are not valid
+     */
+  static fromJSON (json) {
+    const jwk = parseJwk(json)
+    return checkedPublicKey(readBigint(jwk, 'n'), readBigint(jwk, 'g'))
+  }
+
+  /**
+     * Exports this public key as DER with the following ASN.1 structure:
+     * ```
+     * PaillierPublicKey ::= SEQUENCE {
+     *   n INTEGER,
+     *   g INTEGER
+     * }
+     * ```
+     *
+     * @returns {Uint8Array} - the DER encoding of this public key
+     */
+  toDER () {
+    return encodeSequence(encodeInteger(this.n), encodeInteger(this.g))
+  }
+
+  /**
+     * Exports this public key as a PEM 'PAILLIER PUBLIC KEY' block
+     *
+     * @returns {string} - the PEM encoding of this public key
+     */
+  toPEM () {
+    return toPem(this.toDER(), PEM_LABEL)
+  }
+
+  /**
+     * Imports a public key from its DER encoding
+     *
+     * @param {Uint8Array} der - a DER-encoded PaillierPublicKey as returned by {@link PublicKey#toDER}
+     *
+     * @returns {PublicKey} - the imported public key
+     *
+     * @throws {TypeError} - if der is malformed
+     * @throws {InvalidKeyError} - if the key parameters are not valid
+     */
+  static fromDER (der) {
+    const elements = decodeSequence(decode$1(der))
+    if (elements.length !== 2) throw new TypeError('Invalid DER: PaillierPublicKey MUST have 2 elements')
+    return checkedPublicKey(decodeInteger(elements[0]), decodeInteger(elements[1]))
+  }
+
+  /**
+     * Imports a public key from a PEM 'PAILLIER PUBLIC KEY' block
+     *
+     * @param {string} pem
+     *
+     * @returns {PublicKey} - the imported public key
+     *
+     * @throws {TypeError} - if pem is malformed
+     * @throws {InvalidKeyError} - if the key parameters are not valid
+     */
+  static fromPEM (pem) {
+    return PublicKey.fromDER(fromPem(pem, PEM_LABEL))
+  }
+
+  /**
+     * Homomorphic addition
+     *
+     * @param {...bigint} ciphertexts - n >= 2 ciphertexts (c_1,..., c_n) that are the encryption of (m_1, ..., m_n) with this public key
+     *
+     * @returns {bigint} - the encryption of (m_1 + ... + m_2) with this public key
+     */
+  addition (...ciphertexts) {
+    this._checkCiphertexts(...ciphertexts)
+    return ciphertexts.reduce((sum, next) => sum * next % (this._n2), 1n)
+  }
+
+  /**
+     * Homomorphic subtraction
+     *
+     * @param {bigint} c1 - the encryption of m1 with this public key
+     * @param {bigint} c2 - the encryption of m2 with this public key
+     *
+     * @returns {bigint} - the encryption of (m1 - m2) mod n with this public key
+     */
+  subtract (c1, c2) {
+    this._checkCiphertexts(c1, c2)
+    return (c1 * bcu.modInv(c2, this._n2)) % this._n2
+  }
+
+  /**
+     * Homomorphic negation
+     *
+     * @param {bigint} c - the encryption of m with this public key
+     *
+     * @returns {bigint} - the encryption of -m mod n with this public key
+     */
+  negate (c) {
+    this._checkCiphertexts(c)
+    return bcu.modInv(c, this._n2)
+  }
+
+  /**
+     * Homomorphic addition of a plaintext to a ciphertext. Notice that the randomness of the output is the same of the
+     * input ciphertext. Use {@link PublicKey#rerandomize} if the output must be unlinkable to the input.
+     *
+     * @param {bigint} c - the encryption of m1 with this public key
+     * @param {bigint | number} m - a plaintext m2
+     *
+     * @returns {bigint} - the encryption of (m1 + m2) mod n with this public key
+     */
+  addPlaintext (c, m) {
+    this._checkCiphertexts(c)
+    return (c * this._gPow(BigInt(m))) % this._n2
+  }
+
+  /**
+     * Homomorphic subtraction of a plaintext from a ciphertext. Notice that the randomness of the output is the same of
+     * the input ciphertext. Use {@link PublicKey#rerandomize} if the output must be unlinkable to the input.
+     *
+     * @param {bigint} c - the encryption of m1 with this public key
+     * @param {bigint | number} m - a plaintext m2
+     *
+     * @returns {bigint} - the encryption of (m1 - m2) mod n with this public key
+     */
+  subtractPlaintext (c, m) {
+    this._checkCiphertexts(c)
+    return (c * this._gPow(-BigInt(m))) % this._n2
+  }
+
+  /**
+     * Pseudo-homomorphic Paillier multiplication
+     *
+     * @param {bigint} c - a number m encrypted with this public key
+     * @param {bigint | number} k - either a bigint or a number. If negative, the inverse of c is raised to -k
+     *
+     * @returns {bigint} - the encryption of k·m mod n with this public key
+     */
+  multiply (c, k) {
+    c = BigInt(c)
+    k = BigInt(k)
+    this._checkCiphertexts(c)
+    if (k < 0n) return bcu.modPow(this.negate(c), -k, this._n2)
+    return bcu.modPow(c, k, this._n2)
+  }
+}
+
+function checkedPublicKey (n, g) {
+  checkPublicKeyParams(n, g)
+  return new PublicKey(n, g)
+}
+
+/*
+ * Pure JavaScript SHA-256 (FIPS 180-4) and HMAC-SHA-256 (RFC 2104). They are synchronous and work the same in
+ * Node.js and browsers, which is required for deterministic random generation and Fiat-Shamir challenges.
+ */
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+])
+
+const BLOCK_LENGTH = 64
+
+/**
+ * SHA-256 hash
+ *
+ * @param {Uint8Array} data
+ *
+ * @returns {Uint8Array} - the 32-byte digest of data
+ */
+function sha256 (data) {
+  const bitLength = data.length * 8
+  const paddedLength = Math.ceil((data.length + 9) / BLOCK_LENGTH) * BLOCK_LENGTH
+  const padded = new Uint8Array(paddedLength)
+  padded.set(data)
+  padded[data.length] = 0x80
+  const view = new DataView(padded.buffer)
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000))
+  view.setUint32(paddedLength - 4, bitLength >>> 0)
+
+  const H = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19])
+  const W = new Uint32Array(64)
+  for (let offset = 0; offset < paddedLength; offset += BLOCK_LENGTH) {
+    for (let t = 0; t < 16; t++) W[t] = view.getUint32(offset + 4 * t)
+    for (let t = 16; t < 64; t++) {
+      const s0 = rotr(W[t - 15], 7) ^ rotr(W[t - 15], 18) ^ (W[t - 15] >>> 3)
+      const s1 = rotr(W[t - 2], 17) ^ rotr(W[t - 2], 19) ^ (W[t - 2] >>> 10)
+      W[t] = W[t - 16] + s0 + W[t - 7] + s1
+    }
+    let [a, b, c, d, e, f, g, h] = H
+    for (let t = 0; t < 64; t++) {
+      const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[t] + W[t]
+      const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))
+      h = g
+      g = f
+      f = e
+      e = (d + t1) >>> 0
+      d = c
+      c = b
+      b = a
+      a = (t1 + t2) >>> 0
+    }
+    H[0] += a
+    H[1] += b
+    H[2] += c
+    H[3] += d
+    H[4] += e
+    H[5] += f
+    H[6] += g
+    H[7] += h
+  }
+  const digest = new Uint8Array(32)
+  const digestView = new DataView(digest.buffer)
+  H.forEach((word, i) => digestView.setUint32(4 * i, word))
+  return digest
+}
+
+/**
+ * HMAC-SHA-256
+ *
+ * @param {Uint8Array} key
+ * @param {Uint8Array} data
+ *
+ * @returns {Uint8Array} - the 32-byte MAC of data
+ */
+function hmacSha256 (key, data) {
+  if (key.length > BLOCK_LENGTH) key = sha256(key)
+  const inner = new Uint8Array(BLOCK_LENGTH + data.length)
+  const outer = new Uint8Array(BLOCK_LENGTH + 32)
+  for (let i = 0; i < BLOCK_LENGTH; i++) {
+    inner[i] = (key[i] || 0) ^ 0x36
+    outer[i] = (key[i] || 0) ^ 0x5c
+  }
+  inner.set(data, BLOCK_LENGTH)
+  outer.set(sha256(inner), BLOCK_LENGTH)
+  return sha256(outer)
+}
+
+function rotr (x, n) {
+  return (x >>> n) | (x << (32 - n))
+}
+
+/**
+ * Computes a non-interactive (Fiat-Shamir) challenge as the SHA-256 hash of a domain separation label and a list of
+ * non-negative integers. Every item is length-prefixed so that the encoding is unambiguous.
+ *
+ * @param {string} label - a label that identifies the proof system
+ * @param {...bigint} values - the public inputs and the commitments of the proof
+ *
+ * @returns {bigint} - a 256-bit challenge
+ */
+function challenge (label, ...values) {
+  const items = [utf8ToBuf(label), ...values.map(value => bigintToBuf(value))]
+  const buf = new Uint8Array(items.reduce((len, item) => len + 4 + item.length, 0))
+  const view = new DataView(buf.buffer)
+  let offset = 0
+  for (const item of items) {
+    view.setUint32(offset, item.length)
+    buf.set(item, offset + 4)
+    offset += 4 + item.length
+  }
+  return bufToBigint(sha256(buf))
+}
+
+/**
+ * Exports a proof as a JSON object with a type and its base64url-encoded bigint members (or arrays of them)
+ *
+ * @param {string} type - the type of the proof
+ * @param {Object} proof
+ *
+ * @returns {Object}
+ */
+function proofToJSON (type, proof) {
+  const json = { type }
+  for (const [name, value] of Object.entries(proof)) {
+    json[name] = Array.isArray(value) ? value.map(bigintToBase64url) : bigintToBase64url(value)
+  }
+  return json
+}
+
+/**
+ * Imports a proof exported with {@link proofToJSON}
+ *
+ * @param {string} type - the expected type of the proof
+ * @param {string | Object} json - a JSON string or an object
+ * @param {string[]} scalars - the names of the bigint members
+ * @param {string[]} [arrays = []] - the names of the members that are arrays of bigints
+ *
+ * @returns {Object} - the proof
+ *
+ * @throws {TypeError} - if json is not a valid proof of the given type
+ */
+function proofFromJSON (type, json, scalars, arrays = []) {
+  let obj = json
+  if (typeof json === 'string') {
+    try {
+      obj = JSON.parse(json)
+    } catch (error) {
+      throw new TypeError('Invalid proof: not a valid JSON string')
+    }
+  }
+  if (obj === null || typeof obj !== 'object') throw new TypeError('Invalid proof: expected a JSON object')
+  if (obj.type !== type) throw new TypeError(`Invalid proof: type MUST be '${type}'`)
+  const proof = {}
+  for (const name of scalars) proof[name] = readBigint$1(obj[name], name)
+  for (const name of arrays) {
+    if (!Array.isArray(obj[name])) throw new TypeError(`Invalid proof: '${name}' MUST be an array`)
+    proof[name] = obj[name].map(value => readBigint$1(value, name))
+  }
+  return proof
+}
+
+function readBigint$1 (value, name) {
+  if (typeof value !== 'string' || value === '') throw new TypeError(`Invalid proof: '${name}' MUST be a base64url string`)
+  try {
+    return base64urlToBigint(value)
+  } catch (error) {
+    throw new TypeError(`Invalid proof: '${name}' is not a valid base64url string`)
+  }
+}
+
+/*
+ * Non-interactive zero-knowledge proof that a ciphertext c is an encryption of a known plaintext m under a Paillier
+ * public key, i.e. that the prover knows r such that c = g^m · r^n mod n^2, without revealing r. It is the Σ-protocol
+ * for the knowledge of an n-th root of u = c·g^(-m), made non-interactive with the Fiat-Shamir heuristic:
+ *  - commitment: a = ρ^n mod n^2 for a random ρ in Z*_n
+ *  - challenge: e = H(n, g, c, m, a)
+ *  - response: z = ρ·r^e mod n
+ * The verifier checks that z^n = a·u^e mod n^2. The proof is (e, z), since a can be recomputed from them.
+ *
+ * Soundness requires challenges smaller than the prime factors of n, so n MUST be at least 512 bits long.
+ */
+
+const LABEL = 'paillier-bigint/encryption-proof'
+const TYPE = 'EncryptionProof'
+
+/**
+ * @typedef {Object} EncryptionProof
+ * @property {bigint} e - the challenge
+ * @property {bigint} z - the response
+ */
+
+/**
+ * Proves that c is an encryption of m with random factor r
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext, c = g^m · r^n mod n^2
+ * @param {bigint} m - the plaintext
+ * @param {bigint} r - the random factor used to encrypt m. For keys using the simple variant, it can be recovered with {@link PrivateKey#getRandomFactor}
+ * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for the commitment
+ *
+ * @returns {EncryptionProof}
+ */
+function prove (publicKey, c, m, r, randomSource = null) {
+  const { n, _n2: n2 } = publicKey
+  let rho
+  do {
+    rho = randBetween(n - 1n, 1n, randomSource)
+  } while (bcu.gcd(rho, n) !== 1n)
+  const a = bcu.modPow(rho, n, n2)
+  const e = challenge(LABEL, n, publicKey.g, c, bcu.toZn(m, n), a)
+  return { e, z: rho * bcu.modPow(r, e, n) % n }
+}
+
+/**
+ * Verifies a proof that c is an encryption of m
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext
+ * @param {bigint} m - the plaintext
+ * @param {EncryptionProof} proof
+ *
+ * @returns {boolean} - true if the proof is valid
+ */
+function verify (publicKey, c, m, proof) {
+  const { n, _n2: n2 } = publicKey
+  if (!isInteger(m) || typeof proof !== 'object' || proof === null) return false
+  const { e, z } = proof
+  if (typeof c !== 'bigint' || c <= 0n || c >= n2 || bcu.gcd(c, n) !== 1n) return false
+  if (typeof e !== 'bigint' || typeof z !== 'bigint' || e < 0n || z <= 0n || z >= n || bcu.gcd(z, n) !== 1n) return false
+  const mn = bcu.toZn(BigInt(m), n)
+  const u = c * bcu.modInv(publicKey._gPow(mn), n2) % n2
+  const a = bcu.modPow(z, n, n2) * bcu.modPow(u, -e, n2) % n2
+  return e === challenge(LABEL, n, publicKey.g, c, mn, a)
+}
+
+/**
+ * Exports a proof as a JSON object with base64url-encoded bigints
+ *
+ * @param {EncryptionProof} proof
+ *
+ * @returns {{type: string, e: string, z: string}}
+ */
+function toJSON (proof) {
+  return proofToJSON(TYPE, { e: proof.e, z: proof.z })
+}
+
+/**
+ * Imports a proof exported with {@link toJSON}
+ *
+ * @param {string | Object} json
+ *
+ * @returns {EncryptionProof}
+ *
+ * @throws {TypeError} - if json is not a valid encryption proof
+ */
+function fromJSON (json) {
+  return proofFromJSON(TYPE, json, ['e', 'z'])
+}
+
+var encryption = /* #__PURE__ */Object.freeze({
+  __proto__: null,
+  prove: prove,
+  verify: verify,
+  toJSON: toJSON,
+  fromJSON: fromJSON
+})
+
+/*
+ * Proof of correct decryption. m is the decryption of c if and only if c is an encryption of m, so the key holder
+ * proves it with the proof of encryption of a known value (see ./encryption.js), using the random factor of c that it
+ * recovers with the private key. Anyone can then verify the decryption with the public key alone.
+ */
+
+/**
+ * Decrypts c and proves that the decryption is correct (see {@link PrivateKey#decryptWithProof})
+ *
+ * @param {PrivateKey} privateKey
+ * @param {bigint} c - a ciphertext encrypted with the public key of privateKey
+ * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for the proof
+ *
+ * @returns {{plaintext: bigint, proof: EncryptionProof}}
+ *
+ * @throws {InvalidCiphertextError} - if c is not in Z* of n^2
+ */
+function proveDecryption (privateKey, c, randomSource = null) {
+  const { publicKey, lambda } = privateKey
+  const { n, g, _n2: n2 } = publicKey
+  checkCiphertext(c, publicKey)
+  const plaintext = privateKey.decrypt(c)
+  let r
+  if (g === n + 1n && privateKey._p !== null) {
+    r = privateKey.getRandomFactor(c)
+  } else {
+    // c·g^(-m) = r^n mod n^2 and the order of every element of Z*_n divides lambda, so r = (r^n)^(n^-1 mod lambda) mod n
+    r = bcu.modPow(c * bcu.modInv(publicKey._gPow(plaintext), n2) % n2, bcu.modInv(n, lambda), n)
+  }
+  return { plaintext, proof: prove(publicKey, c, plaintext, r, randomSource) }
+}
+
+/**
+ * Verifies that m is the decryption of c
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext
+ * @param {bigint} m - the claimed plaintext
+ * @param {EncryptionProof} proof - a proof returned by {@link PrivateKey#decryptWithProof}
+ *
+ * @returns {boolean} - true if the proof is valid, i.e. m is the decryption of c
+ */
+function verifyDecryption (publicKey, c, m, proof) {
+  return verify(publicKey, c, m, proof)
+}
+
+const PEM_LABEL$1 = 'PAILLIER PRIVATE KEY'
+const DER_VERSION = 0n
+
+/**
+ * The JWK-like JSON representation of a private key, with base64url-encoded bigints
+ *
+ * @typedef {Object} PrivateKeyJSON
+ * @property {string} kty - the key type, 'Paillier'
+ * @property {number} version - the version of the format
+ * @property {string} n - the public modulo
+ * @property {string} g - the public generator
+ * @property {string} lambda
+ * @property {string} mu
+ * @property {string} [p] - the first prime, if known
+ * @property {string} [q] - the second prime, if known
+ */
+
+/**
+ * Class for Paillier private keys.
+ */
+class PrivateKey {
+  /**
+     * Creates an instance of class PrivateKey
+     *
+     * @param {bigint} lambda
+     * @param {bigint} mu
+     * @param {PublicKey} publicKey
+     * @param {bigint} [p = null] - a big prime
+     * @param {bigint} [q = null] - a big prime
+     *
+     * @throws {InvalidKeyError} - in strict mode (see {@link setStrictValidation}), if the key parameters are not consistent
+     */
+  constructor (lambda, mu, publicKey, p = null, q = null) {
+    if (isStrictValidation(publicKey)) checkPrivateKeyParams(lambda, mu, publicKey, p || null, q || null)
+    this.lambda = lambda
+    this.mu = mu
+    this._p = p || null
+    this._q = q || null
+    this.publicKey = publicKey
+    // CRT decryption is only possible if p and q are the factors of n
+    this._crt = (this._p !== null && this._q !== null && this._p * this._q === publicKey.n) ? crtParams(this._p, this._q, publicKey.g) : null
+  }
+
+  /**
+     * Get the bit length of the public modulo
+     * @returns {number} - bit length of the public modulo
+     */
+  get bitLength () {
+    return bcu.bitLength(this.publicKey.n)
+  }
+
+  /**
+     * Get the public modulo n=p·q
+     * @returns {bigint} - the public modulo n=p·q
+     */
+  get n () {
+    return this.publicKey.n
+  }
+
+  /**
+   * Paillier private-key decryption. If the primes p and q are known, decryption is performed modulo p^2 and q^2
+   * and the results combined with the Chinese Remainder Theorem, which is about 4 times faster.
+   *
+   * @param {bigint} c - a bigint encrypted with the public key
+   *
+   * @returns {bigint} - the decryption of c with this private key
+   *
+   * @throws {InvalidCiphertextError} - in strict mode (see {@link setStrictValidation}), if c is not in Z* of n^2
+   */
+  decrypt (c) {
+    if (isStrictValidation(this.publicKey)) checkCiphertext(c, this.publicKey)
+    if (this._crt !== null) {
+      const { p, q, p2, q2, hp, hq, qInvP } = this._crt
+      const mp = (L(bcu.modPow(c, p - 1n, p2), p) * hp) % p
+      const mq = (L(bcu.modPow(c, q - 1n, q2), q) * hq) % q
+      return mq + bcu.toZn((mp - mq) * qInvP, p) * q
+    }
+    return (L(bcu.modPow(c, this.lambda, this.publicKey._n2), this.publicKey.n) * this.mu) % this.publicKey.n
+  }
+
+  /**
+   * Decrypts c and proves, without revealing the private key, that the plaintext is its correct decryption. The
+   * proof can be verified by anyone with the public key alone using {@link verifyDecryption}, e.g. to publish
+   * auditable tallies. It can be exported with {@link encryptionProof}.toJSON().
+   *
+   * @param {bigint} c - a bigint encrypted with the public key
+   * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for the proof
+   *
+   * @returns {{plaintext: bigint, proof: EncryptionProof}} - the decryption of c and the proof of its correctness
+   *
+   * @throws {InvalidCiphertextError} - if c is not in Z* of n^2
+   */
+  decryptWithProof (c, randomSource = null) {
+    return proveDecryption(this, c, randomSource)
+  }
+
+  /**
+   * Decrypts a signed integer encoded with a {@link SignedIntegerEncoder}, detecting overflows
+   *
+   * @param {bigint} c - the encryption of a signed integer with the public key
+   * @param {SignedIntegerEncoder} [encoder] - the encoder used. By default, one with maxAbs = publicKey.maxInt
+   *
+   * @returns {bigint} - the decrypted signed integer
+   *
+   * @throws {RangeError} - if the decrypted value overflowed, i.e. its absolute value exceeds maxAbs
+   * @throws {KeyMismatchError} - if the encoder was created for a different public key
+   */
+  decryptSigned (c, encoder = null) {
+    encoder = encoder || new SignedIntegerEncoder(this.publicKey)
+    if (encoder.n !== this.publicKey.n) throw new KeyMismatchError('The encoder was created for a different public key')
+    return encoder.decode(this.decrypt(c))
+  }
+
+  /**
+   * Validates this private key and its public key (see {@link PublicKey#validate}). It checks that p and q, if known,
+   * are distinct primes with p·q = n, that lambda is a multiple of the Carmichael function of n, that the order of g
+   * is a multiple of n, that mu matches lambda and g and that a test encryption decrypts correctly.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.minBitLength = 2048] - the minimum bit length of n
+   *
+   * @returns {Promise<ValidationReport>} - a report of every performed check
+   */
+  async validate (options = {}) {
+    return report([...await publicKeyChecks(this.publicKey, options), ...await privateKeyChecks(this)])
+  }
+
+  /**
+   * Recover the random factor used for encrypting a message with the complementary public key.
+   * The recovery function only works if the public key generator g was using the simple variant
+   * g = 1 + n
+   *
+   * @param {bigint} c - the encryption using the public of message m with random factor r
+   *
+   * @returns {bigint} - the random factor (mod n)
+   *
+   * @throws {RangeError} - Cannot recover the random factor if publicKey.g != publicKey.n + 1. You should generate yout keys using the simple variant, e.g. generateRandomKeys(3072, true) )
+   */
+  getRandomFactor (c) {
+    if (this.publicKey.g !== this.n + 1n) throw RangeError('Cannot recover the random factor if publicKey.g != publicKey.n + 1. You should generate yout keys using the simple variant, e.g. generateRandomKeys(3072, true) )')
+    const m = this.decrypt(c)
+    const phi = (this._p - 1n) * (this._q - 1n)
+    const nInvModPhi = bcu.modInv(this.n, phi)
+    const c1 = c * (1n - m * this.n) % this.publicKey._n2
+    return bcu.modPow(c1, nInvModPhi, this.n)
+  }
+
+  /**
+   * Exports this private key as a JWK-like object with base64url-encoded bigints. The primes p and q are only
+   * included if they are known. It is automatically used by JSON.stringify()
+   *
+   * @returns {PrivateKeyJSON} - the JSON representation of this private key
+   */
+  toJSON () {
+    const jwk = {
+      kty: KTY,
+      version: JWK_VERSION,
+      n: writeBigint(this.publicKey.n),
+      g: writeBigint(this.publicKey.g),
+      lambda: writeBigint(this.lambda),
+      mu: writeBigint(this.mu)
+    }
+    if (this._p !== null && this._q !== null) {
+      jwk.p = writeBigint(this._p)
+      jwk.q = writeBigint(this._q)
+    }
+    return jwk
+  }
+
+  /**
+   * Imports a private key from its JSON representation. The key is checked for consistency, that is to say, mu
+   * MUST be the inverse of L(g^lambda mod n^2) modulo n and, if provided, p·q MUST be n.
+   *
+   * @param {string | Object} json - a JSON string or an object as returned by {@link PrivateKey#toJSON}
+   * @param {PublicKey} [publicKey] - if provided, the imported private key MUST match it and will be bound to it
+   *
+   * @returns {PrivateKey} - the imported private key
+   *
+   * @throws {TypeError} - if json is malformed
+   * @throws {RangeError} - if the version is not supported
+   * @throws {InvalidKeyError} - if the key parameters are not valid or consistent
+   * @throws {KeyMismatchError} - if the key does not match the provided public key
+   */
+  static fromJSON (json, publicKey = null) {
+    const jwk = parseJwk(json)
+    const pub = checkedPublicKey(readBigint(jwk, 'n'), readBigint(jwk, 'g'))
+    const p = readBigint(jwk, 'p', true)
+    const q = readBigint(jwk, 'q', true)
+    if ((p === null) !== (q === null)) throw new TypeError('Invalid private key: p and q MUST be both provided or both omitted')
+    return checkedPrivateKey(readBigint(jwk, 'lambda'), readBigint(jwk, 'mu'), pub, publicKey, p, q)
+  }
+
+  /**
+   * Exports this private key as DER with the following ASN.1 structure:
+   * ```
+   * PaillierPrivateKey ::= SEQUENCE {
+   *   version INTEGER (0),
+   *   n       INTEGER,
+   *   g       INTEGER,
+   *   lambda  INTEGER,
+   *   mu      INTEGER,
+   *   p       [0] IMPLICIT INTEGER OPTIONAL,
+   *   q       [1] IMPLICIT INTEGER OPTIONAL
+   * }
+   * ```
+   * p and q are only included if they are known.
+   *
+   * @returns {Uint8Array} - the DER encoding of this private key
+   */
+  toDER () {
+    const elements = [
+      encodeInteger(DER_VERSION),
+      encodeInteger(this.publicKey.n),
+      encodeInteger(this.publicKey.g),
+      encodeInteger(this.lambda),
+      encodeInteger(this.mu)
+    ]
+    if (this._p !== null && this._q !== null) {
+      elements.push(encodeInteger(this._p, TAG_CONTEXT | 0))
+      elements.push(encodeInteger(this._q, TAG_CONTEXT | 1))
+    }
+    return encodeSequence(...elements)
+  }
+
+  /**
+   * Exports this private key as a PEM 'PAILLIER PRIVATE KEY' block
+   *
+   * @returns {string} - the PEM encoding of this private key
+   */
+  toPEM () {
+    return toPem(this.toDER(), PEM_LABEL$1)
+  }
+
+  /**
+   * Imports a private key from its DER encoding. The same consistency checks of {@link PrivateKey.fromJSON} apply.
+   *
+   * @param {Uint8Array} der - a DER-encoded PaillierPrivateKey as returned by {@link PrivateKey#toDER}
+   * @param {PublicKey} [publicKey] - if provided, the imported private key MUST match it and will be bound to it
+   *
+   * @returns {PrivateKey} - the imported private key
+   *
+   * @throws {TypeError} - if der is malformed
+   * @throws {RangeError} - if the version is not supported
+   * @throws {InvalidKeyError} - if the key parameters are not valid or consistent
+   * @throws {KeyMismatchError} - if the key does not match the provided public key
+   */
+  static fromDER (der, publicKey = null) {
+    const elements = decodeSequence(decode$1(der))
+    if (elements.length !== 5 && elements.length !== 7) throw new TypeError('Invalid DER: PaillierPrivateKey MUST have 5 or 7 elements')
+    const version = decodeInteger(elements[0])
+    if (version !== DER_VERSION) throw new RangeError(`Unsupported PaillierPrivateKey version ${version}`)
+    const [n, g, lambda, mu] = elements.slice(1, 5).map(el => decodeInteger(el))
+    let p = null
+    let q = null
+    if (elements.length === 7) {
+      p = decodeInteger(elements[5], TAG_CONTEXT | 0)
+      q = decodeInteger(elements[6], TAG_CONTEXT | 1)
+    }
+    return checkedPrivateKey(lambda, mu, checkedPublicKey(n, g), publicKey, p, q)
+  }
+
+  /**
+   * Imports a private key from a PEM 'PAILLIER PRIVATE KEY' block
+   *
+   * @param {string} pem
+   * @param {PublicKey} [publicKey] - if provided, the imported private key MUST match it and will be bound to it
+   *
+   * @returns {PrivateKey} - the imported private key
+   *
+   * @throws {TypeError} - if pem is malformed
+   * @throws {InvalidKeyError} - if the key parameters are not valid or consistent
+   * @throws {KeyMismatchError} - if the key does not match the provided public key
+   */
+  static fromPEM (pem, publicKey = null) {
+    return PrivateKey.fromDER(fromPem(pem, PEM_LABEL$1), publicKey)
+  }
+}
+
+function checkedPrivateKey (lambda, mu, pub, publicKey, p, q) {
+  if (publicKey !== null) {
+    if (!publicKey.equals(pub)) throw new KeyMismatchError('Invalid private key: it does not match the provided public key')
+  } else {
+    publicKey = pub
+  }
+  checkPrivateKeyParams(lambda, mu, publicKey, p, q)
+  return new PrivateKey(lambda, mu, publicKey, p, q)
+}
+
+function checkPrivateKeyParams (lambda, mu, publicKey, p, q) {
+  if (!(publicKey instanceof PublicKey)) throw new InvalidKeyError('Invalid private key: publicKey MUST be a PublicKey')
+  const n = publicKey.n
+  if (typeof lambda !== 'bigint' || typeof mu !== 'bigint') throw new InvalidKeyError('Invalid private key: lambda and mu MUST be bigints')
+  if ((p === null) !== (q === null) || (p !== null && p * q !== n)) throw new InvalidKeyError('Invalid private key: p·q != n')
+  if (lambda <= 0n || mu <= 0n || mu >= n) throw new InvalidKeyError('Invalid private key: lambda and mu MUST be in (0, n)')
+  if ((L(bcu.modPow(publicKey.g, lambda, publicKey._n2), n) * mu) % n !== 1n) throw new InvalidKeyError('Invalid private key: mu does not match lambda and g')
+}
+
+function crtParams (p, q, g) {
+  const p2 = p ** 2n
+  const q2 = q ** 2n
+  return {
+    p,
+    q,
+    p2,
+    q2,
+    hp: bcu.modInv(L(bcu.modPow(g, p - 1n, p2), p), p),
+    hq: bcu.modInv(L(bcu.modPow(g, q - 1n, q2), q), q),
+    qInvP: bcu.modInv(q, p)
+  }
+}
+
+function L (a, n) {
+  return (a - 1n) / n
+}
+
+const MIN_BIT_LENGTH = 2048
+const SMALL_PRIMES = oddPrimesBelow(100)
+const SIEVE_PRIMES = oddPrimesBelow(2048) // trial divisors of the candidates of safe primes
+const YIELD_INTERVAL = 10 // ms of prime search in the main thread between yields to the event loop
+
+/**
+ * @typedef {Object} KeyGenerationOptions
+ * @property {number} [bitLength = 3072] - the bit length of the public modulo n
+ * @property {boolean} [simpleVariant = false] - use the simple variant to compute the generator (g=n+1)
+ * @property {boolean} [safePrimes = false] - generate safe primes p = 2p'+1 and q = 2q'+1 with p' and q' primes. It is much slower
+ * @property {boolean} [blumPrimes = false] - generate primes p = q = 3 mod 4, so that n is a Blum integer as required by {@link modulusProof}. Safe primes are always Blum primes
+ * @property {bigint} [minPrimeDistance] - |p-q| MUST be larger than this bound. It defaults to 2^(bitLength/2 - 100) as in FIPS 186-4
+ * @property {number} [millerRabinRounds = 16] - the number of Miller-Rabin iterations of the primality tests
+ * @property {boolean} [allowWeakKeys = false] - allow generating keys shorter than 2048 bits
+ * @property {RandomSource} [randomSource] - FOR TESTING ONLY. A source of random bytes, e.g. a seeded {@link HmacDrbg} to generate reproducible keys. Primes are then generated synchronously without workers
+ */
+
+/**
+ * Normalizes the arguments of generateRandomKeys() and generateRandomKeysSync(), which accept either a
+ * {@link KeyGenerationOptions} object or the legacy (bitLength, simpleVariant) arguments. The minimum bit length
+ * policy and the default minimum distance of the primes are only enforced with an options object, so that legacy
+ * calls behave as in previous versions.
+ *
+ * @param {number | KeyGenerationOptions} [bitLengthOrOptions = 3072]
+ * @param {boolean} [simpleVariant = false] - only used with the legacy signature
+ *
+ * @returns {{bitLength: number, simpleVariant: boolean, safePrimes: boolean, blumPrimes: boolean, minPrimeDistance: bigint, millerRabinRounds: number, randomSource: RandomSource}}
+ *
+ * @throws {TypeError} - if an option has a wrong type
+ * @throws {RangeError} - if an option has an invalid value or the key would be shorter than 2048 bits and allowWeakKeys is not set
+ */
+function parseKeyGenerationOptions (bitLengthOrOptions = 3072, simpleVariant = false) {
+  if (typeof bitLengthOrOptions !== 'object' || bitLengthOrOptions === null) {
+    return { bitLength: bitLengthOrOptions, simpleVariant, safePrimes: false, blumPrimes: false, minPrimeDistance: 0n, millerRabinRounds: 16, randomSource: null }
+  }
+  const {
+    bitLength = 3072,
+    safePrimes = false,
+    blumPrimes = false,
+    minPrimeDistance = null,
+    millerRabinRounds = 16,
+    allowWeakKeys = false,
+    randomSource = null
+  } = bitLengthOrOptions
+  simpleVariant = bitLengthOrOptions.simpleVariant === true
+  if (!Number.isSafeInteger(bitLength)) throw new TypeError('bitLength MUST be an integer')
+  if (bitLength < 64) throw new RangeError('bitLength MUST be at least 64')
+  if (bitLength < MIN_BIT_LENGTH && allowWeakKeys !== true) throw new RangeError(`Keys shorter than ${MIN_BIT_LENGTH} bits are not secure. Set allowWeakKeys to generate them anyway`)
+  if (!Number.isSafeInteger(millerRabinRounds) || millerRabinRounds < 1) throw new RangeError('millerRabinRounds MUST be a positive integer')
+  if (randomSource !== null) checkRandomSource(randomSource)
+  const halfBitLength = Math.floor(bitLength / 2)
+  const distance = (minPrimeDistance === null) ? 2n ** BigInt(Math.max(halfBitLength - 100, 0)) : BigInt(minPrimeDistance)
+  if (distance < 0n || distance >= 2n ** BigInt(halfBitLength - 1)) throw new RangeError(`minPrimeDistance MUST be in [0, 2^${halfBitLength - 1})`)
+  return { bitLength, simpleVariant, safePrimes: safePrimes === true, blumPrimes: blumPrimes === true, minPrimeDistance: distance, millerRabinRounds, randomSource }
+}
+
+/**
+ * Generates a key pair asynchronously. Primes are generated with workers if available, unless safe primes are
+ * required or a random source is provided: workers use their own randomness, and spawning them for each of the many
+ * candidates of a safe prime is too slow. In that case, primes are searched in the main thread, one candidate at a
+ * time, yielding to the event loop between candidates at least every few milliseconds.
+ *
+ * @param {Object} options - as returned by {@link parseKeyGenerationOptions}
+ *
+ * @returns {Promise<KeyPair>}
+ */
+async function generateKeyPair (options) {
+  const useWorkers = !options.safePrimes && options.randomSource === null
+  const steps = keyGenerationSteps(options)
+  let step = steps.next()
+  let lastYield = Date.now()
+  while (!step.done) {
+    if (useWorkers) {
+      step = steps.next(await bcu.prime(step.value.prime, options.millerRabinRounds))
+    } else {
+      if (Date.now() - lastYield >= YIELD_INTERVAL) {
+        await new Promise(resolve => setTimeout(resolve, 0))
+        lastYield = Date.now()
+      }
+      step = steps.next(runStepSync(step.value, options))
+    }
+  }
+  return step.value
+}
+
+/**
+ * Generates a key pair synchronously
+ *
+ * @param {Object} options - as returned by {@link parseKeyGenerationOptions}
+ *
+ * @returns {KeyPair}
+ */
+function generateKeyPairSync (options) {
+  const steps = keyGenerationSteps(options)
+  let step = steps.next()
+  while (!step.done) step = steps.next(runStepSync(step.value, options))
+  return step.value
+}
+
+/**
+ * Builds a key pair from two primes
+ *
+ * @param {bigint} p
+ * @param {bigint} q
+ * @param {boolean} simpleVariant - use g = n+1, lambda = (p-1)(q-1) and mu = lambda^-1 mod n
+ * @param {RandomSource} [randomSource] - the source of randomness for the generator g
+ *
+ * @returns {KeyPair}
+ */
+function keyPairFromPrimes (p, q, simpleVariant, randomSource = null) {
+  const n = p * q
+  let g, lambda, mu
+  if (simpleVariant === true) {
+    // If using p,q of equivalent length, a simpler variant of the key
+    // generation steps would be to set
+    // g=n+1, lambda=(p-1)(q-1), mu=lambda.invertm(n)
+    g = n + 1n
+    lambda = (p - 1n) * (q - 1n)
+    mu = bcu.modInv(lambda, n)
+  } else {
+    const n2 = n ** 2n
+    g = getGenerator(n, n2, randomSource)
+    lambda = bcu.lcm(p - 1n, q - 1n)
+    mu = bcu.modInv(L(bcu.modPow(g, lambda, n2), n), n)
+  }
+
+  const publicKey = new PublicKey(n, g)
+  const privateKey = new PrivateKey(lambda, mu, publicKey, p, q)
+  return { publicKey, privateKey }
+}
+
+/**
+ * Returns a random generator g = (alpha·n + 1)·beta^n mod n^2, whose order is a multiple of n
+ *
+ * @param {bigint} n
+ * @param {bigint} n2 - n^2
+ * @param {RandomSource} [randomSource] - FOR TESTING ONLY. The source of randomness for alpha and beta
+ *
+ * @returns {bigint}
+ */
+function getGenerator (n, n2, randomSource = null) {
+  const alpha = randBetween(n, 1n, randomSource)
+  const beta = randBetween(n, 1n, randomSource)
+  return ((alpha * n + 1n) * bcu.modPow(beta, n, n2)) % n2
+}
+
+/*
+ * The key generation algorithm, shared by the sync and async versions. It yields requests for the prime generator
+ * ({ prime: bitLength } to generate a prime, { safePrime: bitLength } to test one candidate for a safe prime, which
+ * resolves to null if it is rejected) and returns the key pair.
+ */
+function * keyGenerationSteps ({ bitLength, simpleVariant, safePrimes, blumPrimes, minPrimeDistance, randomSource }) {
+  let p, q, n
+  // if p and q are bitLength/2 long ->  2**(bitLength - 2) <= n < 2**(bitLength)
+  do {
+    p = yield * primeSteps(Math.floor(bitLength / 2) + 1, safePrimes, blumPrimes)
+    q = yield * primeSteps(Math.floor(bitLength / 2), safePrimes, blumPrimes)
+    n = p * q
+  } while (bcu.abs(p - q) <= minPrimeDistance || bcu.bitLength(n) !== bitLength || bcu.gcd(n, (p - 1n) * (q - 1n)) !== 1n)
+  return keyPairFromPrimes(p, q, simpleVariant, randomSource)
+}
+
+function runStepSync ({ prime, safePrime }, { millerRabinRounds, randomSource }) {
+  if (prime === undefined) return safePrimeCandidateSync(safePrime, millerRabinRounds, randomSource)
+  if (randomSource === null) return bcu.primeSync(prime, millerRabinRounds)
+  return primeSync(prime, millerRabinRounds, randomSource)
+}
+
+function * primeSteps (bitLength, safe, blum) {
+  if (!safe) {
+    while (true) {
+      const p = yield { prime: bitLength }
+      if (!blum || p % 4n === 3n) return p
+    }
+  }
+  while (true) {
+    const p = yield { safePrime: bitLength }
+    if (p !== null) return p
+  }
+}
+
+/*
+ * Tests one random candidate for a safe prime p = 2p'+1 of exactly bitLength bits. p' and p are sieved jointly by
+ * trial division before the (much more expensive) Miller-Rabin tests. Returns p, or null if the candidate is rejected.
+ */
+function safePrimeCandidateSync (bitLength, iterations, randomSource) {
+  const q = randBits(bitLength - 1, randomSource) | (1n << BigInt(bitLength - 2)) | 1n
+  const p = 2n * q + 1n
+  for (const r of SIEVE_PRIMES) {
+    if (q % r === 0n || p % r === 0n) return null
+  }
+  if (!isProbablyPrimeSync(q, iterations, randomSource) || !isProbablyPrimeSync(p, iterations, randomSource)) return null
+  return p
+}
+
+function oddPrimesBelow (bound) {
+  const composite = new Uint8Array(bound)
+  const primes = []
+  for (let i = 3; i < bound; i += 2) {
+    if (composite[i] === 1) continue
+    primes.push(BigInt(i))
+    for (let j = i * i; j < bound; j += 2 * i) composite[j] = 1
+  }
+  return primes
+}
+
+/**
+ * Miller-Rabin probabilistic primality test, preceded by trial division by small primes
+ *
+ * @param {bigint} w - the number to test
+ * @param {number} [iterations = 16] - the number of Miller-Rabin iterations
+ * @param {RandomSource} [randomSource] - the source of the random bases
+ *
+ * @returns {boolean} - false if w is composite, true if it is probably prime
+ */
+function isProbablyPrimeSync (w, iterations = 16, randomSource = null) {
+  if (w === 2n) return true
+  if (w < 2n || w % 2n === 0n) return false
+  for (const p of SMALL_PRIMES) {
+    if (w === p) return true
+    if (w % p === 0n) return false
+  }
+  let d = w - 1n
+  let s = 0
+  while (d % 2n === 0n) {
+    d /= 2n
+    s++
+  }
+  for (let i = 0; i < iterations; i++) {
+    let x = bcu.modPow(randBetween(w - 2n, 2n, randomSource), d, w)
+    if (x === 1n || x === w - 1n) continue
+    let j = 1
+    for (; j < s; j++) {
+      x = x * x % w
+      if (x === w - 1n) break
+    }
+    if (j === s) return false
+  }
+  return true
+}
+
+/**
+ * Generates a random prime of exactly bitLength bits with randomness taken from randomSource
+ *
+ * @param {number} bitLength
+ * @param {number} iterations - the number of Miller-Rabin iterations
+ * @param {RandomSource} randomSource
+ *
+ * @returns {bigint}
+ */
+function primeSync (bitLength, iterations, randomSource) {
+  const mask = (1n << BigInt(bitLength - 1)) | 1n
+  let w
+  do {
+    w = randBits(bitLength, randomSource) | mask
+  } while (!isProbablyPrimeSync(w, iterations, randomSource))
+  return w
+}
+
+/*
+ * Non-interactive zero-knowledge proof that a ciphertext c encrypts one of the values of a public set
+ * {m_1, ..., m_k}, without revealing which one. It is the OR-composition (Cramer, Damgård and Schoenmakers) of the
+ * proofs of encryption of a known value (see ./encryption.js): the prover runs the real Σ-protocol for the value
+ * it encrypted and simulates the other k-1 transcripts, and the challenges e_i MUST add up to the Fiat-Shamir
+ * challenge e = H(n, g, c, m_1, ..., m_k, a_1, ..., a_k) modulo 2^256.
+ *
+ * A typical use is proving that an encrypted vote is 0 or 1.
+ */
+
+const LABEL$1 = 'paillier-bigint/membership-proof'
+const TYPE$1 = 'MembershipProof'
+const CHALLENGE_BITS = 256
+const CHALLENGE_MODULUS = 1n << BigInt(CHALLENGE_BITS)
+
+/**
+ * @typedef {Object} MembershipProof
+ * @property {bigint[]} e - the challenges of every value of the set
+ * @property {bigint[]} z - the responses of every value of the set
+ */
+
+/**
+ * Proves that c, an encryption of m with random factor r, encrypts one of the values of a set
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext, c = g^m · r^n mod n^2
+ * @param {bigint} m - the plaintext. It MUST be in the set
+ * @param {bigint} r - the random factor used to encrypt m
+ * @param {bigint[]} set - the public set of allowed plaintexts
+ * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for the proof
+ *
+ * @returns {MembershipProof}
+ *
+ * @throws {RangeError} - if m is not in the set
+ */
+function prove$1 (publicKey, c, m, r, set, randomSource = null) {
+  return proveMembership(LABEL$1, publicKey, c, m, r, set, randomSource)
+}
+
+/**
+ * Verifies a proof that c encrypts one of the values of a set
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext
+ * @param {bigint[]} set - the public set of allowed plaintexts
+ * @param {MembershipProof} proof
+ *
+ * @returns {boolean} - true if the proof is valid
+ */
+function verify$1 (publicKey, c, set, proof) {
+  return verifyMembership(LABEL$1, publicKey, c, set, proof)
+}
+
+/**
+ * Exports a proof as a JSON object with base64url-encoded bigints
+ *
+ * @param {MembershipProof} proof
+ *
+ * @returns {{type: string, e: string[], z: string[]}}
+ */
+function toJSON$1 (proof) {
+  return proofToJSON(TYPE$1, { e: proof.e, z: proof.z })
+}
+
+/**
+ * Imports a proof exported with {@link toJSON}
+ *
+ * @param {string | Object} json
+ *
+ * @returns {MembershipProof}
+ *
+ * @throws {TypeError} - if json is not a valid membership proof
+ */
+function fromJSON$1 (json) {
+  return proofFromJSON(TYPE$1, json, [], ['e', 'z'])
+}
+
+/**
+ * {@link prove} with a custom domain separation label, so that it can be embedded in other proofs
+ */
+function proveMembership (label, publicKey, c, m, r, set, randomSource = null) {
+  const { n, _n2: n2 } = publicKey
+  const values = set.map(value => bcu.toZn(value, n))
+  const j = values.indexOf(bcu.toZn(m, n))
+  if (j === -1) throw new RangeError('The plaintext is not in the set')
+
+  const e = new Array(values.length)
+  const z = new Array(values.length)
+  const a = new Array(values.length)
+  values.forEach((value, i) => {
+    if (i === j) return
+    // simulated transcript
+    e[i] = randBits(CHALLENGE_BITS, randomSource)
+    z[i] = randomUnit(n, randomSource)
+    a[i] = bcu.modPow(z[i], n, n2) * bcu.modPow(quotient(publicKey, c, value), -e[i], n2) % n2
+  })
+  const rho = randomUnit(n, randomSource)
+  a[j] = bcu.modPow(rho, n, n2)
+
+  const eSum = e.reduce((sum, ei) => sum + ei, 0n)
+  e[j] = bcu.toZn(challenge(label, n, publicKey.g, c, ...values, ...a) - eSum, CHALLENGE_MODULUS)
+  z[j] = rho * bcu.modPow(r, e[j], n) % n
+  return { e, z }
+}
+
+/**
+ * {@link verify} with a custom domain separation label
+ */
+function verifyMembership (label, publicKey, c, set, proof) {
+  const { n, _n2: n2 } = publicKey
+  if (!Array.isArray(set) || set.length === 0 || !set.every(isInteger)) return false
+  if (typeof proof !== 'object' || proof === null) return false
+  const { e, z } = proof
+  if (!Array.isArray(e) || !Array.isArray(z) || e.length !== set.length || z.length !== set.length) return false
+  if (typeof c !== 'bigint' || c <= 0n || c >= n2 || bcu.gcd(c, n) !== 1n) return false
+  for (let i = 0; i < set.length; i++) {
+    if (typeof e[i] !== 'bigint' || e[i] < 0n || e[i] >= CHALLENGE_MODULUS) return false
+    if (typeof z[i] !== 'bigint' || z[i] <= 0n || z[i] >= n || bcu.gcd(z[i], n) !== 1n) return false
+  }
+  const values = set.map(value => bcu.toZn(BigInt(value), n))
+  const a = values.map((value, i) => bcu.modPow(z[i], n, n2) * bcu.modPow(quotient(publicKey, c, value), -e[i], n2) % n2)
+  const eSum = e.reduce((sum, ei) => sum + ei, 0n) % CHALLENGE_MODULUS
+  return eSum === challenge(label, n, publicKey.g, c, ...values, ...a)
+}
+
+// c·g^(-m) mod n^2, which is r^n if c encrypts m
+function quotient (publicKey, c, m) {
+  return c * bcu.modInv(publicKey._gPow(m), publicKey._n2) % publicKey._n2
+}
+
+function randomUnit (n, randomSource) {
+  let x
+  do {
+    x = randBetween(n - 1n, 1n, randomSource)
+  } while (bcu.gcd(x, n) !== 1n)
+  return x
+}
+
+var membership = /* #__PURE__ */Object.freeze({
+  __proto__: null,
+  prove: prove$1,
+  verify: verify$1,
+  toJSON: toJSON$1,
+  fromJSON: fromJSON$1,
+  proveMembership: proveMembership,
+  verifyMembership: verifyMembership
+})
+
+/*
+ * Non-interactive zero-knowledge proof that a ciphertext c encrypts an integer m in a public range [min, max]. It
+ * uses a bit decomposition of both m - min and max - m, which are in [0, 2^l) with l the bit length of max - min:
+ *  - every bit b_i is encrypted as c_i = g^(b_i)·r_i^n, along with a proof that c_i encrypts 0 or 1 (see ./membership.js);
+ *  - C·prod c_i^(-2^i), where C is the encryption of m - min (or max - m) derived from c, is proven to be an
+ *    encryption of 0 (see ./encryption.js), which links the bits to c.
+ * Since both values are in [0, 2^l) and add up to max - min, m is in [min, max] as long as 2^(l+1) < n.
+ */
+
+const BIT_LABEL = 'paillier-bigint/range-proof/bit'
+const TYPE$2 = 'RangeProof'
+const BITS = [BigInt(0), BigInt(1)]
+
+/**
+ * @typedef {Object} RangeProof
+ * @property {bigint[]} commitments - the encryptions of the bits of m - min followed by those of max - m
+ * @property {bigint[]} e - the challenges of the proofs that every commitment encrypts a bit
+ * @property {bigint[]} z - the responses of the proofs that every commitment encrypts a bit
+ * @property {bigint[]} linkE - the challenges of the proofs that link the bits of m - min and max - m to c
+ * @property {bigint[]} linkZ - the responses of the proofs that link the bits of m - min and max - m to c
+ */
+
+/**
+ * Proves that c, an encryption of m with random factor r, encrypts an integer in [min, max]
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext, c = g^m · r^n mod n^2
+ * @param {bigint} m - the plaintext
+ * @param {bigint} r - the random factor used to encrypt m
+ * @param {bigint} min - the lower bound of the range
+ * @param {bigint} max - the upper bound of the range
+ * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for the proof
+ *
+ * @returns {RangeProof}
+ *
+ * @throws {RangeError} - if m is not in [min, max] or the range is too large for the public key
+ */
+function prove$2 (publicKey, c, m, r, min, max, randomSource = null) {
+  const l = rangeBitLength(publicKey, min, max)
+  if (m < min || m > max) throw new RangeError('The plaintext is not in the range')
+  const [lowerC, upperC] = boundCiphertexts(publicKey, c, min, max)
+  const lower = proveBits(publicKey, lowerC, m - min, r, l, randomSource)
+  const upper = proveBits(publicKey, upperC, max - m, bcu.modInv(r, publicKey.n), l, randomSource)
+  return {
+    commitments: [...lower.commitments, ...upper.commitments],
+    e: [...lower.e, ...upper.e],
+    z: [...lower.z, ...upper.z],
+    linkE: [lower.link.e, upper.link.e],
+    linkZ: [lower.link.z, upper.link.z]
+  }
+}
+
+/**
+ * Verifies a proof that c encrypts an integer in [min, max]
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext
+ * @param {bigint} min - the lower bound of the range
+ * @param {bigint} max - the upper bound of the range
+ * @param {RangeProof} proof
+ *
+ * @returns {boolean} - true if the proof is valid
+ */
+function verify$2 (publicKey, c, min, max, proof) {
+  let l
+  try {
+    l = rangeBitLength(publicKey, min, max)
+  } catch (error) {
+    return false
+  }
+  const { n, _n2: n2 } = publicKey
+  const { commitments, e, z, linkE, linkZ } = proof
+  if (!Array.isArray(commitments) || commitments.length !== 2 * l) return false
+  if (!Array.isArray(e) || !Array.isArray(z) || e.length !== 4 * l || z.length !== 4 * l) return false
+  if (!Array.isArray(linkE) || !Array.isArray(linkZ) || linkE.length !== 2 || linkZ.length !== 2) return false
+  if (typeof c !== 'bigint' || c <= 0n || c >= n2 || bcu.gcd(c, n) !== 1n) return false
+
+  for (let i = 0; i < 2 * l; i++) {
+    const bitProof = { e: e.slice(2 * i, 2 * i + 2), z: z.slice(2 * i, 2 * i + 2) }
+    if (!verifyMembership(BIT_LABEL, publicKey, commitments[i], BITS, bitProof)) return false
+  }
+  return boundCiphertexts(publicKey, c, min, max).every((C, side) => {
+    const u = linkCiphertext(C, commitments.slice(side * l, (side + 1) * l), n2)
+    return verify(publicKey, u, 0n, { e: linkE[side], z: linkZ[side] })
+  })
+}
+
+/**
+ * Exports a proof as a JSON object with base64url-encoded bigints
+ *
+ * @param {RangeProof} proof
+ *
+ * @returns {Object}
+ */
+function toJSON$2 (proof) {
+  const { commitments, e, z, linkE, linkZ } = proof
+  return proofToJSON(TYPE$2, { commitments, e, z, linkE, linkZ })
+}
+
+/**
+ * Imports a proof exported with {@link toJSON}
+ *
+ * @param {string | Object} json
+ *
+ * @returns {RangeProof}
+ *
+ * @throws {TypeError} - if json is not a valid range proof
+ */
+function fromJSON$2 (json) {
+  return proofFromJSON(TYPE$2, json, [], ['commitments', 'e', 'z', 'linkE', 'linkZ'])
+}
+
+function rangeBitLength (publicKey, min, max) {
+  if (typeof min !== 'bigint' || typeof max !== 'bigint' || min > max) throw new RangeError('min and max MUST be bigints with min <= max')
+  const l = (max - min).toString(2).length
+  if ((1n << BigInt(l + 1)) >= publicKey.n) throw new RangeError('The range is too large for the public key')
+  return l
+}
+
+// the encryptions of m - min and max - m derived from the encryption c of m
+function boundCiphertexts (publicKey, c, min, max) {
+  const n2 = publicKey._n2
+  return [
+    c * bcu.modInv(publicKey._gPow(min), n2) % n2,
+    publicKey._gPow(max) * bcu.modInv(c, n2) % n2
+  ]
+}
+
+// C·prod c_i^(-2^i), which encrypts 0 if the commitments c_i encrypt the bits of the plaintext of C
+function linkCiphertext (C, commitments, n2) {
+  return commitments.reduce((u, ci, i) => u * bcu.modPow(ci, -(1n << BigInt(i)), n2) % n2, C)
+}
+
+// encrypts the l bits of x, proves that every encryption is of a bit and that they add up to C, the encryption of x
+// with random factor rC
+function proveBits (publicKey, C, x, rC, l, randomSource) {
+  const { n, _n2: n2 } = publicKey
+  const commitments = []
+  const e = []
+  const z = []
+  let w = rC
+  for (let i = 0; i < l; i++) {
+    const bit = (x >> BigInt(i)) & 1n
+    let ri
+    do {
+      ri = randBetween(n - 1n, 1n, randomSource)
+    } while (bcu.gcd(ri, n) !== 1n)
+    const ci = publicKey.encrypt(bit, ri)
+    const proof = proveMembership(BIT_LABEL, publicKey, ci, bit, ri, BITS, randomSource)
+    commitments.push(ci)
+    e.push(...proof.e)
+    z.push(...proof.z)
+    w = w * bcu.modPow(ri, -(1n << BigInt(i)), n) % n
+  }
+  const link = prove(publicKey, linkCiphertext(C, commitments, n2), 0n, w, randomSource)
+  return { commitments, e, z, link }
+}
+
+var range = /* #__PURE__ */Object.freeze({
+  __proto__: null,
+  prove: prove$2,
+  verify: verify$2,
+  toJSON: toJSON$2,
+  fromJSON: fromJSON$2
+})
+
+/*
+ * Non-interactive zero-knowledge proof that a public modulus n is a Paillier-Blum modulus, i.e. gcd(n, φ(n)) = 1 and
+ * n = p·q with p = q = 3 mod 4 (Canetti, Gennaro, Goldfeder, Makriyannis and Peled, "UC Non-Interactive, Proactive,
+ * Threshold ECDSA with Identifiable Aborts", Π^mod). It lets a counterparty check that a received public key was
+ * honestly generated, which is required by threshold ECDSA protocols that use Paillier.
+ *
+ * The prover picks w with Jacobi symbol -1 and, for every Fiat-Shamir challenge y_i in Z_n, it reveals:
+ *  - z_i = y_i^(n^-1 mod φ(n)) mod n, an n-th root of y_i, which only exists for every y_i if gcd(n, φ(n)) = 1;
+ *  - x_i, a fourth root of (-1)^(a_i)·w^(b_i)·y_i mod n, which only exists for some a_i, b_i if n is a Blum integer.
+ *
+ * The private key MUST be generated with Blum primes (see the blumPrimes and safePrimes key generation options).
+ */
+
+const LABEL$2 = 'paillier-bigint/modulus-proof'
+const TYPE$3 = 'ModulusProof'
+const ROUNDS = 80
+const STATISTICAL_SECURITY = 128
+
+/**
+ * @typedef {Object} ModulusProof
+ * @property {bigint} w - a random integer with Jacobi symbol -1
+ * @property {bigint[]} x - the fourth roots of (-1)^(a_i)·w^(b_i)·y_i mod n
+ * @property {bigint[]} a - the bits a_i
+ * @property {bigint[]} b - the bits b_i
+ * @property {bigint[]} z - the n-th roots of y_i mod n
+ */
+
+/**
+ * Proves that the modulus n of the public key of privateKey is a Paillier-Blum modulus
+ *
+ * @param {PrivateKey} privateKey - a private key with known primes p and q, both equal to 3 mod 4
+ * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for w
+ *
+ * @returns {ModulusProof}
+ *
+ * @throws {InvalidKeyError} - if p and q are not known, or are not 3 mod 4, or gcd(n, φ(n)) != 1
+ */
+function prove$3 (privateKey, randomSource = null) {
+  const { _p: p, _q: q } = privateKey
+  const n = privateKey.publicKey.n
+  if (p === null || p * q !== n) throw new InvalidKeyError('The primes p and q of the private key are required')
+  if (p % 4n !== 3n || q % 4n !== 3n) throw new InvalidKeyError('p and q MUST be 3 mod 4 (Blum primes)')
+  const phi = (p - 1n) * (q - 1n)
+  if (bcu.gcd(n, phi) !== 1n) throw new InvalidKeyError('gcd(n, φ(n)) MUST be 1')
+  const nInv = bcu.modInv(n, phi)
+
+  let w
+  do {
+    w = randBetween(n - 1n, 1n, randomSource)
+  } while (isQuadraticResidue(w, p) === isQuadraticResidue(w, q) || bcu.gcd(w, n) !== 1n)
+
+  const proof = { w, x: [], a: [], b: [], z: [] }
+  for (const y of challenges(n, w)) {
+    // -1 is a non-residue modulo both primes and w modulo only one of them, so exactly one of ±y, ±w·y is a residue modulo both
+    let a, b, yPrime
+    for (const [ai, bi] of [[0, 0], [0, 1], [1, 0], [1, 1]]) {
+      const candidate = bcu.toZn((ai === 1 ? -1n : 1n) * (bi === 1 ? w : 1n) * y, n)
+      if (isQuadraticResidue(candidate, p) && isQuadraticResidue(candidate, q)) {
+        [a, b, yPrime] = [BigInt(ai), BigInt(bi), candidate]
+        break
+      }
+    }
+    proof.x.push(fourthRoot(yPrime, p, q))
+    proof.a.push(a)
+    proof.b.push(b)
+    proof.z.push(bcu.modPow(y, nInv, n))
+  }
+  return proof
+}
+
+/**
+ * Verifies a proof that n is a Paillier-Blum modulus
+ *
+ * @param {PublicKey} publicKey - the public key whose modulus n is checked
+ * @param {ModulusProof} proof
+ *
+ * @returns {boolean} - true if the proof is valid
+ */
+function verify$3 (publicKey, proof) {
+  const n = publicKey.n
+  if (typeof proof !== 'object' || proof === null) return false
+  const { w, x, a, b, z } = proof
+  if (typeof n !== 'bigint' || n < 3n || n % 2n === 0n || isProbablyPrimeSync(n)) return false
+  if (typeof w !== 'bigint' || w <= 0n || w >= n) return false
+  for (const array of [x, a, b, z]) {
+    if (!Array.isArray(array) || array.length !== ROUNDS || array.some(value => typeof value !== 'bigint')) return false
+  }
+  return challenges(n, w).every((y, i) => {
+    if (a[i] > 1n || a[i] < 0n || b[i] > 1n || b[i] < 0n) return false
+    if (bcu.modPow(z[i], n, n) !== y) return false
+    const yPrime = bcu.toZn((a[i] === 1n ? -1n : 1n) * (b[i] === 1n ? w : 1n) * y, n)
+    return bcu.modPow(x[i], 4n, n) === yPrime
+  })
+}
+
+/**
+ * Exports a proof as a JSON object with base64url-encoded bigints
+ *
+ * @param {ModulusProof} proof
+ *
+ * @returns {Object}
+ */
+function toJSON$3 (proof) {
+  const { w, x, a, b, z } = proof
+  return proofToJSON(TYPE$3, { w, x, a, b, z })
+}
+
+/**
+ * Imports a proof exported with {@link toJSON}
+ *
+ * @param {string | Object} json
+ *
+ * @returns {ModulusProof}
+ *
+ * @throws {TypeError} - if json is not a valid modulus proof
+ */
+function fromJSON$3 (json) {
+  return proofFromJSON(TYPE$3, json, ['w'], ['x', 'a', 'b', 'z'])
+}
+
+// The challenges y_1, ..., y_ROUNDS in Z_n, each derived from enough 256-bit hashes to be statistically uniform
+function challenges (n, w) {
+  const blocks = Math.ceil((bcu.bitLength(n) + STATISTICAL_SECURITY) / 256)
+  const ys = []
+  for (let i = 0; i < ROUNDS; i++) {
+    let y = 0n
+    for (let j = 0; j < blocks; j++) y = (y << 256n) | challenge(LABEL$2, n, w, BigInt(i), BigInt(j))
+    ys.push(y % n)
+  }
+  return ys
+}
+
+// Euler's criterion
+function isQuadraticResidue (a, p) {
+  return bcu.modPow(a, (p - 1n) / 2n, p) === 1n
+}
+
+// a^(((p+1)/4)^2) is a fourth root of a quadratic residue a modulo a prime p = 3 mod 4, combined with the CRT
+function fourthRoot (a, p, q) {
+  const xp = bcu.modPow(a, ((p + 1n) / 4n) ** 2n % (p - 1n), p)
+  const xq = bcu.modPow(a, ((q + 1n) / 4n) ** 2n % (q - 1n), q)
+  return bcu.toZn(xq + q * ((xp - xq) * bcu.modInv(q, p)), p * q)
+}
+
+var modulus = /* #__PURE__ */Object.freeze({
+  __proto__: null,
+  prove: prove$3,
+  verify: verify$3,
+  toJSON: toJSON$3,
+  fromJSON: fromJSON$3
+})
+
+/**
+ * Class for a Damgård-Jurik public key, the generalization of Paillier with plaintexts in Z_(n^s) and ciphertexts in
+ * Z*_(n^(s+1)). With s = 1 it is exactly the Paillier cryptosystem. It uses the same n and g as a Paillier
+ * {@link PublicKey}, so it can be built from any key generated with {@link generateRandomKeys}.
+ */
+class DamgardJurikPublicKey {
+  /**
+     * Creates an instance of class DamgardJurikPublicKey
+     * @param {bigint} n - the public modulo
+     * @param {bigint} g - the public generator
+     * @param {number} s - plaintexts are in Z_(n^s) and ciphertexts in Z*_(n^(s+1))
+     *
+     * @throws {RangeError} - if s is not a positive integer
+     */
+  constructor (n, g, s) {
+    if (!Number.isSafeInteger(s) || s < 1) throw new RangeError('s MUST be a positive integer')
+    this.n = n
+    this.g = g
+    this.s = s
+    this.ns = n ** BigInt(s)
+    this._ns1 = this.ns * n // cache n^(s+1)
+    /**
+     * Strict validation for this key: true or false overrides the process-wide {@link setStrictValidation}, null
+     * (default) follows it
+     * @type {boolean | null}
+     */
+    this.strictValidation = null
+  }
+
+  /**
+     * Creates the Damgård-Jurik public key with the same n and g of a Paillier public key
+     *
+     * @param {PublicKey} publicKey
+     * @param {number} s
+     *
+     * @returns {DamgardJurikPublicKey}
+     */
+  static fromPublicKey (publicKey, s) {
+    const key = new DamgardJurikPublicKey(publicKey.n, publicKey.g, s)
+    if (typeof publicKey.strictValidation === 'boolean') key.strictValidation = publicKey.strictValidation
+    return key
+  }
+
+  /**
+     * Get the bit length of the public modulo
+     * @returns {number} - bit length of the public modulo
+     */
+  get bitLength () {
+    return bcu.bitLength(this.n)
+  }
+
+  /**
+     * Damgård-Jurik public-key encryption, g^m · r^(n^s) mod n^(s+1)
+     *
+     * @param {bigint} m - a plaintext in [0, n^s)
+     * @param {bigint} [r] - the random integer factor for encryption. By default is a random in (1,n)
+     *
+     * @returns {bigint} - the encryption of m with this public key
+     *
+     * @throws {InvalidPlaintextError} - in strict mode (see {@link setStrictValidation}), if m is not in [0, n^s)
+     */
+  encrypt (m, r = null) {
+    if (isStrictValidation(this) && (typeof m !== 'bigint' || m < 0n || m >= this.ns)) throw new InvalidPlaintextError('The plaintext MUST be in [0, n^s)')
+    if (r === null) {
+      do {
+        r = bcu.randBetween(this.n)
+      } while (bcu.gcd(r, this.n) !== 1n)
+    }
+    return bcu.modPow(this.g, m, this._ns1) * bcu.modPow(r, this.ns, this._ns1) % this._ns1
+  }
+
+  /**
+     * Homomorphic addition
+     *
+     * @param {...bigint} ciphertexts - n >= 2 ciphertexts (c_1,..., c_n) that are the encryption of (m_1, ..., m_n) with this public key
+     *
+     * @returns {bigint} - the encryption of (m_1 + ... + m_n) mod n^s with this public key
+     */
+  addition (...ciphertexts) {
+    ciphertexts.forEach(c => this._checkCiphertext(c))
+    return ciphertexts.reduce((sum, next) => sum * next % this._ns1, 1n)
+  }
+
+  /**
+     * Homomorphic multiplication by a plaintext
+     *
+     * @param {bigint} c - a number m encrypted with this public key
+     * @param {bigint | number} k - either a bigint or a number. If negative, the inverse of c is raised to -k
+     *
+     * @returns {bigint} - the encryption of k·m mod n^s with this public key
+     */
+  multiply (c, k) {
+    this._checkCiphertext(c)
+    return bcu.modPow(c, BigInt(k), this._ns1)
+  }
+
+  _checkCiphertext (c) {
+    if (isStrictValidation(this) && (typeof c !== 'bigint' || c <= 0n || c >= this._ns1 || bcu.gcd(c, this.n) !== 1n)) {
+      throw new InvalidCiphertextError('The ciphertext MUST be in Z* of n^(s+1)')
+    }
+  }
+}
+
+/**
+ * Class for Damgård-Jurik private keys (see {@link DamgardJurikPublicKey})
+ */
+class DamgardJurikPrivateKey {
+  /**
+   * Creates an instance of class DamgardJurikPrivateKey
+   *
+   * @param {bigint} lambda - a multiple of the Carmichael function of n, e.g. lcm(p-1, q-1)
+   * @param {DamgardJurikPublicKey} publicKey
+   */
+  constructor (lambda, publicKey) {
+    this.lambda = lambda
+    this.publicKey = publicKey
+    // g = (1+n)^a · x^(n^s), so g^lambda = (1+n)^(a·lambda)
+    this._muS = bcu.modInv(dlog(bcu.modPow(publicKey.g, lambda, publicKey._ns1), publicKey.n, publicKey.s), publicKey.ns)
+  }
+
+  /**
+   * Creates the Damgård-Jurik private key with the same lambda of a Paillier private key
+   *
+   * @param {PrivateKey} privateKey
+   * @param {number} s
+   *
+   * @returns {DamgardJurikPrivateKey}
+   */
+  static fromPrivateKey (privateKey, s) {
+    return new DamgardJurikPrivateKey(privateKey.lambda, DamgardJurikPublicKey.fromPublicKey(privateKey.publicKey, s))
+  }
+
+  /**
+   * Damgård-Jurik private-key decryption
+   *
+   * @param {bigint} c - a bigint encrypted with the public key
+   *
+   * @returns {bigint} - the decryption of c with this private key, in [0, n^s)
+   */
+  decrypt (c) {
+    const { n, s, ns, _ns1: ns1 } = this.publicKey
+    this.publicKey._checkCiphertext(c)
+    return dlog(bcu.modPow(c, this.lambda, ns1), n, s) * this._muS % ns
+  }
+}
+
+/*
+ * Given a = (1+n)^i mod n^(s+1), recovers i mod n^s. It is the algorithm of Damgård and Jurik, which recovers
+ * i mod n^j from i mod n^(j-1) for j = 1, ..., s using the binomial expansion of (1+n)^i.
+ */
+function dlog (a, n, s) {
+  let i = 0n
+  let nj = 1n
+  for (let j = 1; j <= s; j++) {
+    const nj1 = nj * n // n^j
+    let t1 = (a % (nj1 * n) - 1n) / n
+    let t2 = i
+    let nk = 1n // n^(k-1)
+    let kFactorial = 1n
+    for (let k = 2; k <= j; k++) {
+      i--
+      nk *= n
+      kFactorial *= BigInt(k)
+      t2 = t2 * i % nj1
+      t1 = bcu.toZn(t1 - t2 * nk % nj1 * bcu.modInv(kFactorial, nj1), nj1)
+    }
+    i = t1 % nj1
+    nj = nj1
+  }
+  return i
+}
+
+/**
+ * Encoder of vectors of small non-negative integers into a single element of Z_n (SIMD-style packing). The plaintext
+ * space is split into fixed-width slots of slotBits + paddingBits bits, and the i-th integer is stored in the lowest
+ * slotBits bits of the i-th slot:
+ * ```
+ * encoding = v_0 + v_1·2^w + v_2·2^(2w) + ...   with w = slotBits + paddingBits
+ * ```
+ * A vector is then encrypted with a single {@link PublicKey#encrypt}, added slot-wise to another one with
+ * {@link PublicKey#addition} and scaled by a non-negative integer with {@link PublicKey#multiply}. The padding bits
+ * absorb the carries of these operations, so that up to 2^paddingBits additions of slotBits-bit values never spill
+ * over the next slot. Any decrypted slot exceeding slotBits bits is detected as an overflow.
+ */
+class PackingEncoder {
+  /**
+     * Creates a packing encoder for the plaintext space of publicKey
+     *
+     * @param {PublicKey} publicKey
+     * @param {Object} [options]
+     * @param {number} [options.slotBits = 32] - the bit length of the values of every slot
+     * @param {number} [options.paddingBits = 16] - the extra bits of every slot to absorb the growth of the values
+     * @param {number} [options.slots] - the number of slots. It defaults to the maximum that fits in [0, n)
+     *
+     * @throws {RangeError} - if slotBits or paddingBits are not valid or the slots do not fit in [0, n)
+     */
+  constructor (publicKey, { slotBits = 32, paddingBits = 16, slots = null } = {}) {
+    if (!Number.isSafeInteger(slotBits) || slotBits < 1) throw new RangeError('slotBits MUST be a positive integer')
+    if (!Number.isSafeInteger(paddingBits) || paddingBits < 0) throw new RangeError('paddingBits MUST be a non-negative integer')
+    const slotWidth = slotBits + paddingBits
+    // every packed value is smaller than 2^(slotWidth·slots) <= 2^(bitLength(n) - 1) < n, so it never wraps modulo n
+    const maxSlots = Math.floor((bcu.bitLength(publicKey.n) - 1) / slotWidth)
+    if (slots === null) slots = maxSlots
+    if (!Number.isSafeInteger(slots) || slots < 1 || slots > maxSlots) throw new RangeError(`slots MUST be an integer in [1, ${maxSlots}]`)
+    this.n = publicKey.n
+    this.slotBits = slotBits
+    this.paddingBits = paddingBits
+    this.slots = slots
+    this._slotWidth = BigInt(slotWidth)
+    this._slotMask = (1n << this._slotWidth) - 1n
+    this._maxValue = (1n << BigInt(slotBits)) - 1n
+  }
+
+  /**
+     * Get the maximum value that can be stored in a slot
+     * @returns {bigint} - 2^slotBits - 1
+     */
+  get maxValue () {
+    return this._maxValue
+  }
+
+  /**
+     * Encodes a vector of integers. Missing values are set to 0.
+     *
+     * @param {Array<bigint | number>} values - at most slots integers in [0, 2^slotBits)
+     *
+     * @returns {bigint} - the encoding of values in [0, n)
+     *
+     * @throws {RangeError} - if there are more values than slots or a value is out of range
+     */
+  encode (values) {
+    if (values.length > this.slots) throw new RangeError(`Cannot encode ${values.length} values in ${this.slots} slots`)
+    let encoding = 0n
+    for (let i = values.length - 1; i >= 0; i--) {
+      const value = BigInt(values[i])
+      if (value < 0n || value > this._maxValue) throw new RangeError(`Cannot encode ${value} in slot ${i}: it MUST be in [0, 2^${this.slotBits})`)
+      encoding = (encoding << this._slotWidth) | value
+    }
+    return encoding
+  }
+
+  /**
+     * Decodes an element of Z_n into a vector of slots integers
+     *
+     * @param {bigint} encoding - an element of [0, n), e.g. the decryption of an encoded vector
+     *
+     * @returns {bigint[]} - the integers of every slot
+     *
+     * @throws {RangeError} - if encoding is outside [0, n) or the value of a slot overflowed, i.e. exceeds 2^slotBits - 1
+     */
+  decode (encoding) {
+    if (encoding < 0n || encoding >= this.n) throw new RangeError('The encoding MUST be in [0, n)')
+    if (encoding >> (this._slotWidth * BigInt(this.slots)) !== 0n) throw new RangeError(`Overflow detected in slot ${this.slots - 1}`)
+    const values = []
+    for (let i = 0; i < this.slots; i++) {
+      const value = encoding & this._slotMask
+      if (value > this._maxValue) throw new RangeError(`Overflow detected in slot ${i}: the value exceeds 2^${this.slotBits} - 1`)
+      values.push(value)
+      encoding >>= this._slotWidth
+    }
+    return values
+  }
+}
+
+const BASE = 16
+const LOG2_BASE = 4
+const FLOAT_MANTISSA_BITS = 53
+
+/**
+ * Fixed-point/floating-point encoding of numbers into the plaintext space Z_n of a Paillier public key, compatible
+ * with python-paillier's EncodedNumber.
+ *
+ * A number x is represented by an integer mantissa and a base-16 exponent such that x = mantissa · 16^exponent. The
+ * signed mantissa is encoded modulo n in the same way as {@link SignedIntegerEncoder} with maxAbs = publicKey.maxInt.
+ *
+ * bigints are encoded as integers (exponent 0) while numbers are encoded as floats, i.e. with enough precision to
+ * represent exactly their 53-bit mantissa, unless a precision is provided.
+ */
+class EncodedNumber {
+  /**
+     * Creates an EncodedNumber from its encoding and exponent. Use {@link EncodedNumber.encode} to encode a number.
+     *
+     * @param {PublicKey} publicKey - the public key whose plaintext space the number is encoded into
+     * @param {bigint} encoding - the encoded mantissa in [0, n)
+     * @param {number} exponent - the base-16 exponent
+     */
+  constructor (publicKey, encoding, exponent) {
+    this.publicKey = publicKey
+    this.encoding = encoding
+    this.exponent = exponent
+  }
+
+  /**
+     * Get the base of the exponents
+     * @returns {number} - 16
+     */
+  static get BASE () {
+    return BASE
+  }
+
+  /**
+     * Encodes a number
+     *
+     * @param {PublicKey} publicKey - the public key whose plaintext space the number is encoded into
+     * @param {bigint | number} scalar - the number to encode. bigints are treated as integers and numbers as floats
+     * @param {number} [precision] - if provided, the number is encoded with a fixed precision, i.e. with exponent floor(log16(precision)). E.g. 0.01 for cents
+     * @param {number} [maxExponent] - if provided, the exponent is not larger than maxExponent. Useful to align exponents
+     *
+     * @returns {EncodedNumber} - the encoded number
+     *
+     * @throws {RangeError} - if scalar is not finite or its absolute value is too large to be encoded
+     */
+  static encode (publicKey, scalar, precision = null, maxExponent = null) {
+    let exponent
+    if (precision !== null) {
+      exponent = Math.floor(Math.log(precision) / Math.log(BASE))
+    } else if (typeof scalar === 'bigint') {
+      exponent = 0
+    } else {
+      if (!Number.isFinite(scalar)) throw new RangeError(`Cannot encode ${scalar}`)
+      exponent = Math.floor((frexpExponent(scalar) - FLOAT_MANTISSA_BITS) / LOG2_BASE)
+    }
+    if (maxExponent !== null) exponent = Math.min(exponent, maxExponent)
+
+    const intRep = scaledRound(scalar, -LOG2_BASE * exponent)
+    if (bcu.abs(intRep) > publicKey.maxInt) throw new RangeError(`Integer needs to be within +/- ${publicKey.maxInt}`)
+    return new EncodedNumber(publicKey, bcu.toZn(intRep, publicKey.n), exponent)
+  }
+
+  /**
+     * Decodes this number
+     *
+     * @returns {bigint | number} - a bigint if the exponent is not negative, or a number otherwise
+     *
+     * @throws {RangeError} - if an overflow is detected or the decoded number cannot be represented as a number
+     */
+  decode () {
+    const { n, maxInt } = this.publicKey
+    let mantissa
+    if (this.encoding < 0n || this.encoding >= n) throw new RangeError('Attempted to decode corrupted number')
+    else if (this.encoding <= maxInt) mantissa = this.encoding
+    else if (this.encoding >= n - maxInt) mantissa = this.encoding - n
+    else throw new RangeError('Overflow detected in decrypted number')
+
+    if (this.exponent >= 0) return mantissa * BigInt(BASE) ** BigInt(this.exponent)
+    // keep the 64 most significant bits so that the conversion to number does not overflow
+    const shift = Math.max(bcu.bitLength(bcu.abs(mantissa)) - 64, 0)
+    const value = ldexp(Number(mantissa >> BigInt(shift)), LOG2_BASE * this.exponent + shift)
+    if (!Number.isFinite(value)) throw new RangeError('Decoded number is too large to be represented as a number')
+    return value
+  }
+
+  /**
+     * Returns an EncodedNumber representing the same number with a lower exponent
+     *
+     * @param {number} newExponent - the new exponent. It MUST be lower than or equal to the current one
+     *
+     * @returns {EncodedNumber}
+     *
+     * @throws {RangeError} - if newExponent is larger than the current exponent
+     */
+  decreaseExponentTo (newExponent) {
+    if (newExponent > this.exponent) throw new RangeError(`New exponent ${newExponent} should be more negative than the old exponent ${this.exponent}`)
+    const factor = BigInt(BASE) ** BigInt(this.exponent - newExponent)
+    return new EncodedNumber(this.publicKey, this.encoding * factor % this.publicKey.n, newExponent)
+  }
+}
+
+function float64 (x) {
+  const view = new DataView(new ArrayBuffer(8))
+  view.setFloat64(0, x)
+  const hi = view.getUint32(0)
+  const lo = view.getUint32(4)
+  return {
+    negative: (hi >>> 31) === 1,
+    biasedExponent: (hi >>> 20) & 0x7ff,
+    mantissa: (BigInt(hi & 0xfffff) << 32n) | BigInt(lo)
+  }
+}
+
+// The exponent e of x = m·2^e with 0.5 <= |m| < 1, i.e. Python's math.frexp(x)[1]
+function frexpExponent (x) {
+  if (x === 0) return 0
+  const { biasedExponent, mantissa } = float64(x)
+  if (biasedExponent === 0) return bcu.bitLength(mantissa) - 1074 // subnormal
+  return biasedExponent - 1022
+}
+
+// round(scalar · 2^shift) computed exactly, with ties to even as Python's round()
+function scaledRound (scalar, shift) {
+  let negative, m, e
+  if (typeof scalar === 'bigint') {
+    negative = scalar < 0n
+    m = bcu.abs(scalar)
+    e = 0
+  } else {
+    const f = float64(scalar)
+    negative = f.negative
+    m = (f.biasedExponent === 0) ? f.mantissa : f.mantissa | (1n << 52n)
+    e = (f.biasedExponent === 0) ? -1074 : f.biasedExponent - 1075
+  }
+  const s = e + shift
+  let r
+  if (s >= 0) {
+    r = m << BigInt(s)
+  } else {
+    const d = 1n << BigInt(-s)
+    r = m / d
+    const rem = m % d
+    if (2n * rem > d || (2n * rem === d && r % 2n === 1n)) r++
+  }
+  return negative ? -r : r
+}
+
+function ldexp (x, exp) {
+  while (exp > 1000) {
+    x *= 2 ** 1000
+    exp -= 1000
+  }
+  while (exp < -1000) {
+    x *= 2 ** -1000
+    exp += 1000
+  }
+  return x * 2 ** exp
+}
+
+/**
+ * An encrypted {@link EncodedNumber}, compatible with python-paillier's EncryptedNumber. It binds a ciphertext to its
+ * public key and to the base-16 exponent of the encrypted number, so that homomorphic operations automatically align
+ * exponents and operands encrypted under different keys cannot be mixed up.
+ */
+class EncryptedNumber {
+  /**
+     * Creates an EncryptedNumber from a ciphertext. Use {@link EncryptedNumber.encrypt} to encrypt a number.
+     *
+     * @param {PublicKey} publicKey - the public key the number was encrypted with
+     * @param {bigint} ciphertext - the encryption of the encoded mantissa
+     * @param {number} [exponent = 0] - the base-16 exponent of the encrypted number
+     */
+  constructor (publicKey, ciphertext, exponent = 0) {
+    this.publicKey = publicKey
+    this.ciphertext = ciphertext
+    this.exponent = exponent
+  }
+
+  /**
+     * Encodes and encrypts a number
+     *
+     * @param {PublicKey} publicKey - the public key to encrypt with
+     * @param {bigint | number | EncodedNumber} value - the number to encrypt. bigints are treated as integers and numbers as floats (see {@link EncodedNumber.encode})
+     * @param {number} [precision] - if provided, the number is encoded with this fixed precision, e.g. 0.01
+     * @param {bigint} [r] - the random integer factor for encryption. By default is a random in (1,n)
+     *
+     * @returns {EncryptedNumber} - the encrypted number
+     *
+     * @throws {KeyMismatchError} - if value is an EncodedNumber encoded with a different public key
+     */
+  static encrypt (publicKey, value, precision = null, r = null) {
+    const encoding = (value instanceof EncodedNumber) ? value : EncodedNumber.encode(publicKey, value, precision)
+    if (!publicKey.equals(encoding.publicKey)) throw new KeyMismatchError('The number was encoded with a different public key')
+    return new EncryptedNumber(publicKey, publicKey.encrypt(encoding.encoding, r), encoding.exponent)
+  }
+
+  /**
+     * Decrypts this number without decoding it
+     *
+     * @param {PrivateKey} privateKey - the private key associated to the public key of this number
+     *
+     * @returns {EncodedNumber} - the decrypted encoded number
+     */
+  decryptEncoded (privateKey) {
+    return new EncodedNumber(this.publicKey, privateKey.decrypt(this.ciphertext), this.exponent)
+  }
+
+  /**
+     * Decrypts and decodes this number
+     *
+     * @param {PrivateKey} privateKey - the private key associated to the public key of this number
+     *
+     * @returns {bigint | number} - the decrypted number (see {@link EncodedNumber#decode})
+     *
+     * @throws {RangeError} - if an overflow is detected
+     */
+  decrypt (privateKey) {
+    return this.decryptEncoded(privateKey).decode()
+  }
+
+  /**
+     * Returns an EncryptedNumber representing the same number with a lower exponent
+     *
+     * @param {number} newExponent - the new exponent. It MUST be lower than or equal to the current one
+     *
+     * @returns {EncryptedNumber}
+     *
+     * @throws {RangeError} - if newExponent is larger than the current exponent
+     */
+  decreaseExponentTo (newExponent) {
+    if (newExponent > this.exponent) throw new RangeError(`New exponent ${newExponent} should be more negative than the old exponent ${this.exponent}`)
+    const factor = BigInt(EncodedNumber.BASE) ** BigInt(this.exponent - newExponent)
+    return new EncryptedNumber(this.publicKey, this.publicKey.multiply(this.ciphertext, factor), newExponent)
+  }
+
+  /**
+     * Homomorphic addition. Exponents are aligned to the lowest of both operands.
+     *
+     * @param {EncryptedNumber | EncodedNumber | bigint | number} other - the number to add
+     *
+     * @returns {EncryptedNumber} - the encryption of the sum
+     *
+     * @throws {KeyMismatchError} - if other was encrypted or encoded with a different public key
+     */
+  add (other) {
+    if (other instanceof EncryptedNumber) return this._addEncrypted(other)
+    if (other instanceof EncodedNumber) return this._addEncoded(other)
+    return this._addEncoded(EncodedNumber.encode(this.publicKey, other, null, this.exponent))
+  }
+
+  /**
+     * Homomorphic multiplication by a plaintext number, which may be non-integer. The exponent of the result is the sum
+     * of the exponents of both operands.
+     *
+     * @param {EncodedNumber | bigint | number} other - the plaintext number to multiply by
+     *
+     * @returns {EncryptedNumber} - the encryption of the product
+     *
+     * @throws {TypeError} - if other is an EncryptedNumber, since the product of two ciphertexts is not supported
+     * @throws {KeyMismatchError} - if other was encoded with a different public key
+     */
+  mul (other) {
+    if (other instanceof EncryptedNumber) throw new TypeError('Multiplying two encrypted numbers is not supported')
+    const encoding = (other instanceof EncodedNumber) ? other : EncodedNumber.encode(this.publicKey, other)
+    this._checkSameKey(encoding.publicKey)
+    const { n, maxInt } = this.publicKey
+    const scalar = (encoding.encoding >= n - maxInt) ? encoding.encoding - n : encoding.encoding
+    return new EncryptedNumber(this.publicKey, this.publicKey.multiply(this.ciphertext, scalar), this.exponent + encoding.exponent)
+  }
+
+  /**
+     * Homomorphic subtraction. Exponents are aligned to the lowest of both operands.
+     *
+     * @param {EncryptedNumber | EncodedNumber | bigint | number} other - the number to subtract
+     *
+     * @returns {EncryptedNumber} - the encryption of the difference
+     *
+     * @throws {KeyMismatchError} - if other was encrypted or encoded with a different public key
+     */
+  sub (other) {
+    if (other instanceof EncryptedNumber) return this.add(other.neg())
+    if (other instanceof EncodedNumber) {
+      this._checkSameKey(other.publicKey)
+      return this.add(new EncodedNumber(this.publicKey, bcu.toZn(-other.encoding, this.publicKey.n), other.exponent))
+    }
+    return this.add(-other)
+  }
+
+  /**
+     * Homomorphic negation
+     *
+     * @returns {EncryptedNumber} - the encryption of the opposite number
+     */
+  neg () {
+    return new EncryptedNumber(this.publicKey, this.publicKey.negate(this.ciphertext), this.exponent)
+  }
+
+  /**
+     * Re-randomizes this encrypted number, so that the output is unlinkable to the input (see {@link PublicKey#rerandomize})
+     *
+     * @param {bigint} [r] - the new random factor. By default is a random in (1,n)
+     *
+     * @returns {EncryptedNumber} - a fresh encryption of the same number
+     */
+  rerandomize (r = null) {
+    return new EncryptedNumber(this.publicKey, this.publicKey.rerandomize(this.ciphertext, r), this.exponent)
+  }
+
+  /**
+     * Checks whether other is the same ciphertext with the same exponent under the same public key. Notice that two
+     * encryptions of the same number are NOT equal unless they share the same randomness.
+     *
+     * @param {EncryptedNumber} other
+     *
+     * @returns {boolean}
+     */
+  equals (other) {
+    return other instanceof EncryptedNumber && this.publicKey.equals(other.publicKey) &&
+      other.ciphertext === this.ciphertext && other.exponent === this.exponent
+  }
+
+  /**
+     * Exports this encrypted number as a JSON object with its public key (see {@link PublicKey#toJSON}) and the
+     * base64url-encoded ciphertext. It is automatically used by JSON.stringify()
+     *
+     * @returns {{publicKey: Object, ciphertext: string, exponent: number}}
+     */
+  toJSON () {
+    return {
+      publicKey: this.publicKey.toJSON(),
+      ciphertext: bigintToBase64url(this.ciphertext),
+      exponent: this.exponent
+    }
+  }
+
+  /**
+     * Imports an encrypted number exported with {@link EncryptedNumber#toJSON}
+     *
+     * @param {string | Object} json - a JSON string or an object as returned by {@link EncryptedNumber#toJSON}
+     * @param {PublicKey} [publicKey] - if provided, the imported number is bound to this key, which MUST be equal to the exported one
+     *
+     * @returns {EncryptedNumber} - the imported encrypted number
+     *
+     * @throws {TypeError} - if json is malformed
+     * @throws {InvalidCiphertextError} - if the ciphertext is not in Z*_{n^2}
+     * @throws {KeyMismatchError} - if the exported key does not match publicKey
+     */
+  static fromJSON (json, publicKey = null) {
+    let obj = json
+    if (typeof json === 'string') {
+      try {
+        obj = JSON.parse(json)
+      } catch (error) {
+        throw new TypeError('Invalid encrypted number: not a valid JSON string')
+      }
+    }
+    if (obj === null || typeof obj !== 'object') throw new TypeError('Invalid encrypted number: expected a JSON object')
+    if (!Number.isSafeInteger(obj.exponent)) throw new TypeError('Invalid encrypted number: exponent MUST be an integer')
+    if (typeof obj.ciphertext !== 'string' || obj.ciphertext === '') throw new TypeError('Invalid encrypted number: ciphertext MUST be a base64url string')
+    let ciphertext
+    try {
+      ciphertext = base64urlToBigint(obj.ciphertext)
+    } catch (error) {
+      throw new TypeError('Invalid encrypted number: ciphertext is not a valid base64url string')
+    }
+    const exportedKey = PublicKey.fromJSON(obj.publicKey)
+    if (publicKey === null) publicKey = exportedKey
+    else if (!publicKey.equals(exportedKey)) throw new KeyMismatchError('The encrypted number was exported with a different public key')
+    checkCiphertext(ciphertext, publicKey)
+    return new EncryptedNumber(publicKey, ciphertext, obj.exponent)
+  }
+
+  _addEncrypted (other) {
+    this._checkSameKey(other.publicKey)
+    let a = this
+    let b = other
+    if (a.exponent > b.exponent) a = a.decreaseExponentTo(b.exponent)
+    else if (a.exponent < b.exponent) b = b.decreaseExponentTo(a.exponent)
+    return new EncryptedNumber(this.publicKey, this.publicKey.addition(a.ciphertext, b.ciphertext), a.exponent)
+  }
+
+  _addEncoded (encoded) {
+    this._checkSameKey(encoded.publicKey)
+    let a = this
+    let b = encoded
+    if (a.exponent > b.exponent) a = a.decreaseExponentTo(b.exponent)
+    else if (a.exponent < b.exponent) b = b.decreaseExponentTo(a.exponent)
+    return new EncryptedNumber(this.publicKey, this.publicKey.addPlaintext(a.ciphertext, b.encoding), a.exponent)
+  }
+
+  _checkSameKey (publicKey) {
+    if (!this.publicKey.equals(publicKey)) throw new KeyMismatchError()
+  }
+}
+
+/**
+ * Simultaneous multi-exponentiation (Straus' algorithm with fixed windows). It computes prod base_i^(e_i) mod modulus
+ * sharing the squarings among all the terms: for k exponents of at most b bits it takes b squarings plus about
+ * k·(b/w + 2^w) multiplications, instead of the k·b squarings and k·b/2 multiplications of k independent modPows.
+ *
+ * @param {bigint[]} bases
+ * @param {bigint[]} exponents - non-negative exponents, one per base
+ * @param {bigint} modulus
+ * @param {number} [window = 4] - the window size w in bits
+ *
+ * @returns {bigint} - prod base_i^(e_i) mod modulus
+ *
+ * @throws {RangeError} - if the number of bases and exponents differ or an exponent is negative
+ */
+function multiExp (bases, exponents, modulus, window = 4) {
+  if (bases.length !== exponents.length) throw new RangeError('There MUST be as many exponents as bases')
+  if (exponents.some(e => e < 0n)) throw new RangeError('Exponents MUST be non-negative')
+  const w = BigInt(window)
+  const mask = (1n << w) - 1n
+  const size = 1 << window
+  // tables[i][j] = base_i^j mod modulus
+  const tables = bases.map(base => {
+    const row = [1n, base % modulus]
+    for (let j = 2; j < size; j++) row.push(row[j - 1] * row[1] % modulus)
+    return row
+  })
+  const maxBits = exponents.reduce((max, e) => Math.max(max, e.toString(2).length), 0)
+  let result = 1n
+  for (let shift = BigInt(Math.ceil(maxBits / window) - 1) * w; shift >= 0n; shift -= w) {
+    for (let i = 0; i < window; i++) result = result * result % modulus
+    exponents.forEach((e, i) => {
+      const digit = Number((e >> shift) & mask)
+      if (digit !== 0) result = result * tables[i][digit] % modulus
+    })
+  }
+  return result
+}
+
+/**
+ * A vector of ciphertexts encrypted with the same public key, with the linear algebra that Paillier's additive
+ * homomorphism allows: element-wise addition, multiplication by plaintext scalars and vectors, sums, dot products
+ * with plaintext vectors and products by plaintext matrices, e.g. to evaluate a linear model with plaintext weights
+ * on encrypted features.
+ *
+ * Dot products and matrix products are computed with a multi-exponentiation, which shares the squarings of all the
+ * terms, instead of one modPow per term.
+ */
+class EncryptedVector {
+  /**
+     * Creates an EncryptedVector from ciphertexts. Use {@link EncryptedVector.encrypt} to encrypt a vector.
+     *
+     * @param {PublicKey} publicKey - the public key the ciphertexts were encrypted with
+     * @param {bigint[]} ciphertexts
+     */
+  constructor (publicKey, ciphertexts) {
+    this.publicKey = publicKey
+    this.ciphertexts = ciphertexts
+  }
+
+  /**
+     * Encrypts a vector of plaintexts element by element
+     *
+     * @param {PublicKey} publicKey - the public key to encrypt with
+     * @param {Array<bigint | number>} values - the plaintexts
+     *
+     * @returns {EncryptedVector}
+     */
+  static encrypt (publicKey, values) {
+    return new EncryptedVector(publicKey, values.map(value => publicKey.encrypt(BigInt(value))))
+  }
+
+  /**
+     * Get the number of elements of this vector
+     * @returns {number}
+     */
+  get length () {
+    return this.ciphertexts.length
+  }
+
+  /**
+     * Decrypts every element of this vector
+     *
+     * @param {PrivateKey} privateKey - the private key associated to the public key of this vector
+     *
+     * @returns {bigint[]} - the plaintexts
+     */
+  decrypt (privateKey) {
+    return this.ciphertexts.map(c => privateKey.decrypt(c))
+  }
+
+  /**
+     * Element-wise homomorphic addition
+     *
+     * @param {EncryptedVector | Array<bigint | number>} other - an encrypted vector or a vector of plaintexts of the same length
+     *
+     * @returns {EncryptedVector} - the encryption of the element-wise sum
+     *
+     * @throws {RangeError} - if the vectors have different lengths
+     * @throws {KeyMismatchError} - if other was encrypted with a different public key
+     */
+  add (other) {
+    if (other instanceof EncryptedVector) {
+      this._checkSameKey(other.publicKey)
+      this._checkLength(other.length)
+      return this._map((c, i) => this.publicKey.addition(c, other.ciphertexts[i]))
+    }
+    this._checkLength(other.length)
+    return this._map((c, i) => this.publicKey.addPlaintext(c, other[i]))
+  }
+
+  /**
+     * Element-wise homomorphic multiplication by a plaintext scalar or by a plaintext vector
+     *
+     * @param {bigint | number | Array<bigint | number>} k - a scalar or a vector of the same length
+     *
+     * @returns {EncryptedVector} - the encryption of the element-wise product
+     *
+     * @throws {RangeError} - if k is a vector of a different length
+     */
+  multiply (k) {
+    if (!Array.isArray(k)) return this._map(c => this.publicKey.multiply(c, k))
+    this._checkLength(k.length)
+    return this._map((c, i) => this.publicKey.multiply(c, k[i]))
+  }
+
+  /**
+     * Homomorphic sum of the elements of this vector
+     *
+     * @returns {bigint} - the encryption of the sum
+     */
+  sum () {
+    return this.publicKey.addition(...this.ciphertexts)
+  }
+
+  /**
+     * Homomorphic dot product with a plaintext vector
+     *
+     * @param {Array<bigint | number>} weights - a plaintext vector of the same length. Negative weights are allowed
+     *
+     * @returns {bigint} - the encryption of sum(weights[i]·m_i) mod n
+     *
+     * @throws {RangeError} - if the vectors have different lengths
+     */
+  dot (weights) {
+    this._checkLength(weights.length)
+    this.publicKey._checkCiphertexts(...this.ciphertexts)
+    return this._dot(weights.map(BigInt), [])
+  }
+
+  /**
+     * Homomorphic product of a plaintext matrix by this vector
+     *
+     * @param {Array<Array<bigint | number>>} matrix - a plaintext matrix, as an array of rows with as many columns as this vector has elements
+     *
+     * @returns {EncryptedVector} - the encryption of matrix × this vector, with one element per row
+     *
+     * @throws {RangeError} - if a row of the matrix has a different length than this vector
+     */
+  matrixMultiply (matrix) {
+    matrix.forEach(row => this._checkLength(row.length))
+    this.publicKey._checkCiphertexts(...this.ciphertexts)
+    // the inverses of the ciphertexts, shared by all the rows, for negative weights
+    const inverses = []
+    return new EncryptedVector(this.publicKey, matrix.map(row => this._dot(row.map(BigInt), inverses)))
+  }
+
+  _dot (weights, inverses) {
+    const bases = this.ciphertexts.map((c, i) => {
+      if (weights[i] >= 0n) return c
+      if (inverses[i] === undefined) inverses[i] = this.publicKey.negate(c)
+      return inverses[i]
+    })
+    const exponents = weights.map(k => (k < 0n) ? -k : k)
+    return multiExp(bases, exponents, this.publicKey._n2)
+  }
+
+  _map (fn) {
+    return new EncryptedVector(this.publicKey, this.ciphertexts.map(fn))
+  }
+
+  _checkLength (length) {
+    if (length !== this.length) throw new RangeError(`Expected a vector of length ${this.length} but got ${length}`)
+  }
+
+  _checkSameKey (publicKey) {
+    if (!this.publicKey.equals(publicKey)) throw new KeyMismatchError()
+  }
+}
+
+/**
+ * Deterministic random bit generator HMAC_DRBG with SHA-256 (NIST SP 800-90A) implementing the
+ * {@link RandomSource} interface. The same seed always produces the same sequence of bytes, and thus the same keys
+ * and ciphertexts when it is passed as randomSource to {@link generateRandomKeys}, {@link generateRandomKeysSync}
+ * or {@link PublicKey#encrypt}.
+ *
+ * FOR TESTING ONLY. Keys and ciphertexts are only as secret as the seed, so NEVER use it with a hard-coded or
+ * low-entropy seed outside reproducible tests.
+ */
+class HmacDrbg {
+  /**
+     * Instantiates a HMAC_DRBG
+     *
+     * @param {Uint8Array | string} seed - the seed material. Strings are UTF-8 encoded
+     * @param {Uint8Array | string} [personalization] - an optional personalization string
+     *
+     * @throws {TypeError} - if seed or personalization are not a Uint8Array or a string
+     */
+  constructor (seed, personalization = new Uint8Array(0)) {
+    this._K = new Uint8Array(32)
+    this._V = new Uint8Array(32).fill(0x01)
+    this._update(concat(toBuf(seed), toBuf(personalization)))
+  }
+
+  /**
+     * Generates pseudorandom bytes
+     *
+     * @param {number} byteLength
+     *
+     * @returns {Uint8Array} - byteLength pseudorandom bytes
+     */
+  randomBytes (byteLength) {
+    const out = new Uint8Array(byteLength)
+    for (let i = 0; i < byteLength; i += 32) {
+      this._V = hmacSha256(this._K, this._V)
+      out.set(this._V.subarray(0, Math.min(32, byteLength - i)), i)
+    }
+    this._update(new Uint8Array(0))
+    return out
+  }
+
+  /**
+     * Mixes additional entropy into the internal state
+     *
+     * @param {Uint8Array | string} entropy
+     */
+  reseed (entropy) {
+    this._update(toBuf(entropy))
+  }
+
+  _update (data) {
+    this._K = hmacSha256(this._K, concat(this._V, [0x00], data))
+    this._V = hmacSha256(this._K, this._V)
+    if (data.length === 0) return
+    this._K = hmacSha256(this._K, concat(this._V, [0x01], data))
+    this._V = hmacSha256(this._K, this._V)
+  }
+}
+
+function toBuf (data) {
+  if (typeof data === 'string') return utf8ToBuf(data)
+  if (data instanceof Uint8Array) return data
+  throw new TypeError('Expected a Uint8Array or a string')
+}
+
+function concat (...arrays) {
+  const out = new Uint8Array(arrays.reduce((len, array) => len + array.length, 0))
+  let offset = 0
+  for (const array of arrays) {
+    out.set(array, offset)
+    offset += array.length
+  }
+  return out
+}
+
+/*
+ * Threshold Paillier (Damgård-Jurik with s = 1, after Shoup's threshold RSA). A trusted dealer generates a modulus
+ * n = p·q of safe primes p = 2p'+1 and q = 2q'+1 and splits the decryption exponent d, with d = 0 mod p'q' and
+ * d = 1 mod n, into Shamir shares s_i = f(i) of a random polynomial f of degree t-1 with f(0) = d. Any t holders of
+ * shares can decrypt together, while fewer than t learn nothing about the plaintext.
+ *
+ * Every share holder i publishes a verification key v_i = v^(Δ·s_i) with Δ = l! and l the number of parties, and
+ * attaches to its decryption share c_i = c^(2Δ·s_i) a non-interactive proof that log_(c^4)(c_i^2) = log_v(v_i).
+ */
+
+const PROOF_LABEL = 'paillier-bigint/threshold-decryption-share'
+const CHALLENGE_BITS$1 = 256
+const STATISTICAL_SECURITY$1 = 256
+
+/**
+ * @typedef {Object} ThresholdParameters
+ * @property {PublicKey} publicKey - the public key to encrypt with. It uses g = n+1
+ * @property {number} threshold - the number t of shares required to decrypt
+ * @property {number} parties - the total number l of shares
+ * @property {bigint} delta - Δ = l!
+ * @property {bigint} v - a random square in Z* of n^2 that generates the group of squares
+ * @property {bigint[]} verificationKeys - the verification keys v_i = v^(Δ·s_i) mod n^2. verificationKeys[i-1] is the key of party i
+ */
+
+/**
+ * @typedef {Object} KeyShare
+ * @property {number} index - the index i in [1, l] of the share holder
+ * @property {bigint} secret - the secret share s_i = f(i)
+ * @property {ThresholdParameters} parameters - the public parameters
+ */
+
+/**
+ * @typedef {Object} DecryptionShare
+ * @property {number} index - the index i of the share holder
+ * @property {bigint} value - the decryption share c_i = c^(2Δ·s_i) mod n^2
+ * @property {{e: bigint, z: bigint}} proof - the proof that the decryption share was computed with s_i
+ */
+
+/**
+ * Generates the keys of a t-of-l threshold Paillier cryptosystem with a trusted dealer. The dealer (this function)
+ * knows the factorization of n, so it MUST run in a trusted environment that forgets everything but the output.
+ * Every key share MUST then be privately sent to its holder.
+ *
+ * Safe primes are required, so it is much slower than {@link generateRandomKeys}.
+ *
+ * @param {Object} options - the {@link KeyGenerationOptions} (safePrimes and simpleVariant are ignored) plus:
+ * @param {number} options.threshold - the number t of shares required to decrypt
+ * @param {number} options.parties - the total number l of shares
+ *
+ * @returns {Promise<{publicKey: PublicKey, parameters: ThresholdParameters, keyShares: KeyShare[]}>}
+ *
+ * @throws {RangeError} - if threshold is not in [1, parties] or a key generation option is not valid
+ */
+async function generateThresholdKeys (options) {
+  const { threshold, parties } = options
+  if (!Number.isSafeInteger(parties) || parties < 1) throw new RangeError('parties MUST be a positive integer')
+  if (!Number.isSafeInteger(threshold) || threshold < 1 || threshold > parties) throw new RangeError('threshold MUST be an integer in [1, parties]')
+  const keyGenerationOptions = { ...parseKeyGenerationOptions(options), safePrimes: true, simpleVariant: true }
+  const { privateKey } = await generateKeyPair(keyGenerationOptions)
+  return dealShares(privateKey._p, privateKey._q, threshold, parties, keyGenerationOptions.randomSource)
+}
+
+/**
+ * Computes a decryption share of c together with a proof of its correctness
+ *
+ * @param {KeyShare} keyShare - the key share of the party
+ * @param {bigint} c - a ciphertext encrypted with the threshold public key
+ * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for the proof
+ *
+ * @returns {DecryptionShare} - the decryption share of party keyShare.index
+ *
+ * @throws {InvalidCiphertextError} - in strict mode (see {@link setStrictValidation}), if c is not in Z* of n^2
+ */
+function partialDecrypt (keyShare, c, randomSource = null) {
+  const { index, secret, parameters } = keyShare
+  const { publicKey, delta, v, verificationKeys } = parameters
+  const n2 = publicKey._n2
+  if (isStrictValidation(publicKey)) checkCiphertext(c, publicKey)
+  const exponent = delta * secret
+  const value = bcu.modPow(c, 2n * exponent, n2)
+
+  // proof of equality of discrete logs: log_(c^4)(value^2) = log_v(v_i) = Δ·s_i
+  const c4 = bcu.modPow(c, 4n, n2)
+  const r = randBits(bcu.bitLength(n2) + bcu.bitLength(delta) + CHALLENGE_BITS$1 + STATISTICAL_SECURITY$1, randomSource)
+  const a = bcu.modPow(c4, r, n2)
+  const b = bcu.modPow(v, r, n2)
+  const e = challenge(PROOF_LABEL, publicKey.n, c4, v, verificationKeys[index - 1], value ** 2n % n2, a, b)
+  return { index, value, proof: { e, z: r + e * exponent } }
+}
+
+/**
+ * Verifies that a decryption share of c was correctly computed by its holder
+ *
+ * @param {ThresholdParameters} parameters
+ * @param {bigint} c - the ciphertext
+ * @param {DecryptionShare} decryptionShare
+ *
+ * @returns {boolean} - true if the proof of the decryption share is valid
+ */
+function verifyDecryptionShare (parameters, c, decryptionShare) {
+  const { publicKey, parties, v, verificationKeys } = parameters
+  const n2 = publicKey._n2
+  if (typeof c !== 'bigint' || c <= 0n || c >= n2 || bcu.gcd(c, publicKey.n) !== 1n) return false
+  if (typeof decryptionShare !== 'object' || decryptionShare === null) return false
+  const { index, value, proof } = decryptionShare
+  if (!Number.isSafeInteger(index) || index < 1 || index > parties) return false
+  if (typeof value !== 'bigint' || value <= 0n || value >= n2 || bcu.gcd(value, publicKey.n) !== 1n) return false
+  if (typeof proof !== 'object' || proof === null) return false
+  const { e, z } = proof
+  if (typeof e !== 'bigint' || typeof z !== 'bigint' || e < 0n || z < 0n) return false
+  const c4 = bcu.modPow(c, 4n, n2)
+  const value2 = value ** 2n % n2
+  const vk = verificationKeys[index - 1]
+  const a = bcu.modPow(c4, z, n2) * bcu.modPow(value2, -e, n2) % n2
+  const b = bcu.modPow(v, z, n2) * bcu.modPow(vk, -e, n2) % n2
+  return e === challenge(PROOF_LABEL, publicKey.n, c4, v, vk, value2, a, b)
+}
+
+/**
+ * Combines decryption shares of c from at least t different parties to recover the plaintext. Every share is
+ * verified first, so that misbehaving share holders are detected.
+ *
+ * @param {ThresholdParameters} parameters
+ * @param {bigint} c - the ciphertext
+ * @param {DecryptionShare[]} decryptionShares - decryption shares from at least t different parties
+ *
+ * @returns {bigint} - the decryption of c
+ *
+ * @throws {InvalidCiphertextError} - if c is not in Z* of n^2
+ * @throws {RangeError} - if there are less than t shares or several shares of the same party
+ * @throws {InvalidDecryptionShareError} - if a decryption share is not valid. Its index property identifies the misbehaving party
+ */
+function combineShares (parameters, c, decryptionShares) {
+  const { publicKey, threshold, delta } = parameters
+  const { n, _n2: n2 } = publicKey
+  checkCiphertext(c, publicKey)
+  const indexes = decryptionShares.map(share => share.index)
+  if (new Set(indexes).size !== indexes.length) throw new RangeError('Every decryption share MUST come from a different party')
+  if (decryptionShares.length < threshold) throw new RangeError(`At least ${threshold} decryption shares are required`)
+  for (const share of decryptionShares) {
+    if (!verifyDecryptionShare(parameters, c, share)) throw new InvalidDecryptionShareError(share.index)
+  }
+
+  const shares = decryptionShares.slice(0, threshold)
+  const S = shares.map(share => BigInt(share.index))
+  // c' = prod c_i^(2·λ_i) = c^(4Δ^2·d) = 1 + 4Δ^2·m·n mod n^2
+  let combined = 1n
+  shares.forEach((share, k) => {
+    combined = combined * bcu.modPow(share.value, 2n * lagrangeCoefficient(S, k, delta), n2) % n2
+  })
+  return L(combined, n) * bcu.modInv(4n * delta ** 2n, n) % n
+}
+
+function dealShares (p, q, threshold, parties, randomSource) {
+  const n = p * q
+  const n2 = n ** 2n
+  const m = ((p - 1n) / 2n) * ((q - 1n) / 2n)
+  const nm = n * m
+  // d = 0 mod m and d = 1 mod n
+  const d = m * bcu.modInv(m, n)
+
+  const coefficients = [d]
+  for (let k = 1; k < threshold; k++) coefficients.push(randBetween(nm - 1n, 0n, randomSource))
+  const secrets = []
+  for (let i = 1; i <= parties; i++) {
+    // Horner's evaluation of f(i) mod n·m
+    secrets.push(coefficients.reduceRight((acc, coefficient) => (acc * BigInt(i) + coefficient) % nm, 0n))
+  }
+
+  let delta = 1n
+  for (let i = 2; i <= parties; i++) delta *= BigInt(i)
+  let r
+  do {
+    r = randBetween(n2 - 1n, 1n, randomSource)
+  } while (bcu.gcd(r, n) !== 1n)
+  const v = r ** 2n % n2
+  const publicKey = new PublicKey(n, n + 1n)
+  const parameters = {
+    publicKey,
+    threshold,
+    parties,
+    delta,
+    v,
+    verificationKeys: secrets.map(secret => bcu.modPow(v, delta * secret, n2))
+  }
+  const keyShares = secrets.map((secret, i) => ({ index: i + 1, secret, parameters }))
+  return { publicKey, parameters, keyShares }
+}
+
+// λ_(0,i) = Δ · prod_(j in S, j != i) j / (j - i), which is an integer
+function lagrangeCoefficient (S, k, delta) {
+  const i = S[k]
+  let numerator = delta
+  let denominator = 1n
+  S.forEach((j, l) => {
+    if (l === k) return
+    numerator *= j
+    denominator *= j - i
+  })
+  return numerator / denominator
+}
+
+/*
+ * Every worker receives the key once ({ key }) and then processes chunks of items ({ id, items }), replying with
+ * { id, results }. A key with lambda is a private key and its chunks are decrypted; otherwise they are encrypted.
+ */
+const WORKER_SOURCE$1 = `
+let key = null
+port.onMessage(msg => {
+  if (msg.key !== undefined) {
+    key = parseKey(msg.key)
+    return
+  }
+  const fn = (key.lambda === undefined) ? encrypt : decrypt
+  port.postMessage({ id: msg.id, results: msg.items.map(item => fn(BigInt('0x' + item)).toString(16)) })
+})
+function parseKey (hexKey) {
+  const k = {}
+  for (const name of Object.keys(hexKey)) k[name] = BigInt('0x' + hexKey[name])
+  k.n2 = k.n * k.n
+  if (k.p !== undefined) {
+    k.p2 = k.p * k.p
+    k.q2 = k.q * k.q
+    k.hp = modInv(L(modPow(k.g, k.p - 1n, k.p2), k.p), k.p)
+    k.hq = modInv(L(modPow(k.g, k.q - 1n, k.q2), k.q), k.q)
+    k.qInvP = modInv(k.q, k.p)
+  }
+  return k
+}
+function L (a, n) { return (a - 1n) / n }
+function encrypt (m) {
+  const { n, g, n2 } = key
+  let r
+  do {
+    r = randBetween(n)
+  } while (gcd(r, n) !== 1n)
+  const gm = (g === n + 1n) ? (1n + m * n) % n2 : modPow(g, m, n2)
+  return gm * modPow(r, n, n2) % n2
+}
+function decrypt (c) {
+  const { n, n2, lambda, mu, p, q, p2, q2, hp, hq, qInvP } = key
+  if (p === undefined) return L(modPow(c, lambda, n2), n) * mu % n
+  const mp = L(modPow(c, p - 1n, p2), p) * hp % p
+  const mq = L(modPow(c, q - 1n, q2), q) * hq % q
+  return mq + toZn((mp - mq) * qInvP, p) * q
+}
+`
+
+/**
+ * @typedef {Object} BatchOptions
+ * @property {number} [workers] - the number of workers of the pool. It defaults to the number of CPU cores
+ * @property {number} [chunkSize] - the number of items sent to a worker at once. By default, every worker gets about 4 chunks
+ * @property {AbortSignal} [signal] - a signal (or any object with aborted, reason, addEventListener and removeEventListener) to cancel the operation. Workers are then terminated and the promise rejects with the abort reason
+ */
+
+/**
+ * Encrypts a batch of messages in a pool of workers (worker_threads in Node.js, Web Workers in browsers), so that
+ * the event loop is not blocked. The public key is sent once to every worker. If workers are not available, the
+ * messages are encrypted in the main thread, yielding to the event loop between chunks.
+ *
+ * Encryptions use fresh random factors computed in the workers, and not the {@link ObfuscatorPool} of the key.
+ *
+ * @param {PublicKey} publicKey - the public key to encrypt with
+ * @param {Array<bigint | number>} messages - the messages to encrypt
+ * @param {BatchOptions} [options]
+ *
+ * @returns {Promise<bigint[]>} - a promise that resolves to the encryptions of the messages, in the same order
+ *
+ * @throws {InvalidPlaintextError} - in strict mode (see {@link setStrictValidation}), if a message is not in Z_n
+ */
+async function encryptBatch (publicKey, messages, options = {}) {
+  if (isStrictValidation(publicKey)) messages.forEach(m => checkPlaintext(m, publicKey))
+  const plaintexts = messages.map(m => bcu.toZn(BigInt(m), publicKey.n))
+  const key = { n: publicKey.n, g: publicKey.g }
+  return runBatch(key, plaintexts, options, m => publicKey.encrypt(m))
+}
+
+/**
+ * Decrypts a batch of ciphertexts in a pool of workers (worker_threads in Node.js, Web Workers in browsers), so that
+ * the event loop is not blocked. The private key is sent once to every worker. If workers are not available, the
+ * ciphertexts are decrypted in the main thread, yielding to the event loop between chunks.
+ *
+ * @param {PrivateKey} privateKey - the private key to decrypt with
+ * @param {bigint[]} ciphertexts - the ciphertexts to decrypt
+ * @param {BatchOptions} [options]
+ *
+ * @returns {Promise<bigint[]>} - a promise that resolves to the decryptions of the ciphertexts, in the same order, as returned by {@link PrivateKey#decrypt}
+ *
+ * @throws {InvalidCiphertextError} - in strict mode (see {@link setStrictValidation}), if a ciphertext is not in Z* of n^2
+ */
+async function decryptBatch (privateKey, ciphertexts, options = {}) {
+  const { publicKey, lambda, mu } = privateKey
+  if (isStrictValidation(publicKey)) ciphertexts.forEach(c => checkCiphertext(c, publicKey))
+  const key = { n: publicKey.n, g: publicKey.g, lambda, mu }
+  if (privateKey._crt !== null) {
+    key.p = privateKey._p
+    key.q = privateKey._q
+  }
+  return runBatch(key, ciphertexts.map(BigInt), options, c => privateKey.decrypt(c))
+}
+
+async function runBatch (key, items, { workers = defaultWorkers(), chunkSize = null, signal = null } = {}, fallback) {
+  if (!Number.isSafeInteger(workers) || workers < 1) throw new RangeError('workers MUST be a positive integer')
+  if (chunkSize === null) chunkSize = Math.max(Math.ceil(items.length / (4 * workers)), 1)
+  if (!Number.isSafeInteger(chunkSize) || chunkSize < 1) throw new RangeError('chunkSize MUST be a positive integer')
+  if (signal !== null && signal.aborted) throw abortReason(signal)
+  const chunks = []
+  for (let i = 0; i < items.length; i += chunkSize) chunks.push(items.slice(i, i + chunkSize))
+  if (chunks.length === 0) return []
+  if (!workersAvailable()) return runInMainThread(chunks, fallback, signal)
+
+  const hexKey = {}
+  for (const name of Object.keys(key)) hexKey[name] = key[name].toString(16)
+  const results = new Array(chunks.length)
+  return new Promise((resolve, reject) => {
+    const pool = []
+    let settled = false
+    let next = 0
+    let done = 0
+    const onAbort = () => settle(abortReason(signal))
+    function settle (error) {
+      if (settled) return
+      settled = true
+      pool.forEach(worker => worker.terminate())
+      if (signal !== null) signal.removeEventListener('abort', onAbort)
+      if (error !== null) reject(error)
+      else resolve([].concat(...results))
+    }
+    function dispatch (worker) {
+      if (next === chunks.length) return
+      const id = next++
+      worker.postMessage({ id, items: chunks[id].map(item => item.toString(16)) })
+    }
+
+    if (signal !== null) signal.addEventListener('abort', onAbort)
+    for (let i = 0; i < Math.min(workers, chunks.length); i++) {
+      const worker = createWorker(WORKER_SOURCE$1)
+      pool.push(worker)
+      worker.onError(settle)
+      worker.onExit(code => settle(new Error(`A worker exited with code ${code} before finishing its work`)))
+      worker.onMessage(({ id, results: chunk }) => {
+        if (settled) return
+        results[id] = chunk.map(hex => BigInt('0x' + hex))
+        if (++done === chunks.length) settle(null)
+        else dispatch(worker)
+      })
+      worker.postMessage({ key: hexKey })
+      dispatch(worker)
+    }
+  })
+}
+
+async function runInMainThread (chunks, fn, signal) {
+  const results = []
+  for (const chunk of chunks) {
+    await new Promise(resolve => setTimeout(resolve, 0))
+    if (signal !== null && signal.aborted) throw abortReason(signal)
+    results.push(...chunk.map(fn))
+  }
+  return results
+}
+
+function defaultWorkers () {
+  return require('os').cpus().length || 1
+}
+
+/*
+ * Streaming adapters to encrypt, decrypt and add large datasets chunk by chunk without holding them in memory. Every
+ * operation is implemented once as a transformer ({ transform(chunk), flush() }, each returning the chunk to emit or
+ * undefined) and exposed both as a Node.js object-mode Transform stream and as a WHATWG TransformStream.
+ *
+ * Ciphertexts are serialized as unpadded base64url strings, as in the JSON exports of this library. Encoded numbers
+ * ({@link EncodedNumber}) are encrypted to the {@link EncryptedNumber#toJSON} object instead, so that their exponent is
+ * kept, and decrypted back to the numbers they encode. They cannot be summed with {@link createSumStream}.
+ *
+ * The TransformStream versions need WHATWG streams, which are global in browsers and Node.js >= 18 and available in
+ * the stream/web module of Node.js >= 16.5.
+ */
+/* global globalThis */
+
+/**
+ * @typedef {Object} StreamEncoder
+ * @property {function(any): bigint} encode - maps an input value to a plaintext in Z_n, e.g. {@link SignedIntegerEncoder#encode}
+ * @property {function(bigint): any} decode - maps a decrypted plaintext back to a value, e.g. {@link SignedIntegerEncoder#decode}
+ */
+
+/**
+ * Creates a Node.js object-mode Transform stream that encrypts every plaintext written to it and emits the serialized
+ * ciphertext
+ *
+ * @param {PublicKey} publicKey - the public key to encrypt with
+ * @param {Object} [options]
+ * @param {StreamEncoder} [options.encoder] - an encoder of the input values. By default, every chunk is converted with BigInt(), so decimal strings are also accepted
+ *
+ * @returns {Transform} - a stream of plaintexts to base64url-encoded ciphertexts, and of encoded numbers to {@link EncryptedNumber#toJSON} objects
+ */
+function createEncryptStream (publicKey, options = {}) {
+  return nodeTransform(encryptTransformer(publicKey, options))
+}
+
 /**
- * Class for a Paillier public key
+ * Creates a Node.js object-mode Transform stream that decrypts every serialized ciphertext written to it and emits
+ * the plaintext
+ *
+ * @param {PrivateKey} privateKey - the private key to decrypt with
+ * @param {Object} [options]
+ * @param {StreamEncoder} [options.encoder] - an encoder to decode the plaintexts. By default, plaintexts are emitted as bigints. It is not used with encrypted numbers
+ *
+ * @returns {Transform} - a stream of base64url-encoded ciphertexts (or bigints) to plaintexts, and of {@link EncryptedNumber#toJSON} objects (or their JSON strings) to the numbers they encode
  */
-class PublicKey {
-  /**
-     * Creates an instance of class PublicKey
-     * @param {bigint} n - the public modulo
-     * @param {bigint} g - the public generator
-     */
-  constructor (n, g) {
-    this.n = n
-    this._n2 = this.n ** 2n // cache n^2
-    this.g = g
-  }
+function createDecryptStream (privateKey, options = {}) {
+  return nodeTransform(decryptTransformer(privateKey, options))
+}
 
-  /**
-     * Get the bit length of the public modulo
-     * @returns {number} - bit length of the public modulo
-     */
-  get bitLength () {
-    return bcu.bitLength(this.n)
-  }
+/**
+ * Creates a Node.js object-mode Transform stream that folds every ciphertext written to it with
+ * {@link PublicKey#addition} and emits the serialized encryption of the sum when it ends. Only the running sum is
+ * kept in memory. An empty stream sums to the (not randomized) encryption of 0.
+ *
+ * @param {PublicKey} publicKey - the public key the ciphertexts were encrypted with
+ *
+ * @returns {Transform} - a stream of base64url-encoded ciphertexts (or bigints) to a single base64url-encoded ciphertext
+ */
+function createSumStream (publicKey) {
+  return nodeTransform(sumTransformer(publicKey))
+}
 
-  /**
-     * Paillier public-key encryption
-     *
-     * @param {bigint} m - a bigint representation of a cleartext message
-     * @param {bigint} [r] - the random integer factor for encryption. By default is a random in (1,n)
-     *
-     * @returns {bigint} - the encryption of m with this public key
-     */
-  encrypt (m, r = null) {
-    if (r === null) {
-      do {
-        r = bcu.randBetween(this.n)
-      } while (bcu.gcd(r, this.n) !== 1n)
+/**
+ * WHATWG TransformStream version of {@link createEncryptStream}
+ *
+ * @param {PublicKey} publicKey - the public key to encrypt with
+ * @param {Object} [options]
+ * @param {StreamEncoder} [options.encoder] - an encoder of the input values
+ *
+ * @returns {TransformStream}
+ *
+ * @throws {Error} - if WHATWG streams are not available
+ */
+function createEncryptTransformStream (publicKey, options = {}) {
+  return webTransform(encryptTransformer(publicKey, options))
+}
+
+/**
+ * WHATWG TransformStream version of {@link createDecryptStream}
+ *
+ * @param {PrivateKey} privateKey - the private key to decrypt with
+ * @param {Object} [options]
+ * @param {StreamEncoder} [options.encoder] - an encoder to decode the plaintexts
+ *
+ * @returns {TransformStream}
+ *
+ * @throws {Error} - if WHATWG streams are not available
+ */
+function createDecryptTransformStream (privateKey, options = {}) {
+  return webTransform(decryptTransformer(privateKey, options))
+}
+
+/**
+ * WHATWG TransformStream version of {@link createSumStream}
+ *
+ * @param {PublicKey} publicKey - the public key the ciphertexts were encrypted with
+ *
+ * @returns {TransformStream}
+ *
+ * @throws {Error} - if WHATWG streams are not available
+ */
+function createSumTransformStream (publicKey) {
+  return webTransform(sumTransformer(publicKey))
+}
+
+function encryptTransformer (publicKey, { encoder = null } = {}) {
+  return {
+    transform: value => {
+      if (value instanceof EncodedNumber) return EncryptedNumber.encrypt(publicKey, value).toJSON()
+      return bigintToBase64url(publicKey.encrypt((encoder !== null) ? encoder.encode(value) : BigInt(value)))
     }
-    return (bcu.modPow(this.g, m, this._n2) * bcu.modPow(r, this.n, this._n2)) % this._n2
   }
+}
 
-  encryptOtherNA (m, r, n2) {
-    return (bcu.modPow(this.g, m, this._n2) * bcu.modPow(r, this.n, this._n2)) % n2
+function decryptTransformer (privateKey, { encoder = null } = {}) {
+  return {
+    transform: chunk => {
+      if (isEncryptedNumber(chunk)) return EncryptedNumber.fromJSON(chunk, privateKey.publicKey).decrypt(privateKey)
+      const m = privateKey.decrypt(parseCiphertext(chunk))
+      return (encoder !== null) ? encoder.decode(m) : m
+    }
   }
+}
 
-  encryptOtherNB (m, r, n2) {
-    return (bcu.modPow(this.g, m, n2) * bcu.modPow(r, this.n, this._n2)) % this._n2
+function sumTransformer (publicKey) {
+  let sum = 1n
+  return {
+    transform: chunk => {
+      sum = publicKey.addition(sum, parseCiphertext(chunk))
+    },
+    flush: () => bigintToBase64url(sum)
   }
+}
 
-  encryptOtherNC (m, r, n2) {
-    return (bcu.modPow(this.g, m, this._n2) * bcu.modPow(r, this.n, n2)) % this._n2
-  }
+// an exported EncryptedNumber, either as an object or as a JSON string
+function isEncryptedNumber (chunk) {
+  if (typeof chunk === 'string') return chunk.trim().startsWith('{')
+  return typeof chunk === 'object' && chunk !== null
+}
 
-  encryptOtherNF (m, r, n2) {
-    return (bcu.modPow(this.g, m, this._n2) * bcu.modPow(r, this.n, n2)) % n2
+function parseCiphertext (chunk) {
+  if (typeof chunk === 'bigint') return chunk
+  if (typeof chunk !== 'string' || chunk === '') throw new TypeError('Ciphertexts MUST be base64url strings or bigints')
+  try {
+    return base64urlToBigint(chunk.trim())
+  } catch (error) {
+    throw new TypeError('Invalid ciphertext: not a valid base64url string')
   }
+}
 
-  encryptOtherND (m, r, n2) {
-    return (bcu.modPow(this.g, m, n2) * bcu.modPow(r, this.n, n2)) % this._n2
-  }
+function nodeTransform (transformer) {
+  return createNodeTransform(transformer)
+}
 
-  encryptOtherNE (m, r, n2) {
-    return (bcu.modPow(this.g, m, n2) * bcu.modPow(r, this.n, n2)) % this._n2
-  }
+function createNodeTransform ({ transform, flush = () => undefined }) {
+  const { Transform } = require('stream')
+  return new Transform({
+    objectMode: true,
+    transform (chunk, encoding, callback) {
+      let output
+      try {
+        output = transform(chunk)
+      } catch (error) {
+        return callback(error)
+      }
+      callback(null, output)
+    },
+    flush (callback) {
+      let output
+      try {
+        output = flush()
+      } catch (error) {
+        return callback(error)
+      }
+      callback(null, output)
+    }
+  })
+}
 
-  /**
-     * Homomorphic addition
-     *
-     * @param {...bigint} ciphertexts - n >= 2 ciphertexts (c_1,..., c_n) that are the encryption of (m_1, ..., m_n) with this public key
-     *
-     * @returns {bigint} - the encryption of (m_1 + ... + m_2) with this public key
-     */
-  addition (...ciphertexts) {
-    return ciphertexts.reduce((sum, next) => sum * next % (this._n2), 1n)
-  }
+function webTransform ({ transform, flush = () => undefined }) {
+  const TransformStream = transformStreamClass()
+  return new TransformStream({
+    transform (chunk, controller) {
+      const output = transform(chunk)
+      if (output !== undefined) controller.enqueue(output)
+    },
+    flush (controller) {
+      const output = flush()
+      if (output !== undefined) controller.enqueue(output)
+    }
+  })
+}
 
-  /**
-     * Pseudo-homomorphic Paillier multiplication
-     *
-     * @param {bigint} c - a number m encrypted with this public key
-     * @param {bigint | number} k - either a bigint or a number
-     *
-     * @returns {bigint} - the encryption of k·m with this public key
-     */
-  multiply (c, k) {
-    return bcu.modPow(BigInt(c), BigInt(k), this._n2)
+function transformStreamClass () {
+  if (typeof globalThis !== 'undefined' && typeof globalThis.TransformStream === 'function') return globalThis.TransformStream
+  return requireTransformStream()
+}
+
+function requireTransformStream () {
+  try {
+    return require('stream/web').TransformStream
+  } catch (error) {
+    return whatwgStreamsUnavailable()
   }
 }
 
+function whatwgStreamsUnavailable () {
+  throw new Error('WHATWG streams are not available. They need a browser or Node.js >= 16.5')
+}
+
+const PEM_LABEL$2 = 'PAILLIER CIPHERTEXT'
+const MAGIC = [0x50, 0x43, 0x54, 0x58] // 'PCTX'
+const WIRE_VERSION = 1
+const FINGERPRINT_LENGTH = 32
+const HEADER_LENGTH = MAGIC.length + 1 + FINGERPRINT_LENGTH + 4 + 4
+
 /**
- * Class for Paillier private keys.
+ * DER-encodes a ciphertext as:
+ * ```
+ * PaillierCiphertext ::= INTEGER
+ * ```
+ *
+ * @param {bigint} c - a ciphertext
+ *
+ * @returns {Uint8Array} - the DER encoding of c
  */
-class PrivateKey {
-  /**
-     * Creates an instance of class PrivateKey
-     *
-     * @param {bigint} lambda
-     * @param {bigint} mu
-     * @param {PublicKey} publicKey
-     * @param {bigint} [p = null] - a big prime
-     * @param {bigint} [q = null] - a big prime
-     */
-  constructor (lambda, mu, publicKey, p = null, q = null) {
-    this.lambda = lambda
-    this.mu = mu
-    this._p = p || null
-    this._q = q || null
-    this.publicKey = publicKey
-  }
+function ciphertextToDER (c) {
+  return encodeInteger(c)
+}
 
-  /**
-     * Get the bit length of the public modulo
-     * @returns {number} - bit length of the public modulo
-     */
-  get bitLength () {
-    return bcu.bitLength(this.publicKey.n)
-  }
+/**
+ * Decodes a DER-encoded PaillierCiphertext
+ *
+ * @param {Uint8Array} der
+ *
+ * @returns {bigint} - the ciphertext
+ *
+ * @throws {TypeError} - if der is malformed
+ */
+function ciphertextFromDER (der) {
+  return decodeInteger(decode$1(der))
+}
 
-  /**
-     * Get the public modulo n=p·q
-     * @returns {bigint} - the public modulo n=p·q
-     */
-  get n () {
-    return this.publicKey.n
-  }
+/**
+ * Encodes a ciphertext as a PEM 'PAILLIER CIPHERTEXT' block
+ *
+ * @param {bigint} c - a ciphertext
+ *
+ * @returns {string} - the PEM encoding of c
+ */
+function ciphertextToPEM (c) {
+  return toPem(ciphertextToDER(c), PEM_LABEL$2)
+}
 
-  /**
-   * Paillier private-key decryption
-   *
-   * @param {bigint} c - a bigint encrypted with the public key
-   *
-   * @returns {bigint} - the decryption of c with this private key
-   */
-  decrypt (c) {
-    return (L(bcu.modPow(c, this.lambda, this.publicKey._n2), this.publicKey.n) * this.mu) % this.publicKey.n
-  }
+/**
+ * Decodes a PEM 'PAILLIER CIPHERTEXT' block
+ *
+ * @param {string} pem
+ *
+ * @returns {bigint} - the ciphertext
+ *
+ * @throws {TypeError} - if pem is malformed
+ */
+function ciphertextFromPEM (pem) {
+  return ciphertextFromDER(fromPem(pem, PEM_LABEL$2))
+}
 
-  /**
-   * Recover the random factor used for encrypting a message with the complementary public key.
-   * The recovery function only works if the public key generator g was using the simple variant
-   * g = 1 + n
-   *
-   * @param {bigint} c - the encryption using the public of message m with random factor r
-   *
-   * @returns {bigint} - the random factor (mod n)
-   *
-   * @throws {RangeError} - Cannot recover the random factor if publicKey.g != publicKey.n + 1. You should generate yout keys using the simple variant, e.g. generateRandomKeys(3072, true) )
-   */
-  getRandomFactor (c) {
-    if (this.publicKey.g !== this.n + 1n) throw RangeError('Cannot recover the random factor if publicKey.g != publicKey.n + 1. You should generate yout keys using the simple variant, e.g. generateRandomKeys(3072, true) )')
-    const m = this.decrypt(c)
-    const phi = (this._p - 1n) * (this._q - 1n)
-    const nInvModPhi = bcu.modInv(this.n, phi)
-    const c1 = c * (1n - m * this.n) % this.publicKey._n2
-    return bcu.modPow(c1, nInvModPhi, this.n)
+/**
+ * Encodes a batch of ciphertexts in a compact binary format. Every ciphertext is written as a fixed-width big-endian
+ * integer of the byte length of n^2, after the following header:
+ * ```
+ * magic        4 bytes   'PCTX'
+ * version      1 byte    1
+ * fingerprint  32 bytes  SHA-256 of the DER encoding of the public key (see {@link PublicKey#toDER})
+ * count        4 bytes   the number of ciphertexts (big-endian)
+ * width        4 bytes   the byte length of every ciphertext (big-endian)
+ * ```
+ *
+ * @param {PublicKey} publicKey - the public key the ciphertexts were encrypted with
+ * @param {bigint[]} ciphertexts
+ *
+ * @returns {Uint8Array} - the encoded batch
+ *
+ * @throws {InvalidCiphertextError} - if a ciphertext is not in Z* of n^2
+ */
+function encodeCiphertexts (publicKey, ciphertexts) {
+  const width = byteLength(publicKey._n2)
+  const buf = new Uint8Array(HEADER_LENGTH + ciphertexts.length * width)
+  const view = new DataView(buf.buffer)
+  buf.set(MAGIC, 0)
+  buf[MAGIC.length] = WIRE_VERSION
+  buf.set(fingerprint(publicKey), MAGIC.length + 1)
+  view.setUint32(HEADER_LENGTH - 8, ciphertexts.length)
+  view.setUint32(HEADER_LENGTH - 4, width)
+  ciphertexts.forEach((c, i) => {
+    checkCiphertext(c, publicKey)
+    buf.set(bigintToBuf(c, width), HEADER_LENGTH + i * width)
+  })
+  return buf
+}
+
+/**
+ * Decodes a batch of ciphertexts encoded with {@link encodeCiphertexts}
+ *
+ * @param {PublicKey} publicKey - the public key the ciphertexts are expected to be encrypted with
+ * @param {Uint8Array} buf - the encoded batch
+ *
+ * @returns {bigint[]} - the ciphertexts
+ *
+ * @throws {TypeError} - if buf is malformed
+ * @throws {RangeError} - if the version is not supported
+ * @throws {KeyMismatchError} - if the batch was encoded for a different public key
+ * @throws {InvalidCiphertextError} - if a ciphertext is not in Z* of n^2
+ */
+function decodeCiphertexts (publicKey, buf) {
+  if (!(buf instanceof Uint8Array)) throw new TypeError('The encoded ciphertexts MUST be a Uint8Array')
+  if (buf.length < HEADER_LENGTH || MAGIC.some((byte, i) => buf[i] !== byte)) throw new TypeError('Invalid encoded ciphertexts: bad header')
+  const version = buf[MAGIC.length]
+  if (version !== WIRE_VERSION) throw new RangeError(`Unsupported encoded ciphertexts version ${version}`)
+  const expected = fingerprint(publicKey)
+  const actual = buf.subarray(MAGIC.length + 1, MAGIC.length + 1 + FINGERPRINT_LENGTH)
+  if (expected.some((byte, i) => actual[i] !== byte)) throw new KeyMismatchError('The ciphertexts were encoded for a different public key')
+  const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength)
+  const count = view.getUint32(HEADER_LENGTH - 8)
+  const width = view.getUint32(HEADER_LENGTH - 4)
+  if (width !== byteLength(publicKey._n2)) throw new TypeError('Invalid encoded ciphertexts: the width does not match the public key')
+  if (buf.length !== HEADER_LENGTH + count * width) throw new TypeError(`Invalid encoded ciphertexts: expected ${count} ciphertexts of ${width} bytes`)
+  const ciphertexts = []
+  for (let i = 0; i < count; i++) {
+    const c = bufToBigint(buf.subarray(HEADER_LENGTH + i * width, HEADER_LENGTH + (i + 1) * width))
+    checkCiphertext(c, publicKey)
+    ciphertexts.push(c)
   }
+  return ciphertexts
 }
 
-function L (a, n) {
-  return (a - 1n) / n
+function fingerprint (publicKey) {
+  return sha256(publicKey.toDER())
+}
+
+function byteLength (a) {
+  return Math.ceil(a.toString(2).length / 8)
 }
 
 function multiplyOtherN2 (c, k, n2) {
@@ -186,74 +4728,36 @@ function generateDualG (n1, n2) {
 /**
  * Generates a pair private, public key for the Paillier cryptosystem.
  *
- * @param {number} [bitlength = 3072] - the bit length of the public modulo
+ * It accepts either a {@link KeyGenerationOptions} object or the legacy (bitlength, simplevariant) arguments. With
+ * an options object, keys shorter than 2048 bits are refused unless allowWeakKeys is set, and |p-q| is required to
+ * be larger than 2^(bitLength/2 - 100) by default.
+ *
+ * @param {number | KeyGenerationOptions} [bitlength = 3072] - the bit length of the public modulo or an options object
  * @param {boolean} [simplevariant = false] - use the simple variant to compute the generator (g=n+1). This is REQUIRED if you want to be able to recover the random integer factor used when encrypting with the public key
  *
  * @returns {Promise<KeyPair>} - a promise that resolves to a {@link KeyPair} of public, private keys
+ *
+ * @throws {RangeError} - if an option is not valid or the key would be shorter than 2048 bits and allowWeakKeys is not set
  */
 async function generateRandomKeys (bitlength = 3072, simpleVariant = false) {
-  let p, q, n, g, lambda, mu
-  // if p and q are bitLength/2 long ->  2**(bitLength - 2) <= n < 2**(bitLength)
-  do {
-    p = await bcu.prime(Math.floor(bitlength / 2) + 1)
-    q = await bcu.prime(Math.floor(bitlength / 2))
-    n = p * q
-  } while (q === p || bcu.bitLength(n) !== bitlength)
-
-  if (simpleVariant === true) {
-    // If using p,q of equivalent length, a simpler variant of the key
-    // generation steps would be to set
-    // g=n+1, lambda=(p-1)(q-1), mu=lambda.invertm(n)
-    g = n + 1n
-    lambda = (p - 1n) * (q - 1n)
-    mu = bcu.modInv(lambda, n)
-  } else {
-    const n2 = n ** 2n
-    g = getGenerator(n, n2)
-    lambda = bcu.lcm(p - 1n, q - 1n)
-    mu = bcu.modInv(L(bcu.modPow(g, lambda, n2), n), n)
-  }
-
-  const publicKey = new PublicKey(n, g)
-  const privateKey = new PrivateKey(lambda, mu, publicKey, p, q)
-  return { publicKey, privateKey }
+  return generateKeyPair(parseKeyGenerationOptions(bitlength, simpleVariant))
 }
 
 /**
  * Generates a pair private, public key for the Paillier cryptosystem in synchronous mode.
  * Synchronous mode is NOT RECOMMENDED since it won't use workers and thus it'll be slower and may freeze thw window in browser's javascript.
  *
- * @param {number} [bitlength = 3072] - the bit length of the public modulo
+ * It accepts the same arguments as {@link generateRandomKeys}.
+ *
+ * @param {number | KeyGenerationOptions} [bitlength = 3072] - the bit length of the public modulo or an options object
  * @param {boolean} [simplevariant = false] - use the simple variant to compute the generator (g=n+1)
  *
  * @returns {KeyPair} - a {@link KeyPair} of public, private keys
+ *
+ * @throws {RangeError} - if an option is not valid or the key would be shorter than 2048 bits and allowWeakKeys is not set
  */
 function generateRandomKeysSync (bitlength = 3072, simpleVariant = false) {
-  let p, q, n, g, lambda, mu
-  // if p and q are bitLength/2 long ->  2**(bitLength - 2) <= n < 2**(bitLength)
-  do {
-    p = bcu.primeSync(Math.floor(bitlength / 2) + 1)
-    q = bcu.primeSync(Math.floor(bitlength / 2))
-    n = p * q
-  } while (q === p || bcu.bitLength(n) !== bitlength)
-
-  if (simpleVariant === true) {
-    // If using p,q of equivalent length, a simpler variant of the key
-    // generation steps would be to set
-    // g=n+1, lambda=(p-1)(q-1), mu=lambda.invertm(n)
-    g = n + 1n
-    lambda = (p - 1n) * (q - 1n)
-    mu = bcu.modInv(lambda, n)
-  } else {
-    const n2 = n ** 2n
-    g = getGenerator(n, n2)
-    lambda = bcu.lcm(p - 1n, q - 1n)
-    mu = bcu.modInv(L(bcu.modPow(g, lambda, n2), n), n)
-  }
-
-  const publicKey = new PublicKey(n, g)
-  const privateKey = new PrivateKey(lambda, mu, publicKey, p, q)
-  return { publicKey, privateKey }
+  return generateKeyPairSync(parseKeyGenerationOptions(bitlength, simpleVariant))
 }
 
 /**
@@ -306,17 +4810,55 @@ function keysFromPrimes (p, q, g) {
   return { publicKey, privateKey }
 }
 
-function getGenerator (n, n2) { // n2 = n*n
-  const alpha = bcu.randBetween(n)
-  const beta = bcu.randBetween(n)
-  return ((alpha * n + 1n) * bcu.modPow(beta, n, n2)) % n2
-}
-
+exports.DamgardJurikPrivateKey = DamgardJurikPrivateKey
+exports.DamgardJurikPublicKey = DamgardJurikPublicKey
+exports.EncodedNumber = EncodedNumber
+exports.EncryptedNumber = EncryptedNumber
+exports.EncryptedVector = EncryptedVector
+exports.HmacDrbg = HmacDrbg
+exports.InvalidCiphertextError = InvalidCiphertextError
+exports.InvalidDecryptionShareError = InvalidDecryptionShareError
+exports.InvalidKeyError = InvalidKeyError
+exports.InvalidPlaintextError = InvalidPlaintextError
+exports.InvalidRandomnessError = InvalidRandomnessError
+exports.KeyMismatchError = KeyMismatchError
+exports.ObfuscatorPool = ObfuscatorPool
+exports.ObfuscatorPoolExhaustedError = ObfuscatorPoolExhaustedError
+exports.ObfuscatorPoolTimeoutError = ObfuscatorPoolTimeoutError
+exports.PackingEncoder = PackingEncoder
+exports.PaillierError = PaillierError
 exports.PrivateKey = PrivateKey
 exports.PublicKey = PublicKey
+exports.SignedIntegerEncoder = SignedIntegerEncoder
+exports.ciphertextFromDER = ciphertextFromDER
+exports.ciphertextFromPEM = ciphertextFromPEM
+exports.ciphertextToDER = ciphertextToDER
+exports.ciphertextToPEM = ciphertextToPEM
+exports.combineShares = combineShares
+exports.createDecryptStream = createDecryptStream
+exports.createDecryptTransformStream = createDecryptTransformStream
+exports.createEncryptStream = createEncryptStream
+exports.createEncryptTransformStream = createEncryptTransformStream
+exports.createSumStream = createSumStream
+exports.createSumTransformStream = createSumTransformStream
+exports.decodeCiphertexts = decodeCiphertexts
+exports.decryptBatch = decryptBatch
+exports.encodeCiphertexts = encodeCiphertexts
+exports.encryptBatch = encryptBatch
+exports.encryptionProof = encryption
 exports.generateDualG = generateDualG
 exports.generateRandomKeys = generateRandomKeys
 exports.generateRandomKeysSync = generateRandomKeysSync
+exports.generateThresholdKeys = generateThresholdKeys
+exports.isStrictValidation = isStrictValidation
 exports.keysFromPrimes = keysFromPrimes
 exports.keysFromPrimesSimple = keysFromPrimesSimple
+exports.membershipProof = membership
+exports.modulusProof = modulus
 exports.multiplyOtherN2 = multiplyOtherN2
+exports.partialDecrypt = partialDecrypt
+exports.rangeProof = range
+exports.setStrictValidation = setStrictValidation
+exports.validateKeyPair = validateKeyPair
+exports.verifyDecryption = verifyDecryption
+exports.verifyDecryptionShare = verifyDecryptionShare
@@ -0,0 +1,71 @@
+import * as bcu from 'bigint-crypto-utils'
+import DamgardJurikPublicKey from './DamgardJurikPublicKey'
+
+/**
+ * Class for Damgård-Jurik private keys (see {@link DamgardJurikPublicKey})
+ */
+export default class DamgardJurikPrivateKey {
+  /**
+   * Creates an instance of class DamgardJurikPrivateKey
+   *
+   * @param {bigint} lambda - a multiple of the Carmichael function of n, e.g. lcm(p-1, q-1)
+   * @param {DamgardJurikPublicKey} publicKey
+   */
+  constructor (lambda, publicKey) {
+    this.lambda = lambda
+    this.publicKey = publicKey
+    // g = (1+n)^a · x^(n^s), so g^lambda = (1+n)^(a·lambda)
+    this._muS = bcu.modInv(dlog(bcu.modPow(publicKey.g, lambda, publicKey._ns1), publicKey.n, publicKey.s), publicKey.ns)
+  }
+
+  /**
+   * Creates the Damgård-Jurik private key with the same lambda of a Paillier private key
+   *
+   * @param {PrivateKey} privateKey
+   * @param {number} s
+   *
+   * @returns {DamgardJurikPrivateKey}
+   */
+  static fromPrivateKey (privateKey, s) {
+    return new DamgardJurikPrivateKey(privateKey.lambda, DamgardJurikPublicKey.fromPublicKey(privateKey.publicKey, s))
+  }
+
+  /**
+   * Damgård-Jurik private-key decryption
+   *
+   * @param {bigint} c - a bigint encrypted with the public key
+   *
+   * @returns {bigint} - the decryption of c with this private key, in [0, n^s)
+   */
+  decrypt (c) {
+    const { n, s, ns, _ns1: ns1 } = this.publicKey
+    this.publicKey._checkCiphertext(c)
+    return dlog(bcu.modPow(c, this.lambda, ns1), n, s) * this._muS % ns
+  }
+}
+
+/*
+ * Given a = (1+n)^i mod n^(s+1), recovers i mod n^s. It is the algorithm of Damgård and Jurik, which recovers
+ * i mod n^j from i mod n^(j-1) for j = 1, ..., s using the binomial expansion of (1+n)^i.
+ */
+function dlog (a, n, s) {
+  let i = 0n
+  let nj = 1n
+  for (let j = 1; j <= s; j++) {
+    const nj1 = nj * n // n^j
+    let t1 = (a % (nj1 * n) - 1n) / n
+    let t2 = i
+    let nk = 1n // n^(k-1)
+    let kFactorial = 1n
+    for (let k = 2; k <= j; k++) {
+      i--
+      nk *= n
+      kFactorial *= BigInt(k)
+      t2 = t2 * i % nj1
+      t1 = bcu.toZn(t1 - t2 * nk % nj1 * bcu.modInv(kFactorial, nj1), nj1)
+    }
+    i = t1 % nj1
+    nj = nj1
+  }
+  return i
+}
@@ -0,0 +1,106 @@
+import * as bcu from 'bigint-crypto-utils'
+import { InvalidPlaintextError, InvalidCiphertextError } from './errors'
+import { isStrictValidation } from './validation'
+
+/**
+ * Class for a Damgård-Jurik public key, the generalization of Paillier with plaintexts in Z_(n^s) and ciphertexts in
+ * Z*_(n^(s+1)). With s = 1 it is exactly the Paillier cryptosystem. It uses the same n and g as a Paillier
+ * {@link PublicKey}, so it can be built from any key generated with {@link generateRandomKeys}.
+ */
+export default class DamgardJurikPublicKey {
+  /**
+     * Creates an instance of class DamgardJurikPublicKey
+     * @param {bigint} n - the public modulo
+     * @param {bigint} g - the public generator
+     * @param {number} s - plaintexts are in Z_(n^s) and ciphertexts in Z*_(n^(s+1))
+     *
+     * @throws {RangeError} - if s is not a positive integer
+     */
+  constructor (n, g, s) {
+    if (!Number.isSafeInteger(s) || s < 1) throw new RangeError('s MUST be a positive integer')
+    this.n = n
+    this.g = g
+    this.s = s
+    this.ns = n ** BigInt(s)
+    this._ns1 = this.ns * n // cache n^(s+1)
+    /**
+     * Strict validation for this key: true or false overrides the process-wide {@link setStrictValidation}, null
+     * (default) follows it
+     * @type {boolean | null}
+     */
+    this.strictValidation = null
+  }
+
+  /**
+     * Creates the Damgård-Jurik public key with the same n and g of a Paillier public key
+     *
+     * @param {PublicKey} publicKey
+     * @param {number} s
+     *
+     * @returns {DamgardJurikPublicKey}
+     */
+  static fromPublicKey (publicKey, s) {
+    const key = new DamgardJurikPublicKey(publicKey.n, publicKey.g, s)
+    if (typeof publicKey.strictValidation === 'boolean') key.strictValidation = publicKey.strictValidation
+    return key
+  }
+
+  /**
+     * Get the bit length of the public modulo
+     * @returns {number} - bit length of the public modulo
+     */
+  get bitLength () {
+    return bcu.bitLength(this.n)
+  }
+
+  /**
+     * Damgård-Jurik public-key encryption, g^m · r^(n^s) mod n^(s+1)
+     *
+     * @param {bigint} m - a plaintext in [0, n^s)
+     * @param {bigint} [r] - the random integer factor for encryption. By default is a random in (1,n)
+     *
+     * @returns {bigint} - the encryption of m with this public key
+     *
+     * @throws {InvalidPlaintextError} - in strict mode (see {@link setStrictValidation}), if m is not in [0, n^s)
+     */
+  encrypt (m, r = null) {
+    if (isStrictValidation(this) && (typeof m !== 'bigint' || m < 0n || m >= this.ns)) throw new InvalidPlaintextError('The plaintext MUST be in [0, n^s)')
+    if (r === null) {
+      do {
+        r = bcu.randBetween(this.n)
+      } while (bcu.gcd(r, this.n) !== 1n)
+    }
+    return bcu.modPow(this.g, m, this._ns1) * bcu.modPow(r, this.ns, this._ns1) % this._ns1
+  }
+
+  /**
+     * Homomorphic addition
+     *
+     * @param {...bigint} ciphertexts - n >= 2 ciphertexts (c_1,..., c_n) that are the encryption of (m_1, ..., m_n) with this public key
+     *
+     * @returns {bigint} - the encryption of (m_1 + ... + m_n) mod n^s with this public key
+     */
+  addition (...ciphertexts) {
+    ciphertexts.forEach(c => this._checkCiphertext(c))
+    return ciphertexts.reduce((sum, next) => sum * next % this._ns1, 1n)
+  }
+
+  /**
+     * Homomorphic multiplication by a plaintext
+     *
+     * @param {bigint} c - a number m encrypted with this public key
+     * @param {bigint | number} k - either a bigint or a number. If negative, the inverse of c is raised to -k
+     *
+     * @returns {bigint} - the encryption of k·m mod n^s with this public key
+     */
+  multiply (c, k) {
+    this._checkCiphertext(c)
+    return bcu.modPow(c, BigInt(k), this._ns1)
+  }
+
+  _checkCiphertext (c) {
+    if (isStrictValidation(this) && (typeof c !== 'bigint' || c <= 0n || c >= this._ns1 || bcu.gcd(c, this.n) !== 1n)) {
+      throw new InvalidCiphertextError('The ciphertext MUST be in Z* of n^(s+1)')
+    }
+  }
+}
@@ -0,0 +1,163 @@
+import * as bcu from 'bigint-crypto-utils'
+
+const BASE = 16
+const LOG2_BASE = 4
+const FLOAT_MANTISSA_BITS = 53
+
+/**
+ * Fixed-point/floating-point encoding of numbers into the plaintext space Z_n of a Paillier public key, compatible
+ * with python-paillier's EncodedNumber.
+ *
+ * A number x is represented by an integer mantissa and a base-16 exponent such that x = mantissa · 16^exponent. The
+ * signed mantissa is encoded modulo n in the same way as {@link SignedIntegerEncoder} with maxAbs = publicKey.maxInt.
+ *
+ * bigints are encoded as integers (exponent 0) while numbers are encoded as floats, i.e. with enough precision to
+ * represent exactly their 53-bit mantissa, unless a precision is provided.
+ */
+export default class EncodedNumber {
+  /**
+     * Creates an EncodedNumber from its encoding and exponent. Use {@link EncodedNumber.encode} to encode a number.
+     *
+     * @param {PublicKey} publicKey - the public key whose plaintext space the number is encoded into
+     * @param {bigint} encoding - the encoded mantissa in [0, n)
+     * @param {number} exponent - the base-16 exponent
+     */
+  constructor (publicKey, encoding, exponent) {
+    this.publicKey = publicKey
+    this.encoding = encoding
+    this.exponent = exponent
+  }
+
+  /**
+     * Get the base of the exponents
+     * @returns {number} - 16
+     */
+  static get BASE () {
+    return BASE
+  }
+
+  /**
+     * Encodes a number
+     *
+     * @param {PublicKey} publicKey - the public key whose plaintext space the number is encoded into
+     * @param {bigint | number} scalar - the number to encode. bigints are treated as integers and numbers as floats
+     * @param {number} [precision] - if provided, the number is encoded with a fixed precision, i.e. with exponent floor(log16(precision)). E.g. 0.01 for cents
+     * @param {number} [maxExponent] - if provided, the exponent is not larger than maxExponent. Useful to align exponents
+     *
+     * @returns {EncodedNumber} - the encoded number
+     *
+     * @throws {RangeError} - if scalar is not finite or its absolute value is too large to be encoded
+     */
+  static encode (publicKey, scalar, precision = null, maxExponent = null) {
+    let exponent
+    if (precision !== null) {
+      exponent = Math.floor(Math.log(precision) / Math.log(BASE))
+    } else if (typeof scalar === 'bigint') {
+      exponent = 0
+    } else {
+      if (!Number.isFinite(scalar)) throw new RangeError(`Cannot encode ${scalar}`)
+      exponent = Math.floor((frexpExponent(scalar) - FLOAT_MANTISSA_BITS) / LOG2_BASE)
+    }
+    if (maxExponent !== null) exponent = Math.min(exponent, maxExponent)
+
+    const intRep = scaledRound(scalar, -LOG2_BASE * exponent)
+    if (bcu.abs(intRep) > publicKey.maxInt) throw new RangeError(`Integer needs to be within +/- ${publicKey.maxInt}`)
+    return new EncodedNumber(publicKey, bcu.toZn(intRep, publicKey.n), exponent)
+  }
+
+  /**
+     * Decodes this number
+     *
+     * @returns {bigint | number} - a bigint if the exponent is not negative, or a number otherwise
+     *
+     * @throws {RangeError} - if an overflow is detected or the decoded number cannot be represented as a number
+     */
+  decode () {
+    const { n, maxInt } = this.publicKey
+    let mantissa
+    if (this.encoding < 0n || this.encoding >= n) throw new RangeError('Attempted to decode corrupted number')
+    else if (this.encoding <= maxInt) mantissa = this.encoding
+    else if (this.encoding >= n - maxInt) mantissa = this.encoding - n
+    else throw new RangeError('Overflow detected in decrypted number')
+
+    if (this.exponent >= 0) return mantissa * BigInt(BASE) ** BigInt(this.exponent)
+    // keep the 64 most significant bits so that the conversion to number does not overflow
+    const shift = Math.max(bcu.bitLength(bcu.abs(mantissa)) - 64, 0)
+    const value = ldexp(Number(mantissa >> BigInt(shift)), LOG2_BASE * this.exponent + shift)
+    if (!Number.isFinite(value)) throw new RangeError('Decoded number is too large to be represented as a number')
+    return value
+  }
+
+  /**
+     * Returns an EncodedNumber representing the same number with a lower exponent
+     *
+     * @param {number} newExponent - the new exponent. It MUST be lower than or equal to the current one
+     *
+     * @returns {EncodedNumber}
+     *
+     * @throws {RangeError} - if newExponent is larger than the current exponent
+     */
+  decreaseExponentTo (newExponent) {
+    if (newExponent > this.exponent) throw new RangeError(`New exponent ${newExponent} should be more negative than the old exponent ${this.exponent}`)
+    const factor = BigInt(BASE) ** BigInt(this.exponent - newExponent)
+    return new EncodedNumber(this.publicKey, this.encoding * factor % this.publicKey.n, newExponent)
+  }
+}
+
+function float64 (x) {
+  const view = new DataView(new ArrayBuffer(8))
+  view.setFloat64(0, x)
+  const hi = view.getUint32(0)
+  const lo = view.getUint32(4)
+  return {
+    negative: (hi >>> 31) === 1,
+    biasedExponent: (hi >>> 20) & 0x7ff,
+    mantissa: (BigInt(hi & 0xfffff) << 32n) | BigInt(lo)
+  }
+}
+
+// The exponent e of x = m·2^e with 0.5 <= |m| < 1, i.e. Python's math.frexp(x)[1]
+function frexpExponent (x) {
+  if (x === 0) return 0
+  const { biasedExponent, mantissa } = float64(x)
+  if (biasedExponent === 0) return bcu.bitLength(mantissa) - 1074 // subnormal
+  return biasedExponent - 1022
+}
+
+// round(scalar · 2^shift) computed exactly, with ties to even as Python's round()
+function scaledRound (scalar, shift) {
+  let negative, m, e
+  if (typeof scalar === 'bigint') {
+    negative = scalar < 0n
+    m = bcu.abs(scalar)
+    e = 0
+  } else {
+    const f = float64(scalar)
+    negative = f.negative
+    m = (f.biasedExponent === 0) ? f.mantissa : f.mantissa | (1n << 52n)
+    e = (f.biasedExponent === 0) ? -1074 : f.biasedExponent - 1075
+  }
+  const s = e + shift
+  let r
+  if (s >= 0) {
+    r = m << BigInt(s)
+  } else {
+    const d = 1n << BigInt(-s)
+    r = m / d
+    const rem = m % d
+    if (2n * rem > d || (2n * rem === d && r % 2n === 1n)) r++
+  }
+  return negative ? -r : r
+}
+
+function ldexp (x, exp) {
+  while (exp > 1000) {
+    x *= 2 ** 1000
+    exp -= 1000
+  }
+  while (exp < -1000) {
+    x *= 2 ** -1000
+    exp += 1000
+  }
+  return x * 2 ** exp
+}
@@ -0,0 +1,242 @@
+import * as bcu from 'bigint-crypto-utils'
+import EncodedNumber from './EncodedNumber'
+import PublicKey from './PublicKey'
+import { KeyMismatchError } from './errors'
+import { checkCiphertext } from './validation'
+import { bigintToBase64url, base64urlToBigint } from './conversion'
+
+/**
+ * An encrypted {@link EncodedNumber}, compatible with python-paillier's EncryptedNumber. It binds a ciphertext to its
+ * public key and to the base-16 exponent of the encrypted number, so that homomorphic operations automatically align
+ * exponents and operands encrypted under different keys cannot be mixed up.
+ */
+export default class EncryptedNumber {
+  /**
+     * Creates an EncryptedNumber from a ciphertext. Use {@link EncryptedNumber.encrypt} to encrypt a number.
+     *
+     * @param {PublicKey} publicKey - the public key the number was encrypted with
+     * @param {bigint} ciphertext - the encryption of the encoded mantissa
+     * @param {number} [exponent = 0] - the base-16 exponent of the encrypted number
+     */
+  constructor (publicKey, ciphertext, exponent = 0) {
+    this.publicKey = publicKey
+    this.ciphertext = ciphertext
+    this.exponent = exponent
+  }
+
+  /**
+     * Encodes and encrypts a number
+     *
+     * @param {PublicKey} publicKey - the public key to encrypt with
+     * @param {bigint | number | EncodedNumber} value - the number to encrypt. bigints are treated as integers and numbers as floats (see {@link EncodedNumber.encode})
+     * @param {number} [precision] - if provided, the number is encoded with this fixed precision, e.g. 0.01
+     * @param {bigint} [r] - the random integer factor for encryption. By default is a random in (1,n)
+     *
+     * @returns {EncryptedNumber} - the encrypted number
+     *
+     * @throws {KeyMismatchError} - if value is an EncodedNumber encoded with a different public key
+     */
+  static encrypt (publicKey, value, precision = null, r = null) {
+    const encoding = (value instanceof EncodedNumber) ? value : EncodedNumber.encode(publicKey, value, precision)
+    if (!publicKey.equals(encoding.publicKey)) throw new KeyMismatchError('The number was encoded with a different public key')
+    return new EncryptedNumber(publicKey, publicKey.encrypt(encoding.encoding, r), encoding.exponent)
+  }
+
+  /**
+     * Decrypts this number without decoding it
+     *
+     * @param {PrivateKey} privateKey - the private key associated to the public key of this number
+     *
+     * @returns {EncodedNumber} - the decrypted encoded number
+     */
+  decryptEncoded (privateKey) {
+    return new EncodedNumber(this.publicKey, privateKey.decrypt(this.ciphertext), this.exponent)
+  }
+
+  /**
+     * Decrypts and decodes this number
+     *
+     * @param {PrivateKey} privateKey - the private key associated to the public key of this number
+     *
+     * @returns {bigint | number} - the decrypted number (see {@link EncodedNumber#decode})
+     *
+     * @throws {RangeError} - if an overflow is detected
+     */
+  decrypt (privateKey) {
+    return this.decryptEncoded(privateKey).decode()
+  }
+
+  /**
+     * Returns an EncryptedNumber representing the same number with a lower exponent
+     *
+     * @param {number} newExponent - the new exponent. It MUST be lower than or equal to the current one
+     *
+     * @returns {EncryptedNumber}
+     *
+     * @throws {RangeError} - if newExponent is larger than the current exponent
+     */
+  decreaseExponentTo (newExponent) {
+    if (newExponent > this.exponent) throw new RangeError(`New exponent ${newExponent} should be more negative than the old exponent ${this.exponent}`)
+    const factor = BigInt(EncodedNumber.BASE) ** BigInt(this.exponent - newExponent)
+    return new EncryptedNumber(this.publicKey, this.publicKey.multiply(this.ciphertext, factor), newExponent)
+  }
+
+  /**
+     * Homomorphic addition. Exponents are aligned to the lowest of both operands.
+     *
+     * @param {EncryptedNumber | EncodedNumber | bigint | number} other - the number to add
+     *
+     * @returns {EncryptedNumber} - the encryption of the sum
+     *
+     * @throws {KeyMismatchError} - if other was encrypted or encoded with a different public key
+     */
+  add (other) {
+    if (other instanceof EncryptedNumber) return this._addEncrypted(other)
+    if (other instanceof EncodedNumber) return this._addEncoded(other)
+    return this._addEncoded(EncodedNumber.encode(this.publicKey, other, null, this.exponent))
+  }
+
+  /**
+     * Homomorphic multiplication by a plaintext number, which may be non-integer. The exponent of the result is the sum
+     * of the exponents of both operands.
+     *
+     * @param {EncodedNumber | bigint | number} other - the plaintext number to multiply by
+     *
+     * @returns {EncryptedNumber} - the encryption of the product
+     *
+     * @throws {TypeError} - if other is an EncryptedNumber, since the product of two ciphertexts is not supported
+     * @throws {KeyMismatchError} - if other was encoded with a different public key
+     */
+  mul (other) {
+    if (other instanceof EncryptedNumber) throw new TypeError('Multiplying two encrypted numbers is not supported')
+    const encoding = (other instanceof EncodedNumber) ? other : EncodedNumber.encode(this.publicKey, other)
+    this._checkSameKey(encoding.publicKey)
+    const { n, maxInt } = this.publicKey
+    const scalar = (encoding.encoding >= n - maxInt) ? encoding.encoding - n : encoding.encoding
+    return new EncryptedNumber(this.publicKey, this.publicKey.multiply(this.ciphertext, scalar), this.exponent + encoding.exponent)
+  }
+
+  /**
+     * Homomorphic subtraction. Exponents are aligned to the lowest of both operands.
+     *
+     * @param {EncryptedNumber | EncodedNumber | bigint | number} other - the number to subtract
+     *
+     * @returns {EncryptedNumber} - the encryption of the difference
+     *
+     * @throws {KeyMismatchError} - if other was encrypted or encoded with a different public key
+     */
+  sub (other) {
+    if (other instanceof EncryptedNumber) return this.add(other.neg())
+    if (other instanceof EncodedNumber) {
+      this._checkSameKey(other.publicKey)
+      return this.add(new EncodedNumber(this.publicKey, bcu.toZn(-other.encoding, this.publicKey.n), other.exponent))
+    }
+    return this.add(-other)
+  }
+
+  /**
+     * Homomorphic negation
+     *
+     * @returns {EncryptedNumber} - the encryption of the opposite number
+     */
+  neg () {
+    return new EncryptedNumber(this.publicKey, this.publicKey.negate(this.ciphertext), this.exponent)
+  }
+
+  /**
+     * Re-randomizes this encrypted number, so that the output is unlinkable to the input (see {@link PublicKey#rerandomize})
+     *
+     * @param {bigint} [r] - the new random factor. By default is a random in (1,n)
+     *
+     * @returns {EncryptedNumber} - a fresh encryption of the same number
+     */
+  rerandomize (r = null) {
+    return new EncryptedNumber(this.publicKey, this.publicKey.rerandomize(this.ciphertext, r), this.exponent)
+  }
+
+  /**
+     * Checks whether other is the same ciphertext with the same exponent under the same public key. Notice that two
+     * encryptions of the same number are NOT equal unless they share the same randomness.
+     *
+     * @param {EncryptedNumber} other
+     *
+     * @returns {boolean}
+     */
+  equals (other) {
+    return other instanceof EncryptedNumber && this.publicKey.equals(other.publicKey) &&
+      other.ciphertext === this.ciphertext && other.exponent === this.exponent
+  }
+
+  /**
+     * Exports this encrypted number as a JSON object with its public key (see {@link PublicKey#toJSON}) and the
+     * base64url-encoded ciphertext. It is automatically used by JSON.stringify()
+     *
+     * @returns {{publicKey: Object, ciphertext: string, exponent: number}}
+     */
+  toJSON () {
+    return {
+      publicKey: this.publicKey.toJSON(),
+      ciphertext: bigintToBase64url(this.ciphertext),
+      exponent: this.exponent
+    }
+  }
+
+  /**
+     * Imports an encrypted number exported with {@link EncryptedNumber#toJSON}
+     *
+     * @param {string | Object} json - a JSON string or an object as returned by {@link EncryptedNumber#toJSON}
+     * @param {PublicKey} [publicKey] - if provided, the imported number is bound to this key, which MUST be equal to the exported one
+     *
+     * @returns {EncryptedNumber} - the imported encrypted number
+     *
+     * @throws {TypeError} - if json is malformed
+     * @throws {InvalidCiphertextError} - if the ciphertext is not in Z*_{n^2}
+     * @throws {KeyMismatchError} - if the exported key does not match publicKey
+     */
+  static fromJSON (json, publicKey = null) {
+    let obj = json
+    if (typeof json === 'string') {
+      try {
+        obj = JSON.parse(json)
+      } catch (error) {
+        throw new TypeError('Invalid encrypted number: not a valid JSON string')
+      }
+    }
+    if (obj === null || typeof obj !== 'object') throw new TypeError('Invalid encrypted number: expected a JSON object')
+    if (!Number.isSafeInteger(obj.exponent)) throw new TypeError('Invalid encrypted number: exponent MUST be an integer')
+    if (typeof obj.ciphertext !== 'string' || obj.ciphertext === '') throw new TypeError('Invalid encrypted number: ciphertext MUST be a base64url string')
+    let ciphertext
+    try {
+      ciphertext = base64urlToBigint(obj.ciphertext)
+    } catch (error) {
+      throw new TypeError('Invalid encrypted number: ciphertext is not a valid base64url string')
+    }
+    const exportedKey = PublicKey.fromJSON(obj.publicKey)
+    if (publicKey === null) publicKey = exportedKey
+    else if (!publicKey.equals(exportedKey)) throw new KeyMismatchError('The encrypted number was exported with a different public key')
+    checkCiphertext(ciphertext, publicKey)
+    return new EncryptedNumber(publicKey, ciphertext, obj.exponent)
+  }
+
+  _addEncrypted (other) {
+    this._checkSameKey(other.publicKey)
+    let a = this
+    let b = other
+    if (a.exponent > b.exponent) a = a.decreaseExponentTo(b.exponent)
+    else if (a.exponent < b.exponent) b = b.decreaseExponentTo(a.exponent)
+    return new EncryptedNumber(this.publicKey, this.publicKey.addition(a.ciphertext, b.ciphertext), a.exponent)
+  }
+
+  _addEncoded (encoded) {
+    this._checkSameKey(encoded.publicKey)
+    let a = this
+    let b = encoded
+    if (a.exponent > b.exponent) a = a.decreaseExponentTo(b.exponent)
+    else if (a.exponent < b.exponent) b = b.decreaseExponentTo(a.exponent)
+    return new EncryptedNumber(this.publicKey, this.publicKey.addPlaintext(a.ciphertext, b.encoding), a.exponent)
+  }
+
+  _checkSameKey (publicKey) {
+    if (!this.publicKey.equals(publicKey)) throw new KeyMismatchError()
+  }
+}
@@ -0,0 +1,153 @@
+import { multiExp } from './multiExp'
+import { KeyMismatchError } from './errors'
+
+/**
+ * A vector of ciphertexts encrypted with the same public key, with the linear algebra that Paillier's additive
+ * homomorphism allows: element-wise addition, multiplication by plaintext scalars and vectors, sums, dot products
+ * with plaintext vectors and products by plaintext matrices, e.g. to evaluate a linear model with plaintext weights
+ * on encrypted features.
+ *
+ * Dot products and matrix products are computed with a multi-exponentiation, which shares the squarings of all the
+ * terms, instead of one modPow per term.
+ */
+export default class EncryptedVector {
+  /**
+     * Creates an EncryptedVector from ciphertexts. Use {@link EncryptedVector.encrypt} to encrypt a vector.
+     *
+     * @param {PublicKey} publicKey - the public key the ciphertexts were encrypted with
+     * @param {bigint[]} ciphertexts
+     */
+  constructor (publicKey, ciphertexts) {
+    this.publicKey = publicKey
+    this.ciphertexts = ciphertexts
+  }
+
+  /**
+     * Encrypts a vector of plaintexts element by element
+     *
+     * @param {PublicKey} publicKey - the public key to encrypt with
+     * @param {Array<bigint | number>} values - the plaintexts
+     *
+     * @returns {EncryptedVector}
+     */
+  static encrypt (publicKey, values) {
+    return new EncryptedVector(publicKey, values.map(value => publicKey.encrypt(BigInt(value))))
+  }
+
+  /**
+     * Get the number of elements of this vector
+     * @returns {number}
+     */
+  get length () {
+    return this.ciphertexts.length
+  }
+
+  /**
+     * Decrypts every element of this vector
+     *
+     * @param {PrivateKey} privateKey - the private key associated to the public key of this vector
+     *
+     * @returns {bigint[]} - the plaintexts
+     */
+  decrypt (privateKey) {
+    return this.ciphertexts.map(c => privateKey.decrypt(c))
+  }
+
+  /**
+     * Element-wise homomorphic addition
+     *
+     * @param {EncryptedVector | Array<bigint | number>} other - an encrypted vector or a vector of plaintexts of the same length
+     *
+     * @returns {EncryptedVector} - the encryption of the element-wise sum
+     *
+     * @throws {RangeError} - if the vectors have different lengths
+     * @throws {KeyMismatchError} - if other was encrypted with a different public key
+     */
+  add (other) {
+    if (other instanceof EncryptedVector) {
+      this._checkSameKey(other.publicKey)
+      this._checkLength(other.length)
+      return this._map((c, i) => this.publicKey.addition(c, other.ciphertexts[i]))
+    }
+    this._checkLength(other.length)
+    return this._map((c, i) => this.publicKey.addPlaintext(c, other[i]))
+  }
+
+  /**
+     * Element-wise homomorphic multiplication by a plaintext scalar or by a plaintext vector
+     *
+     * @param {bigint | number | Array<bigint | number>} k - a scalar or a vector of the same length
+     *
+     * @returns {EncryptedVector} - the encryption of the element-wise product
+     *
+     * @throws {RangeError} - if k is a vector of a different length
+     */
+  multiply (k) {
+    if (!Array.isArray(k)) return this._map(c => this.publicKey.multiply(c, k))
+    this._checkLength(k.length)
+    return this._map((c, i) => this.publicKey.multiply(c, k[i]))
+  }
+
+  /**
+     * Homomorphic sum of the elements of this vector
+     *
+     * @returns {bigint} - the encryption of the sum
+     */
+  sum () {
+    return this.publicKey.addition(...this.ciphertexts)
+  }
+
+  /**
+     * Homomorphic dot product with a plaintext vector
+     *
+     * @param {Array<bigint | number>} weights - a plaintext vector of the same length. Negative weights are allowed
+     *
+     * @returns {bigint} - the encryption of sum(weights[i]·m_i) mod n
+     *
+     * @throws {RangeError} - if the vectors have different lengths
+     */
+  dot (weights) {
+    this._checkLength(weights.length)
+    this.publicKey._checkCiphertexts(...this.ciphertexts)
+    return this._dot(weights.map(BigInt), [])
+  }
+
+  /**
+     * Homomorphic product of a plaintext matrix by this vector
+     *
+     * @param {Array<Array<bigint | number>>} matrix - a plaintext matrix, as an array of rows with as many columns as this vector has elements
+     *
+     * @returns {EncryptedVector} - the encryption of matrix × this vector, with one element per row
+     *
+     * @throws {RangeError} - if a row of the matrix has a different length than this vector
+     */
+  matrixMultiply (matrix) {
+    matrix.forEach(row => this._checkLength(row.length))
+    this.publicKey._checkCiphertexts(...this.ciphertexts)
+    // the inverses of the ciphertexts, shared by all the rows, for negative weights
+    const inverses = []
+    return new EncryptedVector(this.publicKey, matrix.map(row => this._dot(row.map(BigInt), inverses)))
+  }
+
+  _dot (weights, inverses) {
+    const bases = this.ciphertexts.map((c, i) => {
+      if (weights[i] >= 0n) return c
+      if (inverses[i] === undefined) inverses[i] = this.publicKey.negate(c)
+      return inverses[i]
+    })
+    const exponents = weights.map(k => (k < 0n) ? -k : k)
+    return multiExp(bases, exponents, this.publicKey._n2)
+  }
+
+  _map (fn) {
+    return new EncryptedVector(this.publicKey, this.ciphertexts.map(fn))
+  }
+
+  _checkLength (length) {
+    if (length !== this.length) throw new RangeError(`Expected a vector of length ${this.length} but got ${length}`)
+  }
+
+  _checkSameKey (publicKey) {
+    if (!this.publicKey.equals(publicKey)) throw new KeyMismatchError()
+  }
+}
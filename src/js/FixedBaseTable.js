@@ -0,0 +1,70 @@
+/**
+ * Fixed-base windowed exponentiation. It precomputes base^(j·2^(w·i)) mod modulus for every window i and digit j,
+ * so that any base^e with e < 2^maxBits is computed with at most ceil(maxBits/w) modular multiplications and no
+ * squarings at all.
+ *
+ * The table holds ceil(maxBits/w)·2^w values of the size of the modulus. For a 3072-bit public key (6144-bit n^2)
+ * and w = 4, that is about 9 MB.
+ */
+const MAX_WINDOW = 16
+
+/**
+ * Checks that a window size is valid
+ *
+ * @param {number} window
+ *
+ * @throws {RangeError} - if window is not an integer in [1, 16]
+ */
+export function checkWindow (window) {
+  if (!Number.isSafeInteger(window) || window < 1 || window > MAX_WINDOW) throw new RangeError(`window MUST be an integer in [1, ${MAX_WINDOW}]`)
+}
+
+export default class FixedBaseTable {
+  /**
+   * Creates the precomputed table
+   *
+   * @param {bigint} base
+   * @param {bigint} modulus
+   * @param {number} maxBits - the maximum bit length of the exponents
+   * @param {number} [window = 4] - the window size w in bits, in [1, 16]
+   *
+   * @throws {RangeError} - if window is not an integer in [1, 16]
+   */
+  constructor (base, modulus, maxBits, window = 4) {
+    checkWindow(window)
+    this.modulus = modulus
+    this.maxBits = maxBits
+    this.window = window
+    const size = 1 << window
+    this.table = []
+    let b = base % modulus
+    for (let i = 0; i * window < maxBits; i++) {
+      const row = [1n, b]
+      for (let j = 2; j < size; j++) row.push(row[j - 1] * b % modulus)
+      this.table.push(row)
+      b = row[size - 1] * b % modulus // b^(2^w)
+    }
+  }
+
+  /**
+   * Fixed-base exponentiation
+   *
+   * @param {bigint} e - a non-negative exponent of at most maxBits bits
+   *
+   * @returns {bigint} - base^e mod modulus
+   *
+   * @throws {RangeError} - if e is negative or larger than 2^maxBits - 1
+   */
+  pow (e) {
+    if (e < 0n || e >> BigInt(this.maxBits) !== 0n) throw new RangeError(`Exponent MUST be in [0, 2^${this.maxBits})`)
+    const mask = BigInt((1 << this.window) - 1)
+    const w = BigInt(this.window)
+    let result = 1n
+    for (let i = 0; e > 0n; i++) {
+      const digit = Number(e & mask)
+      if (digit !== 0) result = result * this.table[i][digit] % this.modulus
+      e >>= w
+    }
+    return result
+  }
+}
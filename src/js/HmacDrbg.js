@@ -0,0 +1,77 @@
+import { hmacSha256 } from './sha256'
+import { utf8ToBuf } from './conversion'
+
+/**
+ * Deterministic random bit generator HMAC_DRBG with SHA-256 (NIST SP 800-90A) implementing the
+ * {@link RandomSource} interface. The same seed always produces the same sequence of bytes, and thus the same keys
+ * and ciphertexts when it is passed as randomSource to {@link generateRandomKeys}, {@link generateRandomKeysSync}
+ * or {@link PublicKey#encrypt}.
+ *
+ * FOR TESTING ONLY. Keys and ciphertexts are only as secret as the seed, so NEVER use it with a hard-coded or
+ * low-entropy seed outside reproducible tests.
+ */
+export default class HmacDrbg {
+  /**
+     * Instantiates a HMAC_DRBG
+     *
+     * @param {Uint8Array | string} seed - the seed material. Strings are UTF-8 encoded
+     * @param {Uint8Array | string} [personalization] - an optional personalization string
+     *
+     * @throws {TypeError} - if seed or personalization are not a Uint8Array or a string
+     */
+  constructor (seed, personalization = new Uint8Array(0)) {
+    this._K = new Uint8Array(32)
+    this._V = new Uint8Array(32).fill(0x01)
+    this._update(concat(toBuf(seed), toBuf(personalization)))
+  }
+
+  /**
+     * Generates pseudorandom bytes
+     *
+     * @param {number} byteLength
+     *
+     * @returns {Uint8Array} - byteLength pseudorandom bytes
+     */
+  randomBytes (byteLength) {
+    const out = new Uint8Array(byteLength)
+    for (let i = 0; i < byteLength; i += 32) {
+      this._V = hmacSha256(this._K, this._V)
+      out.set(this._V.subarray(0, Math.min(32, byteLength - i)), i)
+    }
+    this._update(new Uint8Array(0))
+    return out
+  }
+
+  /**
+     * Mixes additional entropy into the internal state
+     *
+     * @param {Uint8Array | string} entropy
+     */
+  reseed (entropy) {
+    this._update(toBuf(entropy))
+  }
+
+  _update (data) {
+    this._K = hmacSha256(this._K, concat(this._V, [0x00], data))
+    this._V = hmacSha256(this._K, this._V)
+    if (data.length === 0) return
+    this._K = hmacSha256(this._K, concat(this._V, [0x01], data))
+    this._V = hmacSha256(this._K, this._V)
+  }
+}
+
+function toBuf (data) {
+  if (typeof data === 'string') return utf8ToBuf(data)
+  if (data instanceof Uint8Array) return data
+  throw new TypeError('Expected a Uint8Array or a string')
+}
+
+function concat (...arrays) {
+  const out = new Uint8Array(arrays.reduce((len, array) => len + array.length, 0))
+  let offset = 0
+  for (const array of arrays) {
+    out.set(array, offset)
+    offset += array.length
+  }
+  return out
+}
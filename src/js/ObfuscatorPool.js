@@ -0,0 +1,169 @@
+import { createWorker, workersAvailable } from './workers'
+import { abortReason } from './abort'
+import { ObfuscatorPoolExhaustedError, ObfuscatorPoolTimeoutError } from './errors'
+
+const WORKER_SOURCE = `
+port.onMessage(({ n, count }) => {
+  n = BigInt('0x' + n)
+  const n2 = n * n
+  const obfuscators = []
+  for (let i = 0; i < count; i++) {
+    let r
+    do {
+      r = randBetween(n)
+    } while (gcd(r, n) !== 1n)
+    obfuscators.push(modPow(r, n, n2).toString(16))
+  }
+  port.postMessage(obfuscators)
+})
+`
+
+const EXHAUSTION_POLICIES = ['inline', 'throw', 'block']
+
+/**
+ * A pool of precomputed encryption obfuscators r^n mod n^2 for a given public key. Since the obfuscator does not
+ * depend on the message, it can be computed ahead of time (offline), and encryption or re-randomization becomes just
+ * one modular multiplication.
+ *
+ * Every obfuscator is removed from the pool when it is taken, so it is never used twice.
+ */
+export default class ObfuscatorPool {
+  /**
+     * Creates an empty pool of obfuscators for publicKey
+     *
+     * @param {PublicKey} publicKey - the public key the obfuscators are computed for
+     * @param {Object} [options]
+     * @param {string} [options.onExhausted = 'inline'] - what to do when an obfuscator is requested and the pool is empty:
+     *   'inline' computes it on the fly, 'throw' throws an Error, and 'block' waits (only with {@link ObfuscatorPool#acquire}) until a fill operation adds one
+     *
+     * @throws {RangeError} - if onExhausted is not one of 'inline', 'throw' or 'block'
+     */
+  constructor (publicKey, { onExhausted = 'inline' } = {}) {
+    if (!EXHAUSTION_POLICIES.includes(onExhausted)) throw new RangeError(`onExhausted MUST be one of ${EXHAUSTION_POLICIES.join(', ')}`)
+    this.publicKey = publicKey
+    this.onExhausted = onExhausted
+    this._obfuscators = []
+    this._waiting = []
+  }
+
+  /**
+     * Get the number of obfuscators available in the pool
+     * @returns {number} - the number of obfuscators available
+     */
+  get available () {
+    return this._obfuscators.length
+  }
+
+  /**
+     * Synchronously computes count obfuscators and adds them to the pool
+     *
+     * @param {number} count - the number of obfuscators to compute
+     *
+     * @returns {number} - the number of obfuscators available in the pool
+     */
+  fillSync (count) {
+    for (let i = 0; i < count; i++) this._add(this.publicKey._randomObfuscator())
+    return this.available
+  }
+
+  /**
+     * Computes count obfuscators in the background, yielding to the event loop after every one of them, and adds them
+     * to the pool as soon as they are computed
+     *
+     * @param {number} count - the number of obfuscators to compute
+     *
+     * @returns {Promise<number>} - a promise that resolves to the number of obfuscators available in the pool
+     */
+  async fill (count) {
+    for (let i = 0; i < count; i++) {
+      await new Promise(resolve => setTimeout(resolve, 0))
+      this._add(this.publicKey._randomObfuscator())
+    }
+    return this.available
+  }
+
+  /**
+     * Computes count obfuscators in a worker (worker_threads in Node.js, a Web Worker in browsers) and adds them to the
+     * pool. If workers are not available, it falls back to {@link ObfuscatorPool#fill}
+     *
+     * @param {number} count - the number of obfuscators to compute
+     *
+     * @returns {Promise<number>} - a promise that resolves to the number of obfuscators available in the pool
+     */
+  async fillInWorker (count) {
+    if (!workersAvailable()) return this.fill(count)
+    const obfuscators = await new Promise((resolve, reject) => {
+      const worker = createWorker(WORKER_SOURCE)
+      worker.onMessage(msg => {
+        worker.terminate()
+        resolve(msg)
+      })
+      worker.onError(err => {
+        worker.terminate()
+        reject(err)
+      })
+      worker.onExit(code => reject(new Error(`A worker exited with code ${code} before finishing its work`)))
+      worker.postMessage({ n: this.publicKey.n.toString(16), count })
+    })
+    for (const obfuscator of obfuscators) this._add(BigInt('0x' + obfuscator))
+    return this.available
+  }
+
+  /**
+     * Takes (and removes) an obfuscator from the pool
+     *
+     * @returns {bigint} - an obfuscator r^n mod n^2
+     *
+     * @throws {ObfuscatorPoolExhaustedError} - if the pool is empty and onExhausted is 'throw' or 'block' (use {@link ObfuscatorPool#acquire} to wait)
+     */
+  take () {
+    if (this._obfuscators.length > 0) return this._obfuscators.pop()
+    if (this.onExhausted === 'inline') return this.publicKey._randomObfuscator()
+    if (this.onExhausted === 'block') throw new ObfuscatorPoolExhaustedError('Obfuscator pool exhausted. Use acquire() to wait for new obfuscators')
+    throw new ObfuscatorPoolExhaustedError()
+  }
+
+  /**
+     * Takes (and removes) an obfuscator from the pool. If the pool is empty and onExhausted is 'block', it waits until
+     * a fill operation adds a new one
+     *
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - the maximum time to wait in milliseconds. By default, it waits forever
+     * @param {AbortSignal} [options.signal] - a signal (or any object with aborted, reason, addEventListener and removeEventListener) to stop waiting
+     *
+     * @returns {Promise<bigint>} - a promise that resolves to an obfuscator r^n mod n^2. It rejects with the abort reason if the signal is aborted
+     *
+     * @throws {ObfuscatorPoolTimeoutError} - if the timeout expires before an obfuscator is available
+     * @throws {ObfuscatorPoolExhaustedError} - if the pool is empty and onExhausted is 'throw'
+     */
+  async acquire ({ timeout = null, signal = null } = {}) {
+    if (signal !== null && signal.aborted) throw abortReason(signal)
+    if (this._obfuscators.length > 0 || this.onExhausted !== 'block') return this.take()
+    return new Promise((resolve, reject) => {
+      let timer = null
+      const onAbort = () => cancel(abortReason(signal))
+      const waiter = obfuscator => {
+        cleanup()
+        resolve(obfuscator)
+      }
+      const cleanup = () => {
+        if (timer !== null) clearTimeout(timer)
+        if (signal !== null) signal.removeEventListener('abort', onAbort)
+      }
+      const cancel = error => {
+        const index = this._waiting.indexOf(waiter)
+        if (index !== -1) this._waiting.splice(index, 1)
+        cleanup()
+        reject(error)
+      }
+      if (timeout !== null) timer = setTimeout(() => cancel(new ObfuscatorPoolTimeoutError(timeout)), timeout)
+      if (signal !== null) signal.addEventListener('abort', onAbort)
+      this._waiting.push(waiter)
+    })
+  }
+
+  _add (obfuscator) {
+    if (this._waiting.length > 0) this._waiting.shift()(obfuscator)
+    else this._obfuscators.push(obfuscator)
+  }
+}
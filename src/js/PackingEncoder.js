@@ -0,0 +1,93 @@
+import * as bcu from 'bigint-crypto-utils'
+
+/**
+ * Encoder of vectors of small non-negative integers into a single element of Z_n (SIMD-style packing). The plaintext
+ * space is split into fixed-width slots of slotBits + paddingBits bits, and the i-th integer is stored in the lowest
+ * slotBits bits of the i-th slot:
+ * ```
+ * encoding = v_0 + v_1·2^w + v_2·2^(2w) + ...   with w = slotBits + paddingBits
+ * ```
+ * A vector is then encrypted with a single {@link PublicKey#encrypt}, added slot-wise to another one with
+ * {@link PublicKey#addition} and scaled by a non-negative integer with {@link PublicKey#multiply}. The padding bits
+ * absorb the carries of these operations, so that up to 2^paddingBits additions of slotBits-bit values never spill
+ * over the next slot. Any decrypted slot exceeding slotBits bits is detected as an overflow.
+ */
+export default class PackingEncoder {
+  /**
+     * Creates a packing encoder for the plaintext space of publicKey
+     *
+     * @param {PublicKey} publicKey
+     * @param {Object} [options]
+     * @param {number} [options.slotBits = 32] - the bit length of the values of every slot
+     * @param {number} [options.paddingBits = 16] - the extra bits of every slot to absorb the growth of the values
+     * @param {number} [options.slots] - the number of slots. It defaults to the maximum that fits in [0, n)
+     *
+     * @throws {RangeError} - if slotBits or paddingBits are not valid or the slots do not fit in [0, n)
+     */
+  constructor (publicKey, { slotBits = 32, paddingBits = 16, slots = null } = {}) {
+    if (!Number.isSafeInteger(slotBits) || slotBits < 1) throw new RangeError('slotBits MUST be a positive integer')
+    if (!Number.isSafeInteger(paddingBits) || paddingBits < 0) throw new RangeError('paddingBits MUST be a non-negative integer')
+    const slotWidth = slotBits + paddingBits
+    // every packed value is smaller than 2^(slotWidth·slots) <= 2^(bitLength(n) - 1) < n, so it never wraps modulo n
+    const maxSlots = Math.floor((bcu.bitLength(publicKey.n) - 1) / slotWidth)
+    if (slots === null) slots = maxSlots
+    if (!Number.isSafeInteger(slots) || slots < 1 || slots > maxSlots) throw new RangeError(`slots MUST be an integer in [1, ${maxSlots}]`)
+    this.n = publicKey.n
+    this.slotBits = slotBits
+    this.paddingBits = paddingBits
+    this.slots = slots
+    this._slotWidth = BigInt(slotWidth)
+    this._slotMask = (1n << this._slotWidth) - 1n
+    this._maxValue = (1n << BigInt(slotBits)) - 1n
+  }
+
+  /**
+     * Get the maximum value that can be stored in a slot
+     * @returns {bigint} - 2^slotBits - 1
+     */
+  get maxValue () {
+    return this._maxValue
+  }
+
+  /**
+     * Encodes a vector of integers. Missing values are set to 0.
+     *
+     * @param {Array<bigint | number>} values - at most slots integers in [0, 2^slotBits)
+     *
+     * @returns {bigint} - the encoding of values in [0, n)
+     *
+     * @throws {RangeError} - if there are more values than slots or a value is out of range
+     */
+  encode (values) {
+    if (values.length > this.slots) throw new RangeError(`Cannot encode ${values.length} values in ${this.slots} slots`)
+    let encoding = 0n
+    for (let i = values.length - 1; i >= 0; i--) {
+      const value = BigInt(values[i])
+      if (value < 0n || value > this._maxValue) throw new RangeError(`Cannot encode ${value} in slot ${i}: it MUST be in [0, 2^${this.slotBits})`)
+      encoding = (encoding << this._slotWidth) | value
+    }
+    return encoding
+  }
+
+  /**
+     * Decodes an element of Z_n into a vector of slots integers
+     *
+     * @param {bigint} encoding - an element of [0, n), e.g. the decryption of an encoded vector
+     *
+     * @returns {bigint[]} - the integers of every slot
+     *
+     * @throws {RangeError} - if encoding is outside [0, n) or the value of a slot overflowed, i.e. exceeds 2^slotBits - 1
+     */
+  decode (encoding) {
+    if (encoding < 0n || encoding >= this.n) throw new RangeError('The encoding MUST be in [0, n)')
+    if (encoding >> (this._slotWidth * BigInt(this.slots)) !== 0n) throw new RangeError(`Overflow detected in slot ${this.slots - 1}`)
+    const values = []
+    for (let i = 0; i < this.slots; i++) {
+      const value = encoding & this._slotMask
+      if (value > this._maxValue) throw new RangeError(`Overflow detected in slot ${i}: the value exceeds 2^${this.slotBits} - 1`)
+      values.push(value)
+      encoding >>= this._slotWidth
+    }
+    return values
+  }
+}
@@ -1,4 +1,29 @@
 import * as bcu from 'bigint-crypto-utils'
+import PublicKey, { checkedPublicKey } from './PublicKey'
+import { KTY, JWK_VERSION, parseJwk, readBigint, writeBigint } from './jwk'
+import * as asn1 from './asn1'
+import SignedIntegerEncoder from './SignedIntegerEncoder'
+import { InvalidKeyError, KeyMismatchError } from './errors'
+import { isStrictValidation, checkCiphertext } from './validation'
+import { report, publicKeyChecks, privateKeyChecks } from './keyValidation'
+import { proveDecryption } from './proofs/decryption'
+
+const PEM_LABEL = 'PAILLIER PRIVATE KEY'
+const DER_VERSION = 0n
+
+/**
+ * The JWK-like JSON representation of a private key, with base64url-encoded bigints
+ *
+ * @typedef {Object} PrivateKeyJSON
+ * @property {string} kty - the key type, 'Paillier'
+ * @property {number} version - the version of the format
+ * @property {string} n - the public modulo
+ * @property {string} g - the public generator
+ * @property {string} lambda
+ * @property {string} mu
+ * @property {string} [p] - the first prime, if known
+ * @property {string} [q] - the second prime, if known
+ */
 
 /**
  * Class for Paillier private keys.
@@ -12,13 +37,18 @@ export default class PrivateKey {
      * @param {PublicKey} publicKey
      * @param {bigint} [p = null] - a big prime
      * @param {bigint} [q = null] - a big prime
+     *
+     * @throws {InvalidKeyError} - in strict mode (see {@link setStrictValidation}), if the key parameters are not consistent
      */
   constructor (lambda, mu, publicKey, p = null, q = null) {
+    if (isStrictValidation(publicKey)) checkPrivateKeyParams(lambda, mu, publicKey, p || null, q || null)
     this.lambda = lambda
     this.mu = mu
     this._p = p || null
     this._q = q || null
     this.publicKey = publicKey
+    // CRT decryption is only possible if p and q are the factors of n
+    this._crt = (this._p !== null && this._q !== null && this._p * this._q === publicKey.n) ? crtParams(this._p, this._q, publicKey.g) : null
   }
 
   /**
@@ -38,16 +68,73 @@ export default class PrivateKey {
   }
 
   /**
-   * Paillier private-key decryption
+   * Paillier private-key decryption. If the primes p and q are known, decryption is performed modulo p^2 and q^2
+   * and the results combined with the Chinese Remainder Theorem, which is about 4 times faster.
    *
    * @param {bigint} c - a bigint encrypted with the public key
    *
    * @returns {bigint} - the decryption of c with this private key
+   *
+   * @throws {InvalidCiphertextError} - in strict mode (see {@link setStrictValidation}), if c is not in Z* of n^2
    */
   decrypt (c) {
+    if (isStrictValidation(this.publicKey)) checkCiphertext(c, this.publicKey)
+    if (this._crt !== null) {
+      const { p, q, p2, q2, hp, hq, qInvP } = this._crt
+      const mp = (L(bcu.modPow(c, p - 1n, p2), p) * hp) % p
+      const mq = (L(bcu.modPow(c, q - 1n, q2), q) * hq) % q
+      return mq + bcu.toZn((mp - mq) * qInvP, p) * q
+    }
     return (L(bcu.modPow(c, this.lambda, this.publicKey._n2), this.publicKey.n) * this.mu) % this.publicKey.n
   }
 
+  /**
+   * Decrypts c and proves, without revealing the private key, that the plaintext is its correct decryption. The
+   * proof can be verified by anyone with the public key alone using {@link verifyDecryption}, e.g. to publish
+   * auditable tallies. It can be exported with {@link encryptionProof}.toJSON().
+   *
+   * @param {bigint} c - a bigint encrypted with the public key
+   * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for the proof
+   *
+   * @returns {{plaintext: bigint, proof: EncryptionProof}} - the decryption of c and the proof of its correctness
+   *
+   * @throws {InvalidCiphertextError} - if c is not in Z* of n^2
+   */
+  decryptWithProof (c, randomSource = null) {
+    return proveDecryption(this, c, randomSource)
+  }
+
+  /**
+   * Decrypts a signed integer encoded with a {@link SignedIntegerEncoder}, detecting overflows
+   *
+   * @param {bigint} c - the encryption of a signed integer with the public key
+   * @param {SignedIntegerEncoder} [encoder] - the encoder used. By default, one with maxAbs = publicKey.maxInt
+   *
+   * @returns {bigint} - the decrypted signed integer
+   *
+   * @throws {RangeError} - if the decrypted value overflowed, i.e. its absolute value exceeds maxAbs
+   * @throws {KeyMismatchError} - if the encoder was created for a different public key
+   */
+  decryptSigned (c, encoder = null) {
+    encoder = encoder || new SignedIntegerEncoder(this.publicKey)
+    if (encoder.n !== this.publicKey.n) throw new KeyMismatchError('The encoder was created for a different public key')
+    return encoder.decode(this.decrypt(c))
+  }
+
+  /**
+   * Validates this private key and its public key (see {@link PublicKey#validate}). It checks that p and q, if known,
+   * are distinct primes with p·q = n, that lambda is a multiple of the Carmichael function of n, that the order of g
+   * is a multiple of n, that mu matches lambda and g and that a test encryption decrypts correctly.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.minBitLength = 2048] - the minimum bit length of n
+   *
+   * @returns {Promise<ValidationReport>} - a report of every performed check
+   */
+  async validate (options = {}) {
+    return report([...await publicKeyChecks(this.publicKey, options), ...await privateKeyChecks(this)])
+  }
+
   /**
    * Recover the random factor used for encrypting a message with the complementary public key.
    * The recovery function only works if the public key generator g was using the simple variant
@@ -67,6 +154,169 @@ export default class PrivateKey {
     const c1 = c * (1n - m * this.n) % this.publicKey._n2
     return bcu.modPow(c1, nInvModPhi, this.n)
   }
+
+  /**
+   * Exports this private key as a JWK-like object with base64url-encoded bigints. The primes p and q are only
+   * included if they are known. It is automatically used by JSON.stringify()
+   *
+   * @returns {PrivateKeyJSON} - the JSON representation of this private key
+   */
+  toJSON () {
+    const jwk = {
+      kty: KTY,
+      version: JWK_VERSION,
+      n: writeBigint(this.publicKey.n),
+      g: writeBigint(this.publicKey.g),
+      lambda: writeBigint(this.lambda),
+      mu: writeBigint(this.mu)
+    }
+    if (this._p !== null && this._q !== null) {
+      jwk.p = writeBigint(this._p)
+      jwk.q = writeBigint(this._q)
+    }
+    return jwk
+  }
+
+  /**
+   * Imports a private key from its JSON representation. The key is checked for consistency, that is to say, mu
+   * MUST be the inverse of L(g^lambda mod n^2) modulo n and, if provided, p·q MUST be n.
+   *
+   * @param {string | Object} json - a JSON string or an object as returned by {@link PrivateKey#toJSON}
+   * @param {PublicKey} [publicKey] - if provided, the imported private key MUST match it and will be bound to it
+   *
+   * @returns {PrivateKey} - the imported private key
+   *
+   * @throws {TypeError} - if json is malformed
+   * @throws {RangeError} - if the version is not supported
+   * @throws {InvalidKeyError} - if the key parameters are not valid or consistent
+   * @throws {KeyMismatchError} - if the key does not match the provided public key
+   */
+  static fromJSON (json, publicKey = null) {
+    const jwk = parseJwk(json)
+    const pub = checkedPublicKey(readBigint(jwk, 'n'), readBigint(jwk, 'g'))
+    const p = readBigint(jwk, 'p', true)
+    const q = readBigint(jwk, 'q', true)
+    if ((p === null) !== (q === null)) throw new TypeError('Invalid private key: p and q MUST be both provided or both omitted')
+    return checkedPrivateKey(readBigint(jwk, 'lambda'), readBigint(jwk, 'mu'), pub, publicKey, p, q)
+  }
+
+  /**
+   * Exports this private key as DER with the following ASN.1 structure:
+   * ```
+   * PaillierPrivateKey ::= SEQUENCE {
+   *   version INTEGER (0),
+   *   n       INTEGER,
+   *   g       INTEGER,
+   *   lambda  INTEGER,
+   *   mu      INTEGER,
+   *   p       [0] IMPLICIT INTEGER OPTIONAL,
+   *   q       [1] IMPLICIT INTEGER OPTIONAL
+   * }
+   * ```
+   * p and q are only included if they are known.
+   *
+   * @returns {Uint8Array} - the DER encoding of this private key
+   */
+  toDER () {
+    const elements = [
+      asn1.encodeInteger(DER_VERSION),
+      asn1.encodeInteger(this.publicKey.n),
+      asn1.encodeInteger(this.publicKey.g),
+      asn1.encodeInteger(this.lambda),
+      asn1.encodeInteger(this.mu)
+    ]
+    if (this._p !== null && this._q !== null) {
+      elements.push(asn1.encodeInteger(this._p, asn1.TAG_CONTEXT | 0))
+      elements.push(asn1.encodeInteger(this._q, asn1.TAG_CONTEXT | 1))
+    }
+    return asn1.encodeSequence(...elements)
+  }
+
+  /**
+   * Exports this private key as a PEM 'PAILLIER PRIVATE KEY' block
+   *
+   * @returns {string} - the PEM encoding of this private key
+   */
+  toPEM () {
+    return asn1.toPem(this.toDER(), PEM_LABEL)
+  }
+
+  /**
+   * Imports a private key from its DER encoding. The same consistency checks of {@link PrivateKey.fromJSON} apply.
+   *
+   * @param {Uint8Array} der - a DER-encoded PaillierPrivateKey as returned by {@link PrivateKey#toDER}
+   * @param {PublicKey} [publicKey] - if provided, the imported private key MUST match it and will be bound to it
+   *
+   * @returns {PrivateKey} - the imported private key
+   *
+   * @throws {TypeError} - if der is malformed
+   * @throws {RangeError} - if the version is not supported
+   * @throws {InvalidKeyError} - if the key parameters are not valid or consistent
+   * @throws {KeyMismatchError} - if the key does not match the provided public key
+   */
+  static fromDER (der, publicKey = null) {
+    const elements = asn1.decodeSequence(asn1.decode(der))
+    if (elements.length !== 5 && elements.length !== 7) throw new TypeError('Invalid DER: PaillierPrivateKey MUST have 5 or 7 elements')
+    const version = asn1.decodeInteger(elements[0])
+    if (version !== DER_VERSION) throw new RangeError(`Unsupported PaillierPrivateKey version ${version}`)
+    const [n, g, lambda, mu] = elements.slice(1, 5).map(el => asn1.decodeInteger(el))
+    let p = null
+    let q = null
+    if (elements.length === 7) {
+      p = asn1.decodeInteger(elements[5], asn1.TAG_CONTEXT | 0)
+      q = asn1.decodeInteger(elements[6], asn1.TAG_CONTEXT | 1)
+    }
+    return checkedPrivateKey(lambda, mu, checkedPublicKey(n, g), publicKey, p, q)
+  }
+
+  /**
+   * Imports a private key from a PEM 'PAILLIER PRIVATE KEY' block
+   *
+   * @param {string} pem
+   * @param {PublicKey} [publicKey] - if provided, the imported private key MUST match it and will be bound to it
+   *
+   * @returns {PrivateKey} - the imported private key
+   *
+   * @throws {TypeError} - if pem is malformed
+   * @throws {InvalidKeyError} - if the key parameters are not valid or consistent
+   * @throws {KeyMismatchError} - if the key does not match the provided public key
+   */
+  static fromPEM (pem, publicKey = null) {
+    return PrivateKey.fromDER(asn1.fromPem(pem, PEM_LABEL), publicKey)
+  }
+}
+
+function checkedPrivateKey (lambda, mu, pub, publicKey, p, q) {
+  if (publicKey !== null) {
+    if (!publicKey.equals(pub)) throw new KeyMismatchError('Invalid private key: it does not match the provided public key')
+  } else {
+    publicKey = pub
+  }
+  checkPrivateKeyParams(lambda, mu, publicKey, p, q)
+  return new PrivateKey(lambda, mu, publicKey, p, q)
+}
+
+function checkPrivateKeyParams (lambda, mu, publicKey, p, q) {
+  if (!(publicKey instanceof PublicKey)) throw new InvalidKeyError('Invalid private key: publicKey MUST be a PublicKey')
+  const n = publicKey.n
+  if (typeof lambda !== 'bigint' || typeof mu !== 'bigint') throw new InvalidKeyError('Invalid private key: lambda and mu MUST be bigints')
+  if ((p === null) !== (q === null) || (p !== null && p * q !== n)) throw new InvalidKeyError('Invalid private key: p·q != n')
+  if (lambda <= 0n || mu <= 0n || mu >= n) throw new InvalidKeyError('Invalid private key: lambda and mu MUST be in (0, n)')
+  if ((L(bcu.modPow(publicKey.g, lambda, publicKey._n2), n) * mu) % n !== 1n) throw new InvalidKeyError('Invalid private key: mu does not match lambda and g')
+}
+
+function crtParams (p, q, g) {
+  const p2 = p ** 2n
+  const q2 = q ** 2n
+  return {
+    p,
+    q,
+    p2,
+    q2,
+    hp: bcu.modInv(L(bcu.modPow(g, p - 1n, p2), p), p),
+    hq: bcu.modInv(L(bcu.modPow(g, q - 1n, q2), q), q),
+    qInvP: bcu.modInv(q, p)
+  }
 }
 
 export function L (a, n) {
@@ -1,4 +1,15 @@
 import * as bcu from 'bigint-crypto-utils'
+import { KTY, JWK_VERSION, parseJwk, readBigint, writeBigint } from './jwk'
+import * as asn1 from './asn1'
+import FixedBaseTable, { checkWindow } from './FixedBaseTable'
+import ObfuscatorPool from './ObfuscatorPool'
+import SignedIntegerEncoder from './SignedIntegerEncoder'
+import { KeyMismatchError } from './errors'
+import { report, publicKeyChecks } from './keyValidation'
+import { randBetween } from './random'
+import { isStrictValidation, checkPlaintext, checkCiphertext, checkRandomFactor, checkObfuscator, checkPublicKeyParams } from './validation'
+
+const PEM_LABEL = 'PAILLIER PUBLIC KEY'
 
 /**
  * Class for a Paillier public key
@@ -8,11 +19,22 @@ export default class PublicKey {
      * Creates an instance of class PublicKey
      * @param {bigint} n - the public modulo
      * @param {bigint} g - the public generator
+     *
+     * @throws {InvalidKeyError} - in strict mode (see {@link setStrictValidation}), if n is not an odd integer > 1 or g is not in Z* of n^2
      */
   constructor (n, g) {
+    if (isStrictValidation()) checkPublicKeyParams(n, g)
     this.n = n
     this._n2 = this.n ** 2n // cache n^2
     this.g = g
+    this._gTable = null
+    this.obfuscatorPool = null
+    /**
+     * Strict validation for this key and its private key: true or false overrides the process-wide
+     * {@link setStrictValidation}, null (default) follows it
+     * @type {boolean | null}
+     */
+    this.strictValidation = null
   }
 
   /**
@@ -23,21 +45,235 @@ export default class PublicKey {
     return bcu.bitLength(this.n)
   }
 
+  /**
+     * Get the maximum absolute value of the signed integers that are encoded by default, floor(n/3) - 1. Encodings in
+     * the gap between maxInt and n - maxInt are used to detect overflows.
+     * @returns {bigint} - the default maximum absolute value of encoded signed integers
+     */
+  get maxInt () {
+    return this.n / 3n - 1n
+  }
+
+  /**
+     * Checks whether other is the same public key, i.e. it has the same n and g
+     *
+     * @param {PublicKey} other
+     *
+     * @returns {boolean}
+     */
+  equals (other) {
+    return other instanceof PublicKey && other.n === this.n && other.g === this.g
+  }
+
+  /**
+     * Validates this public key: n MUST be an odd composite integer that is not a perfect square and at least
+     * minBitLength bits long, and g MUST be in Z* of n^2. Checking that the order of g is a multiple of n requires
+     * the private key (see {@link PrivateKey#validate}).
+     *
+     * @param {Object} [options]
+     * @param {number} [options.minBitLength = 2048] - the minimum bit length of n
+     *
+     * @returns {Promise<ValidationReport>} - a report of every performed check
+     */
+  async validate (options = {}) {
+    return report(await publicKeyChecks(this, options))
+  }
+
   /**
      * Paillier public-key encryption
      *
      * @param {bigint} m - a bigint representation of a cleartext message
      * @param {bigint} [r] - the random integer factor for encryption. By default is a random in (1,n)
+     * @param {RandomSource} [randomSource] - FOR TESTING ONLY. If provided and r is not, r is chosen with randomness from this source (e.g. a seeded {@link HmacDrbg}) instead of taking an obfuscator from the pool, so that ciphertexts are reproducible
      *
      * @returns {bigint} - the encryption of m with this public key
+     *
+     * @throws {InvalidPlaintextError} - in strict mode (see {@link setStrictValidation}), if m is not in [0, n)
+     * @throws {InvalidRandomnessError} - in strict mode, if r is not in Z* of n
+     * @throws {ObfuscatorPoolExhaustedError} - if r is not provided and the {@link ObfuscatorPool} in use is empty and its onExhausted policy is 'throw'
+     */
+  encrypt (m, r = null, randomSource = null) {
+    if (isStrictValidation(this)) {
+      checkPlaintext(m, this)
+      if (r !== null) checkRandomFactor(r, this)
+    }
+    let obfuscator
+    if (r !== null) obfuscator = bcu.modPow(r, this.n, this._n2)
+    else if (randomSource !== null) obfuscator = this._randomObfuscator(randomSource)
+    else obfuscator = this._nextObfuscator()
+    return (this._gPow(m) * obfuscator) % this._n2
+  }
+
+  /**
+     * Encrypts a signed integer encoded with a {@link SignedIntegerEncoder}
+     *
+     * @param {bigint | number} value - a signed integer
+     * @param {SignedIntegerEncoder} [encoder] - the encoder to use. By default, one with maxAbs = {@link PublicKey#maxInt}
+     *
+     * @returns {bigint} - the encryption of the encoding of value with this public key
+     *
+     * @throws {RangeError} - if value cannot be encoded, i.e. |value| > maxAbs
+     * @throws {KeyMismatchError} - if the encoder was created for a different public key
+     */
+  encryptSigned (value, encoder = null) {
+    encoder = encoder || new SignedIntegerEncoder(this)
+    if (encoder.n !== this.n) throw new KeyMismatchError('The encoder was created for a different public key')
+    return this.encrypt(encoder.encode(value))
+  }
+
+  /**
+     * Paillier public-key encryption with a precomputed obfuscator, e.g. one acquired from an {@link ObfuscatorPool}.
+     * It requires just one modular multiplication (plus g^m, which is cheap if g = n+1 or if g has been precomputed).
+     * Never use the same obfuscator twice.
+     *
+     * @param {bigint} m - a bigint representation of a cleartext message
+     * @param {bigint} obfuscator - r^n mod n^2 for a random r in Z* of n
+     *
+     * @returns {bigint} - the encryption of m with this public key
+     *
+     * @throws {InvalidPlaintextError} - in strict mode (see {@link setStrictValidation}), if m is not in [0, n)
+     * @throws {InvalidRandomnessError} - in strict mode, if the obfuscator is not in Z* of n^2
+     */
+  encryptWithObfuscator (m, obfuscator) {
+    if (isStrictValidation(this)) {
+      checkPlaintext(m, this)
+      checkObfuscator(obfuscator, this)
+    }
+    return (this._gPow(m) * obfuscator) % this._n2
+  }
+
+  /**
+     * Re-randomizes a ciphertext by multiplying it by a fresh obfuscator r^n mod n^2. The result decrypts to the same
+     * plaintext but it is unlinkable to the input ciphertext, e.g. the output of {@link PublicKey#addition} or
+     * {@link PublicKey#multiply} can no longer be linked to its operands.
+     *
+     * @param {bigint} c - a ciphertext encrypted with this public key
+     * @param {bigint} [r] - the random integer factor in Z* of n. By default the obfuscator is taken from this key's {@link ObfuscatorPool} if in use, or a random r is chosen
+     *
+     * @returns {bigint} - a new encryption of the same plaintext
+     *
+     * @throws {InvalidCiphertextError} - in strict mode (see {@link setStrictValidation}), if c is not in Z* of n^2
+     * @throws {InvalidRandomnessError} - in strict mode, if r is not in Z* of n
+     */
+  rerandomize (c, r = null) {
+    if (isStrictValidation(this)) {
+      checkCiphertext(c, this)
+      if (r !== null) checkRandomFactor(r, this)
+    }
+    const obfuscator = (r === null) ? this._nextObfuscator() : bcu.modPow(r, this.n, this._n2)
+    return (c * obfuscator) % this._n2
+  }
+
+  /**
+     * Re-randomizes a ciphertext with a precomputed obfuscator, e.g. one acquired from an {@link ObfuscatorPool}.
+     * Never use the same obfuscator twice.
+     *
+     * @param {bigint} c - a ciphertext encrypted with this public key
+     * @param {bigint} obfuscator - r^n mod n^2 for a random r in Z* of n
+     *
+     * @returns {bigint} - a new encryption of the same plaintext
+     *
+     * @throws {InvalidCiphertextError} - in strict mode (see {@link setStrictValidation}), if c is not in Z* of n^2
+     * @throws {InvalidRandomnessError} - in strict mode, if the obfuscator is not in Z* of n^2
+     */
+  rerandomizeWithObfuscator (c, obfuscator) {
+    if (isStrictValidation(this)) {
+      checkCiphertext(c, this)
+      checkObfuscator(obfuscator, this)
+    }
+    return (c * obfuscator) % this._n2
+  }
+
+  /**
+     * Enables precomputation to speed up bulk encryption:
+     *  - if g != n+1, a fixed-base window table for g is built, so that g^m mod n^2 requires only multiplications
+     *    (if g = n+1, g^m = 1 + m·n mod n^2 is always used instead);
+     *  - obfuscators r^n mod n^2 are added to this key's {@link ObfuscatorPool} (a pool that computes obfuscators on the
+     *    fly when exhausted is created if none is in use). Every call to encrypt() without an explicit r consumes (and
+     *    removes) one of them.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.window = 4] - the window size in bits of the fixed-base table for g, in [1, 16]. The table grows as 2^window
+     * @param {number} [options.obfuscators = 0] - the number of obfuscators to add to the pool
+     *
+     * @returns {PublicKey} - this public key
+     *
+     * @throws {RangeError} - if window is not an integer in [1, 16]
      */
-  encrypt (m, r = null) {
-    if (r === null) {
-      do {
-        r = bcu.randBetween(this.n)
-      } while (bcu.gcd(r, this.n) !== 1n)
+  precompute ({ window = 4, obfuscators = 0 } = {}) {
+    checkWindow(window)
+    if (this.g !== this.n + 1n && (this._gTable === null || this._gTable.window !== window)) {
+      this._gTable = new FixedBaseTable(this.g, this._n2, this.bitLength, window)
     }
-    return (bcu.modPow(this.g, m, this._n2) * bcu.modPow(r, this.n, this._n2)) % this._n2
+    if (obfuscators > 0) this._pool().fillSync(obfuscators)
+    return this
+  }
+
+  /**
+     * Fills this key's {@link ObfuscatorPool} in the background (see {@link ObfuscatorPool#fill}). A pool that computes
+     * obfuscators on the fly when exhausted is created if none is in use.
+     *
+     * @param {number} count - the number of obfuscators to add to the pool
+     *
+     * @returns {Promise<number>} - a promise that resolves to the number of obfuscators in the pool once all of them have been computed
+     */
+  async precomputeObfuscators (count) {
+    return this._pool().fill(count)
+  }
+
+  /**
+     * Get the number of precomputed obfuscators still available in the pool
+     * @returns {number} - the number of precomputed obfuscators
+     */
+  get precomputedObfuscators () {
+    return (this.obfuscatorPool !== null) ? this.obfuscatorPool.available : 0
+  }
+
+  /**
+     * Sets the {@link ObfuscatorPool} that encrypt() consumes when no random factor is provided. Since encrypt() is
+     * synchronous, it cannot wait for new obfuscators, so pools with onExhausted = 'block' cannot be used. Use
+     * {@link ObfuscatorPool#acquire} with {@link PublicKey#encryptWithObfuscator} instead.
+     *
+     * @param {ObfuscatorPool | null} pool - a pool created for a public key with the same modulo n (obfuscators r^n mod n^2 do not depend on g), or null to stop using a pool
+     *
+     * @returns {PublicKey} - this public key
+     *
+     * @throws {KeyMismatchError} - if the pool was created for a public key with a different modulo
+     * @throws {RangeError} - if the onExhausted policy of the pool is 'block'
+     */
+  useObfuscatorPool (pool) {
+    if (pool !== null && pool.publicKey.n !== this.n) throw new KeyMismatchError('The obfuscator pool was created for a public key with a different modulo')
+    if (pool !== null && pool.onExhausted === 'block') throw new RangeError("A pool with onExhausted = 'block' cannot be used by encrypt(). Use acquire() and encryptWithObfuscator() instead")
+    this.obfuscatorPool = pool
+    return this
+  }
+
+  _gPow (m) {
+    m = bcu.toZn(m, this.n)
+    if (this.g === this.n + 1n) return (1n + m * this.n) % this._n2
+    if (this._gTable !== null) return this._gTable.pow(m)
+    return bcu.modPow(this.g, m, this._n2)
+  }
+
+  _checkCiphertexts (...ciphertexts) {
+    if (isStrictValidation(this)) ciphertexts.forEach(c => checkCiphertext(c, this))
+  }
+
+  _randomObfuscator (randomSource = null) {
+    let r
+    do {
+      r = randBetween(this.n, 1n, randomSource)
+    } while (bcu.gcd(r, this.n) !== 1n)
+    return bcu.modPow(r, this.n, this._n2)
+  }
+
+  _nextObfuscator () {
+    return (this.obfuscatorPool !== null) ? this.obfuscatorPool.take() : this._randomObfuscator()
+  }
+
+  _pool () {
+    if (this.obfuscatorPool === null) this.obfuscatorPool = new ObfuscatorPool(this)
+    return this.obfuscatorPool
   }
 
   encryptOtherNA (m, r, n2) {
@@ -64,6 +300,91 @@ export default class PublicKey {
     return (bcu.modPow(this.g, m, n2) * bcu.modPow(r, this.n, n2)) % this._n2
   }
 
+  /**
+     * Exports this public key as a JWK-like object with base64url-encoded bigints.
+     * It is automatically used by JSON.stringify()
+     *
+     * @returns {{kty: string, version: number, n: string, g: string}} - the JSON representation of this public key
+     */
+  toJSON () {
+    return {
+      kty: KTY,
+      version: JWK_VERSION,
+      n: writeBigint(this.n),
+      g: writeBigint(this.g)
+    }
+  }
+
+  /**
+     * Imports a public key from its JSON representation
+     *
+     * @param {string | Object} json - a JSON string or an object as returned by {@link PublicKey#toJSON}
+     *
+     * @returns {PublicKey} - the imported public key
+     *
+     * @throws {TypeError} - if json is malformed
+     * @throws {RangeError} - if the version is not supported
+     * @throws {InvalidKeyError} - if the key parameters are not valid
+     */
+  static fromJSON (json) {
+    const jwk = parseJwk(json)
+    return checkedPublicKey(readBigint(jwk, 'n'), readBigint(jwk, 'g'))
+  }
+
+  /**
+     * Exports this public key as DER with the following ASN.1 structure:
+     * ```
+     * PaillierPublicKey ::= SEQUENCE {
+     *   n INTEGER,
+     *   g INTEGER
+     * }
+     * ```
+     *
+     * @returns {Uint8Array} - the DER encoding of this public key
+     */
+  toDER () {
+    return asn1.encodeSequence(asn1.encodeInteger(this.n), asn1.encodeInteger(this.g))
+  }
+
+  /**
+     * Exports this public key as a PEM 'PAILLIER PUBLIC KEY' block
+     *
+     * @returns {string} - the PEM encoding of this public key
+     */
+  toPEM () {
+    return asn1.toPem(this.toDER(), PEM_LABEL)
+  }
+
+  /**
+     * Imports a public key from its DER encoding
+     *
+     * @param {Uint8Array} der - a DER-encoded PaillierPublicKey as returned by {@link PublicKey#toDER}
+     *
+     * @returns {PublicKey} - the imported public key
+     *
+     * @throws {TypeError} - if der is malformed
+     * @throws {InvalidKeyError} - if the key parameters are not valid
+     */
+  static fromDER (der) {
+    const elements = asn1.decodeSequence(asn1.decode(der))
+    if (elements.length !== 2) throw new TypeError('Invalid DER: PaillierPublicKey MUST have 2 elements')
+    return checkedPublicKey(asn1.decodeInteger(elements[0]), asn1.decodeInteger(elements[1]))
+  }
+
+  /**
+     * Imports a public key from a PEM 'PAILLIER PUBLIC KEY' block
+     *
+     * @param {string} pem
+     *
+     * @returns {PublicKey} - the imported public key
+     *
+     * @throws {TypeError} - if pem is malformed
+     * @throws {InvalidKeyError} - if the key parameters are not valid
+     */
+  static fromPEM (pem) {
+    return PublicKey.fromDER(asn1.fromPem(pem, PEM_LABEL))
+  }
+
   /**
      * Homomorphic addition
      *
@@ -72,18 +393,81 @@ export default class PublicKey {
      * @returns {bigint} - the encryption of (m_1 + ... + m_2) with this public key
      */
   addition (...ciphertexts) {
+    this._checkCiphertexts(...ciphertexts)
     return ciphertexts.reduce((sum, next) => sum * next % (this._n2), 1n)
   }
 
+  /**
+     * Homomorphic subtraction
+     *
+     * @param {bigint} c1 - the encryption of m1 with this public key
+     * @param {bigint} c2 - the encryption of m2 with this public key
+     *
+     * @returns {bigint} - the encryption of (m1 - m2) mod n with this public key
+     */
+  subtract (c1, c2) {
+    this._checkCiphertexts(c1, c2)
+    return (c1 * bcu.modInv(c2, this._n2)) % this._n2
+  }
+
+  /**
+     * Homomorphic negation
+     *
+     * @param {bigint} c - the encryption of m with this public key
+     *
+     * @returns {bigint} - the encryption of -m mod n with this public key
+     */
+  negate (c) {
+    this._checkCiphertexts(c)
+    return bcu.modInv(c, this._n2)
+  }
+
+  /**
+     * Homomorphic addition of a plaintext to a ciphertext. Notice that the randomness of the output is the same of the
+     * input ciphertext. Use {@link PublicKey#rerandomize} if the output must be unlinkable to the input.
+     *
+     * @param {bigint} c - the encryption of m1 with this public key
+     * @param {bigint | number} m - a plaintext m2
+     *
+     * @returns {bigint} - the encryption of (m1 + m2) mod n with this public key
+     */
+  addPlaintext (c, m) {
+    this._checkCiphertexts(c)
+    return (c * this._gPow(BigInt(m))) % this._n2
+  }
+
+  /**
+     * Homomorphic subtraction of a plaintext from a ciphertext. Notice that the randomness of the output is the same of
+     * the input ciphertext. Use {@link PublicKey#rerandomize} if the output must be unlinkable to the input.
+     *
+     * @param {bigint} c - the encryption of m1 with this public key
+     * @param {bigint | number} m - a plaintext m2
+     *
+     * @returns {bigint} - the encryption of (m1 - m2) mod n with this public key
+     */
+  subtractPlaintext (c, m) {
+    this._checkCiphertexts(c)
+    return (c * this._gPow(-BigInt(m))) % this._n2
+  }
+
   /**
      * Pseudo-homomorphic Paillier multiplication
      *
      * @param {bigint} c - a number m encrypted with this public key
-     * @param {bigint | number} k - either a bigint or a number
+     * @param {bigint | number} k - either a bigint or a number. If negative, the inverse of c is raised to -k
      *
-     * @returns {bigint} - the encryption of k·m with this public key
+     * @returns {bigint} - the encryption of k·m mod n with this public key
      */
   multiply (c, k) {
-    return bcu.modPow(BigInt(c), BigInt(k), this._n2)
+    c = BigInt(c)
+    k = BigInt(k)
+    this._checkCiphertexts(c)
+    if (k < 0n) return bcu.modPow(this.negate(c), -k, this._n2)
+    return bcu.modPow(c, k, this._n2)
   }
 }
+
+export function checkedPublicKey (n, g) {
+  checkPublicKeyParams(n, g)
+  return new PublicKey(n, g)
+}
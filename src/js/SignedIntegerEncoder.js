@@ -0,0 +1,55 @@
+import * as bcu from 'bigint-crypto-utils'
+
+/**
+ * Encoder of signed integers into Z_n. Values in [-maxAbs, maxAbs] are mapped to [0, maxAbs] ∪ [n - maxAbs, n), and
+ * any decrypted value falling in the gap (maxAbs, n - maxAbs) is detected as an overflow (or underflow) of a
+ * homomorphic computation instead of being silently returned as a wrapped number.
+ */
+export default class SignedIntegerEncoder {
+  /**
+     * Creates an encoder of signed integers for the plaintext space of publicKey
+     *
+     * @param {PublicKey} publicKey
+     * @param {Object} [options]
+     * @param {bigint} [options.maxAbs = publicKey.maxInt] - the maximum absolute value that can be encoded. It defaults to floor(n/3) - 1
+     *
+     * @throws {RangeError} - if maxAbs is not in [0, (n-1)/2)
+     */
+  constructor (publicKey, { maxAbs = publicKey.maxInt } = {}) {
+    maxAbs = BigInt(maxAbs)
+    if (maxAbs < 0n || 2n * maxAbs >= publicKey.n - 1n) throw new RangeError('maxAbs MUST be in [0, (n-1)/2)')
+    this.n = publicKey.n
+    this.maxAbs = maxAbs
+  }
+
+  /**
+     * Encodes a signed integer into Z_n
+     *
+     * @param {bigint | number} value - an integer in [-maxAbs, maxAbs]
+     *
+     * @returns {bigint} - the encoding of value in [0, n)
+     *
+     * @throws {RangeError} - if |value| > maxAbs
+     */
+  encode (value) {
+    value = BigInt(value)
+    if (bcu.abs(value) > this.maxAbs) throw new RangeError(`Cannot encode ${value}: its absolute value exceeds ${this.maxAbs}`)
+    return bcu.toZn(value, this.n)
+  }
+
+  /**
+     * Decodes an element of Z_n into a signed integer
+     *
+     * @param {bigint} encoding - an element of [0, n)
+     *
+     * @returns {bigint} - the decoded integer in [-maxAbs, maxAbs]
+     *
+     * @throws {RangeError} - if encoding is in the overflow gap (maxAbs, n - maxAbs) or outside [0, n)
+     */
+  decode (encoding) {
+    if (encoding < 0n || encoding >= this.n) throw new RangeError('The encoding MUST be in [0, n)')
+    if (encoding <= this.maxAbs) return encoding
+    if (encoding >= this.n - this.maxAbs) return encoding - this.n
+    throw new RangeError('Overflow detected: the decoded value exceeds the maximum absolute value')
+  }
+}
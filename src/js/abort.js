@@ -0,0 +1,14 @@
+/**
+ * Returns the error to reject with when an AbortSignal-like object is aborted: its reason if it has one (as
+ * AbortSignal does since Node.js 17.2) or else an Error named 'AbortError'
+ *
+ * @param {AbortSignal} signal - a signal or any object with aborted and reason properties
+ *
+ * @returns {any}
+ */
+export function abortReason (signal) {
+  if (signal.reason !== undefined) return signal.reason
+  const error = new Error('The operation was aborted')
+  error.name = 'AbortError'
+  return error
+}
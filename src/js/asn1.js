@@ -0,0 +1,212 @@
+import { bigintToBuf, bufToBigint, bufToBase64, base64ToBuf } from './conversion'
+
+/*
+ * A minimal ASN.1 DER encoder/decoder supporting just what is needed to encode Paillier keys and ciphertexts:
+ * INTEGER, SEQUENCE and context-specific implicitly-tagged INTEGERs. The encoded structures are exactly those of the
+ * following ASN.1 module:
+ *
+ *   PaillierBigint DEFINITIONS IMPLICIT TAGS ::= BEGIN
+ *     PaillierPublicKey ::= SEQUENCE {
+ *       n       INTEGER,
+ *       g       INTEGER
+ *     }
+ *     PaillierPrivateKey ::= SEQUENCE {
+ *       version INTEGER (0),
+ *       n       INTEGER,
+ *       g       INTEGER,
+ *       lambda  INTEGER,
+ *       mu      INTEGER,
+ *       p       [0] INTEGER OPTIONAL,
+ *       q       [1] INTEGER OPTIONAL
+ *     }
+ *     PaillierCiphertext ::= INTEGER
+ *   END
+ *
+ * They are bare structures, not wrapped in a SubjectPublicKeyInfo or PKCS#8 PrivateKeyInfo with an algorithm
+ * identifier, since there is no registered OID for Paillier. Other implementations can only read them if they
+ * implement this same module.
+ */
+
+export const TAG_INTEGER = 0x02
+export const TAG_SEQUENCE = 0x30
+export const TAG_CONTEXT = 0x80
+
+// no schema nests more than a SEQUENCE of INTEGERs, so deeper inputs are rejected before they exhaust the stack
+const MAX_DEPTH = 2
+
+function encodeLength (length) {
+  if (length < 0x80) return [length]
+  const bytes = []
+  while (length > 0) {
+    bytes.unshift(length & 0xff)
+    length = Math.floor(length / 256)
+  }
+  return [0x80 | bytes.length, ...bytes]
+}
+
+function tlv (tag, value) {
+  const length = encodeLength(value.length)
+  const buf = new Uint8Array(1 + length.length + value.length)
+  buf[0] = tag
+  buf.set(length, 1)
+  buf.set(value, 1 + length.length)
+  return buf
+}
+
+/**
+ * DER-encodes a non-negative INTEGER
+ *
+ * @param {bigint} a - a non-negative integer
+ * @param {number} [tag = TAG_INTEGER] - use TAG_CONTEXT | n for a [n] IMPLICIT INTEGER
+ *
+ * @returns {Uint8Array}
+ */
+export function encodeInteger (a, tag = TAG_INTEGER) {
+  let value = bigintToBuf(a)
+  if (value[0] & 0x80) { // prepend a zero byte so that it is not interpreted as negative
+    const padded = new Uint8Array(value.length + 1)
+    padded.set(value, 1)
+    value = padded
+  }
+  return tlv(tag, value)
+}
+
+/**
+ * DER-encodes a SEQUENCE of already DER-encoded elements
+ *
+ * @param {...Uint8Array} elements
+ *
+ * @returns {Uint8Array}
+ */
+export function encodeSequence (...elements) {
+  const value = new Uint8Array(elements.reduce((len, el) => len + el.length, 0))
+  let offset = 0
+  for (const el of elements) {
+    value.set(el, offset)
+    offset += el.length
+  }
+  return tlv(TAG_SEQUENCE, value)
+}
+
+/**
+ * @typedef {Object} Asn1Node
+ * @property {number} tag - the identifier octet
+ * @property {Uint8Array} value - the content octets
+ * @property {Asn1Node[]} [children] - the decoded elements if it is a SEQUENCE
+ */
+
+function decodeNode (buf, offset, depth) {
+  if (depth >= MAX_DEPTH) throw new TypeError('Invalid DER: nesting too deep')
+  if (offset + 2 > buf.length) throw new TypeError('Invalid DER: unexpected end of data')
+  const tag = buf[offset]
+  if ((tag & 0x1f) === 0x1f) throw new TypeError('Invalid DER: high tag numbers are not supported')
+  let length = buf[offset + 1]
+  let start = offset + 2
+  if (length & 0x80) {
+    const lengthBytes = length & 0x7f
+    if (lengthBytes === 0) throw new TypeError('Invalid DER: indefinite lengths are not allowed')
+    if (lengthBytes > 4 || start + lengthBytes > buf.length) throw new TypeError('Invalid DER: unsupported length')
+    if (buf[start] === 0) throw new TypeError('Invalid DER: non-minimal length encoding')
+    length = 0
+    for (let i = 0; i < lengthBytes; i++) length = length * 256 + buf[start + i]
+    if (length < 0x80) throw new TypeError('Invalid DER: non-minimal length encoding')
+    start += lengthBytes
+  }
+  const end = start + length
+  if (end > buf.length) throw new TypeError('Invalid DER: unexpected end of data')
+  const node = { tag, value: buf.subarray(start, end) }
+  if (tag === TAG_SEQUENCE) {
+    node.children = []
+    let childOffset = start
+    while (childOffset < end) {
+      const { node: child, end: childEnd } = decodeNode(buf.subarray(0, end), childOffset, depth + 1)
+      node.children.push(child)
+      childOffset = childEnd
+    }
+  }
+  return { node, end }
+}
+
+/**
+ * Decodes a DER-encoded element. The whole input MUST be consumed.
+ *
+ * @param {Uint8Array} der
+ *
+ * @returns {Asn1Node}
+ *
+ * @throws {TypeError} - if der is not valid DER
+ */
+export function decode (der) {
+  if (!(der instanceof Uint8Array)) throw new TypeError('DER input MUST be a Uint8Array')
+  const { node, end } = decodeNode(der, 0, 0)
+  if (end !== der.length) throw new TypeError('Invalid DER: trailing data')
+  return node
+}
+
+/**
+ * Reads a non-negative INTEGER from a decoded node
+ *
+ * @param {Asn1Node} node
+ * @param {number} [tag = TAG_INTEGER] - the expected tag
+ *
+ * @returns {bigint}
+ *
+ * @throws {TypeError} - if node is not a valid non-negative INTEGER with the expected tag
+ */
+export function decodeInteger (node, tag = TAG_INTEGER) {
+  if (node === undefined || node.tag !== tag) throw new TypeError('Invalid DER: INTEGER expected')
+  const value = node.value
+  if (value.length === 0) throw new TypeError('Invalid DER: empty INTEGER')
+  if (value.length > 1 && value[0] === 0 && !(value[1] & 0x80)) throw new TypeError('Invalid DER: non-minimal INTEGER encoding')
+  if (value[0] & 0x80) throw new TypeError('Invalid DER: negative INTEGER')
+  return bufToBigint(value)
+}
+
+/**
+ * Reads a SEQUENCE from a decoded node
+ *
+ * @param {Asn1Node} node
+ *
+ * @returns {Asn1Node[]} - the elements of the sequence
+ *
+ * @throws {TypeError} - if node is not a SEQUENCE
+ */
+export function decodeSequence (node) {
+  if (node.tag !== TAG_SEQUENCE) throw new TypeError('Invalid DER: SEQUENCE expected')
+  return node.children
+}
+
+/**
+ * PEM-armors DER data (RFC 7468)
+ *
+ * @param {Uint8Array} der
+ * @param {string} label - e.g. 'PAILLIER PUBLIC KEY'
+ *
+ * @returns {string}
+ */
+export function toPem (der, label) {
+  const b64 = bufToBase64(der)
+  const lines = b64.match(/.{1,64}/g) || []
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`
+}
+
+/**
+ * Removes the PEM armor and returns the DER data
+ *
+ * @param {string} pem
+ * @param {string} label - the expected label
+ *
+ * @returns {Uint8Array}
+ *
+ * @throws {TypeError} - if pem is not a PEM document with the expected label
+ */
+export function fromPem (pem, label) {
+  if (typeof pem !== 'string') throw new TypeError('PEM input MUST be a string')
+  const match = pem.match(new RegExp(`-----BEGIN ${label}-----([A-Za-z0-9+/=\\s]*)-----END ${label}-----`))
+  if (match === null) throw new TypeError(`Invalid PEM: expected a '${label}' block`)
+  try {
+    return base64ToBuf(match[1].replace(/\s+/g, ''))
+  } catch (error) {
+    throw new TypeError('Invalid PEM: invalid base64 data')
+  }
+}
@@ -0,0 +1,169 @@
+import * as bcu from 'bigint-crypto-utils'
+import { createWorker, workersAvailable } from './workers'
+import { abortReason } from './abort'
+import { isStrictValidation, checkPlaintext, checkCiphertext } from './validation'
+
+/*
+ * Every worker receives the key once ({ key }) and then processes chunks of items ({ id, items }), replying with
+ * { id, results }. A key with lambda is a private key and its chunks are decrypted; otherwise they are encrypted.
+ */
+const WORKER_SOURCE = `
+let key = null
+port.onMessage(msg => {
+  if (msg.key !== undefined) {
+    key = parseKey(msg.key)
+    return
+  }
+  const fn = (key.lambda === undefined) ? encrypt : decrypt
+  port.postMessage({ id: msg.id, results: msg.items.map(item => fn(BigInt('0x' + item)).toString(16)) })
+})
+function parseKey (hexKey) {
+  const k = {}
+  for (const name of Object.keys(hexKey)) k[name] = BigInt('0x' + hexKey[name])
+  k.n2 = k.n * k.n
+  if (k.p !== undefined) {
+    k.p2 = k.p * k.p
+    k.q2 = k.q * k.q
+    k.hp = modInv(L(modPow(k.g, k.p - 1n, k.p2), k.p), k.p)
+    k.hq = modInv(L(modPow(k.g, k.q - 1n, k.q2), k.q), k.q)
+    k.qInvP = modInv(k.q, k.p)
+  }
+  return k
+}
+function L (a, n) { return (a - 1n) / n }
+function encrypt (m) {
+  const { n, g, n2 } = key
+  let r
+  do {
+    r = randBetween(n)
+  } while (gcd(r, n) !== 1n)
+  const gm = (g === n + 1n) ? (1n + m * n) % n2 : modPow(g, m, n2)
+  return gm * modPow(r, n, n2) % n2
+}
+function decrypt (c) {
+  const { n, n2, lambda, mu, p, q, p2, q2, hp, hq, qInvP } = key
+  if (p === undefined) return L(modPow(c, lambda, n2), n) * mu % n
+  const mp = L(modPow(c, p - 1n, p2), p) * hp % p
+  const mq = L(modPow(c, q - 1n, q2), q) * hq % q
+  return mq + toZn((mp - mq) * qInvP, p) * q
+}
+`
+
+/**
+ * @typedef {Object} BatchOptions
+ * @property {number} [workers] - the number of workers of the pool. It defaults to the number of CPU cores
+ * @property {number} [chunkSize] - the number of items sent to a worker at once. By default, every worker gets about 4 chunks
+ * @property {AbortSignal} [signal] - a signal (or any object with aborted, reason, addEventListener and removeEventListener) to cancel the operation. Workers are then terminated and the promise rejects with the abort reason
+ */
+
+/**
+ * Encrypts a batch of messages in a pool of workers (worker_threads in Node.js, Web Workers in browsers), so that
+ * the event loop is not blocked. The public key is sent once to every worker. If workers are not available, the
+ * messages are encrypted in the main thread, yielding to the event loop between chunks.
+ *
+ * Encryptions use fresh random factors computed in the workers, and not the {@link ObfuscatorPool} of the key.
+ *
+ * @param {PublicKey} publicKey - the public key to encrypt with
+ * @param {Array<bigint | number>} messages - the messages to encrypt
+ * @param {BatchOptions} [options]
+ *
+ * @returns {Promise<bigint[]>} - a promise that resolves to the encryptions of the messages, in the same order
+ *
+ * @throws {InvalidPlaintextError} - in strict mode (see {@link setStrictValidation}), if a message is not in Z_n
+ */
+export async function encryptBatch (publicKey, messages, options = {}) {
+  if (isStrictValidation(publicKey)) messages.forEach(m => checkPlaintext(m, publicKey))
+  const plaintexts = messages.map(m => bcu.toZn(BigInt(m), publicKey.n))
+  const key = { n: publicKey.n, g: publicKey.g }
+  return runBatch(key, plaintexts, options, m => publicKey.encrypt(m))
+}
+
+/**
+ * Decrypts a batch of ciphertexts in a pool of workers (worker_threads in Node.js, Web Workers in browsers), so that
+ * the event loop is not blocked. The private key is sent once to every worker. If workers are not available, the
+ * ciphertexts are decrypted in the main thread, yielding to the event loop between chunks.
+ *
+ * @param {PrivateKey} privateKey - the private key to decrypt with
+ * @param {bigint[]} ciphertexts - the ciphertexts to decrypt
+ * @param {BatchOptions} [options]
+ *
+ * @returns {Promise<bigint[]>} - a promise that resolves to the decryptions of the ciphertexts, in the same order, as returned by {@link PrivateKey#decrypt}
+ *
+ * @throws {InvalidCiphertextError} - in strict mode (see {@link setStrictValidation}), if a ciphertext is not in Z* of n^2
+ */
+export async function decryptBatch (privateKey, ciphertexts, options = {}) {
+  const { publicKey, lambda, mu } = privateKey
+  if (isStrictValidation(publicKey)) ciphertexts.forEach(c => checkCiphertext(c, publicKey))
+  const key = { n: publicKey.n, g: publicKey.g, lambda, mu }
+  if (privateKey._crt !== null) {
+    key.p = privateKey._p
+    key.q = privateKey._q
+  }
+  return runBatch(key, ciphertexts.map(BigInt), options, c => privateKey.decrypt(c))
+}
+
+async function runBatch (key, items, { workers = defaultWorkers(), chunkSize = null, signal = null } = {}, fallback) {
+  if (!Number.isSafeInteger(workers) || workers < 1) throw new RangeError('workers MUST be a positive integer')
+  if (chunkSize === null) chunkSize = Math.max(Math.ceil(items.length / (4 * workers)), 1)
+  if (!Number.isSafeInteger(chunkSize) || chunkSize < 1) throw new RangeError('chunkSize MUST be a positive integer')
+  if (signal !== null && signal.aborted) throw abortReason(signal)
+  const chunks = []
+  for (let i = 0; i < items.length; i += chunkSize) chunks.push(items.slice(i, i + chunkSize))
+  if (chunks.length === 0) return []
+  if (!workersAvailable()) return runInMainThread(chunks, fallback, signal)
+
+  const hexKey = {}
+  for (const name of Object.keys(key)) hexKey[name] = key[name].toString(16)
+  const results = new Array(chunks.length)
+  return new Promise((resolve, reject) => {
+    const pool = []
+    let settled = false
+    let next = 0
+    let done = 0
+    const onAbort = () => settle(abortReason(signal))
+    function settle (error) {
+      if (settled) return
+      settled = true
+      pool.forEach(worker => worker.terminate())
+      if (signal !== null) signal.removeEventListener('abort', onAbort)
+      if (error !== null) reject(error)
+      else resolve([].concat(...results))
+    }
+    function dispatch (worker) {
+      if (next === chunks.length) return
+      const id = next++
+      worker.postMessage({ id, items: chunks[id].map(item => item.toString(16)) })
+    }
+
+    if (signal !== null) signal.addEventListener('abort', onAbort)
+    for (let i = 0; i < Math.min(workers, chunks.length); i++) {
+      const worker = createWorker(WORKER_SOURCE)
+      pool.push(worker)
+      worker.onError(settle)
+      worker.onExit(code => settle(new Error(`A worker exited with code ${code} before finishing its work`)))
+      worker.onMessage(({ id, results: chunk }) => {
+        if (settled) return
+        results[id] = chunk.map(hex => BigInt('0x' + hex))
+        if (++done === chunks.length) settle(null)
+        else dispatch(worker)
+      })
+      worker.postMessage({ key: hexKey })
+      dispatch(worker)
+    }
+  })
+}
+
+async function runInMainThread (chunks, fn, signal) {
+  const results = []
+  for (const chunk of chunks) {
+    await new Promise(resolve => setTimeout(resolve, 0))
+    if (signal !== null && signal.aborted) throw abortReason(signal)
+    results.push(...chunk.map(fn))
+  }
+  return results
+}
+
+function defaultWorkers () {
+  if (process.browser) return self.navigator.hardwareConcurrency || 1
+  return require('os').cpus().length || 1
+}
@@ -0,0 +1,139 @@
+import * as asn1 from './asn1'
+import { bigintToBuf, bufToBigint } from './conversion'
+import { sha256 } from './sha256'
+import { KeyMismatchError } from './errors'
+import { checkCiphertext } from './validation'
+
+const PEM_LABEL = 'PAILLIER CIPHERTEXT'
+const MAGIC = [0x50, 0x43, 0x54, 0x58] // 'PCTX'
+const WIRE_VERSION = 1
+const FINGERPRINT_LENGTH = 32
+const HEADER_LENGTH = MAGIC.length + 1 + FINGERPRINT_LENGTH + 4 + 4
+
+/**
+ * DER-encodes a ciphertext as:
+ * ```
+ * PaillierCiphertext ::= INTEGER
+ * ```
+ *
+ * @param {bigint} c - a ciphertext
+ *
+ * @returns {Uint8Array} - the DER encoding of c
+ */
+export function ciphertextToDER (c) {
+  return asn1.encodeInteger(c)
+}
+
+/**
+ * Decodes a DER-encoded PaillierCiphertext
+ *
+ * @param {Uint8Array} der
+ *
+ * @returns {bigint} - the ciphertext
+ *
+ * @throws {TypeError} - if der is malformed
+ */
+export function ciphertextFromDER (der) {
+  return asn1.decodeInteger(asn1.decode(der))
+}
+
+/**
+ * Encodes a ciphertext as a PEM 'PAILLIER CIPHERTEXT' block
+ *
+ * @param {bigint} c - a ciphertext
+ *
+ * @returns {string} - the PEM encoding of c
+ */
+export function ciphertextToPEM (c) {
+  return asn1.toPem(ciphertextToDER(c), PEM_LABEL)
+}
+
+/**
+ * Decodes a PEM 'PAILLIER CIPHERTEXT' block
+ *
+ * @param {string} pem
+ *
+ * @returns {bigint} - the ciphertext
+ *
+ * @throws {TypeError} - if pem is malformed
+ */
+export function ciphertextFromPEM (pem) {
+  return ciphertextFromDER(asn1.fromPem(pem, PEM_LABEL))
+}
+
+/**
+ * Encodes a batch of ciphertexts in a compact binary format. Every ciphertext is written as a fixed-width big-endian
+ * integer of the byte length of n^2, after the following header:
+ * ```
+ * magic        4 bytes   'PCTX'
+ * version      1 byte    1
+ * fingerprint  32 bytes  SHA-256 of the DER encoding of the public key (see {@link PublicKey#toDER})
+ * count        4 bytes   the number of ciphertexts (big-endian)
+ * width        4 bytes   the byte length of every ciphertext (big-endian)
+ * ```
+ *
+ * @param {PublicKey} publicKey - the public key the ciphertexts were encrypted with
+ * @param {bigint[]} ciphertexts
+ *
+ * @returns {Uint8Array} - the encoded batch
+ *
+ * @throws {InvalidCiphertextError} - if a ciphertext is not in Z* of n^2
+ */
+export function encodeCiphertexts (publicKey, ciphertexts) {
+  const width = byteLength(publicKey._n2)
+  const buf = new Uint8Array(HEADER_LENGTH + ciphertexts.length * width)
+  const view = new DataView(buf.buffer)
+  buf.set(MAGIC, 0)
+  buf[MAGIC.length] = WIRE_VERSION
+  buf.set(fingerprint(publicKey), MAGIC.length + 1)
+  view.setUint32(HEADER_LENGTH - 8, ciphertexts.length)
+  view.setUint32(HEADER_LENGTH - 4, width)
+  ciphertexts.forEach((c, i) => {
+    checkCiphertext(c, publicKey)
+    buf.set(bigintToBuf(c, width), HEADER_LENGTH + i * width)
+  })
+  return buf
+}
+
+/**
+ * Decodes a batch of ciphertexts encoded with {@link encodeCiphertexts}
+ *
+ * @param {PublicKey} publicKey - the public key the ciphertexts are expected to be encrypted with
+ * @param {Uint8Array} buf - the encoded batch
+ *
+ * @returns {bigint[]} - the ciphertexts
+ *
+ * @throws {TypeError} - if buf is malformed
+ * @throws {RangeError} - if the version is not supported
+ * @throws {KeyMismatchError} - if the batch was encoded for a different public key
+ * @throws {InvalidCiphertextError} - if a ciphertext is not in Z* of n^2
+ */
+export function decodeCiphertexts (publicKey, buf) {
+  if (!(buf instanceof Uint8Array)) throw new TypeError('The encoded ciphertexts MUST be a Uint8Array')
+  if (buf.length < HEADER_LENGTH || MAGIC.some((byte, i) => buf[i] !== byte)) throw new TypeError('Invalid encoded ciphertexts: bad header')
+  const version = buf[MAGIC.length]
+  if (version !== WIRE_VERSION) throw new RangeError(`Unsupported encoded ciphertexts version ${version}`)
+  const expected = fingerprint(publicKey)
+  const actual = buf.subarray(MAGIC.length + 1, MAGIC.length + 1 + FINGERPRINT_LENGTH)
+  if (expected.some((byte, i) => actual[i] !== byte)) throw new KeyMismatchError('The ciphertexts were encoded for a different public key')
+  const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength)
+  const count = view.getUint32(HEADER_LENGTH - 8)
+  const width = view.getUint32(HEADER_LENGTH - 4)
+  if (width !== byteLength(publicKey._n2)) throw new TypeError('Invalid encoded ciphertexts: the width does not match the public key')
+  if (buf.length !== HEADER_LENGTH + count * width) throw new TypeError(`Invalid encoded ciphertexts: expected ${count} ciphertexts of ${width} bytes`)
+  const ciphertexts = []
+  for (let i = 0; i < count; i++) {
+    const c = bufToBigint(buf.subarray(HEADER_LENGTH + i * width, HEADER_LENGTH + (i + 1) * width))
+    checkCiphertext(c, publicKey)
+    ciphertexts.push(c)
+  }
+  return ciphertexts
+}
+
+function fingerprint (publicKey) {
+  return sha256(publicKey.toDER())
+}
+
+function byteLength (a) {
+  return Math.ceil(a.toString(2).length / 8)
+}
@@ -0,0 +1,164 @@
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_'
+
+/**
+ * Converts a non-negative bigint to a big-endian byte array
+ *
+ * @param {bigint} a - a non-negative integer
+ * @param {number} [byteLength] - if provided, the output is left-padded with zeros to this length
+ *
+ * @returns {Uint8Array} - the big-endian representation of a
+ *
+ * @throws {RangeError} - if a is negative or does not fit in byteLength bytes
+ */
+export function bigintToBuf (a, byteLength = 0) {
+  if (a < 0n) throw new RangeError('Cannot convert a negative bigint to bytes')
+  let hex = a.toString(16)
+  if (hex.length % 2 === 1) hex = '0' + hex
+  const len = Math.max(hex.length / 2, byteLength)
+  if (byteLength > 0 && hex.length / 2 > byteLength) throw new RangeError(`Value does not fit in ${byteLength} bytes`)
+  const buf = new Uint8Array(len)
+  const offset = len - hex.length / 2
+  for (let i = 0; i < hex.length / 2; i++) {
+    buf[offset + i] = parseInt(hex.substr(2 * i, 2), 16)
+  }
+  return buf
+}
+
+/**
+ * Converts a big-endian byte array to a non-negative bigint
+ *
+ * @param {Uint8Array} buf
+ *
+ * @returns {bigint}
+ */
+export function bufToBigint (buf) {
+  let ret = 0n
+  for (const byte of buf) {
+    ret = (ret << 8n) + BigInt(byte)
+  }
+  return ret
+}
+
+function encode (buf, alphabet, pad) {
+  let str = ''
+  for (let i = 0; i < buf.length; i += 3) {
+    const chunk = (buf[i] << 16) | ((buf[i + 1] || 0) << 8) | (buf[i + 2] || 0)
+    const chars = Math.min(buf.length - i, 3) + 1
+    for (let j = 0; j < 4; j++) {
+      if (j < chars) str += alphabet[(chunk >> (18 - 6 * j)) & 0x3f]
+      else if (pad) str += '='
+    }
+  }
+  return str
+}
+
+function decode (str, alphabet) {
+  if (str.length % 4 === 1) throw new RangeError('Invalid base64 string length')
+  const buf = new Uint8Array(Math.floor(str.length * 3 / 4))
+  let bits = 0
+  let value = 0
+  let j = 0
+  for (const char of str) {
+    const index = alphabet.indexOf(char)
+    if (index === -1) throw new RangeError(`Invalid base64 character '${char}'`)
+    value = (value << 6) | index
+    bits += 6
+    if (bits >= 8) {
+      bits -= 8
+      buf[j++] = (value >> bits) & 0xff
+    }
+  }
+  return buf
+}
+
+/**
+ * Base64 encoding (RFC 4648 §4) with padding
+ *
+ * @param {Uint8Array} buf
+ *
+ * @returns {string}
+ */
+export function bufToBase64 (buf) {
+  return encode(buf, BASE64_ALPHABET, true)
+}
+
+/**
+ * Decodes a (padded or unpadded) base64 string
+ *
+ * @param {string} str
+ *
+ * @returns {Uint8Array}
+ *
+ * @throws {RangeError} - if str is not a valid base64 string
+ */
+export function base64ToBuf (str) {
+  return decode(str.replace(/={1,2}$/, ''), BASE64_ALPHABET)
+}
+
+/**
+ * Base64url encoding (RFC 4648 §5) without padding
+ *
+ * @param {Uint8Array} buf
+ *
+ * @returns {string}
+ */
+export function bufToBase64url (buf) {
+  return encode(buf, BASE64URL_ALPHABET, false)
+}
+
+/**
+ * Decodes an unpadded base64url string
+ *
+ * @param {string} str
+ *
+ * @returns {Uint8Array}
+ *
+ * @throws {RangeError} - if str is not a valid base64url string
+ */
+export function base64urlToBuf (str) {
+  return decode(str, BASE64URL_ALPHABET)
+}
+
+/**
+ * Encodes a non-negative bigint as an unpadded base64url string of its big-endian bytes
+ *
+ * @param {bigint} a
+ *
+ * @returns {string}
+ */
+export function bigintToBase64url (a) {
+  return bufToBase64url(bigintToBuf(a))
+}
+
+/**
+ * Decodes an unpadded base64url string to a non-negative bigint
+ *
+ * @param {string} str
+ *
+ * @returns {bigint}
+ *
+ * @throws {RangeError} - if str is not a valid base64url string
+ */
+export function base64urlToBigint (str) {
+  return bufToBigint(base64urlToBuf(str))
+}
+
+/**
+ * Encodes a string as UTF-8
+ *
+ * @param {string} str
+ *
+ * @returns {Uint8Array} - the UTF-8 encoding of str
+ */
+export function utf8ToBuf (str) {
+  const bytes = []
+  for (const char of str) {
+    const code = char.codePointAt(0)
+    if (code < 0x80) bytes.push(code)
+    else if (code < 0x800) bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f))
+    else if (code < 0x10000) bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f))
+    else bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f))
+  }
+  return new Uint8Array(bytes)
+}
@@ -0,0 +1,101 @@
+/**
+ * Base class of the errors thrown by this library when validating keys, plaintexts and ciphertexts, and when an
+ * {@link ObfuscatorPool} runs out of obfuscators. It extends RangeError so that code catching the RangeErrors thrown by previous versions keeps working.
+ */
+export class PaillierError extends RangeError {
+  constructor (message) {
+    super(message)
+    this.name = 'PaillierError'
+  }
+}
+
+/**
+ * Thrown when a plaintext is not in the plaintext space [0, n) of the public key
+ */
+export class InvalidPlaintextError extends PaillierError {
+  constructor (message = 'The plaintext MUST be an integer in [0, n)') {
+    super(message)
+    this.name = 'InvalidPlaintextError'
+  }
+}
+
+/**
+ * Thrown when a ciphertext is not in the ciphertext space Z*_{n^2} of the public key
+ */
+export class InvalidCiphertextError extends PaillierError {
+  constructor (message = 'The ciphertext MUST be in Z* of n^2') {
+    super(message)
+    this.name = 'InvalidCiphertextError'
+  }
+}
+
+/**
+ * Thrown when a random factor r is not in Z*_n or an obfuscator r^n is not in Z*_{n^2}
+ */
+export class InvalidRandomnessError extends PaillierError {
+  constructor (message = 'The random factor MUST be in Z* of n') {
+    super(message)
+    this.name = 'InvalidRandomnessError'
+  }
+}
+
+/**
+ * Thrown when the parameters of a public or private key are not valid or not consistent
+ */
+export class InvalidKeyError extends PaillierError {
+  constructor (message = 'Invalid key') {
+    super(message)
+    this.name = 'InvalidKeyError'
+  }
+}
+
+/**
+ * Thrown when operating on ciphertexts, encoded numbers or keys bound to different public keys
+ */
+export class KeyMismatchError extends PaillierError {
+  constructor (message = 'The operands were encrypted or encoded under different public keys') {
+    super(message)
+    this.name = 'KeyMismatchError'
+  }
+}
+
+/**
+ * Thrown when a decryption share of threshold Paillier does not pass verification, i.e. its holder misbehaved
+ */
+export class InvalidDecryptionShareError extends PaillierError {
+  /**
+     * @param {number} index - the index of the share holder
+     * @param {string} [message]
+     */
+  constructor (index, message = `Invalid decryption share from party ${index}`) {
+    super(message)
+    this.name = 'InvalidDecryptionShareError'
+    this.index = index
+  }
+}
+
+/**
+ * Thrown when an {@link ObfuscatorPool} is empty and its onExhausted policy does not allow computing an obfuscator
+ * on the fly
+ */
+export class ObfuscatorPoolExhaustedError extends PaillierError {
+  constructor (message = 'Obfuscator pool exhausted') {
+    super(message)
+    this.name = 'ObfuscatorPoolExhaustedError'
+  }
+}
+
+/**
+ * Thrown when {@link ObfuscatorPool#acquire} times out waiting for a new obfuscator
+ */
+export class ObfuscatorPoolTimeoutError extends ObfuscatorPoolExhaustedError {
+  /**
+     * @param {number} timeout - the time waited in milliseconds
+     * @param {string} [message]
+     */
+  constructor (timeout, message = `No obfuscator available after ${timeout} ms`) {
+    super(message)
+    this.name = 'ObfuscatorPoolTimeoutError'
+    this.timeout = timeout
+  }
+}
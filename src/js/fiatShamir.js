@@ -0,0 +1,24 @@
+import { sha256 } from './sha256'
+import { bigintToBuf, bufToBigint, utf8ToBuf } from './conversion'
+
+/**
+ * Computes a non-interactive (Fiat-Shamir) challenge as the SHA-256 hash of a domain separation label and a list of
+ * non-negative integers. Every item is length-prefixed so that the encoding is unambiguous.
+ *
+ * @param {string} label - a label that identifies the proof system
+ * @param {...bigint} values - the public inputs and the commitments of the proof
+ *
+ * @returns {bigint} - a 256-bit challenge
+ */
+export function challenge (label, ...values) {
+  const items = [utf8ToBuf(label), ...values.map(value => bigintToBuf(value))]
+  const buf = new Uint8Array(items.reduce((len, item) => len + 4 + item.length, 0))
+  const view = new DataView(buf.buffer)
+  let offset = 0
+  for (const item of items) {
+    view.setUint32(offset, item.length)
+    buf.set(item, offset + 4)
+    offset += 4 + item.length
+  }
+  return bufToBigint(sha256(buf))
+}
@@ -1,9 +1,32 @@
 import * as bcu from 'bigint-crypto-utils'
 import PublicKey from './PublicKey'
 import PrivateKey, { L } from './PrivateKey'
+import { parseKeyGenerationOptions, generateKeyPair, generateKeyPairSync, getGenerator } from './keyGeneration'
+import * as encryptionProof from './proofs/encryption'
+import * as membershipProof from './proofs/membership'
+import * as rangeProof from './proofs/range'
+import * as modulusProof from './proofs/modulus'
 
 export { default as PublicKey } from './PublicKey'
 export { default as PrivateKey } from './PrivateKey'
+export { default as DamgardJurikPublicKey } from './DamgardJurikPublicKey'
+export { default as DamgardJurikPrivateKey } from './DamgardJurikPrivateKey'
+export { default as ObfuscatorPool } from './ObfuscatorPool'
+export { default as SignedIntegerEncoder } from './SignedIntegerEncoder'
+export { default as PackingEncoder } from './PackingEncoder'
+export { default as EncodedNumber } from './EncodedNumber'
+export { default as EncryptedNumber } from './EncryptedNumber'
+export { default as EncryptedVector } from './EncryptedVector'
+export { default as HmacDrbg } from './HmacDrbg'
+export { PaillierError, InvalidPlaintextError, InvalidCiphertextError, InvalidRandomnessError, InvalidKeyError, KeyMismatchError, InvalidDecryptionShareError, ObfuscatorPoolExhaustedError, ObfuscatorPoolTimeoutError } from './errors'
+export { setStrictValidation, isStrictValidation } from './validation'
+export { validateKeyPair } from './keyValidation'
+export { generateThresholdKeys, partialDecrypt, verifyDecryptionShare, combineShares } from './threshold'
+export { encryptionProof, membershipProof, rangeProof, modulusProof }
+export { verifyDecryption } from './proofs/decryption'
+export { encryptBatch, decryptBatch } from './batch'
+export { createEncryptStream, createDecryptStream, createSumStream, createEncryptTransformStream, createDecryptTransformStream, createSumTransformStream } from './streams'
+export { ciphertextToDER, ciphertextFromDER, ciphertextToPEM, ciphertextFromPEM, encodeCiphertexts, decodeCiphertexts } from './ciphertext'
 
 export function multiplyOtherN2 (c, k, n2) {
   return bcu.modPow(BigInt(c), BigInt(k), n2)
@@ -26,74 +49,36 @@ export function generateDualG (n1, n2) {
 /**
  * Generates a pair private, public key for the Paillier cryptosystem.
  *
- * @param {number} [bitlength = 3072] - the bit length of the public modulo
+ * It accepts either a {@link KeyGenerationOptions} object or the legacy (bitlength, simplevariant) arguments. With
+ * an options object, keys shorter than 2048 bits are refused unless allowWeakKeys is set, and |p-q| is required to
+ * be larger than 2^(bitLength/2 - 100) by default.
+ *
+ * @param {number | KeyGenerationOptions} [bitlength = 3072] - the bit length of the public modulo or an options object
  * @param {boolean} [simplevariant = false] - use the simple variant to compute the generator (g=n+1). This is REQUIRED if you want to be able to recover the random integer factor used when encrypting with the public key
  *
  * @returns {Promise<KeyPair>} - a promise that resolves to a {@link KeyPair} of public, private keys
+ *
+ * @throws {RangeError} - if an option is not valid or the key would be shorter than 2048 bits and allowWeakKeys is not set
  */
 export async function generateRandomKeys (bitlength = 3072, simpleVariant = false) {
-  let p, q, n, g, lambda, mu
-  // if p and q are bitLength/2 long ->  2**(bitLength - 2) <= n < 2**(bitLength)
-  do {
-    p = await bcu.prime(Math.floor(bitlength / 2) + 1)
-    q = await bcu.prime(Math.floor(bitlength / 2))
-    n = p * q
-  } while (q === p || bcu.bitLength(n) !== bitlength)
-
-  if (simpleVariant === true) {
-    // If using p,q of equivalent length, a simpler variant of the key
-    // generation steps would be to set
-    // g=n+1, lambda=(p-1)(q-1), mu=lambda.invertm(n)
-    g = n + 1n
-    lambda = (p - 1n) * (q - 1n)
-    mu = bcu.modInv(lambda, n)
-  } else {
-    const n2 = n ** 2n
-    g = getGenerator(n, n2)
-    lambda = bcu.lcm(p - 1n, q - 1n)
-    mu = bcu.modInv(L(bcu.modPow(g, lambda, n2), n), n)
-  }
-
-  const publicKey = new PublicKey(n, g)
-  const privateKey = new PrivateKey(lambda, mu, publicKey, p, q)
-  return { publicKey, privateKey }
+  return generateKeyPair(parseKeyGenerationOptions(bitlength, simpleVariant))
 }
 
 /**
  * Generates a pair private, public key for the Paillier cryptosystem in synchronous mode.
  * Synchronous mode is NOT RECOMMENDED since it won't use workers and thus it'll be slower and may freeze thw window in browser's javascript.
  *
- * @param {number} [bitlength = 3072] - the bit length of the public modulo
+ * It accepts the same arguments as {@link generateRandomKeys}.
+ *
+ * @param {number | KeyGenerationOptions} [bitlength = 3072] - the bit length of the public modulo or an options object
  * @param {boolean} [simplevariant = false] - use the simple variant to compute the generator (g=n+1)
  *
  * @returns {KeyPair} - a {@link KeyPair} of public, private keys
+ *
+ * @throws {RangeError} - if an option is not valid or the key would be shorter than 2048 bits and allowWeakKeys is not set
  */
 export function generateRandomKeysSync (bitlength = 3072, simpleVariant = false) {
-  let p, q, n, g, lambda, mu
-  // if p and q are bitLength/2 long ->  2**(bitLength - 2) <= n < 2**(bitLength)
-  do {
-    p = bcu.primeSync(Math.floor(bitlength / 2) + 1)
-    q = bcu.primeSync(Math.floor(bitlength / 2))
-    n = p * q
-  } while (q === p || bcu.bitLength(n) !== bitlength)
-
-  if (simpleVariant === true) {
-    // If using p,q of equivalent length, a simpler variant of the key
-    // generation steps would be to set
-    // g=n+1, lambda=(p-1)(q-1), mu=lambda.invertm(n)
-    g = n + 1n
-    lambda = (p - 1n) * (q - 1n)
-    mu = bcu.modInv(lambda, n)
-  } else {
-    const n2 = n ** 2n
-    g = getGenerator(n, n2)
-    lambda = bcu.lcm(p - 1n, q - 1n)
-    mu = bcu.modInv(L(bcu.modPow(g, lambda, n2), n), n)
-  }
-
-  const publicKey = new PublicKey(n, g)
-  const privateKey = new PrivateKey(lambda, mu, publicKey, p, q)
-  return { publicKey, privateKey }
+  return generateKeyPairSync(parseKeyGenerationOptions(bitlength, simpleVariant))
 }
 
 /**
@@ -145,9 +130,3 @@ export function keysFromPrimes (p, q, g) {
   const privateKey = new PrivateKey(lambda, mu, publicKey, p, q)
   return { publicKey, privateKey }
 }
-
-function getGenerator (n, n2) { // n2 = n*n
-  const alpha = bcu.randBetween(n)
-  const beta = bcu.randBetween(n)
-  return ((alpha * n + 1n) * bcu.modPow(beta, n, n2)) % n2
-}
@@ -0,0 +1,65 @@
+import { bigintToBase64url, base64urlToBigint } from './conversion'
+
+export const KTY = 'Paillier'
+export const JWK_VERSION = 1
+
+/**
+ * Parses a JSON string (or an already parsed object) and checks that it is a Paillier JWK-like object of a supported version
+ *
+ * @param {string | Object} json
+ *
+ * @returns {Object} - the parsed object
+ *
+ * @throws {TypeError} - if json is not a valid Paillier key object
+ * @throws {RangeError} - if the version is not supported
+ */
+export function parseJwk (json) {
+  let jwk = json
+  if (typeof json === 'string') {
+    try {
+      jwk = JSON.parse(json)
+    } catch (error) {
+      throw new TypeError('Invalid key: not a valid JSON string')
+    }
+  }
+  if (jwk === null || typeof jwk !== 'object') throw new TypeError('Invalid key: expected a JSON object')
+  if (jwk.kty !== KTY) throw new TypeError(`Invalid key: kty MUST be '${KTY}'`)
+  if (jwk.version !== JWK_VERSION) throw new RangeError(`Unsupported key version ${jwk.version}. Supported version is ${JWK_VERSION}`)
+  return jwk
+}
+
+/**
+ * Reads a base64url-encoded bigint member of a JWK-like object
+ *
+ * @param {Object} jwk
+ * @param {string} name - the name of the member
+ * @param {boolean} [optional = false] - if true, return null when the member is missing
+ *
+ * @returns {bigint | null}
+ *
+ * @throws {TypeError} - if the member is missing or is not a valid base64url string
+ */
+export function readBigint (jwk, name, optional = false) {
+  const value = jwk[name]
+  if (value === undefined || value === null) {
+    if (optional) return null
+    throw new TypeError(`Invalid key: missing '${name}'`)
+  }
+  if (typeof value !== 'string' || value === '') throw new TypeError(`Invalid key: '${name}' MUST be a base64url string`)
+  try {
+    return base64urlToBigint(value)
+  } catch (error) {
+    throw new TypeError(`Invalid key: '${name}' is not a valid base64url string`)
+  }
+}
+
+/**
+ * Encodes a bigint as a JWK member
+ *
+ * @param {bigint} a
+ *
+ * @returns {string}
+ */
+export function writeBigint (a) {
+  return bigintToBase64url(a)
+}
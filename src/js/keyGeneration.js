@@ -0,0 +1,263 @@
+import * as bcu from 'bigint-crypto-utils'
+import PublicKey from './PublicKey'
+import PrivateKey, { L } from './PrivateKey'
+import { checkRandomSource, randBits, randBetween } from './random'
+
+const MIN_BIT_LENGTH = 2048
+const SMALL_PRIMES = oddPrimesBelow(100)
+const SIEVE_PRIMES = oddPrimesBelow(2048) // trial divisors of the candidates of safe primes
+const YIELD_INTERVAL = 10 // ms of prime search in the main thread between yields to the event loop
+
+/**
+ * @typedef {Object} KeyGenerationOptions
+ * @property {number} [bitLength = 3072] - the bit length of the public modulo n
+ * @property {boolean} [simpleVariant = false] - use the simple variant to compute the generator (g=n+1)
+ * @property {boolean} [safePrimes = false] - generate safe primes p = 2p'+1 and q = 2q'+1 with p' and q' primes. It is much slower
+ * @property {boolean} [blumPrimes = false] - generate primes p = q = 3 mod 4, so that n is a Blum integer as required by {@link modulusProof}. Safe primes are always Blum primes
+ * @property {bigint} [minPrimeDistance] - |p-q| MUST be larger than this bound. It defaults to 2^(bitLength/2 - 100) as in FIPS 186-4
+ * @property {number} [millerRabinRounds = 16] - the number of Miller-Rabin iterations of the primality tests
+ * @property {boolean} [allowWeakKeys = false] - allow generating keys shorter than 2048 bits
+ * @property {RandomSource} [randomSource] - FOR TESTING ONLY. A source of random bytes, e.g. a seeded {@link HmacDrbg} to generate reproducible keys. Primes are then generated synchronously without workers
+ */
+
+/**
+ * Normalizes the arguments of generateRandomKeys() and generateRandomKeysSync(), which accept either a
+ * {@link KeyGenerationOptions} object or the legacy (bitLength, simpleVariant) arguments. The minimum bit length
+ * policy and the default minimum distance of the primes are only enforced with an options object, so that legacy
+ * calls behave as in previous versions.
+ *
+ * @param {number | KeyGenerationOptions} [bitLengthOrOptions = 3072]
+ * @param {boolean} [simpleVariant = false] - only used with the legacy signature
+ *
+ * @returns {{bitLength: number, simpleVariant: boolean, safePrimes: boolean, blumPrimes: boolean, minPrimeDistance: bigint, millerRabinRounds: number, randomSource: RandomSource}}
+ *
+ * @throws {TypeError} - if an option has a wrong type
+ * @throws {RangeError} - if an option has an invalid value or the key would be shorter than 2048 bits and allowWeakKeys is not set
+ */
+export function parseKeyGenerationOptions (bitLengthOrOptions = 3072, simpleVariant = false) {
+  if (typeof bitLengthOrOptions !== 'object' || bitLengthOrOptions === null) {
+    return { bitLength: bitLengthOrOptions, simpleVariant, safePrimes: false, blumPrimes: false, minPrimeDistance: 0n, millerRabinRounds: 16, randomSource: null }
+  }
+  const {
+    bitLength = 3072,
+    safePrimes = false,
+    blumPrimes = false,
+    minPrimeDistance = null,
+    millerRabinRounds = 16,
+    allowWeakKeys = false,
+    randomSource = null
+  } = bitLengthOrOptions
+  simpleVariant = bitLengthOrOptions.simpleVariant === true
+  if (!Number.isSafeInteger(bitLength)) throw new TypeError('bitLength MUST be an integer')
+  if (bitLength < 64) throw new RangeError('bitLength MUST be at least 64')
+  if (bitLength < MIN_BIT_LENGTH && allowWeakKeys !== true) throw new RangeError(`Keys shorter than ${MIN_BIT_LENGTH} bits are not secure. Set allowWeakKeys to generate them anyway`)
+  if (!Number.isSafeInteger(millerRabinRounds) || millerRabinRounds < 1) throw new RangeError('millerRabinRounds MUST be a positive integer')
+  if (randomSource !== null) checkRandomSource(randomSource)
+  const halfBitLength = Math.floor(bitLength / 2)
+  const distance = (minPrimeDistance === null) ? 2n ** BigInt(Math.max(halfBitLength - 100, 0)) : BigInt(minPrimeDistance)
+  if (distance < 0n || distance >= 2n ** BigInt(halfBitLength - 1)) throw new RangeError(`minPrimeDistance MUST be in [0, 2^${halfBitLength - 1})`)
+  return { bitLength, simpleVariant, safePrimes: safePrimes === true, blumPrimes: blumPrimes === true, minPrimeDistance: distance, millerRabinRounds, randomSource }
+}
+
+/**
+ * Generates a key pair asynchronously. Primes are generated with workers if available, unless safe primes are
+ * required or a random source is provided: workers use their own randomness, and spawning them for each of the many
+ * candidates of a safe prime is too slow. In that case, primes are searched in the main thread, one candidate at a
+ * time, yielding to the event loop between candidates at least every few milliseconds.
+ *
+ * @param {Object} options - as returned by {@link parseKeyGenerationOptions}
+ *
+ * @returns {Promise<KeyPair>}
+ */
+export async function generateKeyPair (options) {
+  const useWorkers = !options.safePrimes && options.randomSource === null
+  const steps = keyGenerationSteps(options)
+  let step = steps.next()
+  let lastYield = Date.now()
+  while (!step.done) {
+    if (useWorkers) {
+      step = steps.next(await bcu.prime(step.value.prime, options.millerRabinRounds))
+    } else {
+      if (Date.now() - lastYield >= YIELD_INTERVAL) {
+        await new Promise(resolve => setTimeout(resolve, 0))
+        lastYield = Date.now()
+      }
+      step = steps.next(runStepSync(step.value, options))
+    }
+  }
+  return step.value
+}
+
+/**
+ * Generates a key pair synchronously
+ *
+ * @param {Object} options - as returned by {@link parseKeyGenerationOptions}
+ *
+ * @returns {KeyPair}
+ */
+export function generateKeyPairSync (options) {
+  const steps = keyGenerationSteps(options)
+  let step = steps.next()
+  while (!step.done) step = steps.next(runStepSync(step.value, options))
+  return step.value
+}
+
+/**
+ * Builds a key pair from two primes
+ *
+ * @param {bigint} p
+ * @param {bigint} q
+ * @param {boolean} simpleVariant - use g = n+1, lambda = (p-1)(q-1) and mu = lambda^-1 mod n
+ * @param {RandomSource} [randomSource] - the source of randomness for the generator g
+ *
+ * @returns {KeyPair}
+ */
+export function keyPairFromPrimes (p, q, simpleVariant, randomSource = null) {
+  const n = p * q
+  let g, lambda, mu
+  if (simpleVariant === true) {
+    // If using p,q of equivalent length, a simpler variant of the key
+    // generation steps would be to set
+    // g=n+1, lambda=(p-1)(q-1), mu=lambda.invertm(n)
+    g = n + 1n
+    lambda = (p - 1n) * (q - 1n)
+    mu = bcu.modInv(lambda, n)
+  } else {
+    const n2 = n ** 2n
+    g = getGenerator(n, n2, randomSource)
+    lambda = bcu.lcm(p - 1n, q - 1n)
+    mu = bcu.modInv(L(bcu.modPow(g, lambda, n2), n), n)
+  }
+
+  const publicKey = new PublicKey(n, g)
+  const privateKey = new PrivateKey(lambda, mu, publicKey, p, q)
+  return { publicKey, privateKey }
+}
+
+/**
+ * Returns a random generator g = (alpha·n + 1)·beta^n mod n^2, whose order is a multiple of n
+ *
+ * @param {bigint} n
+ * @param {bigint} n2 - n^2
+ * @param {RandomSource} [randomSource] - FOR TESTING ONLY. The source of randomness for alpha and beta
+ *
+ * @returns {bigint}
+ */
+export function getGenerator (n, n2, randomSource = null) {
+  const alpha = randBetween(n, 1n, randomSource)
+  const beta = randBetween(n, 1n, randomSource)
+  return ((alpha * n + 1n) * bcu.modPow(beta, n, n2)) % n2
+}
+
+/*
+ * The key generation algorithm, shared by the sync and async versions. It yields requests for the prime generator
+ * ({ prime: bitLength } to generate a prime, { safePrime: bitLength } to test one candidate for a safe prime, which
+ * resolves to null if it is rejected) and returns the key pair.
+ */
+function * keyGenerationSteps ({ bitLength, simpleVariant, safePrimes, blumPrimes, minPrimeDistance, randomSource }) {
+  let p, q, n
+  // if p and q are bitLength/2 long ->  2**(bitLength - 2) <= n < 2**(bitLength)
+  do {
+    p = yield * primeSteps(Math.floor(bitLength / 2) + 1, safePrimes, blumPrimes)
+    q = yield * primeSteps(Math.floor(bitLength / 2), safePrimes, blumPrimes)
+    n = p * q
+  } while (bcu.abs(p - q) <= minPrimeDistance || bcu.bitLength(n) !== bitLength || bcu.gcd(n, (p - 1n) * (q - 1n)) !== 1n)
+  return keyPairFromPrimes(p, q, simpleVariant, randomSource)
+}
+
+function runStepSync ({ prime, safePrime }, { millerRabinRounds, randomSource }) {
+  if (prime === undefined) return safePrimeCandidateSync(safePrime, millerRabinRounds, randomSource)
+  if (randomSource === null) return bcu.primeSync(prime, millerRabinRounds)
+  return primeSync(prime, millerRabinRounds, randomSource)
+}
+
+function * primeSteps (bitLength, safe, blum) {
+  if (!safe) {
+    while (true) {
+      const p = yield { prime: bitLength }
+      if (!blum || p % 4n === 3n) return p
+    }
+  }
+  while (true) {
+    const p = yield { safePrime: bitLength }
+    if (p !== null) return p
+  }
+}
+
+/*
+ * Tests one random candidate for a safe prime p = 2p'+1 of exactly bitLength bits. p' and p are sieved jointly by
+ * trial division before the (much more expensive) Miller-Rabin tests. Returns p, or null if the candidate is rejected.
+ */
+function safePrimeCandidateSync (bitLength, iterations, randomSource) {
+  const q = randBits(bitLength - 1, randomSource) | (1n << BigInt(bitLength - 2)) | 1n
+  const p = 2n * q + 1n
+  for (const r of SIEVE_PRIMES) {
+    if (q % r === 0n || p % r === 0n) return null
+  }
+  if (!isProbablyPrimeSync(q, iterations, randomSource) || !isProbablyPrimeSync(p, iterations, randomSource)) return null
+  return p
+}
+
+function oddPrimesBelow (bound) {
+  const composite = new Uint8Array(bound)
+  const primes = []
+  for (let i = 3; i < bound; i += 2) {
+    if (composite[i] === 1) continue
+    primes.push(BigInt(i))
+    for (let j = i * i; j < bound; j += 2 * i) composite[j] = 1
+  }
+  return primes
+}
+
+/**
+ * Miller-Rabin probabilistic primality test, preceded by trial division by small primes
+ *
+ * @param {bigint} w - the number to test
+ * @param {number} [iterations = 16] - the number of Miller-Rabin iterations
+ * @param {RandomSource} [randomSource] - the source of the random bases
+ *
+ * @returns {boolean} - false if w is composite, true if it is probably prime
+ */
+export function isProbablyPrimeSync (w, iterations = 16, randomSource = null) {
+  if (w === 2n) return true
+  if (w < 2n || w % 2n === 0n) return false
+  for (const p of SMALL_PRIMES) {
+    if (w === p) return true
+    if (w % p === 0n) return false
+  }
+  let d = w - 1n
+  let s = 0
+  while (d % 2n === 0n) {
+    d /= 2n
+    s++
+  }
+  for (let i = 0; i < iterations; i++) {
+    let x = bcu.modPow(randBetween(w - 2n, 2n, randomSource), d, w)
+    if (x === 1n || x === w - 1n) continue
+    let j = 1
+    for (; j < s; j++) {
+      x = x * x % w
+      if (x === w - 1n) break
+    }
+    if (j === s) return false
+  }
+  return true
+}
+
+/**
+ * Generates a random prime of exactly bitLength bits with randomness taken from randomSource
+ *
+ * @param {number} bitLength
+ * @param {number} iterations - the number of Miller-Rabin iterations
+ * @param {RandomSource} randomSource
+ *
+ * @returns {bigint}
+ */
+export function primeSync (bitLength, iterations, randomSource) {
+  const mask = (1n << BigInt(bitLength - 1)) | 1n
+  let w
+  do {
+    w = randBits(bitLength, randomSource) | mask
+  } while (!isProbablyPrimeSync(w, iterations, randomSource))
+  return w
+}
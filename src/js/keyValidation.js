@@ -0,0 +1,143 @@
+import * as bcu from 'bigint-crypto-utils'
+
+/**
+ * @typedef {Object} ValidationCheck
+ * @property {string} name - the name of the check, e.g. 'modulusSize'
+ * @property {boolean} passed - whether the check passed
+ * @property {string} message - what was checked if passed, or why it failed otherwise
+ */
+
+/**
+ * @typedef {Object} ValidationReport
+ * @property {boolean} valid - true if every check passed
+ * @property {ValidationCheck[]} checks - the list of performed checks
+ */
+
+/**
+ * Validates a pair of public and private keys. On top of the checks of {@link PublicKey#validate} and
+ * {@link PrivateKey#validate}, it checks that the private key belongs to the public key and that a test
+ * encryption with the public key decrypts correctly with the private key.
+ *
+ * @param {PublicKey} publicKey
+ * @param {PrivateKey} privateKey
+ * @param {Object} [options]
+ * @param {number} [options.minBitLength = 2048] - the minimum bit length of the modulus n
+ *
+ * @returns {Promise<ValidationReport>} - a report of every performed check
+ */
+export async function validateKeyPair (publicKey, privateKey, options = {}) {
+  const checks = await publicKeyChecks(publicKey, options)
+  checks.push(await runCheck('keyPair', 'the private key belongs to the public key', () => {
+    if (!publicKey.equals(privateKey.publicKey)) return 'the private key belongs to a different public key'
+  }))
+  checks.push(...await privateKeyChecks(privateKey, publicKey))
+  return report(checks)
+}
+
+/**
+ * @param {ValidationCheck[]} checks
+ *
+ * @returns {ValidationReport}
+ */
+export function report (checks) {
+  return { valid: checks.every(check => check.passed), checks }
+}
+
+/**
+ * The checks of {@link PublicKey#validate}
+ *
+ * @param {PublicKey} publicKey
+ * @param {Object} [options]
+ * @param {number} [options.minBitLength = 2048] - the minimum bit length of the modulus n
+ *
+ * @returns {Promise<ValidationCheck[]>}
+ */
+export async function publicKeyChecks (publicKey, { minBitLength = 2048 } = {}) {
+  const { n, g } = publicKey
+  return [
+    await runCheck('modulus', 'n is an odd integer > 1', () => {
+      if (typeof n !== 'bigint' || n < 3n || n % 2n === 0n) return 'n MUST be an odd integer > 1'
+    }),
+    await runCheck('modulusSize', `n is at least ${minBitLength} bits long`, () => {
+      if (bcu.bitLength(n) < minBitLength) return `n is ${bcu.bitLength(n)} bits long, but at least ${minBitLength} bits are required`
+    }),
+    await runCheck('modulusComposite', 'n is neither a prime nor a perfect square', async () => {
+      if (await bcu.isProbablyPrime(n, 16, true)) return 'n is a prime'
+      if (isSquare(n)) return 'n is a perfect square'
+    }),
+    await runCheck('generator', 'g is in Z* of n^2', () => {
+      if (typeof g !== 'bigint' || g <= 0n || g >= n ** 2n || bcu.gcd(g, n) !== 1n) return 'g MUST be in Z* of n^2'
+    })
+  ]
+}
+
+/**
+ * The checks of {@link PrivateKey#validate}, excluding those of its public key
+ *
+ * @param {PrivateKey} privateKey
+ * @param {PublicKey} [publicKey = privateKey.publicKey] - the public key used for the test encryption
+ *
+ * @returns {Promise<ValidationCheck[]>}
+ */
+export async function privateKeyChecks (privateKey, publicKey = privateKey.publicKey) {
+  const { lambda, mu, _p: p, _q: q } = privateKey
+  const { n, g, _n2: n2 } = privateKey.publicKey
+  const Lg = () => (bcu.modPow(g, lambda, n2) - 1n) / n
+  return [
+    await runCheck('primes', (p === null) ? 'skipped: p and q are not known' : 'p and q are distinct primes and n = p·q', async () => {
+      if (p === null) return
+      if (p * q !== n) return 'p·q != n'
+      if (p === q) return 'p = q'
+      if (!await bcu.isProbablyPrime(p, 16, true) || !await bcu.isProbablyPrime(q, 16, true)) return 'p and q MUST be primes'
+    }),
+    await runCheck('lambda', 'lambda is a multiple of the Carmichael function of n coprime with n', () => {
+      if (typeof lambda !== 'bigint' || lambda <= 0n) return 'lambda MUST be a positive integer'
+      if (bcu.gcd(lambda, n) !== 1n) return 'lambda is not coprime with n'
+      if (p !== null) {
+        if (lambda % bcu.lcm(p - 1n, q - 1n) !== 0n) return 'lambda is not a multiple of lcm(p-1, q-1)'
+      } else {
+        // every w in Z* of n^2 satisfies w^(lambda·n) = 1 mod n^2
+        let w
+        do {
+          w = bcu.randBetween(n2)
+        } while (bcu.gcd(w, n) !== 1n)
+        if (bcu.modPow(w, lambda * n, n2) !== 1n) return 'lambda is not a multiple of the Carmichael function of n'
+      }
+    }),
+    await runCheck('generatorOrder', 'the order of g in Z* of n^2 is a multiple of n', () => {
+      if (bcu.gcd(Lg(), n) !== 1n) return 'the order of g in Z* of n^2 is not a multiple of n'
+    }),
+    await runCheck('mu', 'mu is the inverse of L(g^lambda mod n^2) modulo n', () => {
+      if (typeof mu !== 'bigint' || mu <= 0n || mu >= n) return 'mu MUST be in (0, n)'
+      if (Lg() * mu % n !== 1n) return 'mu does not match lambda and g'
+    }),
+    await runCheck('roundtrip', 'a test encryption decrypts to the encrypted plaintext', () => {
+      const m = bcu.randBetween(publicKey.n - 1n, 0n)
+      if (privateKey.decrypt(publicKey.encrypt(m)) !== m) return 'decryption of a test encryption failed'
+    })
+  ]
+}
+
+// fn returns (or resolves to) a failure message or undefined if the check passed
+async function runCheck (name, description, fn) {
+  let failure
+  try {
+    failure = await fn()
+  } catch (error) {
+    failure = error.message
+  }
+  return (failure === undefined)
+    ? { name, passed: true, message: description }
+    : { name, passed: false, message: failure }
+}
+
+function isSquare (a) {
+  if (a < 2n) return true
+  let x = 1n << BigInt(Math.ceil(bcu.bitLength(a) / 2))
+  let y = (x + a / x) >> 1n
+  while (y < x) {
+    x = y
+    y = (x + a / x) >> 1n
+  }
+  return x * x === a
+}
@@ -0,0 +1,37 @@
+/**
+ * Simultaneous multi-exponentiation (Straus' algorithm with fixed windows). It computes prod base_i^(e_i) mod modulus
+ * sharing the squarings among all the terms: for k exponents of at most b bits it takes b squarings plus about
+ * k·(b/w + 2^w) multiplications, instead of the k·b squarings and k·b/2 multiplications of k independent modPows.
+ *
+ * @param {bigint[]} bases
+ * @param {bigint[]} exponents - non-negative exponents, one per base
+ * @param {bigint} modulus
+ * @param {number} [window = 4] - the window size w in bits
+ *
+ * @returns {bigint} - prod base_i^(e_i) mod modulus
+ *
+ * @throws {RangeError} - if the number of bases and exponents differ or an exponent is negative
+ */
+export function multiExp (bases, exponents, modulus, window = 4) {
+  if (bases.length !== exponents.length) throw new RangeError('There MUST be as many exponents as bases')
+  if (exponents.some(e => e < 0n)) throw new RangeError('Exponents MUST be non-negative')
+  const w = BigInt(window)
+  const mask = (1n << w) - 1n
+  const size = 1 << window
+  // tables[i][j] = base_i^j mod modulus
+  const tables = bases.map(base => {
+    const row = [1n, base % modulus]
+    for (let j = 2; j < size; j++) row.push(row[j - 1] * row[1] % modulus)
+    return row
+  })
+  const maxBits = exponents.reduce((max, e) => Math.max(max, e.toString(2).length), 0)
+  let result = 1n
+  for (let shift = BigInt(Math.ceil(maxBits / window) - 1) * w; shift >= 0n; shift -= w) {
+    for (let i = 0; i < window; i++) result = result * result % modulus
+    exponents.forEach((e, i) => {
+      const digit = Number((e >> shift) & mask)
+      if (digit !== 0) result = result * tables[i][digit] % modulus
+    })
+  }
+  return result
+}
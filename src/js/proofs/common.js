@@ -0,0 +1,58 @@
+import { bigintToBase64url, base64urlToBigint } from '../conversion'
+
+/**
+ * Exports a proof as a JSON object with a type and its base64url-encoded bigint members (or arrays of them)
+ *
+ * @param {string} type - the type of the proof
+ * @param {Object} proof
+ *
+ * @returns {Object}
+ */
+export function proofToJSON (type, proof) {
+  const json = { type }
+  for (const [name, value] of Object.entries(proof)) {
+    json[name] = Array.isArray(value) ? value.map(bigintToBase64url) : bigintToBase64url(value)
+  }
+  return json
+}
+
+/**
+ * Imports a proof exported with {@link proofToJSON}
+ *
+ * @param {string} type - the expected type of the proof
+ * @param {string | Object} json - a JSON string or an object
+ * @param {string[]} scalars - the names of the bigint members
+ * @param {string[]} [arrays = []] - the names of the members that are arrays of bigints
+ *
+ * @returns {Object} - the proof
+ *
+ * @throws {TypeError} - if json is not a valid proof of the given type
+ */
+export function proofFromJSON (type, json, scalars, arrays = []) {
+  let obj = json
+  if (typeof json === 'string') {
+    try {
+      obj = JSON.parse(json)
+    } catch (error) {
+      throw new TypeError('Invalid proof: not a valid JSON string')
+    }
+  }
+  if (obj === null || typeof obj !== 'object') throw new TypeError('Invalid proof: expected a JSON object')
+  if (obj.type !== type) throw new TypeError(`Invalid proof: type MUST be '${type}'`)
+  const proof = {}
+  for (const name of scalars) proof[name] = readBigint(obj[name], name)
+  for (const name of arrays) {
+    if (!Array.isArray(obj[name])) throw new TypeError(`Invalid proof: '${name}' MUST be an array`)
+    proof[name] = obj[name].map(value => readBigint(value, name))
+  }
+  return proof
+}
+
+function readBigint (value, name) {
+  if (typeof value !== 'string' || value === '') throw new TypeError(`Invalid proof: '${name}' MUST be a base64url string`)
+  try {
+    return base64urlToBigint(value)
+  } catch (error) {
+    throw new TypeError(`Invalid proof: '${name}' is not a valid base64url string`)
+  }
+}
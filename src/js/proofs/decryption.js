@@ -0,0 +1,48 @@
+/*
+ * Proof of correct decryption. m is the decryption of c if and only if c is an encryption of m, so the key holder
+ * proves it with the proof of encryption of a known value (see ./encryption.js), using the random factor of c that it
+ * recovers with the private key. Anyone can then verify the decryption with the public key alone.
+ */
+import * as bcu from 'bigint-crypto-utils'
+import * as encryptionProof from './encryption'
+import { checkCiphertext } from '../validation'
+
+/**
+ * Decrypts c and proves that the decryption is correct (see {@link PrivateKey#decryptWithProof})
+ *
+ * @param {PrivateKey} privateKey
+ * @param {bigint} c - a ciphertext encrypted with the public key of privateKey
+ * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for the proof
+ *
+ * @returns {{plaintext: bigint, proof: EncryptionProof}}
+ *
+ * @throws {InvalidCiphertextError} - if c is not in Z* of n^2
+ */
+export function proveDecryption (privateKey, c, randomSource = null) {
+  const { publicKey, lambda } = privateKey
+  const { n, g, _n2: n2 } = publicKey
+  checkCiphertext(c, publicKey)
+  const plaintext = privateKey.decrypt(c)
+  let r
+  if (g === n + 1n && privateKey._p !== null) {
+    r = privateKey.getRandomFactor(c)
+  } else {
+    // c·g^(-m) = r^n mod n^2 and the order of every element of Z*_n divides lambda, so r = (r^n)^(n^-1 mod lambda) mod n
+    r = bcu.modPow(c * bcu.modInv(publicKey._gPow(plaintext), n2) % n2, bcu.modInv(n, lambda), n)
+  }
+  return { plaintext, proof: encryptionProof.prove(publicKey, c, plaintext, r, randomSource) }
+}
+
+/**
+ * Verifies that m is the decryption of c
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext
+ * @param {bigint} m - the claimed plaintext
+ * @param {EncryptionProof} proof - a proof returned by {@link PrivateKey#decryptWithProof}
+ *
+ * @returns {boolean} - true if the proof is valid, i.e. m is the decryption of c
+ */
+export function verifyDecryption (publicKey, c, m, proof) {
+  return encryptionProof.verify(publicKey, c, m, proof)
+}
@@ -0,0 +1,93 @@
+/*
+ * Non-interactive zero-knowledge proof that a ciphertext c is an encryption of a known plaintext m under a Paillier
+ * public key, i.e. that the prover knows r such that c = g^m · r^n mod n^2, without revealing r. It is the Σ-protocol
+ * for the knowledge of an n-th root of u = c·g^(-m), made non-interactive with the Fiat-Shamir heuristic:
+ *  - commitment: a = ρ^n mod n^2 for a random ρ in Z*_n
+ *  - challenge: e = H(n, g, c, m, a)
+ *  - response: z = ρ·r^e mod n
+ * The verifier checks that z^n = a·u^e mod n^2. The proof is (e, z), since a can be recomputed from them.
+ *
+ * Soundness requires challenges smaller than the prime factors of n, so n MUST be at least 512 bits long.
+ */
+import * as bcu from 'bigint-crypto-utils'
+import { randBetween } from '../random'
+import { challenge } from '../fiatShamir'
+import { proofToJSON, proofFromJSON } from './common'
+import { isInteger } from '../validation'
+
+const LABEL = 'paillier-bigint/encryption-proof'
+const TYPE = 'EncryptionProof'
+
+/**
+ * @typedef {Object} EncryptionProof
+ * @property {bigint} e - the challenge
+ * @property {bigint} z - the response
+ */
+
+/**
+ * Proves that c is an encryption of m with random factor r
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext, c = g^m · r^n mod n^2
+ * @param {bigint} m - the plaintext
+ * @param {bigint} r - the random factor used to encrypt m. For keys using the simple variant, it can be recovered with {@link PrivateKey#getRandomFactor}
+ * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for the commitment
+ *
+ * @returns {EncryptionProof}
+ */
+export function prove (publicKey, c, m, r, randomSource = null) {
+  const { n, _n2: n2 } = publicKey
+  let rho
+  do {
+    rho = randBetween(n - 1n, 1n, randomSource)
+  } while (bcu.gcd(rho, n) !== 1n)
+  const a = bcu.modPow(rho, n, n2)
+  const e = challenge(LABEL, n, publicKey.g, c, bcu.toZn(m, n), a)
+  return { e, z: rho * bcu.modPow(r, e, n) % n }
+}
+
+/**
+ * Verifies a proof that c is an encryption of m
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext
+ * @param {bigint} m - the plaintext
+ * @param {EncryptionProof} proof
+ *
+ * @returns {boolean} - true if the proof is valid
+ */
+export function verify (publicKey, c, m, proof) {
+  const { n, _n2: n2 } = publicKey
+  if (!isInteger(m) || typeof proof !== 'object' || proof === null) return false
+  const { e, z } = proof
+  if (typeof c !== 'bigint' || c <= 0n || c >= n2 || bcu.gcd(c, n) !== 1n) return false
+  if (typeof e !== 'bigint' || typeof z !== 'bigint' || e < 0n || z <= 0n || z >= n || bcu.gcd(z, n) !== 1n) return false
+  const mn = bcu.toZn(BigInt(m), n)
+  const u = c * bcu.modInv(publicKey._gPow(mn), n2) % n2
+  const a = bcu.modPow(z, n, n2) * bcu.modPow(u, -e, n2) % n2
+  return e === challenge(LABEL, n, publicKey.g, c, mn, a)
+}
+
+/**
+ * Exports a proof as a JSON object with base64url-encoded bigints
+ *
+ * @param {EncryptionProof} proof
+ *
+ * @returns {{type: string, e: string, z: string}}
+ */
+export function toJSON (proof) {
+  return proofToJSON(TYPE, { e: proof.e, z: proof.z })
+}
+
+/**
+ * Imports a proof exported with {@link toJSON}
+ *
+ * @param {string | Object} json
+ *
+ * @returns {EncryptionProof}
+ *
+ * @throws {TypeError} - if json is not a valid encryption proof
+ */
+export function fromJSON (json) {
+  return proofFromJSON(TYPE, json, ['e', 'z'])
+}
@@ -0,0 +1,142 @@
+/*
+ * Non-interactive zero-knowledge proof that a ciphertext c encrypts one of the values of a public set
+ * {m_1, ..., m_k}, without revealing which one. It is the OR-composition (Cramer, Damgård and Schoenmakers) of the
+ * proofs of encryption of a known value (see ./encryption.js): the prover runs the real Σ-protocol for the value
+ * it encrypted and simulates the other k-1 transcripts, and the challenges e_i MUST add up to the Fiat-Shamir
+ * challenge e = H(n, g, c, m_1, ..., m_k, a_1, ..., a_k) modulo 2^256.
+ *
+ * A typical use is proving that an encrypted vote is 0 or 1.
+ */
+import * as bcu from 'bigint-crypto-utils'
+import { randBetween, randBits } from '../random'
+import { challenge } from '../fiatShamir'
+import { proofToJSON, proofFromJSON } from './common'
+import { isInteger } from '../validation'
+
+const LABEL = 'paillier-bigint/membership-proof'
+const TYPE = 'MembershipProof'
+const CHALLENGE_BITS = 256
+const CHALLENGE_MODULUS = 1n << BigInt(CHALLENGE_BITS)
+
+/**
+ * @typedef {Object} MembershipProof
+ * @property {bigint[]} e - the challenges of every value of the set
+ * @property {bigint[]} z - the responses of every value of the set
+ */
+
+/**
+ * Proves that c, an encryption of m with random factor r, encrypts one of the values of a set
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext, c = g^m · r^n mod n^2
+ * @param {bigint} m - the plaintext. It MUST be in the set
+ * @param {bigint} r - the random factor used to encrypt m
+ * @param {bigint[]} set - the public set of allowed plaintexts
+ * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for the proof
+ *
+ * @returns {MembershipProof}
+ *
+ * @throws {RangeError} - if m is not in the set
+ */
+export function prove (publicKey, c, m, r, set, randomSource = null) {
+  return proveMembership(LABEL, publicKey, c, m, r, set, randomSource)
+}
+
+/**
+ * Verifies a proof that c encrypts one of the values of a set
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext
+ * @param {bigint[]} set - the public set of allowed plaintexts
+ * @param {MembershipProof} proof
+ *
+ * @returns {boolean} - true if the proof is valid
+ */
+export function verify (publicKey, c, set, proof) {
+  return verifyMembership(LABEL, publicKey, c, set, proof)
+}
+
+/**
+ * Exports a proof as a JSON object with base64url-encoded bigints
+ *
+ * @param {MembershipProof} proof
+ *
+ * @returns {{type: string, e: string[], z: string[]}}
+ */
+export function toJSON (proof) {
+  return proofToJSON(TYPE, { e: proof.e, z: proof.z })
+}
+
+/**
+ * Imports a proof exported with {@link toJSON}
+ *
+ * @param {string | Object} json
+ *
+ * @returns {MembershipProof}
+ *
+ * @throws {TypeError} - if json is not a valid membership proof
+ */
+export function fromJSON (json) {
+  return proofFromJSON(TYPE, json, [], ['e', 'z'])
+}
+
+/**
+ * {@link prove} with a custom domain separation label, so that it can be embedded in other proofs
+ */
+export function proveMembership (label, publicKey, c, m, r, set, randomSource = null) {
+  const { n, _n2: n2 } = publicKey
+  const values = set.map(value => bcu.toZn(value, n))
+  const j = values.indexOf(bcu.toZn(m, n))
+  if (j === -1) throw new RangeError('The plaintext is not in the set')
+
+  const e = new Array(values.length)
+  const z = new Array(values.length)
+  const a = new Array(values.length)
+  values.forEach((value, i) => {
+    if (i === j) return
+    // simulated transcript
+    e[i] = randBits(CHALLENGE_BITS, randomSource)
+    z[i] = randomUnit(n, randomSource)
+    a[i] = bcu.modPow(z[i], n, n2) * bcu.modPow(quotient(publicKey, c, value), -e[i], n2) % n2
+  })
+  const rho = randomUnit(n, randomSource)
+  a[j] = bcu.modPow(rho, n, n2)
+
+  const eSum = e.reduce((sum, ei) => sum + ei, 0n)
+  e[j] = bcu.toZn(challenge(label, n, publicKey.g, c, ...values, ...a) - eSum, CHALLENGE_MODULUS)
+  z[j] = rho * bcu.modPow(r, e[j], n) % n
+  return { e, z }
+}
+
+/**
+ * {@link verify} with a custom domain separation label
+ */
+export function verifyMembership (label, publicKey, c, set, proof) {
+  const { n, _n2: n2 } = publicKey
+  if (!Array.isArray(set) || set.length === 0 || !set.every(isInteger)) return false
+  if (typeof proof !== 'object' || proof === null) return false
+  const { e, z } = proof
+  if (!Array.isArray(e) || !Array.isArray(z) || e.length !== set.length || z.length !== set.length) return false
+  if (typeof c !== 'bigint' || c <= 0n || c >= n2 || bcu.gcd(c, n) !== 1n) return false
+  for (let i = 0; i < set.length; i++) {
+    if (typeof e[i] !== 'bigint' || e[i] < 0n || e[i] >= CHALLENGE_MODULUS) return false
+    if (typeof z[i] !== 'bigint' || z[i] <= 0n || z[i] >= n || bcu.gcd(z[i], n) !== 1n) return false
+  }
+  const values = set.map(value => bcu.toZn(BigInt(value), n))
+  const a = values.map((value, i) => bcu.modPow(z[i], n, n2) * bcu.modPow(quotient(publicKey, c, value), -e[i], n2) % n2)
+  const eSum = e.reduce((sum, ei) => sum + ei, 0n) % CHALLENGE_MODULUS
+  return eSum === challenge(label, n, publicKey.g, c, ...values, ...a)
+}
+
+// c·g^(-m) mod n^2, which is r^n if c encrypts m
+function quotient (publicKey, c, m) {
+  return c * bcu.modInv(publicKey._gPow(m), publicKey._n2) % publicKey._n2
+}
+
+function randomUnit (n, randomSource) {
+  let x
+  do {
+    x = randBetween(n - 1n, 1n, randomSource)
+  } while (bcu.gcd(x, n) !== 1n)
+  return x
+}
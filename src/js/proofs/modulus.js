@@ -0,0 +1,149 @@
+/*
+ * Non-interactive zero-knowledge proof that a public modulus n is a Paillier-Blum modulus, i.e. gcd(n, φ(n)) = 1 and
+ * n = p·q with p = q = 3 mod 4 (Canetti, Gennaro, Goldfeder, Makriyannis and Peled, "UC Non-Interactive, Proactive,
+ * Threshold ECDSA with Identifiable Aborts", Π^mod). It lets a counterparty check that a received public key was
+ * honestly generated, which is required by threshold ECDSA protocols that use Paillier.
+ *
+ * The prover picks w with Jacobi symbol -1 and, for every Fiat-Shamir challenge y_i in Z_n, it reveals:
+ *  - z_i = y_i^(n^-1 mod φ(n)) mod n, an n-th root of y_i, which only exists for every y_i if gcd(n, φ(n)) = 1;
+ *  - x_i, a fourth root of (-1)^(a_i)·w^(b_i)·y_i mod n, which only exists for some a_i, b_i if n is a Blum integer.
+ *
+ * The private key MUST be generated with Blum primes (see the blumPrimes and safePrimes key generation options).
+ */
+import * as bcu from 'bigint-crypto-utils'
+import { randBetween } from '../random'
+import { challenge } from '../fiatShamir'
+import { proofToJSON, proofFromJSON } from './common'
+import { isProbablyPrimeSync } from '../keyGeneration'
+import { InvalidKeyError } from '../errors'
+
+const LABEL = 'paillier-bigint/modulus-proof'
+const TYPE = 'ModulusProof'
+const ROUNDS = 80
+const STATISTICAL_SECURITY = 128
+
+/**
+ * @typedef {Object} ModulusProof
+ * @property {bigint} w - a random integer with Jacobi symbol -1
+ * @property {bigint[]} x - the fourth roots of (-1)^(a_i)·w^(b_i)·y_i mod n
+ * @property {bigint[]} a - the bits a_i
+ * @property {bigint[]} b - the bits b_i
+ * @property {bigint[]} z - the n-th roots of y_i mod n
+ */
+
+/**
+ * Proves that the modulus n of the public key of privateKey is a Paillier-Blum modulus
+ *
+ * @param {PrivateKey} privateKey - a private key with known primes p and q, both equal to 3 mod 4
+ * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for w
+ *
+ * @returns {ModulusProof}
+ *
+ * @throws {InvalidKeyError} - if p and q are not known, or are not 3 mod 4, or gcd(n, φ(n)) != 1
+ */
+export function prove (privateKey, randomSource = null) {
+  const { _p: p, _q: q } = privateKey
+  const n = privateKey.publicKey.n
+  if (p === null || p * q !== n) throw new InvalidKeyError('The primes p and q of the private key are required')
+  if (p % 4n !== 3n || q % 4n !== 3n) throw new InvalidKeyError('p and q MUST be 3 mod 4 (Blum primes)')
+  const phi = (p - 1n) * (q - 1n)
+  if (bcu.gcd(n, phi) !== 1n) throw new InvalidKeyError('gcd(n, φ(n)) MUST be 1')
+  const nInv = bcu.modInv(n, phi)
+
+  let w
+  do {
+    w = randBetween(n - 1n, 1n, randomSource)
+  } while (isQuadraticResidue(w, p) === isQuadraticResidue(w, q) || bcu.gcd(w, n) !== 1n)
+
+  const proof = { w, x: [], a: [], b: [], z: [] }
+  for (const y of challenges(n, w)) {
+    // -1 is a non-residue modulo both primes and w modulo only one of them, so exactly one of ±y, ±w·y is a residue modulo both
+    let a, b, yPrime
+    for (const [ai, bi] of [[0, 0], [0, 1], [1, 0], [1, 1]]) {
+      const candidate = bcu.toZn((ai === 1 ? -1n : 1n) * (bi === 1 ? w : 1n) * y, n)
+      if (isQuadraticResidue(candidate, p) && isQuadraticResidue(candidate, q)) {
+        [a, b, yPrime] = [BigInt(ai), BigInt(bi), candidate]
+        break
+      }
+    }
+    proof.x.push(fourthRoot(yPrime, p, q))
+    proof.a.push(a)
+    proof.b.push(b)
+    proof.z.push(bcu.modPow(y, nInv, n))
+  }
+  return proof
+}
+
+/**
+ * Verifies a proof that n is a Paillier-Blum modulus
+ *
+ * @param {PublicKey} publicKey - the public key whose modulus n is checked
+ * @param {ModulusProof} proof
+ *
+ * @returns {boolean} - true if the proof is valid
+ */
+export function verify (publicKey, proof) {
+  const n = publicKey.n
+  if (typeof proof !== 'object' || proof === null) return false
+  const { w, x, a, b, z } = proof
+  if (typeof n !== 'bigint' || n < 3n || n % 2n === 0n || isProbablyPrimeSync(n)) return false
+  if (typeof w !== 'bigint' || w <= 0n || w >= n) return false
+  for (const array of [x, a, b, z]) {
+    if (!Array.isArray(array) || array.length !== ROUNDS || array.some(value => typeof value !== 'bigint')) return false
+  }
+  return challenges(n, w).every((y, i) => {
+    if (a[i] > 1n || a[i] < 0n || b[i] > 1n || b[i] < 0n) return false
+    if (bcu.modPow(z[i], n, n) !== y) return false
+    const yPrime = bcu.toZn((a[i] === 1n ? -1n : 1n) * (b[i] === 1n ? w : 1n) * y, n)
+    return bcu.modPow(x[i], 4n, n) === yPrime
+  })
+}
+
+/**
+ * Exports a proof as a JSON object with base64url-encoded bigints
+ *
+ * @param {ModulusProof} proof
+ *
+ * @returns {Object}
+ */
+export function toJSON (proof) {
+  const { w, x, a, b, z } = proof
+  return proofToJSON(TYPE, { w, x, a, b, z })
+}
+
+/**
+ * Imports a proof exported with {@link toJSON}
+ *
+ * @param {string | Object} json
+ *
+ * @returns {ModulusProof}
+ *
+ * @throws {TypeError} - if json is not a valid modulus proof
+ */
+export function fromJSON (json) {
+  return proofFromJSON(TYPE, json, ['w'], ['x', 'a', 'b', 'z'])
+}
+
+// The challenges y_1, ..., y_ROUNDS in Z_n, each derived from enough 256-bit hashes to be statistically uniform
+function challenges (n, w) {
+  const blocks = Math.ceil((bcu.bitLength(n) + STATISTICAL_SECURITY) / 256)
+  const ys = []
+  for (let i = 0; i < ROUNDS; i++) {
+    let y = 0n
+    for (let j = 0; j < blocks; j++) y = (y << 256n) | challenge(LABEL, n, w, BigInt(i), BigInt(j))
+    ys.push(y % n)
+  }
+  return ys
+}
+
+// Euler's criterion
+function isQuadraticResidue (a, p) {
+  return bcu.modPow(a, (p - 1n) / 2n, p) === 1n
+}
+
+// a^(((p+1)/4)^2) is a fourth root of a quadratic residue a modulo a prime p = 3 mod 4, combined with the CRT
+function fourthRoot (a, p, q) {
+  const xp = bcu.modPow(a, ((p + 1n) / 4n) ** 2n % (p - 1n), p)
+  const xq = bcu.modPow(a, ((q + 1n) / 4n) ** 2n % (q - 1n), q)
+  return bcu.toZn(xq + q * ((xp - xq) * bcu.modInv(q, p)), p * q)
+}
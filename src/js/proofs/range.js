@@ -0,0 +1,162 @@
+/*
+ * Non-interactive zero-knowledge proof that a ciphertext c encrypts an integer m in a public range [min, max]. It
+ * uses a bit decomposition of both m - min and max - m, which are in [0, 2^l) with l the bit length of max - min:
+ *  - every bit b_i is encrypted as c_i = g^(b_i)·r_i^n, along with a proof that c_i encrypts 0 or 1 (see ./membership.js);
+ *  - C·prod c_i^(-2^i), where C is the encryption of m - min (or max - m) derived from c, is proven to be an
+ *    encryption of 0 (see ./encryption.js), which links the bits to c.
+ * Since both values are in [0, 2^l) and add up to max - min, m is in [min, max] as long as 2^(l+1) < n.
+ */
+import * as bcu from 'bigint-crypto-utils'
+import { randBetween } from '../random'
+import { proofToJSON, proofFromJSON } from './common'
+import { proveMembership, verifyMembership } from './membership'
+import * as encryptionProof from './encryption'
+
+const BIT_LABEL = 'paillier-bigint/range-proof/bit'
+const TYPE = 'RangeProof'
+const BITS = [BigInt(0), BigInt(1)]
+
+/**
+ * @typedef {Object} RangeProof
+ * @property {bigint[]} commitments - the encryptions of the bits of m - min followed by those of max - m
+ * @property {bigint[]} e - the challenges of the proofs that every commitment encrypts a bit
+ * @property {bigint[]} z - the responses of the proofs that every commitment encrypts a bit
+ * @property {bigint[]} linkE - the challenges of the proofs that link the bits of m - min and max - m to c
+ * @property {bigint[]} linkZ - the responses of the proofs that link the bits of m - min and max - m to c
+ */
+
+/**
+ * Proves that c, an encryption of m with random factor r, encrypts an integer in [min, max]
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext, c = g^m · r^n mod n^2
+ * @param {bigint} m - the plaintext
+ * @param {bigint} r - the random factor used to encrypt m
+ * @param {bigint} min - the lower bound of the range
+ * @param {bigint} max - the upper bound of the range
+ * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for the proof
+ *
+ * @returns {RangeProof}
+ *
+ * @throws {RangeError} - if m is not in [min, max] or the range is too large for the public key
+ */
+export function prove (publicKey, c, m, r, min, max, randomSource = null) {
+  const l = rangeBitLength(publicKey, min, max)
+  if (m < min || m > max) throw new RangeError('The plaintext is not in the range')
+  const [lowerC, upperC] = boundCiphertexts(publicKey, c, min, max)
+  const lower = proveBits(publicKey, lowerC, m - min, r, l, randomSource)
+  const upper = proveBits(publicKey, upperC, max - m, bcu.modInv(r, publicKey.n), l, randomSource)
+  return {
+    commitments: [...lower.commitments, ...upper.commitments],
+    e: [...lower.e, ...upper.e],
+    z: [...lower.z, ...upper.z],
+    linkE: [lower.link.e, upper.link.e],
+    linkZ: [lower.link.z, upper.link.z]
+  }
+}
+
+/**
+ * Verifies a proof that c encrypts an integer in [min, max]
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext
+ * @param {bigint} min - the lower bound of the range
+ * @param {bigint} max - the upper bound of the range
+ * @param {RangeProof} proof
+ *
+ * @returns {boolean} - true if the proof is valid
+ */
+export function verify (publicKey, c, min, max, proof) {
+  let l
+  try {
+    l = rangeBitLength(publicKey, min, max)
+  } catch (error) {
+    return false
+  }
+  const { n, _n2: n2 } = publicKey
+  const { commitments, e, z, linkE, linkZ } = proof
+  if (!Array.isArray(commitments) || commitments.length !== 2 * l) return false
+  if (!Array.isArray(e) || !Array.isArray(z) || e.length !== 4 * l || z.length !== 4 * l) return false
+  if (!Array.isArray(linkE) || !Array.isArray(linkZ) || linkE.length !== 2 || linkZ.length !== 2) return false
+  if (typeof c !== 'bigint' || c <= 0n || c >= n2 || bcu.gcd(c, n) !== 1n) return false
+
+  for (let i = 0; i < 2 * l; i++) {
+    const bitProof = { e: e.slice(2 * i, 2 * i + 2), z: z.slice(2 * i, 2 * i + 2) }
+    if (!verifyMembership(BIT_LABEL, publicKey, commitments[i], BITS, bitProof)) return false
+  }
+  return boundCiphertexts(publicKey, c, min, max).every((C, side) => {
+    const u = linkCiphertext(C, commitments.slice(side * l, (side + 1) * l), n2)
+    return encryptionProof.verify(publicKey, u, 0n, { e: linkE[side], z: linkZ[side] })
+  })
+}
+
+/**
+ * Exports a proof as a JSON object with base64url-encoded bigints
+ *
+ * @param {RangeProof} proof
+ *
+ * @returns {Object}
+ */
+export function toJSON (proof) {
+  const { commitments, e, z, linkE, linkZ } = proof
+  return proofToJSON(TYPE, { commitments, e, z, linkE, linkZ })
+}
+
+/**
+ * Imports a proof exported with {@link toJSON}
+ *
+ * @param {string | Object} json
+ *
+ * @returns {RangeProof}
+ *
+ * @throws {TypeError} - if json is not a valid range proof
+ */
+export function fromJSON (json) {
+  return proofFromJSON(TYPE, json, [], ['commitments', 'e', 'z', 'linkE', 'linkZ'])
+}
+
+function rangeBitLength (publicKey, min, max) {
+  if (typeof min !== 'bigint' || typeof max !== 'bigint' || min > max) throw new RangeError('min and max MUST be bigints with min <= max')
+  const l = (max - min).toString(2).length
+  if ((1n << BigInt(l + 1)) >= publicKey.n) throw new RangeError('The range is too large for the public key')
+  return l
+}
+
+// the encryptions of m - min and max - m derived from the encryption c of m
+function boundCiphertexts (publicKey, c, min, max) {
+  const n2 = publicKey._n2
+  return [
+    c * bcu.modInv(publicKey._gPow(min), n2) % n2,
+    publicKey._gPow(max) * bcu.modInv(c, n2) % n2
+  ]
+}
+
+// C·prod c_i^(-2^i), which encrypts 0 if the commitments c_i encrypt the bits of the plaintext of C
+function linkCiphertext (C, commitments, n2) {
+  return commitments.reduce((u, ci, i) => u * bcu.modPow(ci, -(1n << BigInt(i)), n2) % n2, C)
+}
+
+// encrypts the l bits of x, proves that every encryption is of a bit and that they add up to C, the encryption of x
+// with random factor rC
+function proveBits (publicKey, C, x, rC, l, randomSource) {
+  const { n, _n2: n2 } = publicKey
+  const commitments = []
+  const e = []
+  const z = []
+  let w = rC
+  for (let i = 0; i < l; i++) {
+    const bit = (x >> BigInt(i)) & 1n
+    let ri
+    do {
+      ri = randBetween(n - 1n, 1n, randomSource)
+    } while (bcu.gcd(ri, n) !== 1n)
+    const ci = publicKey.encrypt(bit, ri)
+    const proof = proveMembership(BIT_LABEL, publicKey, ci, bit, ri, BITS, randomSource)
+    commitments.push(ci)
+    e.push(...proof.e)
+    z.push(...proof.z)
+    w = w * bcu.modPow(ri, -(1n << BigInt(i)), n) % n
+  }
+  const link = encryptionProof.prove(publicKey, linkCiphertext(C, commitments, n2), 0n, w, randomSource)
+  return { commitments, e, z, link }
+}
@@ -0,0 +1,67 @@
+import * as bcu from 'bigint-crypto-utils'
+import { bufToBigint } from './conversion'
+
+/**
+ * A source of random bytes. The default one is the cryptographically secure generator of the platform. An
+ * {@link HmacDrbg} can be used instead to get reproducible results in tests.
+ *
+ * @typedef {Object} RandomSource
+ * @property {function(number): Uint8Array} randomBytes - returns the requested number of random bytes
+ */
+
+/**
+ * The cryptographically secure random source of the platform
+ *
+ * @type {RandomSource}
+ */
+export const defaultRandomSource = { randomBytes: byteLength => bcu.randBytesSync(byteLength) }
+
+/**
+ * Checks that source implements the {@link RandomSource} interface
+ *
+ * @param {RandomSource} source
+ *
+ * @throws {TypeError} - if source has no randomBytes() method
+ */
+export function checkRandomSource (source) {
+  if (source === null || typeof source !== 'object' || typeof source.randomBytes !== 'function') {
+    throw new TypeError('randomSource MUST be an object with a randomBytes(byteLength) method')
+  }
+}
+
+/**
+ * Returns a random integer of at most bitLength bits
+ *
+ * @param {number} bitLength
+ * @param {RandomSource} [source = defaultRandomSource]
+ *
+ * @returns {bigint} - a random integer in [0, 2^bitLength)
+ */
+export function randBits (bitLength, source = null) {
+  const buf = (source || defaultRandomSource).randomBytes(Math.ceil(bitLength / 8))
+  const r = bufToBigint(buf)
+  return r & ((1n << BigInt(bitLength)) - 1n)
+}
+
+/**
+ * Returns a random integer in [min, max]. If no source is provided, bigint-crypto-utils' randBetween() is used.
+ *
+ * @param {bigint} max
+ * @param {bigint} [min = 1n]
+ * @param {RandomSource} [source]
+ *
+ * @returns {bigint} - a random integer in [min, max]
+ *
+ * @throws {RangeError} - if max < min
+ */
+export function randBetween (max, min = 1n, source = null) {
+  if (source === null) return bcu.randBetween(max, min)
+  const interval = max - min
+  if (interval < 0n) throw new RangeError('max MUST be greater than or equal to min')
+  const bitLength = bcu.bitLength(interval)
+  let r
+  do {
+    r = randBits(bitLength, source)
+  } while (r > interval)
+  return r + min
+}
@@ -0,0 +1,96 @@
+/*
+ * Pure JavaScript SHA-256 (FIPS 180-4) and HMAC-SHA-256 (RFC 2104). They are synchronous and work the same in
+ * Node.js and browsers, which is required for deterministic random generation and Fiat-Shamir challenges.
+ */
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+])
+
+const BLOCK_LENGTH = 64
+
+/**
+ * SHA-256 hash
+ *
+ * @param {Uint8Array} data
+ *
+ * @returns {Uint8Array} - the 32-byte digest of data
+ */
+export function sha256 (data) {
+  const bitLength = data.length * 8
+  const paddedLength = Math.ceil((data.length + 9) / BLOCK_LENGTH) * BLOCK_LENGTH
+  const padded = new Uint8Array(paddedLength)
+  padded.set(data)
+  padded[data.length] = 0x80
+  const view = new DataView(padded.buffer)
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000))
+  view.setUint32(paddedLength - 4, bitLength >>> 0)
+
+  const H = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19])
+  const W = new Uint32Array(64)
+  for (let offset = 0; offset < paddedLength; offset += BLOCK_LENGTH) {
+    for (let t = 0; t < 16; t++) W[t] = view.getUint32(offset + 4 * t)
+    for (let t = 16; t < 64; t++) {
+      const s0 = rotr(W[t - 15], 7) ^ rotr(W[t - 15], 18) ^ (W[t - 15] >>> 3)
+      const s1 = rotr(W[t - 2], 17) ^ rotr(W[t - 2], 19) ^ (W[t - 2] >>> 10)
+      W[t] = W[t - 16] + s0 + W[t - 7] + s1
+    }
+    let [a, b, c, d, e, f, g, h] = H
+    for (let t = 0; t < 64; t++) {
+      const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[t] + W[t]
+      const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))
+      h = g
+      g = f
+      f = e
+      e = (d + t1) >>> 0
+      d = c
+      c = b
+      b = a
+      a = (t1 + t2) >>> 0
+    }
+    H[0] += a
+    H[1] += b
+    H[2] += c
+    H[3] += d
+    H[4] += e
+    H[5] += f
+    H[6] += g
+    H[7] += h
+  }
+  const digest = new Uint8Array(32)
+  const digestView = new DataView(digest.buffer)
+  H.forEach((word, i) => digestView.setUint32(4 * i, word))
+  return digest
+}
+
+/**
+ * HMAC-SHA-256
+ *
+ * @param {Uint8Array} key
+ * @param {Uint8Array} data
+ *
+ * @returns {Uint8Array} - the 32-byte MAC of data
+ */
+export function hmacSha256 (key, data) {
+  if (key.length > BLOCK_LENGTH) key = sha256(key)
+  const inner = new Uint8Array(BLOCK_LENGTH + data.length)
+  const outer = new Uint8Array(BLOCK_LENGTH + 32)
+  for (let i = 0; i < BLOCK_LENGTH; i++) {
+    inner[i] = (key[i] || 0) ^ 0x36
+    outer[i] = (key[i] || 0) ^ 0x5c
+  }
+  inner.set(data, BLOCK_LENGTH)
+  outer.set(sha256(inner), BLOCK_LENGTH)
+  return sha256(outer)
+}
+
+function rotr (x, n) {
+  return (x >>> n) | (x << (32 - n))
+}
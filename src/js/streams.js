@@ -0,0 +1,217 @@
+/*
+ * Streaming adapters to encrypt, decrypt and add large datasets chunk by chunk without holding them in memory. Every
+ * operation is implemented once as a transformer ({ transform(chunk), flush() }, each returning the chunk to emit or
+ * undefined) and exposed both as a Node.js object-mode Transform stream and as a WHATWG TransformStream.
+ *
+ * Ciphertexts are serialized as unpadded base64url strings, as in the JSON exports of this library. Encoded numbers
+ * ({@link EncodedNumber}) are encrypted to the {@link EncryptedNumber#toJSON} object instead, so that their exponent is
+ * kept, and decrypted back to the numbers they encode. They cannot be summed with {@link createSumStream}.
+ *
+ * The TransformStream versions need WHATWG streams, which are global in browsers and Node.js >= 18 and available in
+ * the stream/web module of Node.js >= 16.5.
+ */
+import { bigintToBase64url, base64urlToBigint } from './conversion'
+import EncodedNumber from './EncodedNumber'
+import EncryptedNumber from './EncryptedNumber'
+/* global globalThis */
+
+/**
+ * @typedef {Object} StreamEncoder
+ * @property {function(any): bigint} encode - maps an input value to a plaintext in Z_n, e.g. {@link SignedIntegerEncoder#encode}
+ * @property {function(bigint): any} decode - maps a decrypted plaintext back to a value, e.g. {@link SignedIntegerEncoder#decode}
+ */
+
+/**
+ * Creates a Node.js object-mode Transform stream that encrypts every plaintext written to it and emits the serialized
+ * ciphertext
+ *
+ * @param {PublicKey} publicKey - the public key to encrypt with
+ * @param {Object} [options]
+ * @param {StreamEncoder} [options.encoder] - an encoder of the input values. By default, every chunk is converted with BigInt(), so decimal strings are also accepted
+ *
+ * @returns {Transform} - a stream of plaintexts to base64url-encoded ciphertexts, and of encoded numbers to {@link EncryptedNumber#toJSON} objects
+ */
+export function createEncryptStream (publicKey, options = {}) {
+  return nodeTransform(encryptTransformer(publicKey, options))
+}
+
+/**
+ * Creates a Node.js object-mode Transform stream that decrypts every serialized ciphertext written to it and emits
+ * the plaintext
+ *
+ * @param {PrivateKey} privateKey - the private key to decrypt with
+ * @param {Object} [options]
+ * @param {StreamEncoder} [options.encoder] - an encoder to decode the plaintexts. By default, plaintexts are emitted as bigints. It is not used with encrypted numbers
+ *
+ * @returns {Transform} - a stream of base64url-encoded ciphertexts (or bigints) to plaintexts, and of {@link EncryptedNumber#toJSON} objects (or their JSON strings) to the numbers they encode
+ */
+export function createDecryptStream (privateKey, options = {}) {
+  return nodeTransform(decryptTransformer(privateKey, options))
+}
+
+/**
+ * Creates a Node.js object-mode Transform stream that folds every ciphertext written to it with
+ * {@link PublicKey#addition} and emits the serialized encryption of the sum when it ends. Only the running sum is
+ * kept in memory. An empty stream sums to the (not randomized) encryption of 0.
+ *
+ * @param {PublicKey} publicKey - the public key the ciphertexts were encrypted with
+ *
+ * @returns {Transform} - a stream of base64url-encoded ciphertexts (or bigints) to a single base64url-encoded ciphertext
+ */
+export function createSumStream (publicKey) {
+  return nodeTransform(sumTransformer(publicKey))
+}
+
+/**
+ * WHATWG TransformStream version of {@link createEncryptStream}
+ *
+ * @param {PublicKey} publicKey - the public key to encrypt with
+ * @param {Object} [options]
+ * @param {StreamEncoder} [options.encoder] - an encoder of the input values
+ *
+ * @returns {TransformStream}
+ *
+ * @throws {Error} - if WHATWG streams are not available
+ */
+export function createEncryptTransformStream (publicKey, options = {}) {
+  return webTransform(encryptTransformer(publicKey, options))
+}
+
+/**
+ * WHATWG TransformStream version of {@link createDecryptStream}
+ *
+ * @param {PrivateKey} privateKey - the private key to decrypt with
+ * @param {Object} [options]
+ * @param {StreamEncoder} [options.encoder] - an encoder to decode the plaintexts
+ *
+ * @returns {TransformStream}
+ *
+ * @throws {Error} - if WHATWG streams are not available
+ */
+export function createDecryptTransformStream (privateKey, options = {}) {
+  return webTransform(decryptTransformer(privateKey, options))
+}
+
+/**
+ * WHATWG TransformStream version of {@link createSumStream}
+ *
+ * @param {PublicKey} publicKey - the public key the ciphertexts were encrypted with
+ *
+ * @returns {TransformStream}
+ *
+ * @throws {Error} - if WHATWG streams are not available
+ */
+export function createSumTransformStream (publicKey) {
+  return webTransform(sumTransformer(publicKey))
+}
+
+function encryptTransformer (publicKey, { encoder = null } = {}) {
+  return {
+    transform: value => {
+      if (value instanceof EncodedNumber) return EncryptedNumber.encrypt(publicKey, value).toJSON()
+      return bigintToBase64url(publicKey.encrypt((encoder !== null) ? encoder.encode(value) : BigInt(value)))
+    }
+  }
+}
+
+function decryptTransformer (privateKey, { encoder = null } = {}) {
+  return {
+    transform: chunk => {
+      if (isEncryptedNumber(chunk)) return EncryptedNumber.fromJSON(chunk, privateKey.publicKey).decrypt(privateKey)
+      const m = privateKey.decrypt(parseCiphertext(chunk))
+      return (encoder !== null) ? encoder.decode(m) : m
+    }
+  }
+}
+
+function sumTransformer (publicKey) {
+  let sum = 1n
+  return {
+    transform: chunk => {
+      sum = publicKey.addition(sum, parseCiphertext(chunk))
+    },
+    flush: () => bigintToBase64url(sum)
+  }
+}
+
+// an exported EncryptedNumber, either as an object or as a JSON string
+function isEncryptedNumber (chunk) {
+  if (typeof chunk === 'string') return chunk.trim().startsWith('{')
+  return typeof chunk === 'object' && chunk !== null
+}
+
+function parseCiphertext (chunk) {
+  if (typeof chunk === 'bigint') return chunk
+  if (typeof chunk !== 'string' || chunk === '') throw new TypeError('Ciphertexts MUST be base64url strings or bigints')
+  try {
+    return base64urlToBigint(chunk.trim())
+  } catch (error) {
+    throw new TypeError('Invalid ciphertext: not a valid base64url string')
+  }
+}
+
+function nodeTransform (transformer) {
+  if (process.browser) return nodeStreamsUnavailable()
+  return createNodeTransform(transformer)
+}
+
+function nodeStreamsUnavailable () {
+  throw new Error('Node.js streams are not available in browsers. Use the TransformStream versions')
+}
+
+function createNodeTransform ({ transform, flush = () => undefined }) {
+  const { Transform } = require('stream')
+  return new Transform({
+    objectMode: true,
+    transform (chunk, encoding, callback) {
+      let output
+      try {
+        output = transform(chunk)
+      } catch (error) {
+        return callback(error)
+      }
+      callback(null, output)
+    },
+    flush (callback) {
+      let output
+      try {
+        output = flush()
+      } catch (error) {
+        return callback(error)
+      }
+      callback(null, output)
+    }
+  })
+}
+
+function webTransform ({ transform, flush = () => undefined }) {
+  const TransformStream = transformStreamClass()
+  return new TransformStream({
+    transform (chunk, controller) {
+      const output = transform(chunk)
+      if (output !== undefined) controller.enqueue(output)
+    },
+    flush (controller) {
+      const output = flush()
+      if (output !== undefined) controller.enqueue(output)
+    }
+  })
+}
+
+function transformStreamClass () {
+  if (typeof globalThis !== 'undefined' && typeof globalThis.TransformStream === 'function') return globalThis.TransformStream
+  if (process.browser) return whatwgStreamsUnavailable()
+  return requireTransformStream()
+}
+
+function requireTransformStream () {
+  try {
+    return require('stream/web').TransformStream
+  } catch (error) {
+    return whatwgStreamsUnavailable()
+  }
+}
+
+function whatwgStreamsUnavailable () {
+  throw new Error('WHATWG streams are not available. They need a browser or Node.js >= 16.5')
+}
@@ -0,0 +1,209 @@
+/*
+ * Threshold Paillier (Damgård-Jurik with s = 1, after Shoup's threshold RSA). A trusted dealer generates a modulus
+ * n = p·q of safe primes p = 2p'+1 and q = 2q'+1 and splits the decryption exponent d, with d = 0 mod p'q' and
+ * d = 1 mod n, into Shamir shares s_i = f(i) of a random polynomial f of degree t-1 with f(0) = d. Any t holders of
+ * shares can decrypt together, while fewer than t learn nothing about the plaintext.
+ *
+ * Every share holder i publishes a verification key v_i = v^(Δ·s_i) with Δ = l! and l the number of parties, and
+ * attaches to its decryption share c_i = c^(2Δ·s_i) a non-interactive proof that log_(c^4)(c_i^2) = log_v(v_i).
+ */
+import * as bcu from 'bigint-crypto-utils'
+import PublicKey from './PublicKey'
+import { L } from './PrivateKey'
+import { parseKeyGenerationOptions, generateKeyPair } from './keyGeneration'
+import { randBetween, randBits } from './random'
+import { challenge } from './fiatShamir'
+import { InvalidDecryptionShareError } from './errors'
+import { isStrictValidation, checkCiphertext } from './validation'
+
+const PROOF_LABEL = 'paillier-bigint/threshold-decryption-share'
+const CHALLENGE_BITS = 256
+const STATISTICAL_SECURITY = 256
+
+/**
+ * @typedef {Object} ThresholdParameters
+ * @property {PublicKey} publicKey - the public key to encrypt with. It uses g = n+1
+ * @property {number} threshold - the number t of shares required to decrypt
+ * @property {number} parties - the total number l of shares
+ * @property {bigint} delta - Δ = l!
+ * @property {bigint} v - a random square in Z* of n^2 that generates the group of squares
+ * @property {bigint[]} verificationKeys - the verification keys v_i = v^(Δ·s_i) mod n^2. verificationKeys[i-1] is the key of party i
+ */
+
+/**
+ * @typedef {Object} KeyShare
+ * @property {number} index - the index i in [1, l] of the share holder
+ * @property {bigint} secret - the secret share s_i = f(i)
+ * @property {ThresholdParameters} parameters - the public parameters
+ */
+
+/**
+ * @typedef {Object} DecryptionShare
+ * @property {number} index - the index i of the share holder
+ * @property {bigint} value - the decryption share c_i = c^(2Δ·s_i) mod n^2
+ * @property {{e: bigint, z: bigint}} proof - the proof that the decryption share was computed with s_i
+ */
+
+/**
+ * Generates the keys of a t-of-l threshold Paillier cryptosystem with a trusted dealer. The dealer (this function)
+ * knows the factorization of n, so it MUST run in a trusted environment that forgets everything but the output.
+ * Every key share MUST then be privately sent to its holder.
+ *
+ * Safe primes are required, so it is much slower than {@link generateRandomKeys}.
+ *
+ * @param {Object} options - the {@link KeyGenerationOptions} (safePrimes and simpleVariant are ignored) plus:
+ * @param {number} options.threshold - the number t of shares required to decrypt
+ * @param {number} options.parties - the total number l of shares
+ *
+ * @returns {Promise<{publicKey: PublicKey, parameters: ThresholdParameters, keyShares: KeyShare[]}>}
+ *
+ * @throws {RangeError} - if threshold is not in [1, parties] or a key generation option is not valid
+ */
+export async function generateThresholdKeys (options) {
+  const { threshold, parties } = options
+  if (!Number.isSafeInteger(parties) || parties < 1) throw new RangeError('parties MUST be a positive integer')
+  if (!Number.isSafeInteger(threshold) || threshold < 1 || threshold > parties) throw new RangeError('threshold MUST be an integer in [1, parties]')
+  const keyGenerationOptions = { ...parseKeyGenerationOptions(options), safePrimes: true, simpleVariant: true }
+  const { privateKey } = await generateKeyPair(keyGenerationOptions)
+  return dealShares(privateKey._p, privateKey._q, threshold, parties, keyGenerationOptions.randomSource)
+}
+
+/**
+ * Computes a decryption share of c together with a proof of its correctness
+ *
+ * @param {KeyShare} keyShare - the key share of the party
+ * @param {bigint} c - a ciphertext encrypted with the threshold public key
+ * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for the proof
+ *
+ * @returns {DecryptionShare} - the decryption share of party keyShare.index
+ *
+ * @throws {InvalidCiphertextError} - in strict mode (see {@link setStrictValidation}), if c is not in Z* of n^2
+ */
+export function partialDecrypt (keyShare, c, randomSource = null) {
+  const { index, secret, parameters } = keyShare
+  const { publicKey, delta, v, verificationKeys } = parameters
+  const n2 = publicKey._n2
+  if (isStrictValidation(publicKey)) checkCiphertext(c, publicKey)
+  const exponent = delta * secret
+  const value = bcu.modPow(c, 2n * exponent, n2)
+
+  // proof of equality of discrete logs: log_(c^4)(value^2) = log_v(v_i) = Δ·s_i
+  const c4 = bcu.modPow(c, 4n, n2)
+  const r = randBits(bcu.bitLength(n2) + bcu.bitLength(delta) + CHALLENGE_BITS + STATISTICAL_SECURITY, randomSource)
+  const a = bcu.modPow(c4, r, n2)
+  const b = bcu.modPow(v, r, n2)
+  const e = challenge(PROOF_LABEL, publicKey.n, c4, v, verificationKeys[index - 1], value ** 2n % n2, a, b)
+  return { index, value, proof: { e, z: r + e * exponent } }
+}
+
+/**
+ * Verifies that a decryption share of c was correctly computed by its holder
+ *
+ * @param {ThresholdParameters} parameters
+ * @param {bigint} c - the ciphertext
+ * @param {DecryptionShare} decryptionShare
+ *
+ * @returns {boolean} - true if the proof of the decryption share is valid
+ */
+export function verifyDecryptionShare (parameters, c, decryptionShare) {
+  const { publicKey, parties, v, verificationKeys } = parameters
+  const n2 = publicKey._n2
+  if (typeof c !== 'bigint' || c <= 0n || c >= n2 || bcu.gcd(c, publicKey.n) !== 1n) return false
+  if (typeof decryptionShare !== 'object' || decryptionShare === null) return false
+  const { index, value, proof } = decryptionShare
+  if (!Number.isSafeInteger(index) || index < 1 || index > parties) return false
+  if (typeof value !== 'bigint' || value <= 0n || value >= n2 || bcu.gcd(value, publicKey.n) !== 1n) return false
+  if (typeof proof !== 'object' || proof === null) return false
+  const { e, z } = proof
+  if (typeof e !== 'bigint' || typeof z !== 'bigint' || e < 0n || z < 0n) return false
+  const c4 = bcu.modPow(c, 4n, n2)
+  const value2 = value ** 2n % n2
+  const vk = verificationKeys[index - 1]
+  const a = bcu.modPow(c4, z, n2) * bcu.modPow(value2, -e, n2) % n2
+  const b = bcu.modPow(v, z, n2) * bcu.modPow(vk, -e, n2) % n2
+  return e === challenge(PROOF_LABEL, publicKey.n, c4, v, vk, value2, a, b)
+}
+
+/**
+ * Combines decryption shares of c from at least t different parties to recover the plaintext. Every share is
+ * verified first, so that misbehaving share holders are detected.
+ *
+ * @param {ThresholdParameters} parameters
+ * @param {bigint} c - the ciphertext
+ * @param {DecryptionShare[]} decryptionShares - decryption shares from at least t different parties
+ *
+ * @returns {bigint} - the decryption of c
+ *
+ * @throws {InvalidCiphertextError} - if c is not in Z* of n^2
+ * @throws {RangeError} - if there are less than t shares or several shares of the same party
+ * @throws {InvalidDecryptionShareError} - if a decryption share is not valid. Its index property identifies the misbehaving party
+ */
+export function combineShares (parameters, c, decryptionShares) {
+  const { publicKey, threshold, delta } = parameters
+  const { n, _n2: n2 } = publicKey
+  checkCiphertext(c, publicKey)
+  const indexes = decryptionShares.map(share => share.index)
+  if (new Set(indexes).size !== indexes.length) throw new RangeError('Every decryption share MUST come from a different party')
+  if (decryptionShares.length < threshold) throw new RangeError(`At least ${threshold} decryption shares are required`)
+  for (const share of decryptionShares) {
+    if (!verifyDecryptionShare(parameters, c, share)) throw new InvalidDecryptionShareError(share.index)
+  }
+
+  const shares = decryptionShares.slice(0, threshold)
+  const S = shares.map(share => BigInt(share.index))
+  // c' = prod c_i^(2·λ_i) = c^(4Δ^2·d) = 1 + 4Δ^2·m·n mod n^2
+  let combined = 1n
+  shares.forEach((share, k) => {
+    combined = combined * bcu.modPow(share.value, 2n * lagrangeCoefficient(S, k, delta), n2) % n2
+  })
+  return L(combined, n) * bcu.modInv(4n * delta ** 2n, n) % n
+}
+
+function dealShares (p, q, threshold, parties, randomSource) {
+  const n = p * q
+  const n2 = n ** 2n
+  const m = ((p - 1n) / 2n) * ((q - 1n) / 2n)
+  const nm = n * m
+  // d = 0 mod m and d = 1 mod n
+  const d = m * bcu.modInv(m, n)
+
+  const coefficients = [d]
+  for (let k = 1; k < threshold; k++) coefficients.push(randBetween(nm - 1n, 0n, randomSource))
+  const secrets = []
+  for (let i = 1; i <= parties; i++) {
+    // Horner's evaluation of f(i) mod n·m
+    secrets.push(coefficients.reduceRight((acc, coefficient) => (acc * BigInt(i) + coefficient) % nm, 0n))
+  }
+
+  let delta = 1n
+  for (let i = 2; i <= parties; i++) delta *= BigInt(i)
+  let r
+  do {
+    r = randBetween(n2 - 1n, 1n, randomSource)
+  } while (bcu.gcd(r, n) !== 1n)
+  const v = r ** 2n % n2
+  const publicKey = new PublicKey(n, n + 1n)
+  const parameters = {
+    publicKey,
+    threshold,
+    parties,
+    delta,
+    v,
+    verificationKeys: secrets.map(secret => bcu.modPow(v, delta * secret, n2))
+  }
+  const keyShares = secrets.map((secret, i) => ({ index: i + 1, secret, parameters }))
+  return { publicKey, parameters, keyShares }
+}
+
+// λ_(0,i) = Δ · prod_(j in S, j != i) j / (j - i), which is an integer
+function lagrangeCoefficient (S, k, delta) {
+  const i = S[k]
+  let numerator = delta
+  let denominator = 1n
+  S.forEach((j, l) => {
+    if (l === k) return
+    numerator *= j
+    denominator *= j - i
+  })
+  return numerator / denominator
+}
@@ -0,0 +1,94 @@
+import * as bcu from 'bigint-crypto-utils'
+import { InvalidPlaintextError, InvalidCiphertextError, InvalidRandomnessError, InvalidKeyError } from './errors'
+
+let strict = false
+
+/**
+ * Enables or disables strict validation. In strict mode, key constructors check the sanity of the key parameters,
+ * encryption checks that plaintexts are in [0, n) and random factors in Z*_n, and decryption and homomorphic
+ * operations check that ciphertexts are in Z*_{n^2}. Validation is lenient by default, which is the behaviour of
+ * previous versions: inputs are not checked and plaintexts are silently reduced modulo n.
+ *
+ * Deserialization (fromJSON, fromDER, fromPEM) is always strict.
+ *
+ * The setting is process-wide: it changes validation for every user of this module in the same process (including
+ * other libraries sharing it). To enable or disable strict validation only for your own keys, set the
+ * `strictValidation` property of a {@link PublicKey} (or {@link DamgardJurikPublicKey}) instead, which takes
+ * precedence over this setting. Key constructors can only follow the process-wide setting, since the key does not
+ * exist yet when its parameters are checked; a private key follows the setting of its public key.
+ *
+ * @param {boolean} [enabled = true]
+ */
+export function setStrictValidation (enabled = true) {
+  strict = Boolean(enabled)
+}
+
+/**
+ * Whether strict validation is enabled (see {@link setStrictValidation})
+ *
+ * @param {PublicKey | DamgardJurikPublicKey} [publicKey] - if its `strictValidation` property is a boolean, it is
+ * returned instead of the process-wide setting
+ *
+ * @returns {boolean}
+ */
+export function isStrictValidation (publicKey = null) {
+  if (publicKey !== null && publicKey !== undefined && typeof publicKey.strictValidation === 'boolean') return publicKey.strictValidation
+  return strict
+}
+
+/**
+ * @param {bigint | number} m
+ * @param {PublicKey} publicKey
+ *
+ * @throws {InvalidPlaintextError} - if m is not an integer in [0, n)
+ */
+export function checkPlaintext (m, publicKey) {
+  if (!isInteger(m) || BigInt(m) < 0n || BigInt(m) >= publicKey.n) throw new InvalidPlaintextError()
+}
+
+/**
+ * @param {bigint} c
+ * @param {PublicKey} publicKey
+ *
+ * @throws {InvalidCiphertextError} - if c is not in Z*_{n^2}
+ */
+export function checkCiphertext (c, publicKey) {
+  if (typeof c !== 'bigint' || c <= 0n || c >= publicKey._n2 || bcu.gcd(c, publicKey.n) !== 1n) throw new InvalidCiphertextError()
+}
+
+/**
+ * @param {bigint} r
+ * @param {PublicKey} publicKey
+ *
+ * @throws {InvalidRandomnessError} - if r is not in Z*_n
+ */
+export function checkRandomFactor (r, publicKey) {
+  if (typeof r !== 'bigint' || r <= 0n || r >= publicKey.n || bcu.gcd(r, publicKey.n) !== 1n) throw new InvalidRandomnessError()
+}
+
+/**
+ * @param {bigint} obfuscator
+ * @param {PublicKey} publicKey
+ *
+ * @throws {InvalidRandomnessError} - if obfuscator is not in Z*_{n^2}
+ */
+export function checkObfuscator (obfuscator, publicKey) {
+  if (typeof obfuscator !== 'bigint' || obfuscator <= 0n || obfuscator >= publicKey._n2 || bcu.gcd(obfuscator, publicKey.n) !== 1n) {
+    throw new InvalidRandomnessError('The obfuscator MUST be in Z* of n^2')
+  }
+}
+
+/**
+ * @param {bigint} n
+ * @param {bigint} g
+ *
+ * @throws {InvalidKeyError} - if n is not an odd integer > 1 or g is not in Z*_{n^2}
+ */
+export function checkPublicKeyParams (n, g) {
+  if (typeof n !== 'bigint' || n < 3n || n % 2n === 0n) throw new InvalidKeyError('Invalid public key: n MUST be an odd integer > 1')
+  if (typeof g !== 'bigint' || g <= 0n || g >= n ** 2n || bcu.gcd(g, n) !== 1n) throw new InvalidKeyError('Invalid public key: g MUST be in Z* of n^2')
+}
+
+export function isInteger (a) {
+  return typeof a === 'bigint' || Number.isSafeInteger(a)
+}
@@ -0,0 +1,118 @@
+/*
+ * Minimal cross-platform worker helper: Node.js worker_threads or Web Workers in browsers. Worker scripts are plain
+ * source strings (not stringified functions) so that they are not altered by minifiers or coverage tools.
+ * BigInts are exchanged as hex strings.
+ */
+
+/**
+ * Source code of helpers available to every worker script: a message port abstraction (`port.onMessage(cb)`,
+ * `port.postMessage(msg)`), `randomBytes(n)`, `randBetween(max)` (uniform in [1, max)), `gcd(a, b)`,
+ * `modPow(b, e, n)` and `modInv(a, n)`.
+ */
+export const WORKER_HELPERS = `'use strict'
+const _isNode = typeof self === 'undefined'
+const port = _isNode
+  ? { onMessage: cb => require('worker_threads').parentPort.on('message', cb), postMessage: msg => require('worker_threads').parentPort.postMessage(msg) }
+  : { onMessage: cb => { self.onmessage = e => cb(e.data) }, postMessage: msg => self.postMessage(msg) }
+const randomBytes = _isNode
+  ? n => new Uint8Array(require('crypto').randomBytes(n))
+  : n => self.crypto.getRandomValues(new Uint8Array(n))
+function bitLength (a) { return a.toString(2).length }
+function randBetween (max) {
+  const bits = bitLength(max)
+  const bytes = Math.ceil(bits / 8)
+  let r
+  do {
+    const buf = randomBytes(bytes)
+    if (bits % 8) buf[0] &= (1 << (bits % 8)) - 1
+    r = 0n
+    for (const b of buf) r = (r << 8n) + BigInt(b)
+  } while (r === 0n || r >= max)
+  return r
+}
+function gcd (a, b) {
+  while (b !== 0n) [a, b] = [b, a % b]
+  return a
+}
+function toZn (a, n) { a = a % n; return a < 0n ? a + n : a }
+function modPow (b, e, n) {
+  let r = 1n
+  b = toZn(b, n)
+  while (e > 0n) {
+    if (e & 1n) r = r * b % n
+    b = b * b % n
+    e >>= 1n
+  }
+  return r
+}
+function modInv (a, n) {
+  let [r0, r1, s0, s1] = [toZn(a, n), n, 1n, 0n]
+  while (r1 !== 0n) {
+    const q = r0 / r1;
+    [r0, r1] = [r1, r0 - q * r1];
+    [s0, s1] = [s1, s0 - q * s1]
+  }
+  return toZn(s0, n)
+}
+`
+
+/**
+ * Whether workers can be spawned in this environment
+ *
+ * @returns {boolean}
+ */
+export function workersAvailable () {
+  if (process.browser) return self.Worker !== undefined && self.Blob !== undefined && self.URL !== undefined
+  try {
+    require.resolve('worker_threads')
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Spawns a worker running the given source code
+ *
+ * @param {string} source - the worker script. It is appended to {@link WORKER_HELPERS}
+ *
+ * @returns {{postMessage: function(any): void, onMessage: function(function(any): void): void, onError: function(function(Error): void): void, onExit: function(function(number): void): void, terminate: function(): void}} - a minimal handler of the worker. onError also receives the messages that cannot be deserialized. onExit is only called in Node.js, since Web Workers have no exit event
+ */
+export function createWorker (source) {
+  const code = WORKER_HELPERS + source
+  if (process.browser) return browserWorker(code)
+  return nodeWorker(code)
+}
+
+function browserWorker (code) {
+  const url = self.URL.createObjectURL(new self.Blob([code], { type: 'text/javascript' }))
+  const worker = new self.Worker(url)
+  return {
+    postMessage: msg => worker.postMessage(msg),
+    onMessage: cb => { worker.onmessage = e => cb(e.data) },
+    onError: cb => {
+      worker.onerror = e => cb(new Error(e.message))
+      worker.onmessageerror = () => cb(new Error('A message from the worker could not be deserialized'))
+    },
+    onExit: cb => {},
+    terminate: () => {
+      worker.terminate()
+      self.URL.revokeObjectURL(url)
+    }
+  }
+}
+
+function nodeWorker (code) {
+  const { Worker } = require('worker_threads')
+  const worker = new Worker(code, { eval: true })
+  return {
+    postMessage: msg => worker.postMessage(msg),
+    onMessage: cb => worker.on('message', cb),
+    onError: cb => {
+      worker.on('error', cb)
+      worker.on('messageerror', cb)
+    },
+    onExit: cb => worker.on('exit', cb),
+    terminate: () => { worker.terminate() }
+  }
+}
@@ -0,0 +1,110 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+
+describe('Batch encryption and decryption in workers', function () {
+  this.timeout(120000)
+  const messages = Array.from({ length: 40 }, (_, i) => BigInt(i * 1000))
+  const variants = [
+    { name: 'simple variant', simpleVariant: true },
+    { name: 'random g', simpleVariant: false }
+  ]
+  for (const variant of variants) {
+    describe(`keys with ${variant.name}`, function () {
+      let publicKey, privateKey
+      before(async function () {
+        ({ publicKey, privateKey } = await _pkg.generateRandomKeys(512, variant.simpleVariant))
+      })
+
+      it('encryptBatch should return encryptions of the messages in the same order', async function () {
+        const ciphertexts = await _pkg.encryptBatch(publicKey, messages, { workers: 2 })
+        chai.expect(ciphertexts.length).to.equal(messages.length)
+        chai.expect(ciphertexts.map(c => privateKey.decrypt(c))).to.deep.equal(messages)
+        chai.expect(new Set(ciphertexts).size).to.equal(messages.length)
+      })
+      it('decryptBatch should return the same results as decrypt()', async function () {
+        const ciphertexts = messages.map(m => publicKey.encrypt(m))
+        chai.expect(await _pkg.decryptBatch(privateKey, ciphertexts, { workers: 2, chunkSize: 7 })).to.deep.equal(ciphertexts.map(c => privateKey.decrypt(c)))
+        const withoutPrimes = new _pkg.PrivateKey(privateKey.lambda, privateKey.mu, publicKey)
+        chai.expect(await _pkg.decryptBatch(withoutPrimes, ciphertexts, { workers: 1 })).to.deep.equal(messages)
+      })
+    })
+  }
+  describe('options', function () {
+    let publicKey, privateKey
+    before(async function () {
+      ({ publicKey, privateKey } = await _pkg.generateRandomKeys(512))
+    })
+
+    it('should accept empty batches and numbers', async function () {
+      chai.expect(await _pkg.encryptBatch(publicKey, [])).to.deep.equal([])
+      const ciphertexts = await _pkg.encryptBatch(publicKey, [1, -1])
+      chai.expect(await _pkg.decryptBatch(privateKey, ciphertexts)).to.deep.equal([1n, publicKey.n - 1n])
+    })
+    it('should be cancellable with an AbortSignal', async function () {
+      // a minimal AbortSignal-like object, since AbortController is not available in every supported Node version
+      const listeners = []
+      const signal = {
+        aborted: false,
+        addEventListener: (type, listener) => listeners.push(listener),
+        removeEventListener: (type, listener) => listeners.splice(listeners.indexOf(listener), 1)
+      }
+      const promise = _pkg.encryptBatch(publicKey, messages, { workers: 1, chunkSize: 1, signal })
+      signal.aborted = true
+      listeners.slice().forEach(listener => listener())
+      let error = null
+      try {
+        await promise
+      } catch (err) {
+        error = err
+      }
+      chai.expect(error).to.not.equal(null)
+      chai.expect(error.name).to.equal('AbortError')
+      let aborted = null
+      try {
+        await _pkg.decryptBatch(privateKey, [publicKey.encrypt(1n)], { signal })
+      } catch (err) {
+        aborted = err
+      }
+      chai.expect(aborted).to.not.equal(null)
+      chai.expect(listeners.length).to.equal(0)
+    })
+    it('should reject if a worker exits without replying', async function () {
+      let workerThreads
+      try {
+        workerThreads = require('worker_threads')
+      } catch (error) {
+        this.skip()
+      }
+      const { Worker } = workerThreads
+      workerThreads.Worker = class extends Worker {
+        constructor (code, options) {
+          super('process.exit(3)', options)
+        }
+      }
+      let error = null
+      try {
+        await _pkg.encryptBatch(publicKey, messages, { workers: 2 })
+      } catch (err) {
+        error = err
+      } finally {
+        workerThreads.Worker = Worker
+      }
+      chai.expect(error).to.be.instanceOf(Error)
+      chai.expect(error.message).to.include('exited with code 3')
+    })
+    it('should refuse invalid options', async function () {
+      let error = null
+      try {
+        await _pkg.encryptBatch(publicKey, messages, { workers: 0 })
+      } catch (err) {
+        error = err
+      }
+      chai.expect(error).to.be.instanceOf(RangeError)
+    })
+  })
+})
@@ -0,0 +1,44 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+
+const bcu = require('bigint-crypto-utils')
+
+describe('CRT-accelerated decryption', function () {
+  this.timeout(120000)
+  const tests = 16
+  const variants = [false, true]
+  for (const simpleVariant of variants) {
+    describe(`Keys generated with simpleVariant = ${simpleVariant}`, function () {
+      let keyPair, privateKeyNoPrimes
+      before(async function () {
+        keyPair = await _pkg.generateRandomKeys(1024, simpleVariant)
+        privateKeyNoPrimes = new _pkg.PrivateKey(keyPair.privateKey.lambda, keyPair.privateKey.mu, keyPair.publicKey)
+      })
+      it('should only use the CRT path when p and q are known', function () {
+        chai.expect(keyPair.privateKey._crt).to.not.equal(null)
+        chai.expect(privateKeyNoPrimes._crt).to.equal(null)
+      })
+      it(`both decryption paths should agree for ${tests} random plaintexts and the edge cases 0 and n-1`, function () {
+        const n = keyPair.publicKey.n
+        const numbers = [0n, n - 1n]
+        for (let i = 0; i < tests; i++) numbers.push(bcu.randBetween(n - 1n, 0n))
+        for (const m of numbers) {
+          const c = keyPair.publicKey.encrypt(m)
+          chai.expect(keyPair.privateKey.decrypt(c)).to.equal(m)
+          chai.expect(privateKeyNoPrimes.decrypt(c)).to.equal(m)
+        }
+      })
+      it('both decryption paths should agree on homomorphically computed ciphertexts', function () {
+        const c1 = keyPair.publicKey.encrypt(bcu.randBetween(keyPair.publicKey.n))
+        const c2 = keyPair.publicKey.encrypt(bcu.randBetween(keyPair.publicKey.n))
+        const c = keyPair.publicKey.multiply(keyPair.publicKey.addition(c1, c2), 7n)
+        chai.expect(keyPair.privateKey.decrypt(c)).to.equal(privateKeyNoPrimes.decrypt(c))
+      })
+    })
+  }
+})
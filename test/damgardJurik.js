@@ -0,0 +1,69 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+const bcu = require('bigint-crypto-utils')
+
+describe('Damgård-Jurik', function () {
+  this.timeout(120000)
+  let keyPair, simpleKeyPair
+  before(async function () {
+    keyPair = await _pkg.generateRandomKeys(512)
+    simpleKeyPair = await _pkg.generateRandomKeys(512, true)
+  })
+
+  for (const simpleVariant of [false, true]) {
+    describe(simpleVariant ? 'with g = n+1' : 'with a random g', function () {
+      it('should match Paillier when s = 1', function () {
+        const { publicKey, privateKey } = simpleVariant ? simpleKeyPair : keyPair
+        const djPublicKey = _pkg.DamgardJurikPublicKey.fromPublicKey(publicKey, 1)
+        const djPrivateKey = _pkg.DamgardJurikPrivateKey.fromPrivateKey(privateKey, 1)
+        const m = bcu.randBetween(publicKey.n - 1n, 0n)
+        const r = bcu.randBetween(publicKey.n)
+        const c = publicKey.encrypt(m, r)
+        chai.expect(djPublicKey.encrypt(m, r)).to.equal(c)
+        chai.expect(djPrivateKey.decrypt(c)).to.equal(m)
+        const c2 = publicKey.encrypt(5n)
+        chai.expect(djPublicKey.addition(c, c2)).to.equal(publicKey.addition(c, c2))
+        chai.expect(djPublicKey.multiply(c, 7n)).to.equal(publicKey.multiply(c, 7n))
+        chai.expect(privateKey.decrypt(djPublicKey.encrypt(m))).to.equal(m)
+      })
+      for (const s of [2, 3]) {
+        it(`should encrypt plaintexts larger than n with s = ${s}`, function () {
+          const { privateKey } = simpleVariant ? simpleKeyPair : keyPair
+          const djPrivateKey = _pkg.DamgardJurikPrivateKey.fromPrivateKey(privateKey, s)
+          const djPublicKey = djPrivateKey.publicKey
+          chai.expect(djPublicKey.ns).to.equal(djPublicKey.n ** BigInt(s))
+          const m1 = bcu.randBetween(djPublicKey.ns - 1n, 0n)
+          const m2 = djPublicKey.n + 12345n
+          const c1 = djPublicKey.encrypt(m1)
+          const c2 = djPublicKey.encrypt(m2)
+          chai.expect(c1 < djPublicKey.n ** BigInt(s + 1)).to.equal(true)
+          chai.expect(djPrivateKey.decrypt(c1)).to.equal(m1)
+          chai.expect(djPrivateKey.decrypt(djPublicKey.addition(c1, c2))).to.equal((m1 + m2) % djPublicKey.ns)
+          chai.expect(djPrivateKey.decrypt(djPublicKey.multiply(c2, 3n))).to.equal(3n * m2)
+          chai.expect(djPrivateKey.decrypt(djPublicKey.multiply(c2, -1n))).to.equal(djPublicKey.ns - m2)
+        })
+      }
+    })
+  }
+  it('should throw RangeError if s is not a positive integer', function () {
+    chai.expect(() => _pkg.DamgardJurikPublicKey.fromPublicKey(keyPair.publicKey, 0)).to.throw(RangeError)
+    chai.expect(() => _pkg.DamgardJurikPublicKey.fromPublicKey(keyPair.publicKey, 1.5)).to.throw(RangeError)
+  })
+  it('should validate plaintexts and ciphertexts in strict mode', function () {
+    const djPrivateKey = _pkg.DamgardJurikPrivateKey.fromPrivateKey(keyPair.privateKey, 2)
+    const djPublicKey = djPrivateKey.publicKey
+    _pkg.setStrictValidation(true)
+    try {
+      chai.expect(() => djPublicKey.encrypt(djPublicKey.ns)).to.throw(_pkg.InvalidPlaintextError)
+      chai.expect(() => djPrivateKey.decrypt(djPublicKey.n ** 3n)).to.throw(_pkg.InvalidCiphertextError)
+      chai.expect(djPrivateKey.decrypt(djPublicKey.encrypt(djPublicKey.ns - 1n))).to.equal(djPublicKey.ns - 1n)
+    } finally {
+      _pkg.setStrictValidation(false)
+    }
+  })
+})
@@ -0,0 +1,53 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+
+describe('Proof of correct decryption', function () {
+  this.timeout(120000)
+  const variants = [
+    { name: 'simple variant', simpleVariant: true },
+    { name: 'random g', simpleVariant: false }
+  ]
+  for (const variant of variants) {
+    describe(`keys with ${variant.name}`, function () {
+      let publicKey, privateKey
+      before(async function () {
+        ({ publicKey, privateKey } = await _pkg.generateRandomKeys(512, variant.simpleVariant))
+      })
+
+      it('should decrypt and prove the correctness of the decryption', function () {
+        const c = publicKey.encrypt(1234n)
+        const { plaintext, proof } = privateKey.decryptWithProof(c)
+        chai.expect(plaintext).to.equal(1234n)
+        chai.expect(_pkg.verifyDecryption(publicKey, c, plaintext, proof)).to.equal(true)
+      })
+      it('should reject a wrong plaintext or ciphertext', function () {
+        const c = publicKey.encrypt(1234n)
+        const { plaintext, proof } = privateKey.decryptWithProof(c)
+        chai.expect(_pkg.verifyDecryption(publicKey, c, plaintext + 1n, proof)).to.equal(false)
+        chai.expect(_pkg.verifyDecryption(publicKey, publicKey.encrypt(1234n), plaintext, proof)).to.equal(false)
+      })
+      it('should work with a private key without the primes p and q', function () {
+        const withoutPrimes = new _pkg.PrivateKey(privateKey.lambda, privateKey.mu, publicKey)
+        const c = publicKey.addition(publicKey.encrypt(20n), publicKey.encrypt(22n))
+        const { plaintext, proof } = withoutPrimes.decryptWithProof(c)
+        chai.expect(plaintext).to.equal(42n)
+        chai.expect(_pkg.verifyDecryption(publicKey, c, 42n, proof)).to.equal(true)
+      })
+      it('should serialize proofs with encryptionProof', function () {
+        const c = publicKey.encrypt(7n)
+        const { proof } = privateKey.decryptWithProof(c)
+        const json = JSON.stringify(_pkg.encryptionProof.toJSON(proof))
+        chai.expect(_pkg.verifyDecryption(publicKey, c, 7n, _pkg.encryptionProof.fromJSON(json))).to.equal(true)
+      })
+    })
+  }
+  it('should refuse to prove the decryption of an invalid ciphertext', async function () {
+    const { publicKey, privateKey } = await _pkg.generateRandomKeys(512, true)
+    chai.expect(() => privateKey.decryptWithProof(publicKey.n)).to.throw(_pkg.InvalidCiphertextError)
+  })
+})
@@ -0,0 +1,97 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+
+function hex (buf) {
+  return Array.from(buf).map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+function unhex (str) {
+  return new Uint8Array(str.match(/.{2}/g).map(b => parseInt(b, 16)))
+}
+
+describe('DER/PEM encoding of keys and ciphertexts', function () {
+  this.timeout(120000)
+  let keyPair
+  before(async function () {
+    keyPair = await _pkg.generateRandomKeys(1024)
+  })
+
+  describe('Known encodings', function () {
+    const { publicKey, privateKey } = _pkg.keysFromPrimesSimple(11n, 13n)
+    it('should encode a PaillierPublicKey as SEQUENCE { n, g }', function () {
+      chai.expect(hex(publicKey.toDER())).to.equal('3008020200' + '8f' + '020200' + '90')
+    })
+    it('should encode a PaillierPrivateKey as SEQUENCE { version, n, g, lambda, mu, [0] p, [1] q }', function () {
+      chai.expect(hex(privateKey.toDER())).to.equal('3017' + '020100' + '020200' + '8f' + '020200' + '90' + '020178' + '020157' + '80010b' + '81010d')
+    })
+    it('should encode a PaillierCiphertext as an INTEGER', function () {
+      chai.expect(hex(_pkg.ciphertextToDER(0x80n))).to.equal('02020080')
+      chai.expect(_pkg.ciphertextFromDER(unhex('02020080'))).to.equal(0x80n)
+    })
+  })
+
+  describe('Roundtrips', function () {
+    it('PublicKey.fromDER(publicKey.toDER()) and PublicKey.fromPEM(publicKey.toPEM()) should return the same key', function () {
+      for (const publicKey of [_pkg.PublicKey.fromDER(keyPair.publicKey.toDER()), _pkg.PublicKey.fromPEM(keyPair.publicKey.toPEM())]) {
+        chai.expect(publicKey.n).to.equal(keyPair.publicKey.n)
+        chai.expect(publicKey.g).to.equal(keyPair.publicKey.g)
+      }
+    })
+    it('PrivateKey.fromDER(privateKey.toDER()) and PrivateKey.fromPEM(privateKey.toPEM()) should return the same key', function () {
+      for (const privateKey of [_pkg.PrivateKey.fromDER(keyPair.privateKey.toDER()), _pkg.PrivateKey.fromPEM(keyPair.privateKey.toPEM())]) {
+        chai.expect(privateKey.lambda).to.equal(keyPair.privateKey.lambda)
+        chai.expect(privateKey.mu).to.equal(keyPair.privateKey.mu)
+        chai.expect(privateKey._p).to.equal(keyPair.privateKey._p)
+        chai.expect(privateKey._q).to.equal(keyPair.privateKey._q)
+      }
+    })
+    it('a private key without p and q should be encoded without them', function () {
+      const privateKey = new _pkg.PrivateKey(keyPair.privateKey.lambda, keyPair.privateKey.mu, keyPair.publicKey)
+      const imported = _pkg.PrivateKey.fromDER(privateKey.toDER(), keyPair.publicKey)
+      chai.expect(imported._p).to.equal(null)
+      chai.expect(imported._q).to.equal(null)
+    })
+    it('a ciphertext should survive a PEM roundtrip', function () {
+      const c = keyPair.publicKey.encrypt(42n)
+      const pem = _pkg.ciphertextToPEM(c)
+      chai.expect(pem).to.match(/^-----BEGIN PAILLIER CIPHERTEXT-----\n/)
+      chai.expect(keyPair.privateKey.decrypt(_pkg.ciphertextFromPEM(pem))).to.equal(42n)
+    })
+  })
+
+  describe('Invalid inputs', function () {
+    it('should throw TypeError on malformed DER', function () {
+      const der = keyPair.publicKey.toDER()
+      chai.expect(() => _pkg.PublicKey.fromDER(der.subarray(0, der.length - 1))).to.throw(TypeError)
+      chai.expect(() => _pkg.PublicKey.fromDER(unhex('3080020100020100'))).to.throw(TypeError)
+      chai.expect(() => _pkg.ciphertextFromDER(unhex('0202000f'))).to.throw(TypeError)
+      chai.expect(() => _pkg.ciphertextFromDER(unhex('0201ff'))).to.throw(TypeError)
+    })
+    it('should throw TypeError on deeply nested DER instead of overflowing the stack', function () {
+      let der = unhex('3000')
+      for (let i = 0; i < 10000; i++) {
+        const len = der.length
+        const lengthBytes = (len < 0x80) ? [len] : (len < 0x100) ? [0x81, len] : (len < 0x10000) ? [0x82, len >> 8, len & 0xff] : [0x83, len >> 16, (len >> 8) & 0xff, len & 0xff]
+        const wrapped = new Uint8Array(1 + lengthBytes.length + len)
+        wrapped.set([0x30, ...lengthBytes])
+        wrapped.set(der, 1 + lengthBytes.length)
+        der = wrapped
+      }
+      chai.expect(() => _pkg.PublicKey.fromDER(der)).to.throw(TypeError, 'nesting')
+      chai.expect(() => _pkg.PublicKey.fromDER(unhex('30023000'))).to.throw(TypeError)
+    })
+    it('should throw TypeError on a PEM block with a wrong label', function () {
+      chai.expect(() => _pkg.PrivateKey.fromPEM(keyPair.publicKey.toPEM())).to.throw(TypeError)
+    })
+    it('should throw RangeError if the private key does not match its public parameters', function () {
+      const der = keyPair.privateKey.toDER()
+      der[der.length - 1] ^= 0x02 // corrupt q
+      chai.expect(() => _pkg.PrivateKey.fromDER(der)).to.throw(RangeError)
+    })
+  })
+})
@@ -0,0 +1,49 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+
+describe('Deterministic randomness (testing only)', function () {
+  this.timeout(120000)
+  const options = seed => ({ bitLength: 512, allowWeakKeys: true, randomSource: new _pkg.HmacDrbg(seed) })
+
+  it('HmacDrbg should be deterministic', function () {
+    const a = new _pkg.HmacDrbg('seed')
+    const b = new _pkg.HmacDrbg(new Uint8Array([0x73, 0x65, 0x65, 0x64]))
+    const bytes = a.randomBytes(100)
+    chai.expect(bytes.length).to.equal(100)
+    chai.expect(b.randomBytes(100)).to.deep.equal(bytes)
+    chai.expect(a.randomBytes(100)).to.not.deep.equal(bytes)
+    chai.expect(new _pkg.HmacDrbg('seed', 'personalization').randomBytes(100)).to.not.deep.equal(bytes)
+    const c = new _pkg.HmacDrbg('seed')
+    c.reseed('more entropy')
+    chai.expect(c.randomBytes(100)).to.not.deep.equal(bytes)
+    chai.expect(() => new _pkg.HmacDrbg(42)).to.throw(TypeError)
+  })
+  it('should generate the same keys from the same seed', async function () {
+    const keyPair = await _pkg.generateRandomKeys(options('test seed'))
+    chai.expect(keyPair.publicKey.bitLength).to.equal(512)
+    for (const other of [await _pkg.generateRandomKeys(options('test seed')), _pkg.generateRandomKeysSync(options('test seed'))]) {
+      chai.expect(other.publicKey.equals(keyPair.publicKey)).to.equal(true)
+      chai.expect(other.privateKey.lambda).to.equal(keyPair.privateKey.lambda)
+      chai.expect(other.privateKey.mu).to.equal(keyPair.privateKey.mu)
+    }
+    const different = _pkg.generateRandomKeysSync(options('another seed'))
+    chai.expect(different.publicKey.n).to.not.equal(keyPair.publicKey.n)
+    chai.expect((await keyPair.privateKey.validate({ minBitLength: 512 })).valid).to.equal(true)
+  })
+  it('should generate the same ciphertexts from the same seed', function () {
+    const { publicKey, privateKey } = _pkg.generateRandomKeysSync(options('test seed'))
+    const c1 = publicKey.encrypt(123n, null, new _pkg.HmacDrbg('encryption seed'))
+    const c2 = publicKey.encrypt(123n, null, new _pkg.HmacDrbg('encryption seed'))
+    chai.expect(c1).to.equal(c2)
+    chai.expect(publicKey.encrypt(123n)).to.not.equal(c1)
+    chai.expect(privateKey.decrypt(c1)).to.equal(123n)
+  })
+  it('should throw TypeError if the random source is not valid', function () {
+    chai.expect(() => _pkg.generateRandomKeysSync({ bitLength: 512, allowWeakKeys: true, randomSource: {} })).to.throw(TypeError)
+  })
+})
@@ -0,0 +1,101 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+
+describe('EncodedNumber and EncryptedNumber (python-paillier compatible)', function () {
+  this.timeout(120000)
+  let publicKey, privateKey
+  before(async function () {
+    ({ publicKey, privateKey } = await _pkg.generateRandomKeys(1024))
+  })
+
+  it('should encode floats with base-16 exponents as python-paillier', function () {
+    const encoded = _pkg.EncodedNumber.encode(publicKey, 15.1)
+    chai.expect(encoded.exponent).to.equal(-13)
+    chai.expect(encoded.decode()).to.equal(15.1)
+    for (const value of [0, -0.5, 1e-20, -123456.789]) {
+      chai.expect(_pkg.EncodedNumber.encode(publicKey, value).decode()).to.equal(value)
+    }
+    // large floats get a non-negative exponent and are thus decoded as integers
+    chai.expect(_pkg.EncodedNumber.encode(publicKey, 2 ** 60).decode()).to.equal(2n ** 60n)
+  })
+  it('should encode fixed-precision decimals', function () {
+    const encoded = _pkg.EncodedNumber.encode(publicKey, 0.1, 0.01)
+    chai.expect(encoded.exponent).to.equal(-2)
+    chai.expect(encoded.encoding).to.equal(26n)
+    const cents = _pkg.EncodedNumber.encode(publicKey, -19.99, 0.01)
+    chai.expect(Math.abs(cents.decode() - -19.99)).to.be.below(0.01)
+  })
+  it('should encode bigints as integers', function () {
+    const encoded = _pkg.EncodedNumber.encode(publicKey, -12345678901234567890n)
+    chai.expect(encoded.exponent).to.equal(0)
+    chai.expect(encoded.decode()).to.equal(-12345678901234567890n)
+  })
+  it('should encrypt and decrypt numbers', function () {
+    for (const value of [3.75, -0.001, 42n]) {
+      chai.expect(_pkg.EncryptedNumber.encrypt(publicKey, value).decrypt(privateKey)).to.equal(value)
+    }
+  })
+  it('should align exponents in homomorphic additions', function () {
+    const a = _pkg.EncryptedNumber.encrypt(publicKey, 1.5)
+    const b = _pkg.EncryptedNumber.encrypt(publicKey, 0.015625, 0.01)
+    chai.expect(a.exponent).to.not.equal(b.exponent)
+    const sum = a.add(b)
+    chai.expect(sum.exponent).to.equal(Math.min(a.exponent, b.exponent))
+    chai.expect(sum.decrypt(privateKey)).to.equal(1.515625)
+    chai.expect(a.add(-2.25).decrypt(privateKey)).to.equal(-0.75)
+    chai.expect(_pkg.EncryptedNumber.encrypt(publicKey, 10n).add(0.5).decrypt(privateKey)).to.equal(10.5)
+  })
+  it('should multiply by non-integer scalars', function () {
+    const a = _pkg.EncryptedNumber.encrypt(publicKey, 2.5)
+    chai.expect(a.mul(1.5).decrypt(privateKey)).to.equal(3.75)
+    chai.expect(a.mul(-0.25).decrypt(privateKey)).to.equal(-0.625)
+    chai.expect(a.mul(4n).decrypt(privateKey)).to.equal(10)
+    chai.expect(() => a.mul(a)).to.throw(TypeError, 'Multiplying two encrypted numbers is not supported')
+  })
+  it('should throw RangeError on overflows', function () {
+    chai.expect(() => _pkg.EncodedNumber.encode(publicKey, publicKey.maxInt + 1n)).to.throw(RangeError)
+    chai.expect(() => _pkg.EncodedNumber.encode(publicKey, Infinity)).to.throw(RangeError)
+    const big = _pkg.EncryptedNumber.encrypt(publicKey, publicKey.maxInt)
+    chai.expect(() => big.add(big).decrypt(privateKey)).to.throw(RangeError)
+  })
+  it('should subtract, negate and rerandomize', function () {
+    const a = _pkg.EncryptedNumber.encrypt(publicKey, 5.5)
+    const b = _pkg.EncryptedNumber.encrypt(publicKey, 0.25)
+    chai.expect(a.sub(b).decrypt(privateKey)).to.equal(5.25)
+    chai.expect(b.sub(a).decrypt(privateKey)).to.equal(-5.25)
+    chai.expect(a.sub(1.5).decrypt(privateKey)).to.equal(4)
+    chai.expect(a.sub(_pkg.EncodedNumber.encode(publicKey, 2n)).decrypt(privateKey)).to.equal(3.5)
+    chai.expect(a.neg().decrypt(privateKey)).to.equal(-5.5)
+    const c = a.rerandomize()
+    chai.expect(c.ciphertext).to.not.equal(a.ciphertext)
+    chai.expect(c.decrypt(privateKey)).to.equal(5.5)
+  })
+  it('should compare and serialize encrypted numbers', function () {
+    const a = _pkg.EncryptedNumber.encrypt(publicKey, -7.125)
+    chai.expect(a.equals(new _pkg.EncryptedNumber(publicKey, a.ciphertext, a.exponent))).to.equal(true)
+    chai.expect(a.equals(a.rerandomize())).to.equal(false)
+    const imported = _pkg.EncryptedNumber.fromJSON(JSON.stringify(a))
+    chai.expect(imported.equals(a)).to.equal(true)
+    chai.expect(imported.decrypt(privateKey)).to.equal(-7.125)
+    chai.expect(_pkg.EncryptedNumber.fromJSON(a.toJSON(), publicKey).publicKey).to.equal(publicKey)
+    chai.expect(() => _pkg.EncryptedNumber.fromJSON('{')).to.throw(TypeError)
+    chai.expect(() => _pkg.EncryptedNumber.fromJSON({ ...a.toJSON(), exponent: 0.5 })).to.throw(TypeError)
+    chai.expect(() => _pkg.EncryptedNumber.fromJSON({ ...a.toJSON(), ciphertext: 'AA' })).to.throw(RangeError)
+  })
+  it('should throw KeyMismatchError when operands were encrypted under different keys', async function () {
+    const other = await _pkg.generateRandomKeys(512)
+    const a = _pkg.EncryptedNumber.encrypt(publicKey, 1n)
+    const b = _pkg.EncryptedNumber.encrypt(other.publicKey, 1n)
+    chai.expect(() => a.add(b)).to.throw(_pkg.KeyMismatchError)
+    chai.expect(() => a.sub(b)).to.throw(_pkg.KeyMismatchError)
+    chai.expect(() => a.mul(_pkg.EncodedNumber.encode(other.publicKey, 2n))).to.throw(_pkg.KeyMismatchError)
+    chai.expect(() => _pkg.EncryptedNumber.fromJSON(a.toJSON(), other.publicKey)).to.throw(_pkg.KeyMismatchError)
+    chai.expect(() => _pkg.EncryptedNumber.encrypt(publicKey, _pkg.EncodedNumber.encode(other.publicKey, 2n))).to.throw(_pkg.KeyMismatchError)
+    chai.expect(a.equals(new _pkg.EncryptedNumber(other.publicKey, a.ciphertext, a.exponent))).to.equal(false)
+  })
+})
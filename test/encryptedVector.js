@@ -0,0 +1,59 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+
+describe('Encrypted vectors', function () {
+  this.timeout(120000)
+  let publicKey, privateKey, v
+  const values = [3n, 0n, 25n, 7n]
+  before(async function () {
+    ({ publicKey, privateKey } = await _pkg.generateRandomKeys(512))
+    v = _pkg.EncryptedVector.encrypt(publicKey, values)
+  })
+
+  it('should encrypt and decrypt vectors', function () {
+    chai.expect(v.length).to.equal(4)
+    chai.expect(v.decrypt(privateKey)).to.deep.equal(values)
+  })
+  it('should add encrypted and plaintext vectors element-wise', function () {
+    const w = _pkg.EncryptedVector.encrypt(publicKey, [1, 2, 3, 4])
+    chai.expect(v.add(w).decrypt(privateKey)).to.deep.equal([4n, 2n, 28n, 11n])
+    chai.expect(v.add([10n, 10n, 10n, 10n]).decrypt(privateKey)).to.deep.equal([13n, 10n, 35n, 17n])
+  })
+  it('should multiply by plaintext scalars and vectors element-wise', function () {
+    chai.expect(v.multiply(3n).decrypt(privateKey)).to.deep.equal([9n, 0n, 75n, 21n])
+    chai.expect(v.multiply([1n, 5n, 2n, -1n]).decrypt(privateKey)).to.deep.equal([3n, 0n, 50n, publicKey.n - 7n])
+  })
+  it('should sum the elements', function () {
+    chai.expect(privateKey.decrypt(v.sum())).to.equal(35n)
+  })
+  it('should compute dot products with plaintext vectors, with negative weights', function () {
+    const weights = [2n, 1000n, -1n, 2n ** 100n]
+    const expected = (2n * 3n - 25n + 7n * 2n ** 100n) % publicKey.n
+    const c = v.dot(weights)
+    chai.expect(privateKey.decrypt(c)).to.equal(expected)
+    // the multi-exponentiation matches one multiply() per term
+    chai.expect(c).to.equal(publicKey.addition(...v.ciphertexts.map((ci, i) => publicKey.multiply(ci, weights[i]))))
+  })
+  it('should multiply a plaintext matrix by an encrypted vector', function () {
+    const matrix = [
+      [1, 0, 0, 0],
+      [1, 1, 1, 1],
+      [0, -2, 4, 3]
+    ]
+    const result = v.matrixMultiply(matrix)
+    chai.expect(result).to.be.instanceOf(_pkg.EncryptedVector)
+    chai.expect(result.decrypt(privateKey)).to.deep.equal([3n, 35n, 121n])
+  })
+  it('should refuse vectors of different lengths or keys', async function () {
+    chai.expect(() => v.add([1n])).to.throw(RangeError)
+    chai.expect(() => v.dot([1n, 2n])).to.throw(RangeError)
+    chai.expect(() => v.matrixMultiply([[1n, 2n, 3n, 4n], [1n]])).to.throw(RangeError)
+    const other = await _pkg.generateRandomKeys(512)
+    chai.expect(() => v.add(_pkg.EncryptedVector.encrypt(other.publicKey, values))).to.throw(_pkg.KeyMismatchError)
+  })
+})
@@ -0,0 +1,68 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+const bcu = require('bigint-crypto-utils')
+
+describe('Proof of encryption of a known value', function () {
+  this.timeout(120000)
+  const { prove, verify, toJSON, fromJSON } = _pkg.encryptionProof
+  let publicKey, privateKey
+  before(async function () {
+    ({ publicKey, privateKey } = await _pkg.generateRandomKeys(512, true))
+  })
+
+  for (const m of [0n, 42n]) {
+    it(`should prove that a ciphertext encrypts ${m}`, function () {
+      const r = bcu.randBetween(publicKey.n)
+      const c = publicKey.encrypt(m, r)
+      const proof = prove(publicKey, c, m, r)
+      chai.expect(verify(publicKey, c, m, proof)).to.equal(true)
+      chai.expect(verify(publicKey, c, m + 1n, proof)).to.equal(false)
+      chai.expect(verify(publicKey, publicKey.encrypt(m), m, proof)).to.equal(false)
+    })
+  }
+  it('should work with random factors recovered with getRandomFactor()', function () {
+    const c = publicKey.encrypt(7n)
+    chai.expect(verify(publicKey, c, 7n, prove(publicKey, c, 7n, privateKey.getRandomFactor(c)))).to.equal(true)
+  })
+  it('should work with keys with a random g', async function () {
+    const { publicKey } = await _pkg.generateRandomKeys(512)
+    const r = bcu.randBetween(publicKey.n)
+    const c = publicKey.encrypt(99n, r)
+    chai.expect(verify(publicKey, c, 99n, prove(publicKey, c, 99n, r))).to.equal(true)
+  })
+  it('should reject proofs made without knowing r', function () {
+    const r = bcu.randBetween(publicKey.n)
+    const c = publicKey.encrypt(5n, r)
+    chai.expect(verify(publicKey, c, 5n, prove(publicKey, c, 5n, r + 1n))).to.equal(false)
+    const { e, z } = prove(publicKey, c, 5n, r)
+    chai.expect(verify(publicKey, c, 5n, { e: e + 1n, z })).to.equal(false)
+    chai.expect(verify(publicKey, c, 5n, { e, z: z * 2n % publicKey.n })).to.equal(false)
+    chai.expect(verify(publicKey, c, 5n, { e, z: 0n })).to.equal(false)
+  })
+  it('should return false instead of throwing on malformed inputs', function () {
+    const r = bcu.randBetween(publicKey.n)
+    const c = publicKey.encrypt(5n, r)
+    const proof = prove(publicKey, c, 5n, r)
+    for (const m of ['abc', 1.5, null, undefined, {}, NaN]) {
+      chai.expect(verify(publicKey, c, m, proof)).to.equal(false)
+    }
+    chai.expect(verify(publicKey, c, 5, proof)).to.equal(true)
+    chai.expect(verify(publicKey, c, 5n, null)).to.equal(false)
+  })
+  it('should serialize proofs', function () {
+    const r = bcu.randBetween(publicKey.n)
+    const c = publicKey.encrypt(5n, r)
+    const proof = prove(publicKey, c, 5n, r)
+    const json = JSON.stringify(toJSON(proof))
+    chai.expect(fromJSON(json)).to.deep.equal(proof)
+    chai.expect(verify(publicKey, c, 5n, fromJSON(JSON.parse(json)))).to.equal(true)
+    chai.expect(() => fromJSON('{')).to.throw(TypeError)
+    chai.expect(() => fromJSON({ ...toJSON(proof), type: 'RangeProof' })).to.throw(TypeError)
+    chai.expect(() => fromJSON({ ...toJSON(proof), z: undefined })).to.throw(TypeError)
+  })
+})
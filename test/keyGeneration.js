@@ -0,0 +1,70 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+const bcu = require('bigint-crypto-utils')
+
+describe('Key generation options', function () {
+  this.timeout(120000)
+
+  it('should refuse keys shorter than 2048 bits unless allowWeakKeys is set', async function () {
+    let error
+    try {
+      await _pkg.generateRandomKeys({ bitLength: 1024 })
+    } catch (e) {
+      error = e
+    }
+    chai.expect(error).to.be.instanceOf(RangeError)
+    chai.expect(() => _pkg.generateRandomKeysSync({ bitLength: 1024 })).to.throw(RangeError)
+    const { publicKey } = await _pkg.generateRandomKeys({ bitLength: 512, allowWeakKeys: true })
+    chai.expect(publicKey.bitLength).to.equal(512)
+  })
+  it('should keep accepting the legacy (bitLength, simpleVariant) arguments', function () {
+    const { publicKey } = _pkg.generateRandomKeysSync(256, true)
+    chai.expect(publicKey.bitLength).to.equal(256)
+    chai.expect(publicKey.g).to.equal(publicKey.n + 1n)
+  })
+  it('should throw on invalid options', function () {
+    chai.expect(() => _pkg.generateRandomKeysSync({ bitLength: '2048' })).to.throw(TypeError)
+    chai.expect(() => _pkg.generateRandomKeysSync({ bitLength: 256, allowWeakKeys: true, millerRabinRounds: 0 })).to.throw(RangeError)
+    chai.expect(() => _pkg.generateRandomKeysSync({ bitLength: 256, allowWeakKeys: true, minPrimeDistance: 2n ** 127n })).to.throw(RangeError)
+  })
+  for (const sync of [false, true]) {
+    describe(sync ? 'generateRandomKeysSync' : 'generateRandomKeys', function () {
+      const generate = sync ? _pkg.generateRandomKeysSync : _pkg.generateRandomKeys
+
+      it('should generate safe primes', async function () {
+        const { publicKey, privateKey } = await generate({ bitLength: 256, allowWeakKeys: true, safePrimes: true, simpleVariant: true })
+        const { p, q } = privateKey._crt
+        chai.expect(publicKey.bitLength).to.equal(256)
+        chai.expect(publicKey.g).to.equal(publicKey.n + 1n)
+        chai.expect(await bcu.isProbablyPrime((p - 1n) / 2n)).to.equal(true)
+        chai.expect(await bcu.isProbablyPrime((q - 1n) / 2n)).to.equal(true)
+        chai.expect(privateKey.decrypt(publicKey.encrypt(42n))).to.equal(42n)
+      })
+      if (!sync) {
+        it('should yield to the event loop while searching for safe primes', async function () {
+          let ticks = 0
+          const interval = setInterval(() => ticks++, 1)
+          try {
+            await generate({ bitLength: 512, allowWeakKeys: true, safePrimes: true })
+          } finally {
+            clearInterval(interval)
+          }
+          chai.expect(ticks).to.be.above(1)
+        })
+      }
+      it('should enforce the minimum distance between the primes', async function () {
+        const minPrimeDistance = 2n ** 125n
+        const { publicKey, privateKey } = await generate({ bitLength: 256, allowWeakKeys: true, minPrimeDistance, millerRabinRounds: 24 })
+        const { p, q } = privateKey._crt
+        chai.expect(bcu.abs(p - q) > minPrimeDistance).to.equal(true)
+        chai.expect(bcu.gcd(publicKey.n, (p - 1n) * (q - 1n))).to.equal(1n)
+        chai.expect((await privateKey.validate({ minBitLength: 256 })).valid).to.equal(true)
+      })
+    })
+  }
+})
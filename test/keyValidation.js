@@ -0,0 +1,64 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+
+function failedChecks (report) {
+  return report.checks.filter(check => !check.passed).map(check => check.name)
+}
+
+describe('Key validation', function () {
+  this.timeout(120000)
+  const options = { minBitLength: 512 }
+  let keyPair, simpleKeyPair
+  before(async function () {
+    keyPair = await _pkg.generateRandomKeys(512)
+    simpleKeyPair = await _pkg.generateRandomKeys(512, true)
+  })
+
+  it('should validate generated keys', async function () {
+    for (const { publicKey, privateKey } of [keyPair, simpleKeyPair]) {
+      const publicReport = await publicKey.validate(options)
+      chai.expect(publicReport.valid).to.equal(true)
+      chai.expect(publicReport.checks.map(check => check.name)).to.include.members(['modulus', 'modulusSize', 'modulusComposite', 'generator'])
+      const privateReport = await privateKey.validate(options)
+      chai.expect(privateReport.valid).to.equal(true)
+      chai.expect(privateReport.checks.map(check => check.name)).to.include.members(['primes', 'lambda', 'generatorOrder', 'mu', 'roundtrip'])
+      chai.expect((await _pkg.validateKeyPair(publicKey, privateKey, options)).valid).to.equal(true)
+    }
+  })
+  it('should validate private keys whose primes are not known', async function () {
+    const { lambda, mu, publicKey } = keyPair.privateKey
+    chai.expect((await new _pkg.PrivateKey(lambda, mu, publicKey).validate(options)).valid).to.equal(true)
+  })
+  it('should report keys that are too short', async function () {
+    const report = await keyPair.publicKey.validate()
+    chai.expect(report.valid).to.equal(false)
+    chai.expect(failedChecks(report)).to.deep.equal(['modulusSize'])
+  })
+  it('should report invalid public parameters', async function () {
+    const { p } = keyPair.privateKey._crt
+    chai.expect(failedChecks(await new _pkg.PublicKey(p, p + 1n).validate({ minBitLength: 256 }))).to.deep.equal(['modulusComposite'])
+    chai.expect(failedChecks(await new _pkg.PublicKey(p * p, p).validate(options))).to.deep.equal(['modulusComposite', 'generator'])
+    chai.expect(failedChecks(await new _pkg.PublicKey(keyPair.publicKey.n + 1n, 2n).validate(options))).to.include('modulus')
+  })
+  it('should report corrupted private keys', async function () {
+    const { lambda, mu, publicKey, _p: p, _q: q } = keyPair.privateKey
+    // CRT decryption does not use mu and thus it still decrypts correctly
+    chai.expect(failedChecks(await new _pkg.PrivateKey(lambda, mu + 1n, publicKey, p, q).validate(options))).to.deep.equal(['mu'])
+    chai.expect(failedChecks(await new _pkg.PrivateKey(lambda, mu + 1n, publicKey).validate(options))).to.deep.equal(['mu', 'roundtrip'])
+    chai.expect(failedChecks(await new _pkg.PrivateKey(lambda + 1n, mu, publicKey).validate(options))).to.include.members(['lambda', 'roundtrip'])
+    chai.expect(failedChecks(await new _pkg.PrivateKey(lambda, mu, publicKey, p + 2n, q).validate(options))).to.include('primes')
+    // g = 1 has order 1
+    const badG = new _pkg.PrivateKey(lambda, mu, new _pkg.PublicKey(publicKey.n, 1n))
+    chai.expect(failedChecks(await badG.validate(options))).to.include.members(['generatorOrder', 'mu', 'roundtrip'])
+  })
+  it('should report key pairs that do not match', async function () {
+    const report = await _pkg.validateKeyPair(keyPair.publicKey, simpleKeyPair.privateKey, options)
+    chai.expect(report.valid).to.equal(false)
+    chai.expect(failedChecks(report)).to.deep.equal(['keyPair', 'roundtrip'])
+  })
+})
@@ -0,0 +1,110 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+const bcu = require('bigint-crypto-utils')
+
+describe('Membership and range proofs', function () {
+  this.timeout(120000)
+  let publicKey
+  before(async function () {
+    ({ publicKey } = await _pkg.generateRandomKeys(512, true))
+  })
+
+  describe('Membership proofs', function () {
+    const { prove, verify, toJSON, fromJSON } = _pkg.membershipProof
+    const votes = [0n, 1n]
+
+    for (const m of votes) {
+      it(`should prove that an encrypted vote ${m} is in {0, 1}`, function () {
+        const r = bcu.randBetween(publicKey.n)
+        const c = publicKey.encrypt(m, r)
+        const proof = prove(publicKey, c, m, r, votes)
+        chai.expect(verify(publicKey, c, votes, proof)).to.equal(true)
+        chai.expect(verify(publicKey, c, [0n, 2n], proof)).to.equal(false)
+        chai.expect(verify(publicKey, publicKey.encrypt(m), votes, proof)).to.equal(false)
+      })
+    }
+    it('should work with larger sets', function () {
+      const set = [3n, 5n, 8n, 13n]
+      const r = bcu.randBetween(publicKey.n)
+      const c = publicKey.encrypt(8n, r)
+      chai.expect(verify(publicKey, c, set, prove(publicKey, c, 8n, r, set))).to.equal(true)
+    })
+    it('should refuse to prove a plaintext that is not in the set', function () {
+      const r = bcu.randBetween(publicKey.n)
+      const c = publicKey.encrypt(1000n, r)
+      chai.expect(() => prove(publicKey, c, 1000n, r, votes)).to.throw(RangeError)
+    })
+    it('should reject a forged proof for a plaintext that is not in the set', function () {
+      const r = bcu.randBetween(publicKey.n)
+      const c = publicKey.encrypt(1000n, r)
+      // a proof for an encryption of 1 with the same randomness does not transfer
+      const proof = prove(publicKey, publicKey.encrypt(1n, r), 1n, r, votes)
+      chai.expect(verify(publicKey, c, votes, proof)).to.equal(false)
+      const { e, z } = prove(publicKey, publicKey.encrypt(0n, r), 0n, r, votes)
+      chai.expect(verify(publicKey, publicKey.encrypt(0n, r), votes, { e: [e[1], e[0]], z })).to.equal(false)
+      chai.expect(verify(publicKey, c, votes, { e: [e[0]], z: [z[0]] })).to.equal(false)
+    })
+    it('should return false instead of throwing on malformed sets', function () {
+      const r = bcu.randBetween(publicKey.n)
+      const c = publicKey.encrypt(1n, r)
+      const proof = prove(publicKey, c, 1n, r, votes)
+      for (const set of [[0n, 'abc'], [0n, 1.5], [null, 1n], [0n, {}], '01', []]) {
+        chai.expect(verify(publicKey, c, set, proof)).to.equal(false)
+      }
+      chai.expect(verify(publicKey, c, [0, 1], proof)).to.equal(true)
+      chai.expect(verify(publicKey, c, votes, null)).to.equal(false)
+    })
+    it('should serialize proofs', function () {
+      const r = bcu.randBetween(publicKey.n)
+      const c = publicKey.encrypt(1n, r)
+      const proof = prove(publicKey, c, 1n, r, votes)
+      const json = JSON.stringify(toJSON(proof))
+      chai.expect(fromJSON(json)).to.deep.equal(proof)
+      chai.expect(verify(publicKey, c, votes, fromJSON(json))).to.equal(true)
+      chai.expect(() => fromJSON({ ...toJSON(proof), type: 'EncryptionProof' })).to.throw(TypeError)
+    })
+  })
+
+  describe('Range proofs', function () {
+    const { prove, verify, toJSON, fromJSON } = _pkg.rangeProof
+
+    for (const [m, min, max] of [[0n, 0n, 100n], [100n, 0n, 100n], [37n, 18n, 120n], [5n, 5n, 5n]]) {
+      it(`should prove that an encryption of ${m} is in [${min}, ${max}]`, function () {
+        const r = bcu.randBetween(publicKey.n)
+        const c = publicKey.encrypt(m, r)
+        const proof = prove(publicKey, c, m, r, min, max)
+        chai.expect(verify(publicKey, c, min, max, proof)).to.equal(true)
+        chai.expect(verify(publicKey, publicKey.encrypt(m), min, max, proof)).to.equal(false)
+      })
+    }
+    it('should refuse to prove a plaintext out of range', function () {
+      const r = bcu.randBetween(publicKey.n)
+      chai.expect(() => prove(publicKey, publicKey.encrypt(101n, r), 101n, r, 0n, 100n)).to.throw(RangeError)
+      chai.expect(() => prove(publicKey, publicKey.encrypt(0n, r), 0n, r, 1n, 0n)).to.throw(RangeError)
+      chai.expect(() => prove(publicKey, publicKey.encrypt(0n, r), 0n, r, 0n, publicKey.n)).to.throw(RangeError)
+    })
+    it('should reject proofs for a different range or ciphertext', function () {
+      const r = bcu.randBetween(publicKey.n)
+      const c = publicKey.encrypt(50n, r)
+      const proof = prove(publicKey, c, 50n, r, 0n, 100n)
+      chai.expect(verify(publicKey, c, 0n, 40n, proof)).to.equal(false)
+      chai.expect(verify(publicKey, c, 60n, 100n, proof)).to.equal(false)
+      chai.expect(verify(publicKey, publicKey.addPlaintext(c, 100n), 0n, 100n, proof)).to.equal(false)
+      chai.expect(verify(publicKey, c, 0n, 100n, { ...proof, linkZ: [...proof.linkZ].reverse() })).to.equal(false)
+    })
+    it('should serialize proofs', function () {
+      const r = bcu.randBetween(publicKey.n)
+      const c = publicKey.encrypt(3n, r)
+      const proof = prove(publicKey, c, 3n, r, 0n, 7n)
+      const json = JSON.stringify(toJSON(proof))
+      chai.expect(fromJSON(json)).to.deep.equal(proof)
+      chai.expect(verify(publicKey, c, 0n, 7n, fromJSON(json))).to.equal(true)
+      chai.expect(() => fromJSON({ ...toJSON(proof), commitments: undefined })).to.throw(TypeError)
+    })
+  })
+})
@@ -0,0 +1,66 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+const bcu = require('bigint-crypto-utils')
+
+describe('Paillier-Blum modulus proof', function () {
+  this.timeout(120000)
+  const { prove, verify, toJSON, fromJSON } = _pkg.modulusProof
+  let publicKey, privateKey, proof
+  before(async function () {
+    ({ publicKey, privateKey } = await _pkg.generateRandomKeys({ bitLength: 512, allowWeakKeys: true, blumPrimes: true }))
+    proof = prove(privateKey)
+  })
+
+  it('should generate Blum primes with the blumPrimes option', function () {
+    chai.expect(privateKey._p % 4n).to.equal(3n)
+    chai.expect(privateKey._q % 4n).to.equal(3n)
+  })
+  it('should prove that n is a Paillier-Blum modulus from the public key alone', function () {
+    chai.expect(verify(publicKey, proof)).to.equal(true)
+    chai.expect(verify(new _pkg.PublicKey(publicKey.n, publicKey.n + 1n), proof)).to.equal(true)
+  })
+  it('should reject the proof for a different modulus', async function () {
+    const other = await _pkg.generateRandomKeys({ bitLength: 512, allowWeakKeys: true, blumPrimes: true })
+    chai.expect(verify(other.publicKey, proof)).to.equal(false)
+    chai.expect(verify(other.publicKey, prove(other.privateKey))).to.equal(true)
+  })
+  it('should reject a prime modulus', function () {
+    const p = privateKey._p
+    chai.expect(verify(new _pkg.PublicKey(p, p + 1n), prove(privateKey))).to.equal(false)
+  })
+  it('should reject tampered proofs', function () {
+    chai.expect(verify(publicKey, { ...proof, w: proof.w + 1n })).to.equal(false)
+    chai.expect(verify(publicKey, { ...proof, a: proof.a.map(a => 1n - a) })).to.equal(false)
+    chai.expect(verify(publicKey, { ...proof, z: [proof.z[1], proof.z[0], ...proof.z.slice(2)] })).to.equal(false)
+    chai.expect(verify(publicKey, { ...proof, x: proof.x.slice(1) })).to.equal(false)
+  })
+  it('should return false instead of throwing on malformed proofs', function () {
+    for (const malformed of [null, undefined, 'proof', 42n, {}, { ...proof, w: undefined }, { ...proof, a: null }]) {
+      chai.expect(verify(publicKey, malformed)).to.equal(false)
+    }
+  })
+  it('should refuse to prove without Blum primes or without the primes', function () {
+    let p, q
+    do {
+      p = bcu.primeSync(256)
+    } while (p % 4n !== 1n)
+    do {
+      q = bcu.primeSync(256)
+    } while (q === p)
+    const keys = _pkg.keysFromPrimesSimple(p, q)
+    chai.expect(() => prove(keys.privateKey)).to.throw(_pkg.InvalidKeyError)
+    const withoutPrimes = new _pkg.PrivateKey(privateKey.lambda, privateKey.mu, publicKey)
+    chai.expect(() => prove(withoutPrimes)).to.throw(_pkg.InvalidKeyError)
+  })
+  it('should serialize proofs', function () {
+    const json = JSON.stringify(toJSON(proof))
+    chai.expect(fromJSON(json)).to.deep.equal(proof)
+    chai.expect(verify(publicKey, fromJSON(json))).to.equal(true)
+    chai.expect(() => fromJSON({ ...toJSON(proof), type: 'RangeProof' })).to.throw(TypeError)
+  })
+})
@@ -0,0 +1,114 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+
+describe('ObfuscatorPool', function () {
+  this.timeout(120000)
+  let keyPair
+  before(async function () {
+    keyPair = await _pkg.generateRandomKeys(1024)
+  })
+
+  it('should be filled synchronously, asynchronously and in a worker', async function () {
+    const pool = new _pkg.ObfuscatorPool(keyPair.publicKey)
+    chai.expect(pool.available).to.equal(0)
+    chai.expect(pool.fillSync(2)).to.equal(2)
+    chai.expect(await pool.fill(2)).to.equal(4)
+    chai.expect(await pool.fillInWorker(3)).to.equal(7)
+    const n2 = keyPair.publicKey._n2
+    while (pool.available > 0) {
+      const obfuscator = pool.take()
+      // an obfuscator is a n-th residue modulo n^2 and thus it decrypts to 0
+      chai.expect(obfuscator > 0n && obfuscator < n2).to.equal(true)
+      chai.expect(keyPair.privateKey.decrypt(obfuscator)).to.equal(0n)
+    }
+  })
+  it('should be consumed by publicKey.encrypt() and never reuse an obfuscator', function () {
+    const publicKey = new _pkg.PublicKey(keyPair.publicKey.n, keyPair.publicKey.g)
+    const pool = new _pkg.ObfuscatorPool(publicKey, { onExhausted: 'throw' })
+    publicKey.useObfuscatorPool(pool)
+    pool.fillSync(5)
+    const ciphertexts = new Set()
+    for (let i = 0; i < 5; i++) {
+      const c = publicKey.encrypt(7n)
+      chai.expect(keyPair.privateKey.decrypt(c)).to.equal(7n)
+      ciphertexts.add(c)
+    }
+    chai.expect(ciphertexts.size).to.equal(5)
+    chai.expect(() => publicKey.encrypt(7n)).to.throw(_pkg.ObfuscatorPoolExhaustedError)
+  })
+  it('should be usable with publicKey.encryptWithObfuscator()', async function () {
+    const pool = new _pkg.ObfuscatorPool(keyPair.publicKey)
+    await pool.fill(1)
+    const c = keyPair.publicKey.encryptWithObfuscator(11n, await pool.acquire())
+    chai.expect(keyPair.privateKey.decrypt(c)).to.equal(11n)
+    chai.expect(pool.available).to.equal(0)
+  })
+  it("should compute obfuscators on the fly when exhausted if onExhausted is 'inline'", function () {
+    const pool = new _pkg.ObfuscatorPool(keyPair.publicKey, { onExhausted: 'inline' })
+    chai.expect(keyPair.privateKey.decrypt(pool.take())).to.equal(0n)
+  })
+  it("should wait for new obfuscators when exhausted if onExhausted is 'block'", async function () {
+    const pool = new _pkg.ObfuscatorPool(keyPair.publicKey, { onExhausted: 'block' })
+    chai.expect(() => pool.take()).to.throw(_pkg.ObfuscatorPoolExhaustedError)
+    const acquired = pool.acquire()
+    await pool.fill(1)
+    chai.expect(keyPair.privateKey.decrypt(await acquired)).to.equal(0n)
+    chai.expect(pool.available).to.equal(0)
+  })
+  it('should stop waiting when the timeout expires or the signal is aborted', async function () {
+    const pool = new _pkg.ObfuscatorPool(keyPair.publicKey, { onExhausted: 'block' })
+    let error = null
+    try {
+      await pool.acquire({ timeout: 10 })
+    } catch (err) {
+      error = err
+    }
+    chai.expect(error).to.be.instanceOf(_pkg.ObfuscatorPoolTimeoutError)
+    chai.expect(error).to.be.instanceOf(_pkg.ObfuscatorPoolExhaustedError)
+    chai.expect(error.timeout).to.equal(10)
+    const listeners = []
+    const signal = {
+      aborted: false,
+      reason: new Error('cancelled'),
+      addEventListener: (type, listener) => listeners.push(listener),
+      removeEventListener: (type, listener) => listeners.splice(listeners.indexOf(listener), 1)
+    }
+    const acquired = pool.acquire({ signal })
+    signal.aborted = true
+    listeners.forEach(listener => listener())
+    error = null
+    try {
+      await acquired
+    } catch (err) {
+      error = err
+    }
+    chai.expect(error).to.equal(signal.reason)
+    chai.expect(listeners.length).to.equal(0)
+    // cancelled waiters do not swallow new obfuscators
+    await pool.fill(1)
+    chai.expect(pool.available).to.equal(1)
+  })
+  it('should throw RangeError if onExhausted is not valid or the pool is used with a different key', async function () {
+    chai.expect(() => new _pkg.ObfuscatorPool(keyPair.publicKey, { onExhausted: 'wait' })).to.throw(RangeError)
+    const otherKeyPair = await _pkg.generateRandomKeys(512)
+    chai.expect(() => otherKeyPair.publicKey.useObfuscatorPool(new _pkg.ObfuscatorPool(keyPair.publicKey))).to.throw(_pkg.KeyMismatchError)
+  })
+  it('should be usable by public keys with the same modulo, since obfuscators do not depend on g', function () {
+    const { publicKey, privateKey } = _pkg.keysFromPrimesSimple(keyPair.privateKey._p, keyPair.privateKey._q)
+    chai.expect(publicKey.g).to.not.equal(keyPair.publicKey.g)
+    const pool = new _pkg.ObfuscatorPool(keyPair.publicKey, { onExhausted: 'throw' })
+    pool.fillSync(1)
+    publicKey.useObfuscatorPool(pool)
+    chai.expect(privateKey.decrypt(publicKey.encrypt(9n))).to.equal(9n)
+    chai.expect(pool.available).to.equal(0)
+  })
+  it("should refuse to attach a pool with onExhausted = 'block' to a public key", function () {
+    const pool = new _pkg.ObfuscatorPool(keyPair.publicKey, { onExhausted: 'block' })
+    chai.expect(() => keyPair.publicKey.useObfuscatorPool(pool)).to.throw(RangeError)
+  })
+})
@@ -0,0 +1,56 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+
+describe('Packed encoding of vectors in slots', function () {
+  this.timeout(120000)
+  let publicKey, privateKey
+  before(async function () {
+    ({ publicKey, privateKey } = await _pkg.generateRandomKeys(512))
+  })
+
+  it('should fit as many slots as possible in the plaintext space by default', function () {
+    const encoder = new _pkg.PackingEncoder(publicKey)
+    chai.expect(encoder.slots).to.equal(Math.floor((publicKey.bitLength - 1) / 48))
+    chai.expect(encoder.maxValue).to.equal(2n ** 32n - 1n)
+    chai.expect(encoder.encode([1n, 2n, 3n])).to.equal(1n + 2n * 2n ** 48n + 3n * 2n ** 96n)
+  })
+  it('should encrypt a vector in a single ciphertext and decrypt it', function () {
+    const encoder = new _pkg.PackingEncoder(publicKey)
+    const values = [0n, 1n, 4294967295n, 123456n, 7n]
+    const decoded = encoder.decode(privateKey.decrypt(publicKey.encrypt(encoder.encode(values))))
+    chai.expect(decoded.slice(0, values.length)).to.deep.equal(values)
+    chai.expect(decoded.slice(values.length).every(value => value === 0n)).to.equal(true)
+  })
+  it('should add vectors slot-wise and scale them', function () {
+    const encoder = new _pkg.PackingEncoder(publicKey, { slotBits: 16, paddingBits: 8, slots: 4 })
+    const c1 = publicKey.encrypt(encoder.encode([1, 2, 3, 65535]))
+    const c2 = publicKey.encrypt(encoder.encode([10, 20, 30, 0]))
+    chai.expect(encoder.decode(privateKey.decrypt(publicKey.addition(c1, c2)))).to.deep.equal([11n, 22n, 33n, 65535n])
+    chai.expect(encoder.decode(privateKey.decrypt(publicKey.multiply(c2, 100n)))).to.deep.equal([1000n, 2000n, 3000n, 0n])
+  })
+  it('should detect the overflow of a slot', function () {
+    const encoder = new _pkg.PackingEncoder(publicKey, { slotBits: 16, paddingBits: 8, slots: 4 })
+    const c1 = publicKey.encrypt(encoder.encode([1, 65535, 3, 4]))
+    const c2 = publicKey.encrypt(encoder.encode([1, 1, 3, 4]))
+    chai.expect(() => encoder.decode(privateKey.decrypt(publicKey.addition(c1, c2)))).to.throw(RangeError, 'slot 1')
+    const c3 = publicKey.encrypt(encoder.encode([0, 0, 0, 65535]))
+    chai.expect(() => encoder.decode(privateKey.decrypt(publicKey.multiply(c3, 2n ** 9n)))).to.throw(RangeError, 'slot 3')
+  })
+  it('should refuse values that do not fit in the slots', function () {
+    const encoder = new _pkg.PackingEncoder(publicKey, { slotBits: 8, slots: 2 })
+    chai.expect(() => encoder.encode([256])).to.throw(RangeError)
+    chai.expect(() => encoder.encode([-1])).to.throw(RangeError)
+    chai.expect(() => encoder.encode([1, 2, 3])).to.throw(RangeError)
+    chai.expect(() => encoder.decode(publicKey.n)).to.throw(RangeError)
+  })
+  it('should refuse invalid options', function () {
+    chai.expect(() => new _pkg.PackingEncoder(publicKey, { slotBits: 0 })).to.throw(RangeError)
+    chai.expect(() => new _pkg.PackingEncoder(publicKey, { paddingBits: -1 })).to.throw(RangeError)
+    chai.expect(() => new _pkg.PackingEncoder(publicKey, { slots: 11 })).to.throw(RangeError)
+  })
+})
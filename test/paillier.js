@@ -80,6 +80,33 @@ for (const bitLength of bitLengths) {
           chai.expect(testPassed).equals(true)
         })
       })
+      describe('Homomorphic subtraction and negation: D( E(m1)·E(m2)^-1 mod n^2 ) and D( E(m1)^-1 mod n^2 )', function () {
+        it('should return m1-m2 mod n and -m1 mod n', function () {
+          const n = keyPair.publicKey.n
+          const d1 = keyPair.privateKey.decrypt(keyPair.publicKey.subtract(ciphertexts[0], ciphertexts[1]))
+          chai.expect(d1).to.equal(bcu.toZn(numbers[0] - numbers[1], n))
+          const d2 = keyPair.privateKey.decrypt(keyPair.publicKey.negate(ciphertexts[0]))
+          chai.expect(d2).to.equal(bcu.toZn(-numbers[0], n))
+        })
+      })
+      describe('Homomorphic addition and subtraction of a plaintext: D( E(m1)·g^m2 mod n^2 ) and D( E(m1)·g^-m2 mod n^2 )', function () {
+        it('should return m1+m2 mod n and m1-m2 mod n', function () {
+          const n = keyPair.publicKey.n
+          const d1 = keyPair.privateKey.decrypt(keyPair.publicKey.addPlaintext(ciphertexts[0], numbers[1]))
+          chai.expect(d1).to.equal((numbers[0] + numbers[1]) % n)
+          const d2 = keyPair.privateKey.decrypt(keyPair.publicKey.subtractPlaintext(ciphertexts[0], numbers[1]))
+          chai.expect(d2).to.equal(bcu.toZn(numbers[0] - numbers[1], n))
+        })
+      })
+      describe('Multiplication by a negative scalar: D( E(m)^k mod n^2 ) with k < 0', function () {
+        it('should return k·m mod n', function () {
+          const n = keyPair.publicKey.n
+          for (const k of [-1n, -12345n, -5]) {
+            const d = keyPair.privateKey.decrypt(keyPair.publicKey.multiply(ciphertexts[0], k))
+            chai.expect(d).to.equal(bcu.toZn(BigInt(k) * numbers[0], n))
+          }
+        })
+      })
     })
   })
 }
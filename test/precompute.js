@@ -0,0 +1,58 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+
+const bcu = require('bigint-crypto-utils')
+
+describe('Precomputation for PublicKey.encrypt', function () {
+  this.timeout(120000)
+  const tests = 8
+  const variants = [false, true]
+  for (const simpleVariant of variants) {
+    describe(`Keys generated with simpleVariant = ${simpleVariant}`, function () {
+      let keyPair, publicKey
+      before(async function () {
+        keyPair = await _pkg.generateRandomKeys(1024, simpleVariant)
+        publicKey = new _pkg.PublicKey(keyPair.publicKey.n, keyPair.publicKey.g)
+      })
+      it('a precomputed public key should produce the same ciphertexts as a plain one for the same r', function () {
+        publicKey.precompute({ window: 5 })
+        for (let i = 0; i < tests; i++) {
+          const m = bcu.randBetween(publicKey.n - 1n, 0n)
+          const r = bcu.randBetween(publicKey.n)
+          const c = publicKey.encrypt(m, r)
+          chai.expect(c).to.equal(bcu.modPow(publicKey.g, m, publicKey._n2) * bcu.modPow(r, publicKey.n, publicKey._n2) % publicKey._n2)
+          chai.expect(keyPair.privateKey.decrypt(c)).to.equal(m)
+        }
+      })
+      it(`should consume (and never reuse) the ${tests} precomputed obfuscators`, function () {
+        publicKey.precompute({ obfuscators: tests })
+        chai.expect(publicKey.precomputedObfuscators).to.equal(tests)
+        const ciphertexts = new Set()
+        for (let i = 0; i < tests; i++) {
+          const c = publicKey.encrypt(1n)
+          chai.expect(keyPair.privateKey.decrypt(c)).to.equal(1n)
+          ciphertexts.add(c)
+        }
+        chai.expect(ciphertexts.size).to.equal(tests)
+        chai.expect(publicKey.precomputedObfuscators).to.equal(0)
+        chai.expect(keyPair.privateKey.decrypt(publicKey.encrypt(2n))).to.equal(2n)
+      })
+      it('should fill the pool of obfuscators in the background', async function () {
+        const available = await publicKey.precomputeObfuscators(3)
+        chai.expect(available).to.equal(3)
+        chai.expect(keyPair.privateKey.decrypt(publicKey.encrypt(3n))).to.equal(3n)
+        chai.expect(publicKey.precomputedObfuscators).to.equal(2)
+      })
+      it('should throw RangeError if the window is not an integer in [1, 16]', function () {
+        for (const window of [0, -1, 1.5, 17, 31, NaN]) {
+          chai.expect(() => publicKey.precompute({ window })).to.throw(RangeError)
+        }
+      })
+    })
+  }
+})
@@ -0,0 +1,40 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+
+const bcu = require('bigint-crypto-utils')
+
+describe('Ciphertext re-randomization', function () {
+  this.timeout(120000)
+  let keyPair, c, m
+  before(async function () {
+    keyPair = await _pkg.generateRandomKeys(1024)
+    const m1 = bcu.randBetween(keyPair.publicKey.n / 2n)
+    const m2 = bcu.randBetween(keyPair.publicKey.n / 2n)
+    m = (m1 + m2) * 3n % keyPair.publicKey.n
+    c = keyPair.publicKey.multiply(keyPair.publicKey.addition(keyPair.publicKey.encrypt(m1), keyPair.publicKey.encrypt(m2)), 3n)
+  })
+  it('publicKey.rerandomize(c) should return a different ciphertext that decrypts to the same plaintext', function () {
+    const c1 = keyPair.publicKey.rerandomize(c)
+    chai.expect(c1).to.not.equal(c)
+    chai.expect(keyPair.privateKey.decrypt(c1)).to.equal(m)
+  })
+  it('publicKey.rerandomize(c, r) should multiply c by r^n mod n^2', function () {
+    const { n, _n2: n2 } = keyPair.publicKey
+    const r = bcu.randBetween(n)
+    const c1 = keyPair.publicKey.rerandomize(c, r)
+    chai.expect(c1).to.equal(c * bcu.modPow(r, n, n2) % n2)
+    chai.expect(keyPair.privateKey.decrypt(c1)).to.equal(m)
+  })
+  it('publicKey.rerandomizeWithObfuscator(c, obfuscator) should use a precomputed obfuscator', function () {
+    const pool = new _pkg.ObfuscatorPool(keyPair.publicKey)
+    pool.fillSync(1)
+    const c1 = keyPair.publicKey.rerandomizeWithObfuscator(c, pool.take())
+    chai.expect(c1).to.not.equal(c)
+    chai.expect(keyPair.privateKey.decrypt(c1)).to.equal(m)
+  })
+})
@@ -0,0 +1,76 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+
+describe('Key serialization to/from JSON', function () {
+  this.timeout(120000)
+  const variants = [false, true]
+  for (const simpleVariant of variants) {
+    describe(`Keys generated with simpleVariant = ${simpleVariant}`, function () {
+      let keyPair
+      before(async function () {
+        keyPair = await _pkg.generateRandomKeys(512, simpleVariant)
+      })
+      it('a public key should survive a JSON.stringify / PublicKey.fromJSON roundtrip', function () {
+        const json = JSON.stringify(keyPair.publicKey)
+        const publicKey = _pkg.PublicKey.fromJSON(json)
+        chai.expect(publicKey).to.be.an.instanceOf(_pkg.PublicKey)
+        chai.expect(publicKey.n).to.equal(keyPair.publicKey.n)
+        chai.expect(publicKey.g).to.equal(keyPair.publicKey.g)
+      })
+      it('a private key should survive a JSON.stringify / PrivateKey.fromJSON roundtrip', function () {
+        const json = JSON.stringify(keyPair.privateKey)
+        const privateKey = _pkg.PrivateKey.fromJSON(json)
+        chai.expect(privateKey).to.be.an.instanceOf(_pkg.PrivateKey)
+        chai.expect(privateKey.lambda).to.equal(keyPair.privateKey.lambda)
+        chai.expect(privateKey.mu).to.equal(keyPair.privateKey.mu)
+        chai.expect(privateKey._p).to.equal(keyPair.privateKey._p)
+        chai.expect(privateKey._q).to.equal(keyPair.privateKey._q)
+        const m = 123456789n
+        chai.expect(privateKey.decrypt(keyPair.publicKey.encrypt(m))).to.equal(m)
+      })
+      it('the JSON representation should be JWK-like with base64url-encoded bigints', function () {
+        const jwk = keyPair.privateKey.toJSON()
+        chai.expect(jwk.kty).to.equal('Paillier')
+        chai.expect(jwk.version).to.equal(1)
+        for (const member of ['n', 'g', 'lambda', 'mu', 'p', 'q']) {
+          chai.expect(jwk[member]).to.match(/^[A-Za-z0-9_-]+$/)
+        }
+      })
+      it('a private key should be bound to a provided matching public key', function () {
+        const privateKey = _pkg.PrivateKey.fromJSON(keyPair.privateKey.toJSON(), keyPair.publicKey)
+        chai.expect(privateKey.publicKey).to.equal(keyPair.publicKey)
+      })
+    })
+  }
+
+  describe('Validation on import', function () {
+    let keyPair, otherKeyPair
+    before(async function () {
+      keyPair = await _pkg.generateRandomKeys(512)
+      otherKeyPair = await _pkg.generateRandomKeys(512)
+    })
+    it('should throw TypeError if the JSON is malformed', function () {
+      chai.expect(() => _pkg.PublicKey.fromJSON('{not json')).to.throw(TypeError)
+      chai.expect(() => _pkg.PublicKey.fromJSON({ kty: 'RSA', version: 1, n: 'AQ', g: 'AQ' })).to.throw(TypeError)
+      chai.expect(() => _pkg.PublicKey.fromJSON({ ...keyPair.publicKey.toJSON(), n: undefined })).to.throw(TypeError)
+      chai.expect(() => _pkg.PublicKey.fromJSON({ ...keyPair.publicKey.toJSON(), g: 'not base64!' })).to.throw(TypeError)
+    })
+    it('should throw RangeError if the version is not supported', function () {
+      chai.expect(() => _pkg.PublicKey.fromJSON({ ...keyPair.publicKey.toJSON(), version: 2 })).to.throw(RangeError)
+    })
+    it('should throw RangeError if the private key does not match its public parameters', function () {
+      const jwk = keyPair.privateKey.toJSON()
+      const otherJwk = otherKeyPair.privateKey.toJSON()
+      chai.expect(() => _pkg.PrivateKey.fromJSON({ ...jwk, mu: otherJwk.mu })).to.throw(RangeError)
+      chai.expect(() => _pkg.PrivateKey.fromJSON({ ...jwk, p: otherJwk.p })).to.throw(RangeError)
+    })
+    it('should throw RangeError if the private key does not match the provided public key', function () {
+      chai.expect(() => _pkg.PrivateKey.fromJSON(keyPair.privateKey.toJSON(), otherKeyPair.publicKey)).to.throw(RangeError)
+    })
+  })
+})
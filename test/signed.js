@@ -0,0 +1,49 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+
+describe('Signed integer encoding', function () {
+  this.timeout(120000)
+  let keyPair
+  before(async function () {
+    keyPair = await _pkg.generateRandomKeys(512)
+  })
+  it('encryptSigned/decryptSigned should roundtrip negative, zero and positive values', function () {
+    const maxInt = keyPair.publicKey.maxInt
+    for (const value of [-maxInt, -1234567n, -1, 0n, 1n, 987654321n, maxInt]) {
+      const c = keyPair.publicKey.encryptSigned(value)
+      chai.expect(keyPair.privateKey.decryptSigned(c)).to.equal(BigInt(value))
+    }
+  })
+  it('homomorphic operations on signed values should decrypt to the signed result', function () {
+    const { publicKey, privateKey } = keyPair
+    const c1 = publicKey.encryptSigned(-50n)
+    const c2 = publicKey.encryptSigned(20n)
+    chai.expect(privateKey.decryptSigned(publicKey.addition(c1, c2))).to.equal(-30n)
+    chai.expect(privateKey.decryptSigned(publicKey.multiply(c1, -3n))).to.equal(150n)
+  })
+  it('should throw RangeError when encoding a value whose absolute value exceeds maxAbs', function () {
+    const encoder = new _pkg.SignedIntegerEncoder(keyPair.publicKey, { maxAbs: 1000n })
+    chai.expect(encoder.encode(-1000n)).to.equal(keyPair.publicKey.n - 1000n)
+    chai.expect(() => encoder.encode(1001n)).to.throw(RangeError)
+    chai.expect(() => keyPair.publicKey.encryptSigned(-1001n, encoder)).to.throw(RangeError)
+  })
+  it('should detect an overflow on decryption instead of returning a wrapped value', function () {
+    const encoder = new _pkg.SignedIntegerEncoder(keyPair.publicKey, { maxAbs: 1000n })
+    const c = keyPair.publicKey.multiply(keyPair.publicKey.encryptSigned(-600n, encoder), 2n)
+    chai.expect(() => keyPair.privateKey.decryptSigned(c, encoder)).to.throw(RangeError)
+  })
+  it('should throw RangeError if maxAbs is too large for the modulus', function () {
+    chai.expect(() => new _pkg.SignedIntegerEncoder(keyPair.publicKey, { maxAbs: keyPair.publicKey.n / 2n })).to.throw(RangeError)
+  })
+  it('should throw KeyMismatchError if the encoder was created for a different public key', async function () {
+    const other = await _pkg.generateRandomKeys(512)
+    const encoder = new _pkg.SignedIntegerEncoder(other.publicKey)
+    chai.expect(() => keyPair.privateKey.decryptSigned(keyPair.publicKey.encryptSigned(-1n), encoder)).to.throw(_pkg.KeyMismatchError)
+    chai.expect(() => keyPair.publicKey.encryptSigned(-1n, encoder)).to.throw(_pkg.KeyMismatchError)
+  })
+})
@@ -0,0 +1,139 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+/* global globalThis */
+const { Readable, Writable, pipeline } = require('stream')
+
+// WHATWG streams are global in Node.js >= 18 and in the stream/web module of Node.js >= 16.5
+function loadReadableStream () {
+  if (typeof globalThis !== 'undefined' && typeof globalThis.ReadableStream === 'function') return globalThis.ReadableStream
+  try {
+    return require('stream/web').ReadableStream
+  } catch (error) {
+    return null
+  }
+}
+
+// like Readable.from(), which requires Node.js >= 12.3
+function nodeSource (chunks) {
+  let i = 0
+  return new Readable({
+    objectMode: true,
+    read () {
+      this.push((i < chunks.length) ? chunks[i++] : null)
+    }
+  })
+}
+
+function collect (...streams) {
+  const chunks = []
+  return new Promise((resolve, reject) => {
+    pipeline(...streams, new Writable({
+      objectMode: true,
+      write (chunk, encoding, callback) {
+        chunks.push(chunk)
+        callback()
+      }
+    }), err => err ? reject(err) : resolve(chunks))
+  })
+}
+
+async function collectWeb (readable) {
+  const chunks = []
+  for await (const chunk of readable) chunks.push(chunk)
+  return chunks
+}
+
+function webSource (ReadableStream, chunks) {
+  return new ReadableStream({
+    start (controller) {
+      chunks.forEach(chunk => controller.enqueue(chunk))
+      controller.close()
+    }
+  })
+}
+
+describe('Streaming encryption, decryption and sums', function () {
+  this.timeout(120000)
+  const values = Array.from({ length: 25 }, (_, i) => BigInt(i * i))
+  const total = values.reduce((sum, value) => sum + value, 0n)
+  let publicKey, privateKey
+  before(async function () {
+    ({ publicKey, privateKey } = await _pkg.generateRandomKeys(512))
+  })
+
+  describe('Node.js streams', function () {
+    it('should encrypt to base64url ciphertexts and decrypt them back', async function () {
+      const ciphertexts = await collect(nodeSource(values), _pkg.createEncryptStream(publicKey))
+      chai.expect(ciphertexts.length).to.equal(values.length)
+      chai.expect(ciphertexts.every(c => typeof c === 'string' && /^[A-Za-z0-9_-]+$/.test(c))).to.equal(true)
+      chai.expect(await collect(nodeSource(ciphertexts), _pkg.createDecryptStream(privateKey))).to.deep.equal(values)
+    })
+    it('should sum ciphertexts without buffering them', async function () {
+      const sum = await collect(nodeSource(values), _pkg.createEncryptStream(publicKey), _pkg.createSumStream(publicKey))
+      chai.expect(sum.length).to.equal(1)
+      chai.expect(await collect(nodeSource(sum), _pkg.createDecryptStream(privateKey))).to.deep.equal([total])
+      chai.expect(await collect(nodeSource([]), _pkg.createSumStream(publicKey), _pkg.createDecryptStream(privateKey))).to.deep.equal([0n])
+    })
+    it('should encode and decode values with an encoder', async function () {
+      const encoder = new _pkg.SignedIntegerEncoder(publicKey)
+      const signed = ['-5', '12', '-300']
+      const decrypted = await collect(nodeSource(signed), _pkg.createEncryptStream(publicKey, { encoder }), _pkg.createDecryptStream(privateKey, { encoder }))
+      chai.expect(decrypted).to.deep.equal([-5n, 12n, -300n])
+    })
+    it('should encrypt encoded numbers keeping their exponent and decrypt them back', async function () {
+      const numbers = [1.5, -0.001, 42n]
+      const encoded = numbers.map(value => _pkg.EncodedNumber.encode(publicKey, value))
+      const encrypted = await collect(nodeSource(encoded), _pkg.createEncryptStream(publicKey))
+      chai.expect(encrypted.map(json => json.exponent)).to.deep.equal(encoded.map(encoding => encoding.exponent))
+      chai.expect(await collect(nodeSource(encrypted), _pkg.createDecryptStream(privateKey))).to.deep.equal(numbers)
+      chai.expect(await collect(nodeSource(encrypted.map(json => JSON.stringify(json))), _pkg.createDecryptStream(privateKey))).to.deep.equal(numbers)
+    })
+    it('should emit an error on invalid ciphertexts', async function () {
+      let error = null
+      try {
+        await collect(nodeSource(['not base64url!']), _pkg.createDecryptStream(privateKey))
+      } catch (err) {
+        error = err
+      }
+      chai.expect(error).to.be.instanceOf(TypeError)
+    })
+  })
+
+  describe('WHATWG streams', function () {
+    let ReadableStream
+    before(function () {
+      ReadableStream = loadReadableStream()
+      if (ReadableStream === null) this.skip()
+    })
+
+    it('should encrypt, sum and decrypt', async function () {
+      const ciphertexts = await collectWeb(webSource(ReadableStream, values).pipeThrough(_pkg.createEncryptTransformStream(publicKey)))
+      chai.expect(await collectWeb(webSource(ReadableStream, ciphertexts).pipeThrough(_pkg.createDecryptTransformStream(privateKey)))).to.deep.equal(values)
+      const sum = webSource(ReadableStream, ciphertexts)
+        .pipeThrough(_pkg.createSumTransformStream(publicKey))
+        .pipeThrough(_pkg.createDecryptTransformStream(privateKey))
+      chai.expect(await collectWeb(sum)).to.deep.equal([total])
+    })
+    it('should encrypt and decrypt encoded numbers', async function () {
+      const numbers = [-2.25, 1e-3, 7n]
+      const encrypted = webSource(ReadableStream, numbers.map(value => _pkg.EncodedNumber.encode(publicKey, value)))
+        .pipeThrough(_pkg.createEncryptTransformStream(publicKey))
+        .pipeThrough(_pkg.createDecryptTransformStream(privateKey))
+      chai.expect(await collectWeb(encrypted)).to.deep.equal(numbers)
+    })
+    it('should error the stream on invalid ciphertexts', async function () {
+      let error = null
+      try {
+        await collectWeb(webSource(ReadableStream, [42]).pipeThrough(_pkg.createSumTransformStream(publicKey)))
+      } catch (err) {
+        error = err
+      }
+      chai.expect(error).to.be.instanceOf(TypeError)
+    })
+  })
+})
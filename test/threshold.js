@@ -0,0 +1,87 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+
+describe('Threshold Paillier', function () {
+  this.timeout(120000)
+  const threshold = 3
+  const parties = 5
+  let publicKey, parameters, keyShares
+  before(async function () {
+    ({ publicKey, parameters, keyShares } = await _pkg.generateThresholdKeys({ bitLength: 256, allowWeakKeys: true, threshold, parties }))
+  })
+
+  it('should decrypt with any t decryption shares', function () {
+    const m = 123456789n
+    const c = publicKey.encrypt(m)
+    const decryptionShares = keyShares.map(keyShare => _pkg.partialDecrypt(keyShare, c))
+    for (const subset of [[0, 1, 2], [4, 2, 0], [1, 3, 4], [0, 1, 2, 3, 4]]) {
+      chai.expect(_pkg.combineShares(parameters, c, subset.map(i => decryptionShares[i]))).to.equal(m)
+    }
+  })
+  it('should decrypt the result of homomorphic operations', function () {
+    const c = publicKey.multiply(publicKey.addition(publicKey.encrypt(20n), publicKey.encrypt(22n)), 3n)
+    const decryptionShares = keyShares.slice(1, 4).map(keyShare => _pkg.partialDecrypt(keyShare, c))
+    chai.expect(_pkg.combineShares(parameters, c, decryptionShares)).to.equal(126n)
+  })
+  it('should verify decryption shares and detect misbehaving parties', function () {
+    const c = publicKey.encrypt(7n)
+    const decryptionShares = keyShares.slice(0, threshold).map(keyShare => _pkg.partialDecrypt(keyShare, c))
+    decryptionShares.forEach(share => chai.expect(_pkg.verifyDecryptionShare(parameters, c, share)).to.equal(true))
+    const forged = { ...decryptionShares[1], value: decryptionShares[1].value * publicKey.encrypt(1n) % publicKey._n2 }
+    chai.expect(_pkg.verifyDecryptionShare(parameters, c, forged)).to.equal(false)
+    // a share of another ciphertext, or computed with the key share of another party
+    chai.expect(_pkg.verifyDecryptionShare(parameters, publicKey.encrypt(7n), decryptionShares[0])).to.equal(false)
+    chai.expect(_pkg.verifyDecryptionShare(parameters, c, { ...decryptionShares[0], index: 4 })).to.equal(false)
+    let error
+    try {
+      _pkg.combineShares(parameters, c, [decryptionShares[0], forged, decryptionShares[2]])
+    } catch (e) {
+      error = e
+    }
+    chai.expect(error).to.be.instanceOf(_pkg.InvalidDecryptionShareError)
+    chai.expect(error.index).to.equal(2)
+  })
+  it('should identify the party of a malformed decryption share', function () {
+    const c = publicKey.encrypt(7n)
+    const decryptionShares = keyShares.slice(0, threshold).map(keyShare => _pkg.partialDecrypt(keyShare, c))
+    const withoutProof = { index: decryptionShares[2].index, value: decryptionShares[2].value }
+    for (const share of [withoutProof, { ...decryptionShares[2], proof: null }, { ...decryptionShares[2], proof: 'proof' }]) {
+      chai.expect(_pkg.verifyDecryptionShare(parameters, c, share)).to.equal(false)
+      let error
+      try {
+        _pkg.combineShares(parameters, c, [decryptionShares[0], decryptionShares[1], share])
+      } catch (e) {
+        error = e
+      }
+      chai.expect(error).to.be.instanceOf(_pkg.InvalidDecryptionShareError)
+      chai.expect(error.index).to.equal(3)
+    }
+    chai.expect(_pkg.verifyDecryptionShare(parameters, c, null)).to.equal(false)
+    for (const invalid of [0n, publicKey._n2, 7, 'c']) {
+      chai.expect(_pkg.verifyDecryptionShare(parameters, invalid, decryptionShares[0])).to.equal(false)
+    }
+    chai.expect(() => _pkg.combineShares(parameters, 0n, decryptionShares)).to.throw(_pkg.InvalidCiphertextError)
+  })
+  it('should throw RangeError if there are not enough shares or repeated parties', function () {
+    const c = publicKey.encrypt(7n)
+    const decryptionShares = keyShares.slice(0, threshold).map(keyShare => _pkg.partialDecrypt(keyShare, c))
+    chai.expect(() => _pkg.combineShares(parameters, c, decryptionShares.slice(0, 2))).to.throw(RangeError)
+    chai.expect(() => _pkg.combineShares(parameters, c, [decryptionShares[0], decryptionShares[0], decryptionShares[1]])).to.throw(RangeError)
+  })
+  it('should throw RangeError if threshold is not in [1, parties]', async function () {
+    for (const options of [{ threshold: 0, parties: 3 }, { threshold: 4, parties: 3 }]) {
+      let error
+      try {
+        await _pkg.generateThresholdKeys({ bitLength: 256, allowWeakKeys: true, ...options })
+      } catch (e) {
+        error = e
+      }
+      chai.expect(error).to.be.instanceOf(RangeError)
+    }
+  })
+})
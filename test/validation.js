@@ -0,0 +1,96 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+
+describe('Input validation', function () {
+  this.timeout(120000)
+  let publicKey, privateKey, otherKeyPair
+  before(async function () {
+    ({ publicKey, privateKey } = await _pkg.generateRandomKeys(512))
+    otherKeyPair = await _pkg.generateRandomKeys(512)
+  })
+
+  it('should export a hierarchy of errors that are RangeErrors', function () {
+    for (const ErrorClass of [_pkg.InvalidPlaintextError, _pkg.InvalidCiphertextError, _pkg.InvalidRandomnessError, _pkg.InvalidKeyError, _pkg.KeyMismatchError, _pkg.ObfuscatorPoolExhaustedError]) {
+      const error = new ErrorClass()
+      chai.expect(error).to.be.instanceOf(_pkg.PaillierError)
+      chai.expect(error).to.be.instanceOf(RangeError)
+      chai.expect(error.name).to.equal(ErrorClass.name)
+    }
+  })
+  it('should be lenient by default', function () {
+    chai.expect(_pkg.isStrictValidation()).to.equal(false)
+    // plaintexts are silently reduced modulo n
+    chai.expect(privateKey.decrypt(publicKey.encrypt(publicKey.n + 5n))).to.equal(5n)
+    chai.expect(() => new _pkg.PublicKey(4n, 0n)).to.not.throw()
+  })
+  it('should throw typed errors on key deserialization', function () {
+    chai.expect(() => _pkg.PublicKey.fromJSON({ ...publicKey.toJSON(), n: 'BA' })).to.throw(_pkg.InvalidKeyError)
+    chai.expect(() => _pkg.PrivateKey.fromJSON({ ...privateKey.toJSON(), mu: otherKeyPair.privateKey.toJSON().mu })).to.throw(_pkg.InvalidKeyError)
+    chai.expect(() => _pkg.PrivateKey.fromJSON(privateKey.toJSON(), otherKeyPair.publicKey)).to.throw(_pkg.KeyMismatchError)
+    chai.expect(() => otherKeyPair.publicKey.useObfuscatorPool(new _pkg.ObfuscatorPool(publicKey))).to.throw(_pkg.KeyMismatchError)
+  })
+  it('should let a key override the process-wide setting', function () {
+    const strictKey = new _pkg.PublicKey(publicKey.n, publicKey.g)
+    strictKey.strictValidation = true
+    chai.expect(_pkg.isStrictValidation()).to.equal(false)
+    chai.expect(_pkg.isStrictValidation(strictKey)).to.equal(true)
+    chai.expect(() => strictKey.encrypt(publicKey.n)).to.throw(_pkg.InvalidPlaintextError)
+    chai.expect(() => publicKey.encrypt(publicKey.n)).to.not.throw()
+    const strictPrivateKey = new _pkg.PrivateKey(privateKey.lambda, privateKey.mu, strictKey)
+    chai.expect(() => strictPrivateKey.decrypt(0n)).to.throw(_pkg.InvalidCiphertextError)
+    chai.expect(() => _pkg.DamgardJurikPublicKey.fromPublicKey(strictKey, 2).encrypt(-1n)).to.throw(_pkg.InvalidPlaintextError)
+    _pkg.setStrictValidation(true)
+    try {
+      const lenientKey = new _pkg.PublicKey(publicKey.n, publicKey.g)
+      lenientKey.strictValidation = false
+      chai.expect(() => lenientKey.encrypt(publicKey.n)).to.not.throw()
+    } finally {
+      _pkg.setStrictValidation(false)
+    }
+  })
+
+  describe('in strict mode', function () {
+    before(function () {
+      _pkg.setStrictValidation(true)
+    })
+    after(function () {
+      _pkg.setStrictValidation(false)
+    })
+
+    it('should check the key parameters in the constructors', function () {
+      chai.expect(_pkg.isStrictValidation()).to.equal(true)
+      chai.expect(() => new _pkg.PublicKey(4n, 5n)).to.throw(_pkg.InvalidKeyError)
+      chai.expect(() => new _pkg.PublicKey(publicKey.n, publicKey.n)).to.throw(_pkg.InvalidKeyError)
+      chai.expect(() => new _pkg.PrivateKey(privateKey.lambda, privateKey.mu + 1n, publicKey)).to.throw(_pkg.InvalidKeyError)
+      chai.expect(() => new _pkg.PrivateKey(privateKey.lambda, privateKey.mu, { n: publicKey.n, g: publicKey.g })).to.throw(_pkg.InvalidKeyError)
+      chai.expect(() => new _pkg.PrivateKey(privateKey.lambda, privateKey.mu, publicKey, privateKey._p, 3n)).to.throw(_pkg.InvalidKeyError)
+      const copy = new _pkg.PrivateKey(privateKey.lambda, privateKey.mu, publicKey, privateKey._p, privateKey._q)
+      chai.expect(copy.decrypt(publicKey.encrypt(3n))).to.equal(3n)
+    })
+    it('should check plaintexts and random factors on encryption', function () {
+      chai.expect(() => publicKey.encrypt(publicKey.n)).to.throw(_pkg.InvalidPlaintextError)
+      chai.expect(() => publicKey.encrypt(-1n)).to.throw(_pkg.InvalidPlaintextError)
+      chai.expect(() => publicKey.encrypt(1.5)).to.throw(_pkg.InvalidPlaintextError)
+      chai.expect(() => publicKey.encrypt(1n, privateKey._p)).to.throw(_pkg.InvalidRandomnessError)
+      chai.expect(() => publicKey.encrypt(1n, 0n)).to.throw(_pkg.InvalidRandomnessError)
+      chai.expect(() => publicKey.encryptWithObfuscator(1n, publicKey._n2)).to.throw(_pkg.InvalidRandomnessError)
+      chai.expect(privateKey.decrypt(publicKey.encrypt(publicKey.n - 1n, 2n))).to.equal(publicKey.n - 1n)
+      chai.expect(privateKey.decrypt(publicKey.encryptSigned(-1n))).to.equal(publicKey.n - 1n)
+    })
+    it('should check ciphertexts on decryption and homomorphic operations', function () {
+      const c = publicKey.encrypt(1n)
+      for (const invalid of [0n, publicKey._n2, publicKey._n2 + c, privateKey._p * c % publicKey._n2]) {
+        chai.expect(() => privateKey.decrypt(invalid)).to.throw(_pkg.InvalidCiphertextError)
+        chai.expect(() => publicKey.addition(c, invalid)).to.throw(_pkg.InvalidCiphertextError)
+        chai.expect(() => publicKey.multiply(invalid, 2n)).to.throw(_pkg.InvalidCiphertextError)
+        chai.expect(() => publicKey.rerandomize(invalid)).to.throw(_pkg.InvalidCiphertextError)
+      }
+      chai.expect(privateKey.decrypt(publicKey.subtract(publicKey.addPlaintext(c, 5n), c))).to.equal(5n)
+    })
+  })
+})
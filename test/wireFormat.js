@@ -0,0 +1,57 @@
+'use strict'
+
+// Every test file (you can create as many as you want) should start like this
+// Please, do NOT touch. They will be automatically removed for browser tests -->
+const _pkg = require('../lib/index.node')
+const chai = require('chai')
+// <--
+
+describe('Binary wire format of ciphertexts', function () {
+  this.timeout(120000)
+  const HEADER_LENGTH = 45
+  let publicKey, ciphertexts, width
+  before(async function () {
+    ({ publicKey } = await _pkg.generateRandomKeys(512))
+    ciphertexts = [0n, 1n, 42n, publicKey.n - 1n].map(m => publicKey.encrypt(m))
+    width = Math.ceil((publicKey.n ** 2n).toString(2).length / 8)
+  })
+
+  it('should encode fixed-width ciphertexts after a header and decode them back', function () {
+    const buf = _pkg.encodeCiphertexts(publicKey, ciphertexts)
+    chai.expect(buf).to.be.instanceOf(Uint8Array)
+    chai.expect(buf.length).to.equal(HEADER_LENGTH + ciphertexts.length * width)
+    chai.expect(Array.from(buf.subarray(0, 5))).to.deep.equal([0x50, 0x43, 0x54, 0x58, 1])
+    chai.expect(buf.length).to.be.lessThan(ciphertexts.map(c => c.toString()).join(',').length)
+    chai.expect(_pkg.decodeCiphertexts(publicKey, buf)).to.deep.equal(ciphertexts)
+    const shifted = new Uint8Array(buf.length + 3)
+    shifted.set(buf, 3)
+    chai.expect(_pkg.decodeCiphertexts(publicKey, shifted.subarray(3))).to.deep.equal(ciphertexts)
+  })
+  it('should encode empty batches', function () {
+    chai.expect(_pkg.decodeCiphertexts(publicKey, _pkg.encodeCiphertexts(publicKey, []))).to.deep.equal([])
+  })
+  it('should reject ciphertexts that belong to a different public key', async function () {
+    const other = await _pkg.generateRandomKeys(512)
+    const buf = _pkg.encodeCiphertexts(publicKey, ciphertexts)
+    chai.expect(() => _pkg.decodeCiphertexts(other.publicKey, buf)).to.throw(_pkg.KeyMismatchError)
+  })
+  it('should reject out of range ciphertexts', function () {
+    chai.expect(() => _pkg.encodeCiphertexts(publicKey, [publicKey.n ** 2n])).to.throw(_pkg.InvalidCiphertextError)
+    chai.expect(() => _pkg.encodeCiphertexts(publicKey, [0n])).to.throw(_pkg.InvalidCiphertextError)
+    const buf = _pkg.encodeCiphertexts(publicKey, ciphertexts)
+    buf.fill(0xff, HEADER_LENGTH, HEADER_LENGTH + width)
+    chai.expect(() => _pkg.decodeCiphertexts(publicKey, buf)).to.throw(_pkg.InvalidCiphertextError)
+  })
+  it('should reject malformed or unsupported encodings', function () {
+    const buf = _pkg.encodeCiphertexts(publicKey, ciphertexts)
+    chai.expect(() => _pkg.decodeCiphertexts(publicKey, buf.subarray(0, buf.length - 1))).to.throw(TypeError)
+    chai.expect(() => _pkg.decodeCiphertexts(publicKey, buf.subarray(0, 10))).to.throw(TypeError)
+    chai.expect(() => _pkg.decodeCiphertexts(publicKey, 'not bytes')).to.throw(TypeError)
+    const badMagic = buf.slice()
+    badMagic[0] = 0
+    chai.expect(() => _pkg.decodeCiphertexts(publicKey, badMagic)).to.throw(TypeError)
+    const badVersion = buf.slice()
+    badVersion[4] = 2
+    chai.expect(() => _pkg.decodeCiphertexts(publicKey, badVersion)).to.throw(RangeError)
+  })
+})
@@ -1,3 +1,220 @@
+export type Asn1Node = {
+    /**
+     * - the identifier octet
+     */
+    tag: number;
+    /**
+     * - the content octets
+     */
+    value: Uint8Array;
+    /**
+     * - the decoded elements if it is a SEQUENCE
+     */
+    children?: Asn1Node[];
+};
+export type ValidationCheck = {
+    /**
+     * - the name of the check, e.g. 'modulusSize'
+     */
+    name: string;
+    /**
+     * - whether the check passed
+     */
+    passed: boolean;
+    /**
+     * - what was checked if passed, or why it failed otherwise
+     */
+    message: string;
+};
+export type ValidationReport = {
+    /**
+     * - true if every check passed
+     */
+    valid: boolean;
+    /**
+     * - the list of performed checks
+     */
+    checks: ValidationCheck[];
+};
+export type EncryptionProof = {
+    /**
+     * - the challenge
+     */
+    e: bigint;
+    /**
+     * - the response
+     */
+    z: bigint;
+};
+export type KeyGenerationOptions = {
+    /**
+     * - the bit length of the public modulo n
+     */
+    bitLength?: number;
+    /**
+     * - use the simple variant to compute the generator (g=n+1)
+     */
+    simpleVariant?: boolean;
+    /**
+     * - generate safe primes p = 2p'+1 and q = 2q'+1 with p' and q' primes. It is much slower
+     */
+    safePrimes?: boolean;
+    /**
+     * - generate primes p = q = 3 mod 4, so that n is a Blum integer as required by {@link modulusProof}. Safe primes are always Blum primes
+     */
+    blumPrimes?: boolean;
+    /**
+     * - |p-q| MUST be larger than this bound. It defaults to 2^(bitLength/2 - 100) as in FIPS 186-4
+     */
+    minPrimeDistance?: bigint;
+    /**
+     * - the number of Miller-Rabin iterations of the primality tests
+     */
+    millerRabinRounds?: number;
+    /**
+     * - allow generating keys shorter than 2048 bits
+     */
+    allowWeakKeys?: boolean;
+    /**
+     * - FOR TESTING ONLY. A source of random bytes, e.g. a seeded {@link HmacDrbg} to generate reproducible keys. Primes are then generated synchronously without workers
+     */
+    randomSource?: RandomSource;
+};
+export type MembershipProof = {
+    /**
+     * - the challenges of every value of the set
+     */
+    e: bigint[];
+    /**
+     * - the responses of every value of the set
+     */
+    z: bigint[];
+};
+export type RangeProof = {
+    /**
+     * - the encryptions of the bits of m - min followed by those of max - m
+     */
+    commitments: bigint[];
+    /**
+     * - the challenges of the proofs that every commitment encrypts a bit
+     */
+    e: bigint[];
+    /**
+     * - the responses of the proofs that every commitment encrypts a bit
+     */
+    z: bigint[];
+    /**
+     * - the challenges of the proofs that link the bits of m - min and max - m to c
+     */
+    linkE: bigint[];
+    /**
+     * - the responses of the proofs that link the bits of m - min and max - m to c
+     */
+    linkZ: bigint[];
+};
+export type ModulusProof = {
+    /**
+     * - a random integer with Jacobi symbol -1
+     */
+    w: bigint;
+    /**
+     * - the fourth roots of (-1)^(a_i)·w^(b_i)·y_i mod n
+     */
+    x: bigint[];
+    /**
+     * - the bits a_i
+     */
+    a: bigint[];
+    /**
+     * - the bits b_i
+     */
+    b: bigint[];
+    /**
+     * - the n-th roots of y_i mod n
+     */
+    z: bigint[];
+};
+export type ThresholdParameters = {
+    /**
+     * - the public key to encrypt with. It uses g = n+1
+     */
+    publicKey: PublicKey;
+    /**
+     * - the number t of shares required to decrypt
+     */
+    threshold: number;
+    /**
+     * - the total number l of shares
+     */
+    parties: number;
+    /**
+     * - Δ = l!
+     */
+    delta: bigint;
+    /**
+     * - a random square in Z* of n^2 that generates the group of squares
+     */
+    v: bigint;
+    /**
+     * - the verification keys v_i = v^(Δ·s_i) mod n^2. verificationKeys[i-1] is the key of party i
+     */
+    verificationKeys: bigint[];
+};
+export type KeyShare = {
+    /**
+     * - the index i in [1, l] of the share holder
+     */
+    index: number;
+    /**
+     * - the secret share s_i = f(i)
+     */
+    secret: bigint;
+    /**
+     * - the public parameters
+     */
+    parameters: ThresholdParameters;
+};
+export type DecryptionShare = {
+    /**
+     * - the index i of the share holder
+     */
+    index: number;
+    /**
+     * - the decryption share c_i = c^(2Δ·s_i) mod n^2
+     */
+    value: bigint;
+    /**
+     * - the proof that the decryption share was computed with s_i
+     */
+    proof: {
+        e: bigint;
+        z: bigint;
+    };
+};
+export type BatchOptions = {
+    /**
+     * - the number of workers of the pool. It defaults to the number of CPU cores
+     */
+    workers?: number;
+    /**
+     * - the number of items sent to a worker at once. By default, every worker gets about 4 chunks
+     */
+    chunkSize?: number;
+    /**
+     * - a signal (or any object with aborted, reason, addEventListener and removeEventListener) to cancel the operation. Workers are then terminated and the promise rejects with the abort reason
+     */
+    signal?: AbortSignal;
+};
+export type StreamEncoder = {
+    /**
+     * - maps an input value to a plaintext in Z_n, e.g. {@link SignedIntegerEncoder#encode}
+     */
+    encode: (arg0: any) => bigint;
+    /**
+     * - maps a decrypted plaintext back to a value, e.g. {@link SignedIntegerEncoder#decode}
+     */
+    decode: (arg0: bigint) => any;
+};
 export type KeyPair = {
     /**
      * - a Paillier's public key
@@ -9,151 +226,1878 @@ export type KeyPair = {
     privateKey: PrivateKey;
 };
 /**
- * Class for Paillier private keys.
+ * A source of random bytes. The default one is the cryptographically secure generator of the platform. An
+ * {@link HmacDrbg} can be used instead to get reproducible results in tests.
  */
-export class PrivateKey {
+export type RandomSource = {
     /**
-       * Creates an instance of class PrivateKey
-       *
-       * @param {bigint} lambda
-       * @param {bigint} mu
-       * @param {PublicKey} publicKey
-       * @param {bigint} [p = null] - a big prime
-       * @param {bigint} [q = null] - a big prime
-       */
-    constructor(lambda: bigint, mu: bigint, publicKey: PublicKey, p?: bigint, q?: bigint);
-    lambda: bigint;
-    mu: bigint;
-    _p: bigint;
-    _q: bigint;
-    publicKey: PublicKey;
+     * - returns the requested number of random bytes
+     */
+    randomBytes: (arg0: number) => Uint8Array;
+};
+/**
+ * The JWK-like JSON representation of a private key, with base64url-encoded bigints
+ */
+export type PrivateKeyJSON = {
     /**
-       * Get the bit length of the public modulo
-       * @returns {number} - bit length of the public modulo
-       */
-    get bitLength(): number;
+     * - the key type, 'Paillier'
+     */
+    kty: string;
     /**
-       * Get the public modulo n=p·q
-       * @returns {bigint} - the public modulo n=p·q
-       */
-    get n(): bigint;
+     * - the version of the format
+     */
+    version: number;
+    /**
+     * - the public modulo
+     */
+    n: string;
+    /**
+     * - the public generator
+     */
+    g: string;
+    lambda: string;
+    mu: string;
+    /**
+     * - the first prime, if known
+     */
+    p?: string;
     /**
-     * Paillier private-key decryption
+     * - the second prime, if known
+     */
+    q?: string;
+};
+/**
+ * Class for Damgård-Jurik private keys (see {@link DamgardJurikPublicKey})
+ */
+export class DamgardJurikPrivateKey {
+    /**
+     * Creates the Damgård-Jurik private key with the same lambda of a Paillier private key
      *
-     * @param {bigint} c - a bigint encrypted with the public key
+     * @param {PrivateKey} privateKey
+     * @param {number} s
      *
-     * @returns {bigint} - the decryption of c with this private key
+     * @returns {DamgardJurikPrivateKey}
      */
-    decrypt(c: bigint): bigint;
+    static fromPrivateKey(privateKey: PrivateKey, s: number): DamgardJurikPrivateKey;
     /**
-     * Recover the random factor used for encrypting a message with the complementary public key.
-     * The recovery function only works if the public key generator g was using the simple variant
-     * g = 1 + n
+     * Creates an instance of class DamgardJurikPrivateKey
      *
-     * @param {bigint} c - the encryption using the public of message m with random factor r
+     * @param {bigint} lambda - a multiple of the Carmichael function of n, e.g. lcm(p-1, q-1)
+     * @param {DamgardJurikPublicKey} publicKey
+     */
+    constructor(lambda: bigint, publicKey: DamgardJurikPublicKey);
+    lambda: bigint;
+    publicKey: DamgardJurikPublicKey;
+    _muS: bigint;
+    /**
+     * Damgård-Jurik private-key decryption
      *
-     * @returns {bigint} - the random factor (mod n)
+     * @param {bigint} c - a bigint encrypted with the public key
      *
-     * @throws {RangeError} - Cannot recover the random factor if publicKey.g != publicKey.n + 1. You should generate yout keys using the simple variant, e.g. generateRandomKeys(3072, true) )
+     * @returns {bigint} - the decryption of c with this private key, in [0, n^s)
      */
-    getRandomFactor(c: bigint): bigint;
+    decrypt(c: bigint): bigint;
 }
 /**
- * Class for a Paillier public key
+ * Class for a Damgård-Jurik public key, the generalization of Paillier with plaintexts in Z_(n^s) and ciphertexts in
+ * Z*_(n^(s+1)). With s = 1 it is exactly the Paillier cryptosystem. It uses the same n and g as a Paillier
+ * {@link PublicKey}, so it can be built from any key generated with {@link generateRandomKeys}.
  */
-export class PublicKey {
+export class DamgardJurikPublicKey {
     /**
-       * Creates an instance of class PublicKey
+       * Creates the Damgård-Jurik public key with the same n and g of a Paillier public key
+       *
+       * @param {PublicKey} publicKey
+       * @param {number} s
+       *
+       * @returns {DamgardJurikPublicKey}
+       */
+    static fromPublicKey(publicKey: PublicKey, s: number): DamgardJurikPublicKey;
+    /**
+       * Creates an instance of class DamgardJurikPublicKey
        * @param {bigint} n - the public modulo
        * @param {bigint} g - the public generator
+       * @param {number} s - plaintexts are in Z_(n^s) and ciphertexts in Z*_(n^(s+1))
+       *
+       * @throws {RangeError} - if s is not a positive integer
        */
-    constructor(n: bigint, g: bigint);
+    constructor(n: bigint, g: bigint, s: number);
     n: bigint;
-    _n2: bigint;
     g: bigint;
+    s: number;
+    ns: bigint;
+    _ns1: bigint;
+    /**
+     * Strict validation for this key: true or false overrides the process-wide {@link setStrictValidation}, null
+     * (default) follows it
+     * @type {boolean | null}
+     */
+    strictValidation: boolean | null;
     /**
        * Get the bit length of the public modulo
        * @returns {number} - bit length of the public modulo
        */
     get bitLength(): number;
     /**
-       * Paillier public-key encryption
+       * Damgård-Jurik public-key encryption, g^m · r^(n^s) mod n^(s+1)
        *
-       * @param {bigint} m - a bigint representation of a cleartext message
+       * @param {bigint} m - a plaintext in [0, n^s)
        * @param {bigint} [r] - the random integer factor for encryption. By default is a random in (1,n)
        *
        * @returns {bigint} - the encryption of m with this public key
+       *
+       * @throws {InvalidPlaintextError} - in strict mode (see {@link setStrictValidation}), if m is not in [0, n^s)
        */
     encrypt(m: bigint, r?: bigint): bigint;
-    encryptOtherNA(m: any, r: any, n2: any): bigint;
-    encryptOtherNB(m: any, r: any, n2: any): bigint;
-    encryptOtherNC(m: any, r: any, n2: any): bigint;
-    encryptOtherNF(m: any, r: any, n2: any): bigint;
-    encryptOtherND(m: any, r: any, n2: any): bigint;
-    encryptOtherNE(m: any, r: any, n2: any): bigint;
     /**
        * Homomorphic addition
        *
        * @param {...bigint} ciphertexts - n >= 2 ciphertexts (c_1,..., c_n) that are the encryption of (m_1, ..., m_n) with this public key
        *
-       * @returns {bigint} - the encryption of (m_1 + ... + m_2) with this public key
+       * @returns {bigint} - the encryption of (m_1 + ... + m_n) mod n^s with this public key
        */
     addition(...ciphertexts: bigint[]): bigint;
     /**
-       * Pseudo-homomorphic Paillier multiplication
+       * Homomorphic multiplication by a plaintext
        *
        * @param {bigint} c - a number m encrypted with this public key
-       * @param {bigint | number} k - either a bigint or a number
+       * @param {bigint | number} k - either a bigint or a number. If negative, the inverse of c is raised to -k
        *
-       * @returns {bigint} - the encryption of k·m with this public key
+       * @returns {bigint} - the encryption of k·m mod n^s with this public key
        */
     multiply(c: bigint, k: bigint | number): bigint;
+    _checkCiphertext(c: any): void;
 }
-export function generateDualG(n1: any, n2: any): number;
-/**
- * @typedef {Object} KeyPair
- * @property {PublicKey} publicKey - a Paillier's public key
- * @property {PrivateKey} privateKey - the associated Paillier's private key
- */
-/**
- * Generates a pair private, public key for the Paillier cryptosystem.
- *
- * @param {number} [bitlength = 3072] - the bit length of the public modulo
- * @param {boolean} [simplevariant = false] - use the simple variant to compute the generator (g=n+1). This is REQUIRED if you want to be able to recover the random integer factor used when encrypting with the public key
- *
- * @returns {Promise<KeyPair>} - a promise that resolves to a {@link KeyPair} of public, private keys
- */
-export function generateRandomKeys(bitlength?: number, simpleVariant?: boolean): Promise<KeyPair>;
-/**
- * Generates a pair private, public key for the Paillier cryptosystem in synchronous mode.
- * Synchronous mode is NOT RECOMMENDED since it won't use workers and thus it'll be slower and may freeze thw window in browser's javascript.
- *
- * @param {number} [bitlength = 3072] - the bit length of the public modulo
- * @param {boolean} [simplevariant = false] - use the simple variant to compute the generator (g=n+1)
- *
- * @returns {KeyPair} - a {@link KeyPair} of public, private keys
- */
-export function generateRandomKeysSync(bitlength?: number, simpleVariant?: boolean): KeyPair;
 /**
- * Generates a pair private, public key for the Paillier cryptosystem in synchronous mode.
- * Synchronous mode is NOT RECOMMENDED since it won't use workers and thus it'll be slower and may freeze thw window in browser's javascript.
+ * Fixed-point/floating-point encoding of numbers into the plaintext space Z_n of a Paillier public key, compatible
+ * with python-paillier's EncodedNumber.
  *
- * @param {bigint}  - p prime
- * @param {bigint}  - q prime
- * @param {bigint}  - g manual G
+ * A number x is represented by an integer mantissa and a base-16 exponent such that x = mantissa · 16^exponent. The
+ * signed mantissa is encoded modulo n in the same way as {@link SignedIntegerEncoder} with maxAbs = publicKey.maxInt.
  *
- * @returns {KeyPair} - a {@link KeyPair} of public, private keys
+ * bigints are encoded as integers (exponent 0) while numbers are encoded as floats, i.e. with enough precision to
+ * represent exactly their 53-bit mantissa, unless a precision is provided.
  */
-export function keysFromPrimes(p: any, q: any, g: any): KeyPair;
+export class EncodedNumber {
+    /**
+       * Get the base of the exponents
+       * @returns {number} - 16
+       */
+    static get BASE(): number;
+    /**
+       * Encodes a number
+       *
+       * @param {PublicKey} publicKey - the public key whose plaintext space the number is encoded into
+       * @param {bigint | number} scalar - the number to encode. bigints are treated as integers and numbers as floats
+       * @param {number} [precision] - if provided, the number is encoded with a fixed precision, i.e. with exponent floor(log16(precision)). E.g. 0.01 for cents
+       * @param {number} [maxExponent] - if provided, the exponent is not larger than maxExponent. Useful to align exponents
+       *
+       * @returns {EncodedNumber} - the encoded number
+       *
+       * @throws {RangeError} - if scalar is not finite or its absolute value is too large to be encoded
+       */
+    static encode(publicKey: PublicKey, scalar: bigint | number, precision?: number, maxExponent?: number): EncodedNumber;
+    /**
+       * Creates an EncodedNumber from its encoding and exponent. Use {@link EncodedNumber.encode} to encode a number.
+       *
+       * @param {PublicKey} publicKey - the public key whose plaintext space the number is encoded into
+       * @param {bigint} encoding - the encoded mantissa in [0, n)
+       * @param {number} exponent - the base-16 exponent
+       */
+    constructor(publicKey: PublicKey, encoding: bigint, exponent: number);
+    publicKey: PublicKey;
+    encoding: bigint;
+    exponent: number;
+    /**
+       * Decodes this number
+       *
+       * @returns {bigint | number} - a bigint if the exponent is not negative, or a number otherwise
+       *
+       * @throws {RangeError} - if an overflow is detected or the decoded number cannot be represented as a number
+       */
+    decode(): bigint | number;
+    /**
+       * Returns an EncodedNumber representing the same number with a lower exponent
+       *
+       * @param {number} newExponent - the new exponent. It MUST be lower than or equal to the current one
+       *
+       * @returns {EncodedNumber}
+       *
+       * @throws {RangeError} - if newExponent is larger than the current exponent
+       */
+    decreaseExponentTo(newExponent: number): EncodedNumber;
+}
 /**
- * Generates a pair private, public key for the Paillier cryptosystem in synchronous mode.
- * Synchronous mode is NOT RECOMMENDED since it won't use workers and thus it'll be slower and may freeze thw window in browser's javascript.
- *
- * @param {bigint}  - p prime
- * @param {bigint}  - q prime
- * @param {boolean} [simplevariant = false] - use the simple variant to compute the generator (g=n+1)
- *
- * @returns {KeyPair} - a {@link KeyPair} of public, private keys
+ * An encrypted {@link EncodedNumber}, compatible with python-paillier's EncryptedNumber. It binds a ciphertext to its
+ * public key and to the base-16 exponent of the encrypted number, so that homomorphic operations automatically align
+ * exponents and operands encrypted under different keys cannot be mixed up.
  */
-export function keysFromPrimesSimple(p: any, q: any): KeyPair;
-export function multiplyOtherN2(c: any, k: any, n2: any): bigint;
+export class EncryptedNumber {
+    /**
+       * Encodes and encrypts a number
+       *
+       * @param {PublicKey} publicKey - the public key to encrypt with
+       * @param {bigint | number | EncodedNumber} value - the number to encrypt. bigints are treated as integers and numbers as floats (see {@link EncodedNumber.encode})
+       * @param {number} [precision] - if provided, the number is encoded with this fixed precision, e.g. 0.01
+       * @param {bigint} [r] - the random integer factor for encryption. By default is a random in (1,n)
+       *
+       * @returns {EncryptedNumber} - the encrypted number
+       *
+       * @throws {KeyMismatchError} - if value is an EncodedNumber encoded with a different public key
+       */
+    static encrypt(publicKey: PublicKey, value: bigint | number | EncodedNumber, precision?: number, r?: bigint): EncryptedNumber;
+    /**
+       * Imports an encrypted number exported with {@link EncryptedNumber#toJSON}
+       *
+       * @param {string | Object} json - a JSON string or an object as returned by {@link EncryptedNumber#toJSON}
+       * @param {PublicKey} [publicKey] - if provided, the imported number is bound to this key, which MUST be equal to the exported one
+       *
+       * @returns {EncryptedNumber} - the imported encrypted number
+       *
+       * @throws {TypeError} - if json is malformed
+       * @throws {InvalidCiphertextError} - if the ciphertext is not in Z*_{n^2}
+       * @throws {KeyMismatchError} - if the exported key does not match publicKey
+       */
+    static fromJSON(json: string | any, publicKey?: PublicKey): EncryptedNumber;
+    /**
+       * Creates an EncryptedNumber from a ciphertext. Use {@link EncryptedNumber.encrypt} to encrypt a number.
+       *
+       * @param {PublicKey} publicKey - the public key the number was encrypted with
+       * @param {bigint} ciphertext - the encryption of the encoded mantissa
+       * @param {number} [exponent = 0] - the base-16 exponent of the encrypted number
+       */
+    constructor(publicKey: PublicKey, ciphertext: bigint, exponent?: number);
+    publicKey: PublicKey;
+    ciphertext: bigint;
+    exponent: number;
+    /**
+       * Decrypts this number without decoding it
+       *
+       * @param {PrivateKey} privateKey - the private key associated to the public key of this number
+       *
+       * @returns {EncodedNumber} - the decrypted encoded number
+       */
+    decryptEncoded(privateKey: PrivateKey): EncodedNumber;
+    /**
+       * Decrypts and decodes this number
+       *
+       * @param {PrivateKey} privateKey - the private key associated to the public key of this number
+       *
+       * @returns {bigint | number} - the decrypted number (see {@link EncodedNumber#decode})
+       *
+       * @throws {RangeError} - if an overflow is detected
+       */
+    decrypt(privateKey: PrivateKey): bigint | number;
+    /**
+       * Returns an EncryptedNumber representing the same number with a lower exponent
+       *
+       * @param {number} newExponent - the new exponent. It MUST be lower than or equal to the current one
+       *
+       * @returns {EncryptedNumber}
+       *
+       * @throws {RangeError} - if newExponent is larger than the current exponent
+       */
+    decreaseExponentTo(newExponent: number): EncryptedNumber;
+    /**
+       * Homomorphic addition. Exponents are aligned to the lowest of both operands.
+       *
+       * @param {EncryptedNumber | EncodedNumber | bigint | number} other - the number to add
+       *
+       * @returns {EncryptedNumber} - the encryption of the sum
+       *
+       * @throws {KeyMismatchError} - if other was encrypted or encoded with a different public key
+       */
+    add(other: EncryptedNumber | EncodedNumber | bigint | number): EncryptedNumber;
+    /**
+       * Homomorphic multiplication by a plaintext number, which may be non-integer. The exponent of the result is the sum
+       * of the exponents of both operands.
+       *
+       * @param {EncodedNumber | bigint | number} other - the plaintext number to multiply by
+       *
+       * @returns {EncryptedNumber} - the encryption of the product
+       *
+       * @throws {TypeError} - if other is an EncryptedNumber, since the product of two ciphertexts is not supported
+       * @throws {KeyMismatchError} - if other was encoded with a different public key
+       */
+    mul(other: EncodedNumber | bigint | number): EncryptedNumber;
+    /**
+       * Homomorphic subtraction. Exponents are aligned to the lowest of both operands.
+       *
+       * @param {EncryptedNumber | EncodedNumber | bigint | number} other - the number to subtract
+       *
+       * @returns {EncryptedNumber} - the encryption of the difference
+       *
+       * @throws {KeyMismatchError} - if other was encrypted or encoded with a different public key
+       */
+    sub(other: EncryptedNumber | EncodedNumber | bigint | number): EncryptedNumber;
+    /**
+       * Homomorphic negation
+       *
+       * @returns {EncryptedNumber} - the encryption of the opposite number
+       */
+    neg(): EncryptedNumber;
+    /**
+       * Re-randomizes this encrypted number, so that the output is unlinkable to the input (see {@link PublicKey#rerandomize})
+       *
+       * @param {bigint} [r] - the new random factor. By default is a random in (1,n)
+       *
+       * @returns {EncryptedNumber} - a fresh encryption of the same number
+       */
+    rerandomize(r?: bigint): EncryptedNumber;
+    /**
+       * Checks whether other is the same ciphertext with the same exponent under the same public key. Notice that two
+       * encryptions of the same number are NOT equal unless they share the same randomness.
+       *
+       * @param {EncryptedNumber} other
+       *
+       * @returns {boolean}
+       */
+    equals(other: EncryptedNumber): boolean;
+    /**
+       * Exports this encrypted number as a JSON object with its public key (see {@link PublicKey#toJSON}) and the
+       * base64url-encoded ciphertext. It is automatically used by JSON.stringify()
+       *
+       * @returns {{publicKey: Object, ciphertext: string, exponent: number}}
+       */
+    toJSON(): {
+        publicKey: any;
+        ciphertext: string;
+        exponent: number;
+    };
+    _addEncrypted(other: any): EncryptedNumber;
+    _addEncoded(encoded: any): EncryptedNumber;
+    _checkSameKey(publicKey: any): void;
+}
+/**
+ * A vector of ciphertexts encrypted with the same public key, with the linear algebra that Paillier's additive
+ * homomorphism allows: element-wise addition, multiplication by plaintext scalars and vectors, sums, dot products
+ * with plaintext vectors and products by plaintext matrices, e.g. to evaluate a linear model with plaintext weights
+ * on encrypted features.
+ *
+ * Dot products and matrix products are computed with a multi-exponentiation, which shares the squarings of all the
+ * terms, instead of one modPow per term.
+ */
+export class EncryptedVector {
+    /**
+       * Encrypts a vector of plaintexts element by element
+       *
+       * @param {PublicKey} publicKey - the public key to encrypt with
+       * @param {Array<bigint | number>} values - the plaintexts
+       *
+       * @returns {EncryptedVector}
+       */
+    static encrypt(publicKey: PublicKey, values: Array<bigint | number>): EncryptedVector;
+    /**
+       * Creates an EncryptedVector from ciphertexts. Use {@link EncryptedVector.encrypt} to encrypt a vector.
+       *
+       * @param {PublicKey} publicKey - the public key the ciphertexts were encrypted with
+       * @param {bigint[]} ciphertexts
+       */
+    constructor(publicKey: PublicKey, ciphertexts: bigint[]);
+    publicKey: PublicKey;
+    ciphertexts: bigint[];
+    /**
+       * Get the number of elements of this vector
+       * @returns {number}
+       */
+    get length(): number;
+    /**
+       * Decrypts every element of this vector
+       *
+       * @param {PrivateKey} privateKey - the private key associated to the public key of this vector
+       *
+       * @returns {bigint[]} - the plaintexts
+       */
+    decrypt(privateKey: PrivateKey): bigint[];
+    /**
+       * Element-wise homomorphic addition
+       *
+       * @param {EncryptedVector | Array<bigint | number>} other - an encrypted vector or a vector of plaintexts of the same length
+       *
+       * @returns {EncryptedVector} - the encryption of the element-wise sum
+       *
+       * @throws {RangeError} - if the vectors have different lengths
+       * @throws {KeyMismatchError} - if other was encrypted with a different public key
+       */
+    add(other: EncryptedVector | Array<bigint | number>): EncryptedVector;
+    /**
+       * Element-wise homomorphic multiplication by a plaintext scalar or by a plaintext vector
+       *
+       * @param {bigint | number | Array<bigint | number>} k - a scalar or a vector of the same length
+       *
+       * @returns {EncryptedVector} - the encryption of the element-wise product
+       *
+       * @throws {RangeError} - if k is a vector of a different length
+       */
+    multiply(k: bigint | number | Array<bigint | number>): EncryptedVector;
+    /**
+       * Homomorphic sum of the elements of this vector
+       *
+       * @returns {bigint} - the encryption of the sum
+       */
+    sum(): bigint;
+    /**
+       * Homomorphic dot product with a plaintext vector
+       *
+       * @param {Array<bigint | number>} weights - a plaintext vector of the same length. Negative weights are allowed
+       *
+       * @returns {bigint} - the encryption of sum(weights[i]·m_i) mod n
+       *
+       * @throws {RangeError} - if the vectors have different lengths
+       */
+    dot(weights: Array<bigint | number>): bigint;
+    /**
+       * Homomorphic product of a plaintext matrix by this vector
+       *
+       * @param {Array<Array<bigint | number>>} matrix - a plaintext matrix, as an array of rows with as many columns as this vector has elements
+       *
+       * @returns {EncryptedVector} - the encryption of matrix × this vector, with one element per row
+       *
+       * @throws {RangeError} - if a row of the matrix has a different length than this vector
+       */
+    matrixMultiply(matrix: Array<Array<bigint | number>>): EncryptedVector;
+    _dot(weights: any, inverses: any): bigint;
+    _map(fn: any): EncryptedVector;
+    _checkLength(length: any): void;
+    _checkSameKey(publicKey: any): void;
+}
+/**
+ * Deterministic random bit generator HMAC_DRBG with SHA-256 (NIST SP 800-90A) implementing the
+ * {@link RandomSource} interface. The same seed always produces the same sequence of bytes, and thus the same keys
+ * and ciphertexts when it is passed as randomSource to {@link generateRandomKeys}, {@link generateRandomKeysSync}
+ * or {@link PublicKey#encrypt}.
+ *
+ * FOR TESTING ONLY. Keys and ciphertexts are only as secret as the seed, so NEVER use it with a hard-coded or
+ * low-entropy seed outside reproducible tests.
+ */
+export class HmacDrbg {
+    /**
+       * Instantiates a HMAC_DRBG
+       *
+       * @param {Uint8Array | string} seed - the seed material. Strings are UTF-8 encoded
+       * @param {Uint8Array | string} [personalization] - an optional personalization string
+       *
+       * @throws {TypeError} - if seed or personalization are not a Uint8Array or a string
+       */
+    constructor(seed: Uint8Array | string, personalization?: Uint8Array | string);
+    _K: Uint8Array;
+    _V: Uint8Array;
+    /**
+       * Generates pseudorandom bytes
+       *
+       * @param {number} byteLength
+       *
+       * @returns {Uint8Array} - byteLength pseudorandom bytes
+       */
+    randomBytes(byteLength: number): Uint8Array;
+    /**
+       * Mixes additional entropy into the internal state
+       *
+       * @param {Uint8Array | string} entropy
+       */
+    reseed(entropy: Uint8Array | string): void;
+    _update(data: any): void;
+}
+/**
+ * Thrown when a ciphertext is not in the ciphertext space Z*_{n^2} of the public key
+ */
+export class InvalidCiphertextError extends PaillierError {
+    constructor(message?: string);
+}
+/**
+ * Thrown when a decryption share of threshold Paillier does not pass verification, i.e. its holder misbehaved
+ */
+export class InvalidDecryptionShareError extends PaillierError {
+    /**
+       * @param {number} index - the index of the share holder
+       * @param {string} [message]
+       */
+    constructor(index: number, message?: string);
+    index: number;
+}
+/**
+ * Thrown when the parameters of a public or private key are not valid or not consistent
+ */
+export class InvalidKeyError extends PaillierError {
+    constructor(message?: string);
+}
+/**
+ * Thrown when a plaintext is not in the plaintext space [0, n) of the public key
+ */
+export class InvalidPlaintextError extends PaillierError {
+    constructor(message?: string);
+}
+/**
+ * Thrown when a random factor r is not in Z*_n or an obfuscator r^n is not in Z*_{n^2}
+ */
+export class InvalidRandomnessError extends PaillierError {
+    constructor(message?: string);
+}
+/**
+ * Thrown when operating on ciphertexts, encoded numbers or keys bound to different public keys
+ */
+export class KeyMismatchError extends PaillierError {
+    constructor(message?: string);
+}
+/**
+ * A pool of precomputed encryption obfuscators r^n mod n^2 for a given public key. Since the obfuscator does not
+ * depend on the message, it can be computed ahead of time (offline), and encryption or re-randomization becomes just
+ * one modular multiplication.
+ *
+ * Every obfuscator is removed from the pool when it is taken, so it is never used twice.
+ */
+export class ObfuscatorPool {
+    /**
+       * Creates an empty pool of obfuscators for publicKey
+       *
+       * @param {PublicKey} publicKey - the public key the obfuscators are computed for
+       * @param {Object} [options]
+       * @param {string} [options.onExhausted = 'inline'] - what to do when an obfuscator is requested and the pool is empty:
+       *   'inline' computes it on the fly, 'throw' throws an Error, and 'block' waits (only with {@link ObfuscatorPool#acquire}) until a fill operation adds one
+       *
+       * @throws {RangeError} - if onExhausted is not one of 'inline', 'throw' or 'block'
+       */
+    constructor(publicKey: PublicKey, { onExhausted }?: {
+        onExhausted: string;
+    });
+    publicKey: PublicKey;
+    onExhausted: string;
+    _obfuscators: any[];
+    _waiting: any[];
+    /**
+       * Get the number of obfuscators available in the pool
+       * @returns {number} - the number of obfuscators available
+       */
+    get available(): number;
+    /**
+       * Synchronously computes count obfuscators and adds them to the pool
+       *
+       * @param {number} count - the number of obfuscators to compute
+       *
+       * @returns {number} - the number of obfuscators available in the pool
+       */
+    fillSync(count: number): number;
+    /**
+       * Computes count obfuscators in the background, yielding to the event loop after every one of them, and adds them
+       * to the pool as soon as they are computed
+       *
+       * @param {number} count - the number of obfuscators to compute
+       *
+       * @returns {Promise<number>} - a promise that resolves to the number of obfuscators available in the pool
+       */
+    fill(count: number): Promise<number>;
+    /**
+       * Computes count obfuscators in a worker (worker_threads in Node.js, a Web Worker in browsers) and adds them to the
+       * pool. If workers are not available, it falls back to {@link ObfuscatorPool#fill}
+       *
+       * @param {number} count - the number of obfuscators to compute
+       *
+       * @returns {Promise<number>} - a promise that resolves to the number of obfuscators available in the pool
+       */
+    fillInWorker(count: number): Promise<number>;
+    /**
+       * Takes (and removes) an obfuscator from the pool
+       *
+       * @returns {bigint} - an obfuscator r^n mod n^2
+       *
+       * @throws {ObfuscatorPoolExhaustedError} - if the pool is empty and onExhausted is 'throw' or 'block' (use {@link ObfuscatorPool#acquire} to wait)
+       */
+    take(): bigint;
+    /**
+       * Takes (and removes) an obfuscator from the pool. If the pool is empty and onExhausted is 'block', it waits until
+       * a fill operation adds a new one
+       *
+       * @param {Object} [options]
+       * @param {number} [options.timeout] - the maximum time to wait in milliseconds. By default, it waits forever
+       * @param {AbortSignal} [options.signal] - a signal (or any object with aborted, reason, addEventListener and removeEventListener) to stop waiting
+       *
+       * @returns {Promise<bigint>} - a promise that resolves to an obfuscator r^n mod n^2. It rejects with the abort reason if the signal is aborted
+       *
+       * @throws {ObfuscatorPoolTimeoutError} - if the timeout expires before an obfuscator is available
+       * @throws {ObfuscatorPoolExhaustedError} - if the pool is empty and onExhausted is 'throw'
+       */
+    acquire({ timeout, signal }?: {
+        timeout: number;
+        signal: AbortSignal;
+    }): Promise<bigint>;
+    _add(obfuscator: any): void;
+}
+/**
+ * Thrown when an {@link ObfuscatorPool} is empty and its onExhausted policy does not allow computing an obfuscator
+ * on the fly
+ */
+export class ObfuscatorPoolExhaustedError extends PaillierError {
+    constructor(message?: string);
+}
+/**
+ * Thrown when {@link ObfuscatorPool#acquire} times out waiting for a new obfuscator
+ */
+export class ObfuscatorPoolTimeoutError extends ObfuscatorPoolExhaustedError {
+    /**
+       * @param {number} timeout - the time waited in milliseconds
+       * @param {string} [message]
+       */
+    constructor(timeout: number, message?: string);
+    timeout: number;
+}
+/**
+ * Encoder of vectors of small non-negative integers into a single element of Z_n (SIMD-style packing). The plaintext
+ * space is split into fixed-width slots of slotBits + paddingBits bits, and the i-th integer is stored in the lowest
+ * slotBits bits of the i-th slot:
+ * ```
+ * encoding = v_0 + v_1·2^w + v_2·2^(2w) + ...   with w = slotBits + paddingBits
+ * ```
+ * A vector is then encrypted with a single {@link PublicKey#encrypt}, added slot-wise to another one with
+ * {@link PublicKey#addition} and scaled by a non-negative integer with {@link PublicKey#multiply}. The padding bits
+ * absorb the carries of these operations, so that up to 2^paddingBits additions of slotBits-bit values never spill
+ * over the next slot. Any decrypted slot exceeding slotBits bits is detected as an overflow.
+ */
+export class PackingEncoder {
+    /**
+       * Creates a packing encoder for the plaintext space of publicKey
+       *
+       * @param {PublicKey} publicKey
+       * @param {Object} [options]
+       * @param {number} [options.slotBits = 32] - the bit length of the values of every slot
+       * @param {number} [options.paddingBits = 16] - the extra bits of every slot to absorb the growth of the values
+       * @param {number} [options.slots] - the number of slots. It defaults to the maximum that fits in [0, n)
+       *
+       * @throws {RangeError} - if slotBits or paddingBits are not valid or the slots do not fit in [0, n)
+       */
+    constructor(publicKey: PublicKey, { slotBits, paddingBits, slots }?: {
+        slotBits: number;
+        paddingBits: number;
+        slots: number;
+    });
+    n: bigint;
+    slotBits: number;
+    paddingBits: number;
+    slots: number;
+    _slotWidth: bigint;
+    _slotMask: bigint;
+    _maxValue: bigint;
+    /**
+       * Get the maximum value that can be stored in a slot
+       * @returns {bigint} - 2^slotBits - 1
+       */
+    get maxValue(): bigint;
+    /**
+       * Encodes a vector of integers. Missing values are set to 0.
+       *
+       * @param {Array<bigint | number>} values - at most slots integers in [0, 2^slotBits)
+       *
+       * @returns {bigint} - the encoding of values in [0, n)
+       *
+       * @throws {RangeError} - if there are more values than slots or a value is out of range
+       */
+    encode(values: Array<bigint | number>): bigint;
+    /**
+       * Decodes an element of Z_n into a vector of slots integers
+       *
+       * @param {bigint} encoding - an element of [0, n), e.g. the decryption of an encoded vector
+       *
+       * @returns {bigint[]} - the integers of every slot
+       *
+       * @throws {RangeError} - if encoding is outside [0, n) or the value of a slot overflowed, i.e. exceeds 2^slotBits - 1
+       */
+    decode(encoding: bigint): bigint[];
+}
+/**
+ * Base class of the errors thrown by this library when validating keys, plaintexts and ciphertexts, and when an
+ * {@link ObfuscatorPool} runs out of obfuscators. It extends RangeError so that code catching the RangeErrors thrown by previous versions keeps working.
+ */
+export class PaillierError extends RangeError {
+    constructor(message: any);
+}
+/**
+ * The JWK-like JSON representation of a private key, with base64url-encoded bigints
+ *
+ * @typedef {Object} PrivateKeyJSON
+ * @property {string} kty - the key type, 'Paillier'
+ * @property {number} version - the version of the format
+ * @property {string} n - the public modulo
+ * @property {string} g - the public generator
+ * @property {string} lambda
+ * @property {string} mu
+ * @property {string} [p] - the first prime, if known
+ * @property {string} [q] - the second prime, if known
+ */
+/**
+ * Class for Paillier private keys.
+ */
+export class PrivateKey {
+    /**
+     * Imports a private key from its JSON representation. The key is checked for consistency, that is to say, mu
+     * MUST be the inverse of L(g^lambda mod n^2) modulo n and, if provided, p·q MUST be n.
+     *
+     * @param {string | Object} json - a JSON string or an object as returned by {@link PrivateKey#toJSON}
+     * @param {PublicKey} [publicKey] - if provided, the imported private key MUST match it and will be bound to it
+     *
+     * @returns {PrivateKey} - the imported private key
+     *
+     * @throws {TypeError} - if json is malformed
+     * @throws {RangeError} - if the version is not supported
+     * @throws {InvalidKeyError} - if the key parameters are not valid or consistent
+     * @throws {KeyMismatchError} - if the key does not match the provided public key
+     */
+    static fromJSON(json: string | any, publicKey?: PublicKey): PrivateKey;
+    /**
+     * Imports a private key from its DER encoding. The same consistency checks of {@link PrivateKey.fromJSON} apply.
+     *
+     * @param {Uint8Array} der - a DER-encoded PaillierPrivateKey as returned by {@link PrivateKey#toDER}
+     * @param {PublicKey} [publicKey] - if provided, the imported private key MUST match it and will be bound to it
+     *
+     * @returns {PrivateKey} - the imported private key
+     *
+     * @throws {TypeError} - if der is malformed
+     * @throws {RangeError} - if the version is not supported
+     * @throws {InvalidKeyError} - if the key parameters are not valid or consistent
+     * @throws {KeyMismatchError} - if the key does not match the provided public key
+     */
+    static fromDER(der: Uint8Array, publicKey?: PublicKey): PrivateKey;
+    /**
+     * Imports a private key from a PEM 'PAILLIER PRIVATE KEY' block
+     *
+     * @param {string} pem
+     * @param {PublicKey} [publicKey] - if provided, the imported private key MUST match it and will be bound to it
+     *
+     * @returns {PrivateKey} - the imported private key
+     *
+     * @throws {TypeError} - if pem is malformed
+     * @throws {InvalidKeyError} - if the key parameters are not valid or consistent
+     * @throws {KeyMismatchError} - if the key does not match the provided public key
+     */
+    static fromPEM(pem: string, publicKey?: PublicKey): PrivateKey;
+    /**
+       * Creates an instance of class PrivateKey
+       *
+       * @param {bigint} lambda
+       * @param {bigint} mu
+       * @param {PublicKey} publicKey
+       * @param {bigint} [p = null] - a big prime
+       * @param {bigint} [q = null] - a big prime
+       *
+       * @throws {InvalidKeyError} - in strict mode (see {@link setStrictValidation}), if the key parameters are not consistent
+       */
+    constructor(lambda: bigint, mu: bigint, publicKey: PublicKey, p?: bigint, q?: bigint);
+    lambda: bigint;
+    mu: bigint;
+    _p: bigint;
+    _q: bigint;
+    publicKey: PublicKey;
+    _crt: {
+        p: any;
+        q: any;
+        p2: bigint;
+        q2: bigint;
+        hp: bigint;
+        hq: bigint;
+        qInvP: bigint;
+    };
+    /**
+       * Get the bit length of the public modulo
+       * @returns {number} - bit length of the public modulo
+       */
+    get bitLength(): number;
+    /**
+       * Get the public modulo n=p·q
+       * @returns {bigint} - the public modulo n=p·q
+       */
+    get n(): bigint;
+    /**
+     * Paillier private-key decryption. If the primes p and q are known, decryption is performed modulo p^2 and q^2
+     * and the results combined with the Chinese Remainder Theorem, which is about 4 times faster.
+     *
+     * @param {bigint} c - a bigint encrypted with the public key
+     *
+     * @returns {bigint} - the decryption of c with this private key
+     *
+     * @throws {InvalidCiphertextError} - in strict mode (see {@link setStrictValidation}), if c is not in Z* of n^2
+     */
+    decrypt(c: bigint): bigint;
+    /**
+     * Decrypts c and proves, without revealing the private key, that the plaintext is its correct decryption. The
+     * proof can be verified by anyone with the public key alone using {@link verifyDecryption}, e.g. to publish
+     * auditable tallies. It can be exported with {@link encryptionProof}.toJSON().
+     *
+     * @param {bigint} c - a bigint encrypted with the public key
+     * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for the proof
+     *
+     * @returns {{plaintext: bigint, proof: EncryptionProof}} - the decryption of c and the proof of its correctness
+     *
+     * @throws {InvalidCiphertextError} - if c is not in Z* of n^2
+     */
+    decryptWithProof(c: bigint, randomSource?: RandomSource): {
+        plaintext: bigint;
+        proof: EncryptionProof;
+    };
+    /**
+     * Decrypts a signed integer encoded with a {@link SignedIntegerEncoder}, detecting overflows
+     *
+     * @param {bigint} c - the encryption of a signed integer with the public key
+     * @param {SignedIntegerEncoder} [encoder] - the encoder used. By default, one with maxAbs = publicKey.maxInt
+     *
+     * @returns {bigint} - the decrypted signed integer
+     *
+     * @throws {RangeError} - if the decrypted value overflowed, i.e. its absolute value exceeds maxAbs
+     * @throws {KeyMismatchError} - if the encoder was created for a different public key
+     */
+    decryptSigned(c: bigint, encoder?: SignedIntegerEncoder): bigint;
+    /**
+     * Validates this private key and its public key (see {@link PublicKey#validate}). It checks that p and q, if known,
+     * are distinct primes with p·q = n, that lambda is a multiple of the Carmichael function of n, that the order of g
+     * is a multiple of n, that mu matches lambda and g and that a test encryption decrypts correctly.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.minBitLength = 2048] - the minimum bit length of n
+     *
+     * @returns {Promise<ValidationReport>} - a report of every performed check
+     */
+    validate(options?: {
+        minBitLength: number;
+    }): Promise<ValidationReport>;
+    /**
+     * Recover the random factor used for encrypting a message with the complementary public key.
+     * The recovery function only works if the public key generator g was using the simple variant
+     * g = 1 + n
+     *
+     * @param {bigint} c - the encryption using the public of message m with random factor r
+     *
+     * @returns {bigint} - the random factor (mod n)
+     *
+     * @throws {RangeError} - Cannot recover the random factor if publicKey.g != publicKey.n + 1. You should generate yout keys using the simple variant, e.g. generateRandomKeys(3072, true) )
+     */
+    getRandomFactor(c: bigint): bigint;
+    /**
+     * Exports this private key as a JWK-like object with base64url-encoded bigints. The primes p and q are only
+     * included if they are known. It is automatically used by JSON.stringify()
+     *
+     * @returns {PrivateKeyJSON} - the JSON representation of this private key
+     */
+    toJSON(): PrivateKeyJSON;
+    /**
+     * Exports this private key as DER with the following ASN.1 structure:
+     * ```
+     * PaillierPrivateKey ::= SEQUENCE {
+     *   version INTEGER (0),
+     *   n       INTEGER,
+     *   g       INTEGER,
+     *   lambda  INTEGER,
+     *   mu      INTEGER,
+     *   p       [0] IMPLICIT INTEGER OPTIONAL,
+     *   q       [1] IMPLICIT INTEGER OPTIONAL
+     * }
+     * ```
+     * p and q are only included if they are known.
+     *
+     * @returns {Uint8Array} - the DER encoding of this private key
+     */
+    toDER(): Uint8Array;
+    /**
+     * Exports this private key as a PEM 'PAILLIER PRIVATE KEY' block
+     *
+     * @returns {string} - the PEM encoding of this private key
+     */
+    toPEM(): string;
+}
+/**
+ * Class for a Paillier public key
+ */
+export class PublicKey {
+    /**
+       * Imports a public key from its JSON representation
+       *
+       * @param {string | Object} json - a JSON string or an object as returned by {@link PublicKey#toJSON}
+       *
+       * @returns {PublicKey} - the imported public key
+       *
+       * @throws {TypeError} - if json is malformed
+       * @throws {RangeError} - if the version is not supported
+       * @throws {InvalidKeyError} - if the key parameters are not valid
+       */
+    static fromJSON(json: string | any): PublicKey;
+    /**
+       * Imports a public key from its DER encoding
+       *
+       * @param {Uint8Array} der - a DER-encoded PaillierPublicKey as returned by {@link PublicKey#toDER}
+       *
+       * @returns {PublicKey} - the imported public key
+       *
+       * @throws {TypeError} - if der is malformed
+       * @throws {InvalidKeyError} - if the key parameters are not valid
+       */
+    static fromDER(der: Uint8Array): PublicKey;
+    /**
+       * Imports a public key from a PEM 'PAILLIER PUBLIC KEY' block
+       *
+       * @param {string} pem
+       *
+       * @returns {PublicKey} - the imported public key
+       *
+       * @throws {TypeError} - if pem is malformed
+       * @throws {InvalidKeyError} - if the key parameters are not valid
+       */
+    static fromPEM(pem: string): PublicKey;
+    /**
+       * Creates an instance of class PublicKey
+       * @param {bigint} n - the public modulo
+       * @param {bigint} g - the public generator
+       *
+       * @throws {InvalidKeyError} - in strict mode (see {@link setStrictValidation}), if n is not an odd integer > 1 or g is not in Z* of n^2
+       */
+    constructor(n: bigint, g: bigint);
+    n: bigint;
+    _n2: bigint;
+    g: bigint;
+    _gTable: FixedBaseTable;
+    obfuscatorPool: ObfuscatorPool;
+    /**
+     * Strict validation for this key and its private key: true or false overrides the process-wide
+     * {@link setStrictValidation}, null (default) follows it
+     * @type {boolean | null}
+     */
+    strictValidation: boolean | null;
+    /**
+       * Get the bit length of the public modulo
+       * @returns {number} - bit length of the public modulo
+       */
+    get bitLength(): number;
+    /**
+       * Get the maximum absolute value of the signed integers that are encoded by default, floor(n/3) - 1. Encodings in
+       * the gap between maxInt and n - maxInt are used to detect overflows.
+       * @returns {bigint} - the default maximum absolute value of encoded signed integers
+       */
+    get maxInt(): bigint;
+    /**
+       * Checks whether other is the same public key, i.e. it has the same n and g
+       *
+       * @param {PublicKey} other
+       *
+       * @returns {boolean}
+       */
+    equals(other: PublicKey): boolean;
+    /**
+       * Validates this public key: n MUST be an odd composite integer that is not a perfect square and at least
+       * minBitLength bits long, and g MUST be in Z* of n^2. Checking that the order of g is a multiple of n requires
+       * the private key (see {@link PrivateKey#validate}).
+       *
+       * @param {Object} [options]
+       * @param {number} [options.minBitLength = 2048] - the minimum bit length of n
+       *
+       * @returns {Promise<ValidationReport>} - a report of every performed check
+       */
+    validate(options?: {
+        minBitLength: number;
+    }): Promise<ValidationReport>;
+    /**
+       * Paillier public-key encryption
+       *
+       * @param {bigint} m - a bigint representation of a cleartext message
+       * @param {bigint} [r] - the random integer factor for encryption. By default is a random in (1,n)
+       * @param {RandomSource} [randomSource] - FOR TESTING ONLY. If provided and r is not, r is chosen with randomness from this source (e.g. a seeded {@link HmacDrbg}) instead of taking an obfuscator from the pool, so that ciphertexts are reproducible
+       *
+       * @returns {bigint} - the encryption of m with this public key
+       *
+       * @throws {InvalidPlaintextError} - in strict mode (see {@link setStrictValidation}), if m is not in [0, n)
+       * @throws {InvalidRandomnessError} - in strict mode, if r is not in Z* of n
+       * @throws {ObfuscatorPoolExhaustedError} - if r is not provided and the {@link ObfuscatorPool} in use is empty and its onExhausted policy is 'throw'
+       */
+    encrypt(m: bigint, r?: bigint, randomSource?: RandomSource): bigint;
+    /**
+       * Encrypts a signed integer encoded with a {@link SignedIntegerEncoder}
+       *
+       * @param {bigint | number} value - a signed integer
+       * @param {SignedIntegerEncoder} [encoder] - the encoder to use. By default, one with maxAbs = {@link PublicKey#maxInt}
+       *
+       * @returns {bigint} - the encryption of the encoding of value with this public key
+       *
+       * @throws {RangeError} - if value cannot be encoded, i.e. |value| > maxAbs
+       * @throws {KeyMismatchError} - if the encoder was created for a different public key
+       */
+    encryptSigned(value: bigint | number, encoder?: SignedIntegerEncoder): bigint;
+    /**
+       * Paillier public-key encryption with a precomputed obfuscator, e.g. one acquired from an {@link ObfuscatorPool}.
+       * It requires just one modular multiplication (plus g^m, which is cheap if g = n+1 or if g has been precomputed).
+       * Never use the same obfuscator twice.
+       *
+       * @param {bigint} m - a bigint representation of a cleartext message
+       * @param {bigint} obfuscator - r^n mod n^2 for a random r in Z* of n
+       *
+       * @returns {bigint} - the encryption of m with this public key
+       *
+       * @throws {InvalidPlaintextError} - in strict mode (see {@link setStrictValidation}), if m is not in [0, n)
+       * @throws {InvalidRandomnessError} - in strict mode, if the obfuscator is not in Z* of n^2
+       */
+    encryptWithObfuscator(m: bigint, obfuscator: bigint): bigint;
+    /**
+       * Re-randomizes a ciphertext by multiplying it by a fresh obfuscator r^n mod n^2. The result decrypts to the same
+       * plaintext but it is unlinkable to the input ciphertext, e.g. the output of {@link PublicKey#addition} or
+       * {@link PublicKey#multiply} can no longer be linked to its operands.
+       *
+       * @param {bigint} c - a ciphertext encrypted with this public key
+       * @param {bigint} [r] - the random integer factor in Z* of n. By default the obfuscator is taken from this key's {@link ObfuscatorPool} if in use, or a random r is chosen
+       *
+       * @returns {bigint} - a new encryption of the same plaintext
+       *
+       * @throws {InvalidCiphertextError} - in strict mode (see {@link setStrictValidation}), if c is not in Z* of n^2
+       * @throws {InvalidRandomnessError} - in strict mode, if r is not in Z* of n
+       */
+    rerandomize(c: bigint, r?: bigint): bigint;
+    /**
+       * Re-randomizes a ciphertext with a precomputed obfuscator, e.g. one acquired from an {@link ObfuscatorPool}.
+       * Never use the same obfuscator twice.
+       *
+       * @param {bigint} c - a ciphertext encrypted with this public key
+       * @param {bigint} obfuscator - r^n mod n^2 for a random r in Z* of n
+       *
+       * @returns {bigint} - a new encryption of the same plaintext
+       *
+       * @throws {InvalidCiphertextError} - in strict mode (see {@link setStrictValidation}), if c is not in Z* of n^2
+       * @throws {InvalidRandomnessError} - in strict mode, if the obfuscator is not in Z* of n^2
+       */
+    rerandomizeWithObfuscator(c: bigint, obfuscator: bigint): bigint;
+    /**
+       * Enables precomputation to speed up bulk encryption:
+       *  - if g != n+1, a fixed-base window table for g is built, so that g^m mod n^2 requires only multiplications
+       *    (if g = n+1, g^m = 1 + m·n mod n^2 is always used instead);
+       *  - obfuscators r^n mod n^2 are added to this key's {@link ObfuscatorPool} (a pool that computes obfuscators on the
+       *    fly when exhausted is created if none is in use). Every call to encrypt() without an explicit r consumes (and
+       *    removes) one of them.
+       *
+       * @param {Object} [options]
+       * @param {number} [options.window = 4] - the window size in bits of the fixed-base table for g, in [1, 16]. The table grows as 2^window
+       * @param {number} [options.obfuscators = 0] - the number of obfuscators to add to the pool
+       *
+       * @returns {PublicKey} - this public key
+       *
+       * @throws {RangeError} - if window is not an integer in [1, 16]
+       */
+    precompute({ window, obfuscators }?: {
+        window: number;
+        obfuscators: number;
+    }): PublicKey;
+    /**
+       * Fills this key's {@link ObfuscatorPool} in the background (see {@link ObfuscatorPool#fill}). A pool that computes
+       * obfuscators on the fly when exhausted is created if none is in use.
+       *
+       * @param {number} count - the number of obfuscators to add to the pool
+       *
+       * @returns {Promise<number>} - a promise that resolves to the number of obfuscators in the pool once all of them have been computed
+       */
+    precomputeObfuscators(count: number): Promise<number>;
+    /**
+       * Get the number of precomputed obfuscators still available in the pool
+       * @returns {number} - the number of precomputed obfuscators
+       */
+    get precomputedObfuscators(): number;
+    /**
+       * Sets the {@link ObfuscatorPool} that encrypt() consumes when no random factor is provided. Since encrypt() is
+       * synchronous, it cannot wait for new obfuscators, so pools with onExhausted = 'block' cannot be used. Use
+       * {@link ObfuscatorPool#acquire} with {@link PublicKey#encryptWithObfuscator} instead.
+       *
+       * @param {ObfuscatorPool | null} pool - a pool created for a public key with the same modulo n (obfuscators r^n mod n^2 do not depend on g), or null to stop using a pool
+       *
+       * @returns {PublicKey} - this public key
+       *
+       * @throws {KeyMismatchError} - if the pool was created for a public key with a different modulo
+       * @throws {RangeError} - if the onExhausted policy of the pool is 'block'
+       */
+    useObfuscatorPool(pool: ObfuscatorPool | null): PublicKey;
+    _gPow(m: any): bigint;
+    _checkCiphertexts(...ciphertexts: any[]): void;
+    _randomObfuscator(randomSource?: any): bigint;
+    _nextObfuscator(): bigint;
+    _pool(): ObfuscatorPool;
+    encryptOtherNA(m: any, r: any, n2: any): bigint;
+    encryptOtherNB(m: any, r: any, n2: any): bigint;
+    encryptOtherNC(m: any, r: any, n2: any): bigint;
+    encryptOtherNF(m: any, r: any, n2: any): bigint;
+    encryptOtherND(m: any, r: any, n2: any): bigint;
+    encryptOtherNE(m: any, r: any, n2: any): bigint;
+    /**
+       * Exports this public key as a JWK-like object with base64url-encoded bigints.
+       * It is automatically used by JSON.stringify()
+       *
+       * @returns {{kty: string, version: number, n: string, g: string}} - the JSON representation of this public key
+       */
+    toJSON(): {
+        kty: string;
+        version: number;
+        n: string;
+        g: string;
+    };
+    /**
+       * Exports this public key as DER with the following ASN.1 structure:
+       * ```
+       * PaillierPublicKey ::= SEQUENCE {
+       *   n INTEGER,
+       *   g INTEGER
+       * }
+       * ```
+       *
+       * @returns {Uint8Array} - the DER encoding of this public key
+       */
+    toDER(): Uint8Array;
+    /**
+       * Exports this public key as a PEM 'PAILLIER PUBLIC KEY' block
+       *
+       * @returns {string} - the PEM encoding of this public key
+       */
+    toPEM(): string;
+    /**
+       * Homomorphic addition
+       *
+       * @param {...bigint} ciphertexts - n >= 2 ciphertexts (c_1,..., c_n) that are the encryption of (m_1, ..., m_n) with this public key
+       *
+       * @returns {bigint} - the encryption of (m_1 + ... + m_2) with this public key
+       */
+    addition(...ciphertexts: bigint[]): bigint;
+    /**
+       * Homomorphic subtraction
+       *
+       * @param {bigint} c1 - the encryption of m1 with this public key
+       * @param {bigint} c2 - the encryption of m2 with this public key
+       *
+       * @returns {bigint} - the encryption of (m1 - m2) mod n with this public key
+       */
+    subtract(c1: bigint, c2: bigint): bigint;
+    /**
+       * Homomorphic negation
+       *
+       * @param {bigint} c - the encryption of m with this public key
+       *
+       * @returns {bigint} - the encryption of -m mod n with this public key
+       */
+    negate(c: bigint): bigint;
+    /**
+       * Homomorphic addition of a plaintext to a ciphertext. Notice that the randomness of the output is the same of the
+       * input ciphertext. Use {@link PublicKey#rerandomize} if the output must be unlinkable to the input.
+       *
+       * @param {bigint} c - the encryption of m1 with this public key
+       * @param {bigint | number} m - a plaintext m2
+       *
+       * @returns {bigint} - the encryption of (m1 + m2) mod n with this public key
+       */
+    addPlaintext(c: bigint, m: bigint | number): bigint;
+    /**
+       * Homomorphic subtraction of a plaintext from a ciphertext. Notice that the randomness of the output is the same of
+       * the input ciphertext. Use {@link PublicKey#rerandomize} if the output must be unlinkable to the input.
+       *
+       * @param {bigint} c - the encryption of m1 with this public key
+       * @param {bigint | number} m - a plaintext m2
+       *
+       * @returns {bigint} - the encryption of (m1 - m2) mod n with this public key
+       */
+    subtractPlaintext(c: bigint, m: bigint | number): bigint;
+    /**
+       * Pseudo-homomorphic Paillier multiplication
+       *
+       * @param {bigint} c - a number m encrypted with this public key
+       * @param {bigint | number} k - either a bigint or a number. If negative, the inverse of c is raised to -k
+       *
+       * @returns {bigint} - the encryption of k·m mod n with this public key
+       */
+    multiply(c: bigint, k: bigint | number): bigint;
+}
+/**
+ * Encoder of signed integers into Z_n. Values in [-maxAbs, maxAbs] are mapped to [0, maxAbs] ∪ [n - maxAbs, n), and
+ * any decrypted value falling in the gap (maxAbs, n - maxAbs) is detected as an overflow (or underflow) of a
+ * homomorphic computation instead of being silently returned as a wrapped number.
+ */
+export class SignedIntegerEncoder {
+    /**
+       * Creates an encoder of signed integers for the plaintext space of publicKey
+       *
+       * @param {PublicKey} publicKey
+       * @param {Object} [options]
+       * @param {bigint} [options.maxAbs = publicKey.maxInt] - the maximum absolute value that can be encoded. It defaults to floor(n/3) - 1
+       *
+       * @throws {RangeError} - if maxAbs is not in [0, (n-1)/2)
+       */
+    constructor(publicKey: PublicKey, { maxAbs }?: {
+        maxAbs: bigint;
+    });
+    n: bigint;
+    maxAbs: bigint;
+    /**
+       * Encodes a signed integer into Z_n
+       *
+       * @param {bigint | number} value - an integer in [-maxAbs, maxAbs]
+       *
+       * @returns {bigint} - the encoding of value in [0, n)
+       *
+       * @throws {RangeError} - if |value| > maxAbs
+       */
+    encode(value: bigint | number): bigint;
+    /**
+       * Decodes an element of Z_n into a signed integer
+       *
+       * @param {bigint} encoding - an element of [0, n)
+       *
+       * @returns {bigint} - the decoded integer in [-maxAbs, maxAbs]
+       *
+       * @throws {RangeError} - if encoding is in the overflow gap (maxAbs, n - maxAbs) or outside [0, n)
+       */
+    decode(encoding: bigint): bigint;
+}
+/**
+ * Decodes a DER-encoded PaillierCiphertext
+ *
+ * @param {Uint8Array} der
+ *
+ * @returns {bigint} - the ciphertext
+ *
+ * @throws {TypeError} - if der is malformed
+ */
+export function ciphertextFromDER(der: Uint8Array): bigint;
+/**
+ * Decodes a PEM 'PAILLIER CIPHERTEXT' block
+ *
+ * @param {string} pem
+ *
+ * @returns {bigint} - the ciphertext
+ *
+ * @throws {TypeError} - if pem is malformed
+ */
+export function ciphertextFromPEM(pem: string): bigint;
+/**
+ * DER-encodes a ciphertext as:
+ * ```
+ * PaillierCiphertext ::= INTEGER
+ * ```
+ *
+ * @param {bigint} c - a ciphertext
+ *
+ * @returns {Uint8Array} - the DER encoding of c
+ */
+export function ciphertextToDER(c: bigint): Uint8Array;
+/**
+ * Encodes a ciphertext as a PEM 'PAILLIER CIPHERTEXT' block
+ *
+ * @param {bigint} c - a ciphertext
+ *
+ * @returns {string} - the PEM encoding of c
+ */
+export function ciphertextToPEM(c: bigint): string;
+/**
+ * Combines decryption shares of c from at least t different parties to recover the plaintext. Every share is
+ * verified first, so that misbehaving share holders are detected.
+ *
+ * @param {ThresholdParameters} parameters
+ * @param {bigint} c - the ciphertext
+ * @param {DecryptionShare[]} decryptionShares - decryption shares from at least t different parties
+ *
+ * @returns {bigint} - the decryption of c
+ *
+ * @throws {InvalidCiphertextError} - if c is not in Z* of n^2
+ * @throws {RangeError} - if there are less than t shares or several shares of the same party
+ * @throws {InvalidDecryptionShareError} - if a decryption share is not valid. Its index property identifies the misbehaving party
+ */
+export function combineShares(parameters: ThresholdParameters, c: bigint, decryptionShares: DecryptionShare[]): bigint;
+/**
+ * Creates a Node.js object-mode Transform stream that decrypts every serialized ciphertext written to it and emits
+ * the plaintext
+ *
+ * @param {PrivateKey} privateKey - the private key to decrypt with
+ * @param {Object} [options]
+ * @param {StreamEncoder} [options.encoder] - an encoder to decode the plaintexts. By default, plaintexts are emitted as bigints. It is not used with encrypted numbers
+ *
+ * @returns {Transform} - a stream of base64url-encoded ciphertexts (or bigints) to plaintexts, and of {@link EncryptedNumber#toJSON} objects (or their JSON strings) to the numbers they encode
+ */
+export function createDecryptStream(privateKey: PrivateKey, options?: {
+    encoder: StreamEncoder;
+}): any;
+/**
+ * WHATWG TransformStream version of {@link createDecryptStream}
+ *
+ * @param {PrivateKey} privateKey - the private key to decrypt with
+ * @param {Object} [options]
+ * @param {StreamEncoder} [options.encoder] - an encoder to decode the plaintexts
+ *
+ * @returns {TransformStream}
+ *
+ * @throws {Error} - if WHATWG streams are not available
+ */
+export function createDecryptTransformStream(privateKey: PrivateKey, options?: {
+    encoder: StreamEncoder;
+}): TransformStream;
+/**
+ * @typedef {Object} StreamEncoder
+ * @property {function(any): bigint} encode - maps an input value to a plaintext in Z_n, e.g. {@link SignedIntegerEncoder#encode}
+ * @property {function(bigint): any} decode - maps a decrypted plaintext back to a value, e.g. {@link SignedIntegerEncoder#decode}
+ */
+/**
+ * Creates a Node.js object-mode Transform stream that encrypts every plaintext written to it and emits the serialized
+ * ciphertext
+ *
+ * @param {PublicKey} publicKey - the public key to encrypt with
+ * @param {Object} [options]
+ * @param {StreamEncoder} [options.encoder] - an encoder of the input values. By default, every chunk is converted with BigInt(), so decimal strings are also accepted
+ *
+ * @returns {Transform} - a stream of plaintexts to base64url-encoded ciphertexts, and of encoded numbers to {@link EncryptedNumber#toJSON} objects
+ */
+export function createEncryptStream(publicKey: PublicKey, options?: {
+    encoder: StreamEncoder;
+}): any;
+/**
+ * WHATWG TransformStream version of {@link createEncryptStream}
+ *
+ * @param {PublicKey} publicKey - the public key to encrypt with
+ * @param {Object} [options]
+ * @param {StreamEncoder} [options.encoder] - an encoder of the input values
+ *
+ * @returns {TransformStream}
+ *
+ * @throws {Error} - if WHATWG streams are not available
+ */
+export function createEncryptTransformStream(publicKey: PublicKey, options?: {
+    encoder: StreamEncoder;
+}): TransformStream;
+/**
+ * Creates a Node.js object-mode Transform stream that folds every ciphertext written to it with
+ * {@link PublicKey#addition} and emits the serialized encryption of the sum when it ends. Only the running sum is
+ * kept in memory. An empty stream sums to the (not randomized) encryption of 0.
+ *
+ * @param {PublicKey} publicKey - the public key the ciphertexts were encrypted with
+ *
+ * @returns {Transform} - a stream of base64url-encoded ciphertexts (or bigints) to a single base64url-encoded ciphertext
+ */
+export function createSumStream(publicKey: PublicKey): any;
+/**
+ * WHATWG TransformStream version of {@link createSumStream}
+ *
+ * @param {PublicKey} publicKey - the public key the ciphertexts were encrypted with
+ *
+ * @returns {TransformStream}
+ *
+ * @throws {Error} - if WHATWG streams are not available
+ */
+export function createSumTransformStream(publicKey: PublicKey): TransformStream;
+/**
+ * Decodes a batch of ciphertexts encoded with {@link encodeCiphertexts}
+ *
+ * @param {PublicKey} publicKey - the public key the ciphertexts are expected to be encrypted with
+ * @param {Uint8Array} buf - the encoded batch
+ *
+ * @returns {bigint[]} - the ciphertexts
+ *
+ * @throws {TypeError} - if buf is malformed
+ * @throws {RangeError} - if the version is not supported
+ * @throws {KeyMismatchError} - if the batch was encoded for a different public key
+ * @throws {InvalidCiphertextError} - if a ciphertext is not in Z* of n^2
+ */
+export function decodeCiphertexts(publicKey: PublicKey, buf: Uint8Array): bigint[];
+/**
+ * Decrypts a batch of ciphertexts in a pool of workers (worker_threads in Node.js, Web Workers in browsers), so that
+ * the event loop is not blocked. The private key is sent once to every worker. If workers are not available, the
+ * ciphertexts are decrypted in the main thread, yielding to the event loop between chunks.
+ *
+ * @param {PrivateKey} privateKey - the private key to decrypt with
+ * @param {bigint[]} ciphertexts - the ciphertexts to decrypt
+ * @param {BatchOptions} [options]
+ *
+ * @returns {Promise<bigint[]>} - a promise that resolves to the decryptions of the ciphertexts, in the same order, as returned by {@link PrivateKey#decrypt}
+ *
+ * @throws {InvalidCiphertextError} - in strict mode (see {@link setStrictValidation}), if a ciphertext is not in Z* of n^2
+ */
+export function decryptBatch(privateKey: PrivateKey, ciphertexts: bigint[], options?: BatchOptions): Promise<bigint[]>;
+/**
+ * Encodes a batch of ciphertexts in a compact binary format. Every ciphertext is written as a fixed-width big-endian
+ * integer of the byte length of n^2, after the following header:
+ * ```
+ * magic        4 bytes   'PCTX'
+ * version      1 byte    1
+ * fingerprint  32 bytes  SHA-256 of the DER encoding of the public key (see {@link PublicKey#toDER})
+ * count        4 bytes   the number of ciphertexts (big-endian)
+ * width        4 bytes   the byte length of every ciphertext (big-endian)
+ * ```
+ *
+ * @param {PublicKey} publicKey - the public key the ciphertexts were encrypted with
+ * @param {bigint[]} ciphertexts
+ *
+ * @returns {Uint8Array} - the encoded batch
+ *
+ * @throws {InvalidCiphertextError} - if a ciphertext is not in Z* of n^2
+ */
+export function encodeCiphertexts(publicKey: PublicKey, ciphertexts: bigint[]): Uint8Array;
+/**
+ * @typedef {Object} BatchOptions
+ * @property {number} [workers] - the number of workers of the pool. It defaults to the number of CPU cores
+ * @property {number} [chunkSize] - the number of items sent to a worker at once. By default, every worker gets about 4 chunks
+ * @property {AbortSignal} [signal] - a signal (or any object with aborted, reason, addEventListener and removeEventListener) to cancel the operation. Workers are then terminated and the promise rejects with the abort reason
+ */
+/**
+ * Encrypts a batch of messages in a pool of workers (worker_threads in Node.js, Web Workers in browsers), so that
+ * the event loop is not blocked. The public key is sent once to every worker. If workers are not available, the
+ * messages are encrypted in the main thread, yielding to the event loop between chunks.
+ *
+ * Encryptions use fresh random factors computed in the workers, and not the {@link ObfuscatorPool} of the key.
+ *
+ * @param {PublicKey} publicKey - the public key to encrypt with
+ * @param {Array<bigint | number>} messages - the messages to encrypt
+ * @param {BatchOptions} [options]
+ *
+ * @returns {Promise<bigint[]>} - a promise that resolves to the encryptions of the messages, in the same order
+ *
+ * @throws {InvalidPlaintextError} - in strict mode (see {@link setStrictValidation}), if a message is not in Z_n
+ */
+export function encryptBatch(publicKey: PublicKey, messages: Array<bigint | number>, options?: BatchOptions): Promise<bigint[]>;
+declare var encryption: Readonly<{
+    __proto__: any;
+    prove: typeof prove;
+    verify: typeof verify;
+    toJSON: typeof toJSON;
+    fromJSON: typeof fromJSON;
+}>;
+export function generateDualG(n1: any, n2: any): number;
+/**
+ * @typedef {Object} KeyPair
+ * @property {PublicKey} publicKey - a Paillier's public key
+ * @property {PrivateKey} privateKey - the associated Paillier's private key
+ */
+/**
+ * Generates a pair private, public key for the Paillier cryptosystem.
+ *
+ * It accepts either a {@link KeyGenerationOptions} object or the legacy (bitlength, simplevariant) arguments. With
+ * an options object, keys shorter than 2048 bits are refused unless allowWeakKeys is set, and |p-q| is required to
+ * be larger than 2^(bitLength/2 - 100) by default.
+ *
+ * @param {number | KeyGenerationOptions} [bitlength = 3072] - the bit length of the public modulo or an options object
+ * @param {boolean} [simplevariant = false] - use the simple variant to compute the generator (g=n+1). This is REQUIRED if you want to be able to recover the random integer factor used when encrypting with the public key
+ *
+ * @returns {Promise<KeyPair>} - a promise that resolves to a {@link KeyPair} of public, private keys
+ *
+ * @throws {RangeError} - if an option is not valid or the key would be shorter than 2048 bits and allowWeakKeys is not set
+ */
+export function generateRandomKeys(bitlength?: number | KeyGenerationOptions, simpleVariant?: boolean): Promise<KeyPair>;
+/**
+ * Generates a pair private, public key for the Paillier cryptosystem in synchronous mode.
+ * Synchronous mode is NOT RECOMMENDED since it won't use workers and thus it'll be slower and may freeze thw window in browser's javascript.
+ *
+ * It accepts the same arguments as {@link generateRandomKeys}.
+ *
+ * @param {number | KeyGenerationOptions} [bitlength = 3072] - the bit length of the public modulo or an options object
+ * @param {boolean} [simplevariant = false] - use the simple variant to compute the generator (g=n+1)
+ *
+ * @returns {KeyPair} - a {@link KeyPair} of public, private keys
+ *
+ * @throws {RangeError} - if an option is not valid or the key would be shorter than 2048 bits and allowWeakKeys is not set
+ */
+export function generateRandomKeysSync(bitlength?: number | KeyGenerationOptions, simpleVariant?: boolean): KeyPair;
+/**
+ * @typedef {Object} ThresholdParameters
+ * @property {PublicKey} publicKey - the public key to encrypt with. It uses g = n+1
+ * @property {number} threshold - the number t of shares required to decrypt
+ * @property {number} parties - the total number l of shares
+ * @property {bigint} delta - Δ = l!
+ * @property {bigint} v - a random square in Z* of n^2 that generates the group of squares
+ * @property {bigint[]} verificationKeys - the verification keys v_i = v^(Δ·s_i) mod n^2. verificationKeys[i-1] is the key of party i
+ */
+/**
+ * @typedef {Object} KeyShare
+ * @property {number} index - the index i in [1, l] of the share holder
+ * @property {bigint} secret - the secret share s_i = f(i)
+ * @property {ThresholdParameters} parameters - the public parameters
+ */
+/**
+ * @typedef {Object} DecryptionShare
+ * @property {number} index - the index i of the share holder
+ * @property {bigint} value - the decryption share c_i = c^(2Δ·s_i) mod n^2
+ * @property {{e: bigint, z: bigint}} proof - the proof that the decryption share was computed with s_i
+ */
+/**
+ * Generates the keys of a t-of-l threshold Paillier cryptosystem with a trusted dealer. The dealer (this function)
+ * knows the factorization of n, so it MUST run in a trusted environment that forgets everything but the output.
+ * Every key share MUST then be privately sent to its holder.
+ *
+ * Safe primes are required, so it is much slower than {@link generateRandomKeys}.
+ *
+ * @param {Object} options - the {@link KeyGenerationOptions} (safePrimes and simpleVariant are ignored) plus:
+ * @param {number} options.threshold - the number t of shares required to decrypt
+ * @param {number} options.parties - the total number l of shares
+ *
+ * @returns {Promise<{publicKey: PublicKey, parameters: ThresholdParameters, keyShares: KeyShare[]}>}
+ *
+ * @throws {RangeError} - if threshold is not in [1, parties] or a key generation option is not valid
+ */
+export function generateThresholdKeys(options: {
+    threshold: number;
+    parties: number;
+}): Promise<{
+    publicKey: PublicKey;
+    parameters: ThresholdParameters;
+    keyShares: KeyShare[];
+}>;
+/**
+ * Whether strict validation is enabled (see {@link setStrictValidation})
+ *
+ * @param {PublicKey | DamgardJurikPublicKey} [publicKey] - if its `strictValidation` property is a boolean, it is
+ * returned instead of the process-wide setting
+ *
+ * @returns {boolean}
+ */
+export function isStrictValidation(publicKey?: PublicKey | DamgardJurikPublicKey): boolean;
+/**
+ * Generates a pair private, public key for the Paillier cryptosystem in synchronous mode.
+ * Synchronous mode is NOT RECOMMENDED since it won't use workers and thus it'll be slower and may freeze thw window in browser's javascript.
+ *
+ * @param {bigint}  - p prime
+ * @param {bigint}  - q prime
+ * @param {bigint}  - g manual G
+ *
+ * @returns {KeyPair} - a {@link KeyPair} of public, private keys
+ */
+export function keysFromPrimes(p: any, q: any, g: any): KeyPair;
+/**
+ * Generates a pair private, public key for the Paillier cryptosystem in synchronous mode.
+ * Synchronous mode is NOT RECOMMENDED since it won't use workers and thus it'll be slower and may freeze thw window in browser's javascript.
+ *
+ * @param {bigint}  - p prime
+ * @param {bigint}  - q prime
+ * @param {boolean} [simplevariant = false] - use the simple variant to compute the generator (g=n+1)
+ *
+ * @returns {KeyPair} - a {@link KeyPair} of public, private keys
+ */
+export function keysFromPrimesSimple(p: any, q: any): KeyPair;
+declare var membership: Readonly<{
+    __proto__: any;
+    prove: typeof prove$1;
+    verify: typeof verify$1;
+    toJSON: typeof toJSON$1;
+    fromJSON: typeof fromJSON$1;
+    proveMembership: typeof proveMembership;
+    verifyMembership: typeof verifyMembership;
+}>;
+declare var modulus: Readonly<{
+    __proto__: any;
+    prove: typeof prove$3;
+    verify: typeof verify$3;
+    toJSON: typeof toJSON$3;
+    fromJSON: typeof fromJSON$3;
+}>;
+export function multiplyOtherN2(c: any, k: any, n2: any): bigint;
+/**
+ * Computes a decryption share of c together with a proof of its correctness
+ *
+ * @param {KeyShare} keyShare - the key share of the party
+ * @param {bigint} c - a ciphertext encrypted with the threshold public key
+ * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for the proof
+ *
+ * @returns {DecryptionShare} - the decryption share of party keyShare.index
+ *
+ * @throws {InvalidCiphertextError} - in strict mode (see {@link setStrictValidation}), if c is not in Z* of n^2
+ */
+export function partialDecrypt(keyShare: KeyShare, c: bigint, randomSource?: RandomSource): DecryptionShare;
+declare var range: Readonly<{
+    __proto__: any;
+    prove: typeof prove$2;
+    verify: typeof verify$2;
+    toJSON: typeof toJSON$2;
+    fromJSON: typeof fromJSON$2;
+}>;
+/**
+ * Enables or disables strict validation. In strict mode, key constructors check the sanity of the key parameters,
+ * encryption checks that plaintexts are in [0, n) and random factors in Z*_n, and decryption and homomorphic
+ * operations check that ciphertexts are in Z*_{n^2}. Validation is lenient by default, which is the behaviour of
+ * previous versions: inputs are not checked and plaintexts are silently reduced modulo n.
+ *
+ * Deserialization (fromJSON, fromDER, fromPEM) is always strict.
+ *
+ * The setting is process-wide: it changes validation for every user of this module in the same process (including
+ * other libraries sharing it). To enable or disable strict validation only for your own keys, set the
+ * `strictValidation` property of a {@link PublicKey} (or {@link DamgardJurikPublicKey}) instead, which takes
+ * precedence over this setting. Key constructors can only follow the process-wide setting, since the key does not
+ * exist yet when its parameters are checked; a private key follows the setting of its public key.
+ *
+ * @param {boolean} [enabled = true]
+ */
+export function setStrictValidation(enabled?: boolean): void;
+/**
+ * @typedef {Object} ValidationCheck
+ * @property {string} name - the name of the check, e.g. 'modulusSize'
+ * @property {boolean} passed - whether the check passed
+ * @property {string} message - what was checked if passed, or why it failed otherwise
+ */
+/**
+ * @typedef {Object} ValidationReport
+ * @property {boolean} valid - true if every check passed
+ * @property {ValidationCheck[]} checks - the list of performed checks
+ */
+/**
+ * Validates a pair of public and private keys. On top of the checks of {@link PublicKey#validate} and
+ * {@link PrivateKey#validate}, it checks that the private key belongs to the public key and that a test
+ * encryption with the public key decrypts correctly with the private key.
+ *
+ * @param {PublicKey} publicKey
+ * @param {PrivateKey} privateKey
+ * @param {Object} [options]
+ * @param {number} [options.minBitLength = 2048] - the minimum bit length of the modulus n
+ *
+ * @returns {Promise<ValidationReport>} - a report of every performed check
+ */
+export function validateKeyPair(publicKey: PublicKey, privateKey: PrivateKey, options?: {
+    minBitLength: number;
+}): Promise<ValidationReport>;
+/**
+ * Verifies that m is the decryption of c
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext
+ * @param {bigint} m - the claimed plaintext
+ * @param {EncryptionProof} proof - a proof returned by {@link PrivateKey#decryptWithProof}
+ *
+ * @returns {boolean} - true if the proof is valid, i.e. m is the decryption of c
+ */
+export function verifyDecryption(publicKey: PublicKey, c: bigint, m: bigint, proof: EncryptionProof): boolean;
+/**
+ * Verifies that a decryption share of c was correctly computed by its holder
+ *
+ * @param {ThresholdParameters} parameters
+ * @param {bigint} c - the ciphertext
+ * @param {DecryptionShare} decryptionShare
+ *
+ * @returns {boolean} - true if the proof of the decryption share is valid
+ */
+export function verifyDecryptionShare(parameters: ThresholdParameters, c: bigint, decryptionShare: DecryptionShare): boolean;
+declare class FixedBaseTable {
+    /**
+     * Creates the precomputed table
+     *
+     * @param {bigint} base
+     * @param {bigint} modulus
+     * @param {number} maxBits - the maximum bit length of the exponents
+     * @param {number} [window = 4] - the window size w in bits, in [1, 16]
+     *
+     * @throws {RangeError} - if window is not an integer in [1, 16]
+     */
+    constructor(base: bigint, modulus: bigint, maxBits: number, window?: number);
+    modulus: bigint;
+    maxBits: number;
+    window: number;
+    table: any[];
+    /**
+     * Fixed-base exponentiation
+     *
+     * @param {bigint} e - a non-negative exponent of at most maxBits bits
+     *
+     * @returns {bigint} - base^e mod modulus
+     *
+     * @throws {RangeError} - if e is negative or larger than 2^maxBits - 1
+     */
+    pow(e: bigint): bigint;
+}
+/**
+ * @typedef {Object} EncryptionProof
+ * @property {bigint} e - the challenge
+ * @property {bigint} z - the response
+ */
+/**
+ * Proves that c is an encryption of m with random factor r
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext, c = g^m · r^n mod n^2
+ * @param {bigint} m - the plaintext
+ * @param {bigint} r - the random factor used to encrypt m. For keys using the simple variant, it can be recovered with {@link PrivateKey#getRandomFactor}
+ * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for the commitment
+ *
+ * @returns {EncryptionProof}
+ */
+declare function prove(publicKey: PublicKey, c: bigint, m: bigint, r: bigint, randomSource?: RandomSource): EncryptionProof;
+/**
+ * Verifies a proof that c is an encryption of m
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext
+ * @param {bigint} m - the plaintext
+ * @param {EncryptionProof} proof
+ *
+ * @returns {boolean} - true if the proof is valid
+ */
+declare function verify(publicKey: PublicKey, c: bigint, m: bigint, proof: EncryptionProof): boolean;
+/**
+ * Exports a proof as a JSON object with base64url-encoded bigints
+ *
+ * @param {EncryptionProof} proof
+ *
+ * @returns {{type: string, e: string, z: string}}
+ */
+declare function toJSON(proof: EncryptionProof): {
+    type: string;
+    e: string;
+    z: string;
+};
+/**
+ * Imports a proof exported with {@link toJSON}
+ *
+ * @param {string | Object} json
+ *
+ * @returns {EncryptionProof}
+ *
+ * @throws {TypeError} - if json is not a valid encryption proof
+ */
+declare function fromJSON(json: string | any): EncryptionProof;
+/**
+ * @typedef {Object} MembershipProof
+ * @property {bigint[]} e - the challenges of every value of the set
+ * @property {bigint[]} z - the responses of every value of the set
+ */
+/**
+ * Proves that c, an encryption of m with random factor r, encrypts one of the values of a set
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext, c = g^m · r^n mod n^2
+ * @param {bigint} m - the plaintext. It MUST be in the set
+ * @param {bigint} r - the random factor used to encrypt m
+ * @param {bigint[]} set - the public set of allowed plaintexts
+ * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for the proof
+ *
+ * @returns {MembershipProof}
+ *
+ * @throws {RangeError} - if m is not in the set
+ */
+declare function prove$1(publicKey: PublicKey, c: bigint, m: bigint, r: bigint, set: bigint[], randomSource?: RandomSource): MembershipProof;
+/**
+ * Verifies a proof that c encrypts one of the values of a set
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext
+ * @param {bigint[]} set - the public set of allowed plaintexts
+ * @param {MembershipProof} proof
+ *
+ * @returns {boolean} - true if the proof is valid
+ */
+declare function verify$1(publicKey: PublicKey, c: bigint, set: bigint[], proof: MembershipProof): boolean;
+/**
+ * Exports a proof as a JSON object with base64url-encoded bigints
+ *
+ * @param {MembershipProof} proof
+ *
+ * @returns {{type: string, e: string[], z: string[]}}
+ */
+declare function toJSON$1(proof: MembershipProof): {
+    type: string;
+    e: string[];
+    z: string[];
+};
+/**
+ * Imports a proof exported with {@link toJSON}
+ *
+ * @param {string | Object} json
+ *
+ * @returns {MembershipProof}
+ *
+ * @throws {TypeError} - if json is not a valid membership proof
+ */
+declare function fromJSON$1(json: string | any): MembershipProof;
+/**
+ * {@link prove} with a custom domain separation label, so that it can be embedded in other proofs
+ */
+declare function proveMembership(label: any, publicKey: any, c: any, m: any, r: any, set: any, randomSource?: any): {
+    e: any[];
+    z: any[];
+};
+/**
+ * {@link verify} with a custom domain separation label
+ */
+declare function verifyMembership(label: any, publicKey: any, c: any, set: any, proof: any): boolean;
+/**
+ * @typedef {Object} ModulusProof
+ * @property {bigint} w - a random integer with Jacobi symbol -1
+ * @property {bigint[]} x - the fourth roots of (-1)^(a_i)·w^(b_i)·y_i mod n
+ * @property {bigint[]} a - the bits a_i
+ * @property {bigint[]} b - the bits b_i
+ * @property {bigint[]} z - the n-th roots of y_i mod n
+ */
+/**
+ * Proves that the modulus n of the public key of privateKey is a Paillier-Blum modulus
+ *
+ * @param {PrivateKey} privateKey - a private key with known primes p and q, both equal to 3 mod 4
+ * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for w
+ *
+ * @returns {ModulusProof}
+ *
+ * @throws {InvalidKeyError} - if p and q are not known, or are not 3 mod 4, or gcd(n, φ(n)) != 1
+ */
+declare function prove$3(privateKey: PrivateKey, randomSource?: RandomSource): ModulusProof;
+/**
+ * Verifies a proof that n is a Paillier-Blum modulus
+ *
+ * @param {PublicKey} publicKey - the public key whose modulus n is checked
+ * @param {ModulusProof} proof
+ *
+ * @returns {boolean} - true if the proof is valid
+ */
+declare function verify$3(publicKey: PublicKey, proof: ModulusProof): boolean;
+/**
+ * Exports a proof as a JSON object with base64url-encoded bigints
+ *
+ * @param {ModulusProof} proof
+ *
+ * @returns {Object}
+ */
+declare function toJSON$3(proof: ModulusProof): any;
+/**
+ * Imports a proof exported with {@link toJSON}
+ *
+ * @param {string | Object} json
+ *
+ * @returns {ModulusProof}
+ *
+ * @throws {TypeError} - if json is not a valid modulus proof
+ */
+declare function fromJSON$3(json: string | any): ModulusProof;
+/**
+ * @typedef {Object} RangeProof
+ * @property {bigint[]} commitments - the encryptions of the bits of m - min followed by those of max - m
+ * @property {bigint[]} e - the challenges of the proofs that every commitment encrypts a bit
+ * @property {bigint[]} z - the responses of the proofs that every commitment encrypts a bit
+ * @property {bigint[]} linkE - the challenges of the proofs that link the bits of m - min and max - m to c
+ * @property {bigint[]} linkZ - the responses of the proofs that link the bits of m - min and max - m to c
+ */
+/**
+ * Proves that c, an encryption of m with random factor r, encrypts an integer in [min, max]
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext, c = g^m · r^n mod n^2
+ * @param {bigint} m - the plaintext
+ * @param {bigint} r - the random factor used to encrypt m
+ * @param {bigint} min - the lower bound of the range
+ * @param {bigint} max - the upper bound of the range
+ * @param {RandomSource} [randomSource] - FOR TESTING ONLY. A source of randomness for the proof
+ *
+ * @returns {RangeProof}
+ *
+ * @throws {RangeError} - if m is not in [min, max] or the range is too large for the public key
+ */
+declare function prove$2(publicKey: PublicKey, c: bigint, m: bigint, r: bigint, min: bigint, max: bigint, randomSource?: RandomSource): RangeProof;
+/**
+ * Verifies a proof that c encrypts an integer in [min, max]
+ *
+ * @param {PublicKey} publicKey
+ * @param {bigint} c - the ciphertext
+ * @param {bigint} min - the lower bound of the range
+ * @param {bigint} max - the upper bound of the range
+ * @param {RangeProof} proof
+ *
+ * @returns {boolean} - true if the proof is valid
+ */
+declare function verify$2(publicKey: PublicKey, c: bigint, min: bigint, max: bigint, proof: RangeProof): boolean;
+/**
+ * Exports a proof as a JSON object with base64url-encoded bigints
+ *
+ * @param {RangeProof} proof
+ *
+ * @returns {Object}
+ */
+declare function toJSON$2(proof: RangeProof): any;
+/**
+ * Imports a proof exported with {@link toJSON}
+ *
+ * @param {string | Object} json
+ *
+ * @returns {RangeProof}
+ *
+ * @throws {TypeError} - if json is not a valid range proof
+ */
+declare function fromJSON$2(json: string | any): RangeProof;
+export { encryption as encryptionProof, membership as membershipProof, modulus as modulusProof, range as rangeProof };